@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import { getRepoAnalytics, TREND_INTERVALS } from '@/lib/devtools/prpilot/analytics';
+import { checkRepoBudget } from '@/lib/devtools/prpilot/usage';
+
+/**
+ * PRPilot API - Quality Analytics
+ * GET: Score trend, issue counts, recurring rule violations, hotspot files,
+ * per-author averages and time to resolution of a repository over a time window,
+ * with the model cost of its reviews and its spend against the monthly budget
+ */
+
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_WINDOW_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/prpilot/analytics - Get quality analytics for a repository
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get('userId');
+    const repoId = searchParams.get('repoId');
+    const interval = searchParams.get('interval') || 'week';
+
+    if (!userId || !repoId) {
+      return NextResponse.json(
+        { error: 'userId and repoId are required' },
+        { status: 400 }
+      );
+    }
+
+    if (!TREND_INTERVALS.includes(interval)) {
+      return NextResponse.json(
+        { error: `interval must be one of: ${TREND_INTERVALS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const window = parseWindow(searchParams);
+    if (window.error) {
+      return NextResponse.json(
+        { error: window.error },
+        { status: 400 }
+      );
+    }
+
+    // Verify ownership
+    const { data: repo, error: repoError } = await supabase
+      .from('prpilot_repos')
+      .select('id, repo_full_name, monthly_budget_usd, budget_action')
+      .eq('id', repoId)
+      .eq('user_id', userId)
+      .single();
+
+    if (repoError || !repo) {
+      return NextResponse.json(
+        { error: 'Repository not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    const analytics = await getRepoAnalytics(repo.id, { ...window, interval });
+    const budget = await checkRepoBudget(repo);
+
+    return NextResponse.json({
+      success: true,
+      repository: repo.repo_full_name,
+      analytics,
+      budget
+    });
+
+  } catch (error) {
+    console.error('GET /api/prpilot/analytics error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// Window from "since"/"until" dates, or the last "days" days (30 by default)
+function parseWindow(searchParams) {
+  const until = searchParams.get('until') ? new Date(searchParams.get('until')) : new Date();
+  const days = parseInt(searchParams.get('days') || String(DEFAULT_WINDOW_DAYS), 10);
+  const since = searchParams.get('since')
+    ? new Date(searchParams.get('since'))
+    : new Date(until.getTime() - days * DAY_MS);
+
+  if (Number.isNaN(until.getTime()) || Number.isNaN(since.getTime())) {
+    return { error: 'since and until must be ISO dates' };
+  }
+
+  if (!searchParams.get('since') && (!days || days < 1 || days > MAX_WINDOW_DAYS)) {
+    return { error: `days must be between 1 and ${MAX_WINDOW_DAYS}` };
+  }
+
+  if (since >= until || until - since > MAX_WINDOW_DAYS * DAY_MS) {
+    return { error: `The window must end after it starts and cover at most ${MAX_WINDOW_DAYS} days` };
+  }
+
+  return { since, until };
+}
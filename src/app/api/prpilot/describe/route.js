@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import { isGroqConfigured } from '@/lib/devtools/prpilot/engine';
+import { describePullRequest } from '@/lib/devtools/prpilot/describe';
+import { getProvider } from '@/lib/devtools/prpilot/providers';
+import { hasRepoToken } from '@/lib/devtools/prpilot/tokens';
+
+/**
+ * PRPilot API - Pull Request Descriptions
+ * POST: Draft a pull request description, optionally with a changelog entry,
+ * and optionally write it into the pull request body
+ */
+
+// POST /api/prpilot/describe - Draft a pull request description
+export async function POST(request) {
+  try {
+    if (!isGroqConfigured()) {
+      return NextResponse.json(
+        { error: 'Groq API key not configured' },
+        { status: 503 }
+      );
+    }
+
+    const body = await request.json();
+    const { userId, repoId, prNumber, update = false, changelog = false } = body;
+
+    if (!userId || !repoId || !prNumber) {
+      return NextResponse.json(
+        { error: 'userId, repoId and prNumber are required' },
+        { status: 400 }
+      );
+    }
+
+    // Verify ownership
+    const { data: repo, error: fetchError } = await supabase
+      .from('prpilot_repos')
+      .select('*')
+      .eq('id', repoId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError || !repo) {
+      return NextResponse.json(
+        { error: 'Repository not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    if (update && !hasRepoToken(repo)) {
+      return NextResponse.json(
+        { error: 'Updating the pull request needs an access token' },
+        { status: 400 }
+      );
+    }
+
+    let result;
+    try {
+      result = await describePullRequest({
+        repo,
+        provider: getProvider(repo.provider),
+        number: parseInt(prNumber, 10),
+        update: Boolean(update),
+        changelog: Boolean(changelog)
+      });
+    } catch (describeError) {
+      console.error('Description error:', describeError);
+      return NextResponse.json(
+        { error: 'Failed to describe the pull request', details: describeError.message },
+        { status: 502 }
+      );
+    }
+
+    if (result.skipped) {
+      return NextResponse.json(
+        {
+          error: `This repository has used its monthly review budget ($${result.budget.spentUsd} of $${result.budget.budgetUsd})`,
+          budget: result.budget
+        },
+        { status: 429 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      prNumber: result.pr.number,
+      description: result.draft,
+      markdown: result.markdown,
+      updated: result.updated,
+      outputErrors: result.outputErrors,
+      usage: result.usage
+    });
+
+  } catch (error) {
+    console.error('POST /api/prpilot/describe error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import { getPrecisionStats } from '@/lib/devtools/prpilot/feedback';
+
+/**
+ * PRPilot API - Review Feedback Stats
+ * GET: Precision of a repository's findings per issue type and rule
+ */
+
+// GET /api/prpilot/feedback - Get precision stats for a repository
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get('userId');
+    const repoId = searchParams.get('repoId');
+
+    if (!userId || !repoId) {
+      return NextResponse.json(
+        { error: 'userId and repoId are required' },
+        { status: 400 }
+      );
+    }
+
+    // Verify ownership
+    const { data: repo, error: repoError } = await supabase
+      .from('prpilot_repos')
+      .select('id, repo_full_name')
+      .eq('id', repoId)
+      .eq('user_id', userId)
+      .single();
+
+    if (repoError || !repo) {
+      return NextResponse.json(
+        { error: 'Repository not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    const stats = await getPrecisionStats(repo.id);
+
+    return NextResponse.json({
+      success: true,
+      repository: repo.repo_full_name,
+      stats
+    });
+
+  } catch (error) {
+    console.error('GET /api/prpilot/feedback error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
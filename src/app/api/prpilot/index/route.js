@@ -0,0 +1,134 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import { claimIndexLock, failIndexing, indexRepo } from '@/lib/devtools/prpilot';
+import { getProvider } from '@/lib/devtools/prpilot/providers';
+
+/**
+ * PRPilot API - Repository Indexing
+ * POST: Download a repository archive and index it for review context
+ * GET: Get the indexing status of a repository
+ */
+
+export const maxDuration = 300;
+
+// POST /api/prpilot/index - Index a repository
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { userId, repoId, ref } = body;
+
+    if (!userId || !repoId) {
+      return NextResponse.json(
+        { error: 'userId and repoId are required' },
+        { status: 400 }
+      );
+    }
+
+    // Verify ownership
+    const { data: repo, error: fetchError } = await supabase
+      .from('prpilot_repos')
+      .select('*')
+      .eq('id', repoId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError || !repo) {
+      return NextResponse.json(
+        { error: 'Repository not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    // Claimed before the download, so concurrent requests do not both index
+    if (!await claimIndexLock(repoId)) {
+      return NextResponse.json(
+        { error: 'Repository is already being indexed' },
+        { status: 409 }
+      );
+    }
+
+    // Download the repository archive at the requested ref
+    const archiveRef = ref || repo.default_branch || 'main';
+    let tarball;
+
+    try {
+      tarball = await getProvider(repo.provider).fetchArchive(repo, archiveRef);
+    } catch (archiveError) {
+      await failIndexing(repoId);
+      return NextResponse.json(
+        {
+          error: 'Unable to download repository archive',
+          details: archiveError.message
+        },
+        { status: 502 }
+      );
+    }
+
+    const result = await indexRepo(repoId, { tarball }, { claimed: true });
+
+    return NextResponse.json({
+      success: true,
+      ref: archiveRef,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('POST /api/prpilot/index error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// GET /api/prpilot/index - Get indexing status
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get('userId');
+    const repoId = searchParams.get('repoId');
+
+    if (!userId || !repoId) {
+      return NextResponse.json(
+        { error: 'userId and repoId are required' },
+        { status: 400 }
+      );
+    }
+
+    const { data: repo, error } = await supabase
+      .from('prpilot_repos')
+      .select('id, index_status, index_stats, index_started_at, indexed_at')
+      .eq('id', repoId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !repo) {
+      return NextResponse.json(
+        { error: 'Repository not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    const { count } = await supabase
+      .from('prpilot_code_chunks')
+      .select('id', { count: 'exact', head: true })
+      .eq('repo_id', repoId);
+
+    return NextResponse.json({
+      success: true,
+      repoId: repo.id,
+      status: repo.index_status || 'pending',
+      stats: repo.index_stats || null,
+      chunkCount: count || 0,
+      startedAt: repo.index_started_at,
+      indexedAt: repo.indexed_at
+    });
+
+  } catch (error) {
+    console.error('GET /api/prpilot/index error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,139 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import { JOB_STATUSES, requeueJob } from '@/lib/devtools/prpilot/jobs';
+
+/**
+ * PRPilot API - Review Jobs
+ * GET: List the queued, running, completed and dead review jobs of a repository
+ * PATCH: Requeue a dead job
+ */
+
+// GET /api/prpilot/jobs - List jobs of a repository
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get('userId');
+    const repoId = searchParams.get('repoId');
+    const status = searchParams.get('status');
+    const limit = Math.min(parseInt(searchParams.get('limit') || '50', 10) || 50, 200);
+
+    if (!userId || !repoId) {
+      return NextResponse.json(
+        { error: 'userId and repoId are required' },
+        { status: 400 }
+      );
+    }
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { error: `status must be one of: ${JOB_STATUSES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const repo = await getOwnedRepo(repoId, userId);
+    if (!repo) {
+      return NextResponse.json(
+        { error: 'Repository not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    let query = supabase
+      .from('prpilot_jobs')
+      .select('id, type, delivery_id, status, attempts, max_attempts, run_at, last_error, review_id, completed_at, created_at, updated_at')
+      .eq('repo_id', repo.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: jobs, error } = await query;
+
+    if (error) {
+      console.error('Supabase error fetching jobs:', error);
+      return NextResponse.json(
+        { error: 'Failed to fetch jobs' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      repository: repo.repo_full_name,
+      jobs: jobs || [],
+      count: jobs?.length || 0
+    });
+
+  } catch (error) {
+    console.error('GET /api/prpilot/jobs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// PATCH /api/prpilot/jobs - Requeue a dead job
+export async function PATCH(request) {
+  try {
+    const body = await request.json();
+    const { userId, jobId } = body;
+
+    if (!userId || !jobId) {
+      return NextResponse.json(
+        { error: 'userId and jobId are required' },
+        { status: 400 }
+      );
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('prpilot_jobs')
+      .select('id, repo_id, status')
+      .eq('id', jobId)
+      .single();
+
+    if (jobError || !job || !(await getOwnedRepo(job.repo_id, userId))) {
+      return NextResponse.json(
+        { error: 'Job not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    if (job.status !== 'dead') {
+      return NextResponse.json(
+        { error: 'Only dead jobs can be requeued' },
+        { status: 409 }
+      );
+    }
+
+    const requeued = await requeueJob(job.id);
+
+    return NextResponse.json({
+      success: true,
+      job: requeued,
+      message: 'Job requeued'
+    });
+
+  } catch (error) {
+    console.error('PATCH /api/prpilot/jobs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// Get a repository if it belongs to the user
+async function getOwnedRepo(repoId, userId) {
+  const { data: repo } = await supabase
+    .from('prpilot_repos')
+    .select('id, repo_full_name')
+    .eq('id', repoId)
+    .eq('user_id', userId)
+    .single();
+
+  return repo || null;
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { processJobs } from '@/lib/devtools/prpilot/jobs';
+
+/**
+ * PRPilot API - Review Job Worker
+ * GET/POST: Run due review jobs, including retries. Call it on a schedule
+ * (e.g. a Vercel Cron every minute) with "Authorization: Bearer <CRON_SECRET>".
+ */
+
+export const maxDuration = 300;
+
+// Stop starting new jobs early enough for the last one to finish
+const WORKER_TIME_BUDGET_MS = 200 * 1000;
+const MAX_JOBS_PER_RUN = 20;
+
+// GET /api/prpilot/jobs/worker - Run due jobs (cron)
+export async function GET(request) {
+  return runWorker(request);
+}
+
+// POST /api/prpilot/jobs/worker - Run due jobs
+export async function POST(request) {
+  return runWorker(request);
+}
+
+async function runWorker(request) {
+  try {
+    const secret = process.env.CRON_SECRET;
+
+    if (!secret) {
+      return NextResponse.json(
+        { error: 'CRON_SECRET is not configured' },
+        { status: 503 }
+      );
+    }
+
+    if (request.headers.get('authorization') !== `Bearer ${secret}`) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const summary = await processJobs({
+      limit: MAX_JOBS_PER_RUN,
+      deadline: Date.now() + WORKER_TIME_BUDGET_MS
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Review job worker error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
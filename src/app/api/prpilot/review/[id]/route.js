@@ -1,10 +1,14 @@
 import { NextResponse } from 'next/server';
 import { supabase } from '@/lib/supabase';
+import { getFindings, setFindingFeedback, FINDING_STATUSES } from '@/lib/devtools/prpilot/feedback';
+import { reviewToSarif, importSarif } from '@/lib/devtools/prpilot/sarif';
 
 /**
  * PRPilot API - Review Results
- * GET: Fetch a specific review by ID
+ * GET: Fetch a specific review by ID, with its findings (?format=sarif for a SARIF 2.1.0 log)
+ * POST: Import findings from a SARIF log of an external linter
  * DELETE: Delete a specific review
+ * PATCH: Update notes, resolution, and feedback on findings
  */
 
 // GET /api/prpilot/review/[id] - Get review results
@@ -21,6 +25,14 @@ export async function GET(request, { params }) {
 
     const { searchParams } = new URL(request.url);
     const userId = searchParams.get('userId');
+    const format = searchParams.get('format') || 'json';
+
+    if (!['json', 'sarif'].includes(format)) {
+      return NextResponse.json(
+        { error: 'format must be json or sarif' },
+        { status: 400 }
+      );
+    }
 
     // Build query
     let query = supabase
@@ -56,6 +68,20 @@ export async function GET(request, { params }) {
       );
     }
 
+    if (format === 'sarif') {
+      const findings = await getFindings(review.id).catch(findingsError => {
+        console.error('Error fetching findings:', findingsError);
+        return [];
+      });
+
+      return new NextResponse(JSON.stringify(reviewToSarif(review, { findings }), null, 2), {
+        headers: {
+          'Content-Type': 'application/sarif+json',
+          'Content-Disposition': `attachment; filename="prpilot-review-${review.id}.sarif"`
+        }
+      });
+    }
+
     // Format response
     const formattedReview = {
       id: review.id,
@@ -63,19 +89,40 @@ export async function GET(request, { params }) {
       prNumber: review.pr_number,
       prTitle: review.pr_title,
       prUrl: review.pr_url,
+      prAuthor: review.pr_author,
+      triggeredBy: review.triggered_by,
       baseBranch: review.base_branch,
       headBranch: review.head_branch,
+      headSha: review.head_sha,
+      previousReviewId: review.previous_review_id,
+      incremental: review.incremental || null,
+      config: review.config || null,
+      configErrors: review.config_errors || [],
       summary: review.summary,
       qualityScore: review.quality_score,
       issues: review.issues || [],
       suggestions: review.suggestions || [],
       highlights: review.highlights || [],
+      ruleViolations: review.rule_violations || [],
+      filesReviewed: review.files_reviewed || [],
       metrics: review.metrics || null,
+      contextChunks: review.context_chunks || [],
+      reviewPasses: review.review_passes || 1,
+      skippedFiles: review.skipped_files || [],
+      outputErrors: review.output_errors || [],
       errorMessage: review.error_message,
       createdAt: review.created_at,
       updatedAt: review.updated_at
     };
 
+    // Findings carry the accept/reject feedback
+    try {
+      formattedReview.findings = (await getFindings(review.id)).map(formatFinding);
+    } catch (findingsError) {
+      console.error('Error fetching findings:', findingsError);
+      formattedReview.findings = [];
+    }
+
     // Include repo info if available
     if (review.repo_id) {
       const { data: repo } = await supabase
@@ -107,6 +154,78 @@ export async function GET(request, { params }) {
   }
 }
 
+// POST /api/prpilot/review/[id] - Import SARIF findings into a review
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json();
+    const { userId, sarif } = body;
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Review ID is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!userId || !sarif) {
+      return NextResponse.json(
+        { error: 'userId and sarif are required' },
+        { status: 400 }
+      );
+    }
+
+    // Verify ownership
+    const { data: review, error: fetchError } = await supabase
+      .from('prpilot_reviews')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError || !review) {
+      return NextResponse.json(
+        { error: 'Review not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    if (!['completed', 'degraded'].includes(review.status)) {
+      return NextResponse.json(
+        { error: 'Findings can only be imported into completed reviews' },
+        { status: 409 }
+      );
+    }
+
+    const result = await importSarif(review, sarif);
+
+    // Nothing importable, e.g. not a SARIF 2.1.0 log
+    if (result.imported === 0 && result.duplicates === 0 && result.excluded === 0 && result.errors.length > 0) {
+      return NextResponse.json(
+        { error: result.errors.join('; ') },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      imported: result.imported,
+      duplicates: result.duplicates,
+      excluded: result.excluded,
+      errors: result.errors,
+      qualityScore: result.review.quality_score,
+      metrics: result.review.metrics
+    });
+
+  } catch (error) {
+    console.error('POST /api/prpilot/review/[id] error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
 // DELETE /api/prpilot/review/[id] - Delete a review
 export async function DELETE(request, { params }) {
   try {
@@ -172,12 +291,12 @@ export async function DELETE(request, { params }) {
   }
 }
 
-// PATCH /api/prpilot/review/[id] - Update review (e.g., add notes)
+// PATCH /api/prpilot/review/[id] - Update review (e.g., add notes, give feedback on findings)
 export async function PATCH(request, { params }) {
   try {
     const { id } = await params;
     const body = await request.json();
-    const { userId, notes, resolved } = body;
+    const { userId, notes, resolved, findings } = body;
 
     if (!id) {
       return NextResponse.json(
@@ -208,6 +327,19 @@ export async function PATCH(request, { params }) {
       );
     }
 
+    // Validate finding feedback before changing anything
+    if (findings !== undefined) {
+      const invalid = !Array.isArray(findings) ||
+        findings.some(finding => !finding?.id || !FINDING_STATUSES.includes(finding.status));
+
+      if (invalid) {
+        return NextResponse.json(
+          { error: `findings must be an array of { id, status, note } with status one of: ${FINDING_STATUSES.join(', ')}` },
+          { status: 400 }
+        );
+      }
+    }
+
     // Build update object
     const updates = {
       updated_at: new Date().toISOString()
@@ -239,9 +371,23 @@ export async function PATCH(request, { params }) {
       );
     }
 
+    let updatedFindings;
+    if (findings?.length > 0) {
+      try {
+        updatedFindings = (await setFindingFeedback(id, findings)).map(formatFinding);
+      } catch (feedbackError) {
+        console.error('Error updating findings:', feedbackError);
+        return NextResponse.json(
+          { error: 'Failed to update findings' },
+          { status: 500 }
+        );
+      }
+    }
+
     return NextResponse.json({
       success: true,
       review: updatedReview,
+      ...(updatedFindings && { findings: updatedFindings }),
       message: 'Review updated successfully'
     });
 
@@ -253,3 +399,23 @@ export async function PATCH(request, { params }) {
     );
   }
 }
+
+// Format a finding row for API responses
+function formatFinding(finding) {
+  return {
+    id: finding.id,
+    source: finding.source,
+    type: finding.comment_type,
+    ruleId: finding.rule_id,
+    severity: finding.severity,
+    title: finding.title,
+    message: finding.message,
+    suggestion: finding.suggestion,
+    file: finding.file_path,
+    line: finding.line_number,
+    inline: finding.inline,
+    status: finding.status || 'open',
+    note: finding.feedback_note,
+    feedbackAt: finding.feedback_at
+  };
+}
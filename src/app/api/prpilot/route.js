@@ -1,10 +1,16 @@
 import { NextResponse } from 'next/server';
 import { supabase } from '@/lib/supabase';
+import { SEVERITIES } from '@/lib/devtools/prpilot/engine';
+import { SUPPORTED_PROVIDERS, getProvider } from '@/lib/devtools/prpilot/providers';
+import { encryptRepoToken, isTokenEncryptionConfigured, withoutRepoToken } from '@/lib/devtools/prpilot/tokens';
+import { BUDGET_ACTIONS } from '@/lib/devtools/prpilot/usage';
 
 /**
  * PRPilot API - Repository Management
  * GET: List all connected repositories
  * POST: Add a new repository for PR reviews
+ *
+ * Access tokens are encrypted before they are stored and never returned.
  */
 
 // GET /api/prpilot - List all repositories
@@ -36,7 +42,7 @@ export async function GET(request) {
 
     return NextResponse.json({
       success: true,
-      repos: repos || [],
+      repos: (repos || []).map(withoutRepoToken),
       count: repos?.length || 0
     });
 
@@ -57,10 +63,17 @@ export async function POST(request) {
       userId,
       repoOwner,
       repoName,
+      provider = 'github',
+      repoUrl,
       githubToken,
       autoReview = true,
       reviewOnPush = false,
-      defaultBranch = 'main'
+      defaultBranch = 'main',
+      checksEnabled = true,
+      checkMinScore = 70,
+      checkFailSeverity = 'critical',
+      monthlyBudgetUsd = null,
+      budgetAction = 'downgrade'
     } = body;
 
     // Validate required fields
@@ -71,11 +84,42 @@ export async function POST(request) {
       );
     }
 
+    if (!SUPPORTED_PROVIDERS.includes(provider)) {
+      return NextResponse.json(
+        { error: `provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const thresholdError = validateCheckThresholds(checkMinScore, checkFailSeverity);
+    if (thresholdError) {
+      return NextResponse.json(
+        { error: thresholdError },
+        { status: 400 }
+      );
+    }
+
+    const budgetError = validateBudget(monthlyBudgetUsd, budgetAction);
+    if (budgetError) {
+      return NextResponse.json(
+        { error: budgetError },
+        { status: 400 }
+      );
+    }
+
+    if (githubToken && !isTokenEncryptionConfigured()) {
+      return NextResponse.json(
+        { error: 'PRPILOT_ENCRYPTION_KEYS must be configured to store access tokens' },
+        { status: 503 }
+      );
+    }
+
     // Check if repo already exists
     const { data: existingRepo } = await supabase
       .from('prpilot_repos')
       .select('id')
       .eq('user_id', userId)
+      .eq('provider', provider)
       .eq('repo_owner', repoOwner)
       .eq('repo_name', repoName)
       .single();
@@ -87,25 +131,24 @@ export async function POST(request) {
       );
     }
 
-    // Validate GitHub access if token provided
+    const repoFields = {
+      provider,
+      repo_owner: repoOwner,
+      repo_name: repoName,
+      repo_full_name: `${repoOwner}/${repoName}`,
+      url: repoUrl || null,
+      github_token: githubToken || null
+    };
+
+    // Validate provider access if token provided
     if (githubToken) {
-      const repoCheckResponse = await fetch(
-        `https://api.github.com/repos/${repoOwner}/${repoName}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${githubToken}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'PRPilot-App'
-          }
-        }
-      );
+      const access = await getProvider(provider).checkAccess(repoFields);
 
-      if (!repoCheckResponse.ok) {
-        const errorData = await repoCheckResponse.json().catch(() => ({}));
+      if (!access.ok) {
         return NextResponse.json(
           {
             error: 'Unable to access repository',
-            details: errorData.message || 'Repository not found or access denied'
+            details: access.message
           },
           { status: 403 }
         );
@@ -120,14 +163,18 @@ export async function POST(request) {
       .from('prpilot_repos')
       .insert({
         user_id: userId,
-        repo_owner: repoOwner,
-        repo_name: repoName,
-        repo_full_name: `${repoOwner}/${repoName}`,
-        github_token: githubToken || null,
+        ...repoFields,
+        // Only the encrypted token is stored
+        ...encryptRepoToken(githubToken),
         webhook_secret: webhookSecret,
         auto_review: autoReview,
         review_on_push: reviewOnPush,
         default_branch: defaultBranch,
+        checks_enabled: checksEnabled,
+        check_min_score: checkMinScore,
+        check_fail_severity: checkFailSeverity,
+        monthly_budget_usd: monthlyBudgetUsd,
+        budget_action: budgetAction,
         status: 'active',
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -147,9 +194,15 @@ export async function POST(request) {
       success: true,
       repo: {
         id: newRepo.id,
+        provider: newRepo.provider,
         repoFullName: newRepo.repo_full_name,
         autoReview: newRepo.auto_review,
         reviewOnPush: newRepo.review_on_push,
+        checksEnabled: newRepo.checks_enabled,
+        checkMinScore: newRepo.check_min_score,
+        checkFailSeverity: newRepo.check_fail_severity,
+        monthlyBudgetUsd: newRepo.monthly_budget_usd,
+        budgetAction: newRepo.budget_action,
         webhookSecret: newRepo.webhook_secret,
         status: newRepo.status,
         createdAt: newRepo.created_at
@@ -265,7 +318,10 @@ export async function PATCH(request) {
     }
 
     // Allowed update fields
-    const allowedFields = ['auto_review', 'review_on_push', 'default_branch', 'github_token', 'status'];
+    const allowedFields = [
+      'auto_review', 'review_on_push', 'default_branch', 'github_token', 'status',
+      'checks_enabled', 'check_min_score', 'check_fail_severity', 'monthly_budget_usd', 'budget_action'
+    ];
     const sanitizedUpdates = {};
 
     for (const [key, value] of Object.entries(updates)) {
@@ -275,6 +331,36 @@ export async function PATCH(request) {
       }
     }
 
+    const thresholdError = validateCheckThresholds(
+      sanitizedUpdates.check_min_score,
+      sanitizedUpdates.check_fail_severity
+    );
+    if (thresholdError) {
+      return NextResponse.json(
+        { error: thresholdError },
+        { status: 400 }
+      );
+    }
+
+    const budgetError = validateBudget(sanitizedUpdates.monthly_budget_usd, sanitizedUpdates.budget_action);
+    if (budgetError) {
+      return NextResponse.json(
+        { error: budgetError },
+        { status: 400 }
+      );
+    }
+
+    // A new token replaces the stored one encrypted; null or empty removes it
+    if ('github_token' in sanitizedUpdates) {
+      if (sanitizedUpdates.github_token && !isTokenEncryptionConfigured()) {
+        return NextResponse.json(
+          { error: 'PRPILOT_ENCRYPTION_KEYS must be configured to store access tokens' },
+          { status: 503 }
+        );
+      }
+      Object.assign(sanitizedUpdates, encryptRepoToken(sanitizedUpdates.github_token));
+    }
+
     sanitizedUpdates.updated_at = new Date().toISOString();
 
     const { data: updatedRepo, error: updateError } = await supabase
@@ -294,7 +380,7 @@ export async function PATCH(request) {
 
     return NextResponse.json({
       success: true,
-      repo: updatedRepo,
+      repo: withoutRepoToken(updatedRepo),
       message: 'Repository updated successfully'
     });
 
@@ -316,3 +402,25 @@ function generateWebhookSecret() {
   }
   return result;
 }
+
+// Helper function to validate check run thresholds; undefined values are skipped
+function validateCheckThresholds(minScore, failSeverity) {
+  if (minScore !== undefined && !(Number.isInteger(minScore) && minScore >= 0 && minScore <= 100)) {
+    return 'checkMinScore must be an integer from 0 to 100';
+  }
+  if (failSeverity !== undefined && !SEVERITIES.includes(failSeverity)) {
+    return `checkFailSeverity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+  return null;
+}
+
+// Helper function to validate the monthly budget; null removes the budget, undefined values are skipped
+function validateBudget(budgetUsd, action) {
+  if (budgetUsd !== undefined && budgetUsd !== null && !(typeof budgetUsd === 'number' && budgetUsd >= 0)) {
+    return 'monthlyBudgetUsd must be a non-negative number of US dollars, or null for no budget';
+  }
+  if (action !== undefined && !BUDGET_ACTIONS.includes(action)) {
+    return `budgetAction must be one of: ${BUDGET_ACTIONS.join(', ')}`;
+  }
+  return null;
+}
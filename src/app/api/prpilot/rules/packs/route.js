@@ -0,0 +1,317 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import {
+  listRulePacks,
+  getRulePack,
+  saveRulePack,
+  updateRulePack,
+  setRulePackRepos,
+  serializeRulePack,
+  PACK_FORMATS
+} from '@/lib/devtools/prpilot/packs';
+
+/**
+ * PRPilot API - Rule Packs
+ * GET: List the user's and shared rule packs, or export one as JSON or YAML
+ * POST: Create or import a rule pack; a pack with the same name becomes a new version
+ * PUT: Update a rule pack
+ * DELETE: Delete a rule pack
+ * PATCH: Assign a rule pack to repositories or remove it from them
+ */
+
+// GET /api/prpilot/rules/packs - List rule packs, or export one with ?packId=&format=
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get('userId');
+    const packId = searchParams.get('packId');
+    const format = searchParams.get('format');
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: 'userId is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!packId) {
+      const packs = await listRulePacks(userId);
+      return NextResponse.json({
+        success: true,
+        packs: packs.map(pack => formatPack(pack, userId)),
+        count: packs.length
+      });
+    }
+
+    const pack = await getRulePack(packId, userId);
+    if (!pack) {
+      return NextResponse.json(
+        { error: 'Rule pack not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    if (!format) {
+      return NextResponse.json({
+        success: true,
+        pack: formatPack(pack, userId)
+      });
+    }
+
+    if (!PACK_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { error: `format must be one of: ${PACK_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const fileName = `${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.prpilot-pack.${format === 'yaml' ? 'yml' : 'json'}`;
+    return new NextResponse(serializeRulePack(pack, format), {
+      headers: {
+        'Content-Type': format === 'yaml' ? 'application/yaml' : 'application/json',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('GET /api/prpilot/rules/packs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/prpilot/rules/packs - Create or import a rule pack
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { userId, pack, content, visibility } = body;
+
+    if (!userId || (!pack && !content)) {
+      return NextResponse.json(
+        { error: 'userId and either pack (object) or content (JSON or YAML text) are required' },
+        { status: 400 }
+      );
+    }
+
+    let result;
+    try {
+      result = await saveRulePack(userId, pack || content, { visibility });
+    } catch (validationError) {
+      return NextResponse.json(
+        { error: validationError.message },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      pack: formatPack(result.pack, userId),
+      message: result.created
+        ? 'Rule pack created successfully'
+        : `Rule pack updated to version ${result.pack.version}`
+    }, { status: result.created ? 201 : 200 });
+
+  } catch (error) {
+    console.error('POST /api/prpilot/rules/packs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// PUT /api/prpilot/rules/packs - Update a rule pack
+export async function PUT(request) {
+  try {
+    const body = await request.json();
+    const { packId, userId, name, description, rules, visibility } = body;
+
+    if (!packId || !userId) {
+      return NextResponse.json(
+        { error: 'packId and userId are required' },
+        { status: 400 }
+      );
+    }
+
+    // Only the maintainer can change a pack
+    const { data: existing, error: fetchError } = await supabase
+      .from('prpilot_rule_packs')
+      .select('id')
+      .eq('id', packId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError || !existing) {
+      return NextResponse.json(
+        { error: 'Rule pack not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    let updatedPack;
+    try {
+      updatedPack = await updateRulePack(packId, userId, { name, description, rules, visibility });
+    } catch (validationError) {
+      return NextResponse.json(
+        { error: validationError.message },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      pack: formatPack(updatedPack, userId),
+      message: 'Rule pack updated successfully'
+    });
+
+  } catch (error) {
+    console.error('PUT /api/prpilot/rules/packs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// DELETE /api/prpilot/rules/packs - Delete a rule pack
+export async function DELETE(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const packId = searchParams.get('packId');
+    const userId = searchParams.get('userId');
+
+    if (!packId || !userId) {
+      return NextResponse.json(
+        { error: 'packId and userId are required' },
+        { status: 400 }
+      );
+    }
+
+    // Verify ownership
+    const { data: pack, error: fetchError } = await supabase
+      .from('prpilot_rule_packs')
+      .select('id')
+      .eq('id', packId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError || !pack) {
+      return NextResponse.json(
+        { error: 'Rule pack not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    // Assignments are removed with the pack
+    const { error: deleteError } = await supabase
+      .from('prpilot_rule_packs')
+      .delete()
+      .eq('id', packId);
+
+    if (deleteError) {
+      console.error('Error deleting rule pack:', deleteError);
+      return NextResponse.json(
+        { error: 'Failed to delete rule pack' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Rule pack deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('DELETE /api/prpilot/rules/packs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// PATCH /api/prpilot/rules/packs - Assign a rule pack to repositories or remove it
+export async function PATCH(request) {
+  try {
+    const body = await request.json();
+    const { userId, packId, repoIds, assigned } = body;
+
+    if (!userId || !packId || !Array.isArray(repoIds) || typeof assigned !== 'boolean') {
+      return NextResponse.json(
+        { error: 'userId, packId, repoIds array, and assigned boolean are required' },
+        { status: 400 }
+      );
+    }
+
+    if (repoIds.length === 0) {
+      return NextResponse.json(
+        { error: 'repoIds array cannot be empty' },
+        { status: 400 }
+      );
+    }
+
+    const pack = await getRulePack(packId, userId);
+    if (!pack) {
+      return NextResponse.json(
+        { error: 'Rule pack not found or access denied' },
+        { status: 404 }
+      );
+    }
+
+    // Verify ownership of all repositories
+    const { data: ownedRepos, error: fetchError } = await supabase
+      .from('prpilot_repos')
+      .select('id')
+      .eq('user_id', userId)
+      .in('id', repoIds);
+
+    if (fetchError) {
+      console.error('Error verifying repositories:', fetchError);
+      return NextResponse.json(
+        { error: 'Failed to verify repositories' },
+        { status: 500 }
+      );
+    }
+
+    if ((ownedRepos || []).length !== new Set(repoIds).size) {
+      return NextResponse.json(
+        { error: 'Some repositories not found or access denied' },
+        { status: 403 }
+      );
+    }
+
+    await setRulePackRepos(pack, [...new Set(repoIds)], assigned);
+
+    return NextResponse.json({
+      success: true,
+      message: assigned
+        ? `Rule pack assigned to ${repoIds.length} repositories`
+        : `Rule pack removed from ${repoIds.length} repositories`
+    });
+
+  } catch (error) {
+    console.error('PATCH /api/prpilot/rules/packs error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// Format a pack record for API responses
+function formatPack(pack, userId) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    description: pack.description,
+    version: pack.version,
+    visibility: pack.visibility,
+    owned: pack.user_id === userId,
+    rules: pack.rules || [],
+    ...(pack.repoIds && { repoIds: pack.repoIds }),
+    createdAt: pack.created_at,
+    updatedAt: pack.updated_at
+  };
+}
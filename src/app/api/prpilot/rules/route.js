@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { supabase } from '@/lib/supabase';
+import { RULE_TEMPLATES, validateRule } from '@/lib/devtools/prpilot/rules';
 
 /**
  * PRPilot API - Custom Review Rules
@@ -9,58 +10,6 @@ import { supabase } from '@/lib/supabase';
  * DELETE: Delete a rule
  */
 
-// Predefined rule templates
-const RULE_TEMPLATES = {
-  'no-console': {
-    name: 'No Console Logs',
-    description: 'Flag console.log, console.warn, console.error statements that should be removed before production',
-    category: 'code-quality',
-    severity: 'medium'
-  },
-  'require-error-handling': {
-    name: 'Require Error Handling',
-    description: 'Ensure async functions have try-catch blocks or proper error handling',
-    category: 'reliability',
-    severity: 'high'
-  },
-  'no-hardcoded-secrets': {
-    name: 'No Hardcoded Secrets',
-    description: 'Flag any hardcoded API keys, passwords, tokens, or secrets',
-    category: 'security',
-    severity: 'critical'
-  },
-  'require-input-validation': {
-    name: 'Require Input Validation',
-    description: 'Ensure all user inputs are validated and sanitized',
-    category: 'security',
-    severity: 'high'
-  },
-  'max-function-length': {
-    name: 'Maximum Function Length',
-    description: 'Flag functions that exceed 50 lines - should be broken down',
-    category: 'maintainability',
-    severity: 'medium'
-  },
-  'require-tests': {
-    name: 'Require Test Coverage',
-    description: 'New functions and significant changes should include tests',
-    category: 'testing',
-    severity: 'medium'
-  },
-  'no-deprecated-apis': {
-    name: 'No Deprecated APIs',
-    description: 'Flag usage of deprecated APIs or methods',
-    category: 'maintenance',
-    severity: 'medium'
-  },
-  'accessibility-check': {
-    name: 'Accessibility Requirements',
-    description: 'Ensure UI components have proper ARIA labels and accessibility attributes',
-    category: 'accessibility',
-    severity: 'medium'
-  }
-};
-
 // GET /api/prpilot/rules - List all rules
 export async function GET(request) {
   try {
@@ -135,6 +84,8 @@ export async function POST(request) {
       category,
       severity = 'medium',
       pattern,
+      kind,
+      options,
       templateId,
       enabled = true
     } = body;
@@ -152,6 +103,9 @@ export async function POST(request) {
     let ruleDescription = description;
     let ruleCategory = category;
     let ruleSeverity = severity;
+    let ruleKind = kind || 'llm';
+    let rulePattern = pattern;
+    let ruleOptions = options;
 
     if (templateId && RULE_TEMPLATES[templateId]) {
       const template = RULE_TEMPLATES[templateId];
@@ -159,6 +113,9 @@ export async function POST(request) {
       ruleDescription = description || template.description;
       ruleCategory = category || template.category;
       ruleSeverity = severity || template.severity;
+      ruleKind = kind || template.kind;
+      rulePattern = pattern || template.pattern;
+      ruleOptions = options || template.options;
     }
 
     if (!ruleName || !ruleDescription) {
@@ -177,6 +134,16 @@ export async function POST(request) {
       );
     }
 
+    // Regex and AST rules must compile before they are stored
+    try {
+      validateRule({ kind: ruleKind, pattern: rulePattern, options: ruleOptions });
+    } catch (validationError) {
+      return NextResponse.json(
+        { error: validationError.message },
+        { status: 400 }
+      );
+    }
+
     // Check for duplicate rule name for this user/repo
     const { data: existingRule } = await supabase
       .from('prpilot_rules')
@@ -203,7 +170,9 @@ export async function POST(request) {
         description: ruleDescription,
         category: ruleCategory || 'general',
         severity: ruleSeverity,
-        pattern: pattern || null,
+        pattern: rulePattern || null,
+        kind: ruleKind,
+        options: ruleOptions || {},
         template_id: templateId || null,
         enabled: enabled,
         created_at: new Date().toISOString(),
@@ -247,6 +216,8 @@ export async function PUT(request) {
       category,
       severity,
       pattern,
+      kind,
+      options,
       enabled
     } = body;
 
@@ -291,8 +262,21 @@ export async function PUT(request) {
       updates.severity = severity;
     }
     if (pattern !== undefined) updates.pattern = pattern;
+    if (kind !== undefined) updates.kind = kind;
+    if (options !== undefined) updates.options = options;
     if (enabled !== undefined) updates.enabled = enabled;
 
+    if (pattern !== undefined || kind !== undefined || options !== undefined) {
+      try {
+        validateRule({ ...existingRule, ...updates });
+      } catch (validationError) {
+        return NextResponse.json(
+          { error: validationError.message },
+          { status: 400 }
+        );
+      }
+    }
+
     const { data: updatedRule, error: updateError } = await supabase
       .from('prpilot_rules')
       .update(updates)
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { rotateRepoTokens, isTokenEncryptionConfigured } from '@/lib/devtools/prpilot/tokens';
+
+/**
+ * PRPilot API - Access Token Encryption
+ * POST: Encrypt plaintext repository tokens and re-encrypt tokens that use an
+ * older key with the first key in PRPILOT_ENCRYPTION_KEYS. Call it with
+ * "Authorization: Bearer <CRON_SECRET>" until "remaining" is false, passing
+ * the returned cursor as ?after= to continue after the rows already processed.
+ */
+
+export const maxDuration = 300;
+
+// POST /api/prpilot/tokens - Rotate stored tokens to the current key
+export async function POST(request) {
+  try {
+    const secret = process.env.CRON_SECRET;
+
+    if (!secret) {
+      return NextResponse.json(
+        { error: 'CRON_SECRET is not configured' },
+        { status: 503 }
+      );
+    }
+
+    if (request.headers.get('authorization') !== `Bearer ${secret}`) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (!isTokenEncryptionConfigured()) {
+      return NextResponse.json(
+        { error: 'PRPILOT_ENCRYPTION_KEYS is not configured' },
+        { status: 503 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const result = await rotateRepoTokens({ after: searchParams.get('after') });
+
+    return NextResponse.json({
+      success: result.failed.length === 0,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('POST /api/prpilot/tokens error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,63 +1,39 @@
-import { NextResponse } from 'next/server';
+import { NextResponse, after } from 'next/server';
 import { supabase } from '@/lib/supabase';
-import Groq from 'groq-sdk';
-import crypto from 'crypto';
+import { isGroqConfigured } from '@/lib/devtools/prpilot/engine';
+import { detectWebhookProvider } from '@/lib/devtools/prpilot/providers';
+import { enqueueJob, processJobs } from '@/lib/devtools/prpilot/jobs';
+import { parseCommand, COMMANDS } from '@/lib/devtools/prpilot/commands';
+import { hasRepoToken } from '@/lib/devtools/prpilot/tokens';
+import {
+  INSTALLATION_EVENTS,
+  isGitHubAppConfigured,
+  getAppWebhookSecret,
+  verifyAppWebhook,
+  syncInstallation
+} from '@/lib/devtools/prpilot/providers/github-app';
 
 /**
- * PRPilot API - GitHub Webhook Handler
- * POST: Handle incoming GitHub webhook events for automatic PR reviews
+ * PRPilot API - Webhook Handler
+ * POST: Handle incoming GitHub, GitLab and Bitbucket webhook events for automatic PR reviews
+ *
+ * Reviews are queued and run after the response is sent, so deliveries are
+ * acknowledged well within the providers' timeouts.
  */
 
-const groq = process.env.GROQ_API_KEY
-  ? new Groq({ apiKey: process.env.GROQ_API_KEY })
-  : null;
-
-const CODE_REVIEW_SYSTEM_PROMPT = `You are an expert code reviewer with deep knowledge of software engineering best practices, security, performance optimization, and clean code principles.
-
-Your role is to analyze pull request diffs and provide comprehensive, actionable feedback.
-
-When reviewing code, you must:
-1. Identify potential bugs and logical errors
-2. Flag security vulnerabilities (SQL injection, XSS, authentication issues, etc.)
-3. Highlight performance issues and optimization opportunities
-4. Check for code style and maintainability concerns
-5. Suggest improvements for readability and documentation
-6. Identify potential edge cases and error handling gaps
-
-Respond ONLY with valid JSON in the following format:
-{
-  "summary": "Brief overview of the changes and overall assessment",
-  "quality_score": <number 1-100>,
-  "issues": [
-    {
-      "type": "bug|security|performance|style|maintainability",
-      "severity": "critical|high|medium|low",
-      "file": "filename",
-      "line": <line number or null>,
-      "title": "Short issue title",
-      "description": "Detailed explanation of the issue",
-      "suggestion": "How to fix it"
-    }
-  ],
-  "suggestions": [
-    {
-      "type": "improvement|refactor|documentation|testing",
-      "file": "filename",
-      "title": "Suggestion title",
-      "description": "What could be improved and why"
-    }
-  ],
-  "highlights": [
-    "List of positive aspects of the code"
-  ]
-}`;
+export const maxDuration = 300;
 
-// POST /api/prpilot/webhook - Handle GitHub webhook
+// POST /api/prpilot/webhook - Handle provider webhook
 export async function POST(request) {
   try {
-    const signature = request.headers.get('x-hub-signature-256');
-    const event = request.headers.get('x-github-event');
-    const deliveryId = request.headers.get('x-github-delivery');
+    const provider = detectWebhookProvider(request.headers);
+
+    if (!provider) {
+      return NextResponse.json(
+        { error: 'Unrecognized webhook provider' },
+        { status: 400 }
+      );
+    }
 
     // Get raw body for signature verification
     const rawBody = await request.text();
@@ -73,13 +49,16 @@ export async function POST(request) {
       );
     }
 
+    const webhook = provider.describeWebhook(request.headers, payload);
+    const { event, deliveryId, repoFullName } = webhook;
+
     // Log webhook receipt
-    console.log(`Received GitHub webhook: event=${event}, delivery=${deliveryId}`);
+    console.log(`Received ${provider.name} webhook: event=${event}, delivery=${deliveryId}`);
 
-    // Get repository info from payload
-    const repoFullName = payload.repository?.full_name;
-    const repoOwner = payload.repository?.owner?.login;
-    const repoName = payload.repository?.name;
+    // GitHub App installation events cover several repositories at once
+    if (provider.name === 'github' && INSTALLATION_EVENTS.includes(event)) {
+      return await handleInstallationEvent(request.headers, rawBody, payload, event);
+    }
 
     if (!repoFullName) {
       return NextResponse.json(
@@ -92,22 +71,27 @@ export async function POST(request) {
     const { data: repo, error: repoError } = await supabase
       .from('prpilot_repos')
       .select('*')
+      .eq('provider', provider.name)
       .eq('repo_full_name', repoFullName)
       .eq('status', 'active')
       .single();
 
     if (repoError || !repo) {
-      console.log(`Repository not registered: ${repoFullName}`);
+      console.log(`Repository not registered: ${provider.name}/${repoFullName}`);
       return NextResponse.json({
         success: false,
         message: 'Repository not registered for PR reviews'
       }, { status: 200 }); // Return 200 to acknowledge receipt
     }
 
-    // Verify webhook signature if secret is configured
-    if (repo.webhook_secret && signature) {
-      const isValid = verifyWebhookSignature(rawBody, signature, repo.webhook_secret);
-      if (!isValid) {
+    // Verify webhook signature if secret is configured; repositories installed
+    // through the GitHub App are signed with the app's webhook secret. A missing
+    // signature (null) fails like a wrong one.
+    const secrets = [repo.webhook_secret, repo.installation_id ? getAppWebhookSecret() : null].filter(Boolean);
+    const signed = secrets.length > 0;
+    if (signed) {
+      const results = secrets.map(secret => provider.verifyWebhook(request.headers, rawBody, secret));
+      if (!results.includes(true)) {
         console.error('Invalid webhook signature');
         return NextResponse.json(
           { error: 'Invalid webhook signature' },
@@ -119,14 +103,17 @@ export async function POST(request) {
     // Handle different event types
     switch (event) {
       case 'pull_request':
-        return await handlePullRequestEvent(payload, repo);
+        return await handlePullRequestEvent(provider, payload, webhook, repo);
 
       case 'pull_request_review':
-        return await handlePullRequestReviewEvent(payload, repo);
+        return await handlePullRequestReviewEvent(provider, payload, webhook);
+
+      case 'comment':
+        return await handleCommentEvent(provider, payload, webhook, repo, signed);
 
       case 'push':
         if (repo.review_on_push) {
-          return await handlePushEvent(payload, repo);
+          return await handlePushEvent(provider, payload, webhook, repo);
         }
         return NextResponse.json({
           success: true,
@@ -156,10 +143,18 @@ export async function POST(request) {
   }
 }
 
-// Handle pull_request events
-async function handlePullRequestEvent(payload, repo) {
-  const action = payload.action;
-  const pr = payload.pull_request;
+// Handle pull request (merge request) events
+async function handlePullRequestEvent(provider, payload, webhook, repo) {
+  const pullRequestEvent = provider.parsePullRequestEvent(payload, webhook);
+
+  if (!pullRequestEvent) {
+    return NextResponse.json({
+      success: true,
+      message: 'Event does not describe a pull request'
+    });
+  }
+
+  const { action, pr } = pullRequestEvent;
 
   // Only review on opened, synchronize (new commits), or reopened
   const reviewableActions = ['opened', 'synchronize', 'reopened'];
@@ -179,7 +174,7 @@ async function handlePullRequestEvent(payload, repo) {
   }
 
   // Check if AI is configured
-  if (!groq) {
+  if (!isGroqConfigured()) {
     console.error('Groq API not configured');
     return NextResponse.json({
       success: false,
@@ -187,147 +182,88 @@ async function handlePullRequestEvent(payload, repo) {
     }, { status: 503 });
   }
 
-  // Fetch PR diff from GitHub
-  const diffUrl = pr.diff_url;
-  let diff;
-
-  try {
-    const headers = {
-      'Accept': 'application/vnd.github.v3.diff',
-      'User-Agent': 'PRPilot-App'
-    };
+  // Redelivered webhooks and repeated events for the same commit reuse the queued job
+  const { job, duplicate } = await enqueueJob({
+    type: 'pull_request_review',
+    repo,
+    payload: { pr, action },
+    deliveryId: webhook.deliveryId,
+    dedupeKey: pr.headSha ? `${repo.id}:${pr.number}:${pr.headSha}` : null
+  });
 
-    if (repo.github_token) {
-      headers['Authorization'] = `Bearer ${repo.github_token}`;
-    }
+  if (!duplicate) {
+    processJobsAfterResponse();
+  }
 
-    const diffResponse = await fetch(diffUrl, { headers });
+  return NextResponse.json({
+    success: true,
+    message: duplicate ? 'Review already queued' : 'PR review queued',
+    jobId: job.id,
+    jobStatus: job.status
+  }, { status: 202 });
+}
 
-    if (!diffResponse.ok) {
-      throw new Error(`Failed to fetch diff: ${diffResponse.status}`);
-    }
+// Handle "/prpilot ..." commands in pull request comments; they change repository
+// state and start model runs, so only signed deliveries are accepted
+async function handleCommentEvent(provider, payload, webhook, repo, signed) {
+  const comment = provider.parseCommentEvent(payload, webhook);
+  const command = comment && !comment.isBot ? parseCommand(comment.body) : null;
 
-    diff = await diffResponse.text();
-  } catch (fetchError) {
-    console.error('Error fetching PR diff:', fetchError);
+  if (!command) {
     return NextResponse.json({
-      success: false,
-      message: 'Failed to fetch PR diff'
-    }, { status: 500 });
+      success: true,
+      message: 'Comment does not contain a PRPilot command'
+    });
   }
 
-  // Check for existing pending review
-  const { data: existingReview } = await supabase
-    .from('prpilot_reviews')
-    .select('id, status')
-    .eq('repo_id', repo.id)
-    .eq('pr_number', pr.number)
-    .eq('status', 'analyzing')
-    .single();
-
-  if (existingReview) {
+  if (!signed) {
     return NextResponse.json({
-      success: true,
-      message: 'Review already in progress',
-      reviewId: existingReview.id
+      success: false,
+      message: 'Commands need a webhook secret to verify the delivery'
     });
   }
 
-  // Create review record
-  const { data: review, error: insertError } = await supabase
-    .from('prpilot_reviews')
-    .insert({
-      user_id: repo.user_id,
-      repo_id: repo.id,
-      pr_number: pr.number,
-      pr_title: pr.title,
-      pr_url: pr.html_url,
-      base_branch: pr.base?.ref,
-      head_branch: pr.head?.ref,
-      pr_author: pr.user?.login,
-      status: 'analyzing',
-      triggered_by: 'webhook',
-      webhook_delivery_id: payload.delivery,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .select()
-    .single();
-
-  if (insertError) {
-    console.error('Error creating review record:', insertError);
+  if (!hasRepoToken(repo)) {
+    return NextResponse.json({
+      success: false,
+      message: 'Commands need an access token to reply'
+    });
   }
 
-  // Fetch custom rules for this repo
-  const { data: rules } = await supabase
-    .from('prpilot_rules')
-    .select('*')
-    .eq('repo_id', repo.id)
-    .eq('enabled', true);
-
-  // Perform AI analysis
-  try {
-    const analysisResult = await performAnalysis(diff, pr, rules || []);
-
-    // Update review record
-    if (review?.id) {
-      await supabase
-        .from('prpilot_reviews')
-        .update({
-          status: 'completed',
-          quality_score: analysisResult.quality_score,
-          summary: analysisResult.summary,
-          issues: analysisResult.issues,
-          suggestions: analysisResult.suggestions,
-          highlights: analysisResult.highlights,
-          metrics: calculateMetrics(analysisResult),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', review.id);
-    }
-
-    // Post review comment to GitHub if token is available
-    if (repo.github_token && analysisResult) {
-      await postReviewToGitHub(repo, pr.number, analysisResult);
-    }
-
+  // Only collaborators may run commands
+  if (!(await provider.canRunCommands(repo, comment))) {
+    console.log(`Ignoring /prpilot ${command.name} from ${comment.author}: not a collaborator`);
     return NextResponse.json({
-      success: true,
-      message: 'PR review completed',
-      reviewId: review?.id,
-      qualityScore: analysisResult.quality_score,
-      issueCount: analysisResult.issues?.length || 0
+      success: false,
+      message: 'Only repository collaborators can run PRPilot commands'
     });
+  }
 
-  } catch (analysisError) {
-    console.error('Analysis error:', analysisError);
-
-    if (review?.id) {
-      await supabase
-        .from('prpilot_reviews')
-        .update({
-          status: 'failed',
-          error_message: analysisError.message,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', review.id);
-    }
+  const { job, duplicate } = await enqueueJob({
+    type: 'pull_request_command',
+    repo,
+    payload: { comment, command },
+    deliveryId: webhook.deliveryId
+  });
 
-    return NextResponse.json({
-      success: false,
-      message: 'Review analysis failed',
-      error: analysisError.message
-    }, { status: 500 });
+  if (!duplicate) {
+    processJobsAfterResponse();
   }
+
+  return NextResponse.json({
+    success: true,
+    message: duplicate ? 'Command already queued' : `Command '${command.name}' queued`,
+    jobId: job.id,
+    jobStatus: job.status
+  }, { status: 202 });
 }
 
-// Handle pull_request_review events
-async function handlePullRequestReviewEvent(payload, repo) {
+// Handle pull request review events
+async function handlePullRequestReviewEvent(provider, payload, webhook) {
   // Log review events for tracking
-  const review = payload.review;
-  const pr = payload.pull_request;
+  const review = provider.parseReviewEvent(payload, webhook);
 
-  console.log(`PR #${pr.number} received review: ${review.state} from ${review.user.login}`);
+  console.log(`PR #${review.prNumber} received review: ${review.state} from ${review.reviewer}`);
 
   return NextResponse.json({
     success: true,
@@ -335,263 +271,132 @@ async function handlePullRequestReviewEvent(payload, repo) {
   });
 }
 
-// Handle push events for review_on_push feature
-async function handlePushEvent(payload, repo) {
-  const ref = payload.ref;
-  const commits = payload.commits || [];
+// Handle push events for review_on_push feature: review the pushed commits as one compare diff
+async function handlePushEvent(provider, payload, webhook, repo) {
+  const push = provider.parsePushEvent(payload);
 
   // Only process pushes to the default branch
-  if (ref !== `refs/heads/${repo.default_branch}`) {
+  if (push.ref !== `refs/heads/${repo.default_branch}`) {
     return NextResponse.json({
       success: true,
       message: 'Push to non-default branch, skipping review'
     });
   }
 
-  // Log the push event
-  console.log(`Push to ${repo.repo_full_name}:${repo.default_branch} with ${commits.length} commits`);
-
-  return NextResponse.json({
-    success: true,
-    message: 'Push event received',
-    commitCount: commits.length
-  });
-}
-
-// Perform AI analysis on the diff
-async function performAnalysis(diff, pr, rules) {
-  const rulesContext = rules.length > 0
-    ? `\n\nCustom Review Rules to Apply:\n${rules.map(r => `- ${r.name}: ${r.description}`).join('\n')}`
-    : '';
-
-  const prContext = `
-PR Title: ${pr.title}
-PR Description: ${pr.body || 'No description provided'}
-Base Branch: ${pr.base?.ref || 'unknown'} <- Head Branch: ${pr.head?.ref || 'unknown'}
-Author: ${pr.user?.login || 'unknown'}`;
-
-  const reviewPrompt = `Please review the following pull request diff and provide a comprehensive code review.
-${prContext}
-${rulesContext}
-
-Diff to review:
-\`\`\`diff
-${truncateDiff(diff, 15000)}
-\`\`\`
-
-Provide your review in the specified JSON format.`;
-
-  const completion = await groq.chat.completions.create({
-    messages: [
-      { role: 'system', content: CODE_REVIEW_SYSTEM_PROMPT },
-      { role: 'user', content: reviewPrompt }
-    ],
-    model: 'llama-3.3-70b-versatile',
-    temperature: 0.3,
-    max_tokens: 4000
-  });
-
-  const responseContent = completion.choices[0]?.message?.content || '';
-  return parseReviewResponse(responseContent);
-}
-
-// Post review comment to GitHub
-async function postReviewToGitHub(repo, prNumber, analysisResult) {
-  try {
-    const reviewBody = formatReviewComment(analysisResult);
-
-    const response = await fetch(
-      `https://api.github.com/repos/${repo.repo_full_name}/pulls/${prNumber}/reviews`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${repo.github_token}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'PRPilot-App',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          body: reviewBody,
-          event: determineReviewAction(analysisResult)
-        })
-      }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Failed to post GitHub review:', errorData);
-    } else {
-      console.log(`Posted review to PR #${prNumber}`);
-    }
-  } catch (postError) {
-    console.error('Error posting to GitHub:', postError);
-  }
-}
-
-// Format the review comment for GitHub
-function formatReviewComment(analysisResult) {
-  let comment = `## PRPilot AI Code Review\n\n`;
-  comment += `**Quality Score:** ${analysisResult.quality_score}/100\n\n`;
-  comment += `### Summary\n${analysisResult.summary}\n\n`;
-
-  if (analysisResult.issues && analysisResult.issues.length > 0) {
-    comment += `### Issues Found (${analysisResult.issues.length})\n\n`;
-
-    const issuesBySeverity = {
-      critical: analysisResult.issues.filter(i => i.severity === 'critical'),
-      high: analysisResult.issues.filter(i => i.severity === 'high'),
-      medium: analysisResult.issues.filter(i => i.severity === 'medium'),
-      low: analysisResult.issues.filter(i => i.severity === 'low')
-    };
-
-    for (const [severity, issues] of Object.entries(issuesBySeverity)) {
-      if (issues.length > 0) {
-        const emoji = { critical: '🔴', high: '🟠', medium: '🟡', low: '🟢' }[severity];
-        comment += `#### ${emoji} ${severity.charAt(0).toUpperCase() + severity.slice(1)} (${issues.length})\n\n`;
-
-        for (const issue of issues) {
-          comment += `- **${issue.title}** (${issue.type})`;
-          if (issue.file) comment += ` in \`${issue.file}\``;
-          if (issue.line) comment += ` at line ${issue.line}`;
-          comment += `\n  ${issue.description}`;
-          if (issue.suggestion) comment += `\n  > Suggestion: ${issue.suggestion}`;
-          comment += '\n\n';
-        }
-      }
-    }
-  }
-
-  if (analysisResult.suggestions && analysisResult.suggestions.length > 0) {
-    comment += `### Suggestions for Improvement\n\n`;
-    for (const suggestion of analysisResult.suggestions) {
-      comment += `- **${suggestion.title}** (${suggestion.type})`;
-      if (suggestion.file) comment += ` in \`${suggestion.file}\``;
-      comment += `\n  ${suggestion.description}\n\n`;
-    }
+  // Created and deleted branches have nothing to compare
+  if (isEmptySha(push.before) || isEmptySha(push.after)) {
+    return NextResponse.json({
+      success: true,
+      message: 'Branch created or deleted, skipping review'
+    });
   }
 
-  if (analysisResult.highlights && analysisResult.highlights.length > 0) {
-    comment += `### Highlights\n\n`;
-    for (const highlight of analysisResult.highlights) {
-      comment += `- ${highlight}\n`;
-    }
+  if (!isGroqConfigured()) {
+    console.error('Groq API not configured');
+    return NextResponse.json({
+      success: false,
+      message: 'AI service not configured'
+    }, { status: 503 });
   }
 
-  comment += `\n---\n*Automated review by PRPilot AI*`;
-
-  return comment;
-}
+  console.log(`Push to ${repo.repo_full_name}:${repo.default_branch} with ${push.commits.length} commits`);
+
+  const { job, duplicate } = await enqueueJob({
+    type: 'push_review',
+    repo,
+    payload: {
+      push: {
+        branch: repo.default_branch,
+        before: push.before,
+        after: push.after,
+        pusher: push.pusher,
+        commitCount: push.commits.length
+      }
+    },
+    deliveryId: webhook.deliveryId,
+    dedupeKey: `${repo.id}:push:${push.after}`
+  });
 
-// Determine the review action based on issues
-function determineReviewAction(analysisResult) {
-  const criticalCount = (analysisResult.issues || []).filter(i => i.severity === 'critical').length;
-  const highCount = (analysisResult.issues || []).filter(i => i.severity === 'high').length;
-
-  if (criticalCount > 0) {
-    return 'REQUEST_CHANGES';
-  } else if (highCount > 0) {
-    return 'COMMENT';
-  } else if (analysisResult.quality_score >= 80) {
-    return 'APPROVE';
+  if (!duplicate) {
+    processJobsAfterResponse();
   }
 
-  return 'COMMENT';
+  return NextResponse.json({
+    success: true,
+    message: duplicate ? 'Push review already queued' : 'Push review queued',
+    commitCount: push.commits.length,
+    jobId: job.id,
+    jobStatus: job.status
+  }, { status: 202 });
 }
 
-// Verify GitHub webhook signature
-function verifyWebhookSignature(payload, signature, secret) {
-  try {
-    const hmac = crypto.createHmac('sha256', secret);
-    const digest = 'sha256=' + hmac.update(payload).digest('hex');
-    return crypto.timingSafeEqual(Buffer.from(digest), Buffer.from(signature));
-  } catch (error) {
-    console.error('Signature verification error:', error);
-    return false;
-  }
+function isEmptySha(sha) {
+  return !sha || /^0+$/.test(sha);
 }
 
-// Helper function to truncate diff
-function truncateDiff(diff, maxLength) {
-  if (!diff || diff.length <= maxLength) {
-    return diff;
+// Register or detach the repositories of a GitHub App installation
+async function handleInstallationEvent(headers, rawBody, payload, event) {
+  if (!isGitHubAppConfigured()) {
+    return NextResponse.json({
+      success: false,
+      message: 'GitHub App is not configured'
+    });
   }
 
-  const truncated = diff.substring(0, maxLength);
-  const lastNewline = truncated.lastIndexOf('\n');
-
-  return truncated.substring(0, lastNewline) + '\n\n... [diff truncated due to size] ...';
-}
-
-// Helper function to parse AI response
-function parseReviewResponse(content) {
-  let jsonContent = content;
-
-  const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (jsonMatch) {
-    jsonContent = jsonMatch[1];
+  if (!verifyAppWebhook(headers, rawBody)) {
+    return NextResponse.json(
+      { error: 'Invalid webhook signature' },
+      { status: 401 }
+    );
   }
 
-  const objectMatch = jsonContent.match(/\{[\s\S]*\}/);
-  if (objectMatch) {
-    jsonContent = objectMatch[0];
-  }
+  const result = await syncInstallation(event, payload);
+  console.log(`Installation ${result.installationId} ${event}.${result.action}: ${result.registered.length} registered, ${result.removed.length} removed`);
 
-  try {
-    const parsed = JSON.parse(jsonContent);
-    return {
-      summary: parsed.summary || 'No summary provided',
-      quality_score: Math.min(100, Math.max(0, parseInt(parsed.quality_score) || 70)),
-      issues: Array.isArray(parsed.issues) ? parsed.issues : [],
-      suggestions: Array.isArray(parsed.suggestions) ? parsed.suggestions : [],
-      highlights: Array.isArray(parsed.highlights) ? parsed.highlights : []
-    };
-  } catch (parseError) {
-    console.error('Failed to parse AI response:', parseError);
-    return {
-      summary: content.substring(0, 500),
-      quality_score: 70,
-      issues: [],
-      suggestions: [],
-      highlights: []
-    };
-  }
+  return NextResponse.json({ success: true, ...result });
 }
 
-// Helper function to calculate metrics
-function calculateMetrics(analysisResult) {
-  const issues = analysisResult.issues || [];
-
-  return {
-    totalIssues: issues.length,
-    bySeverity: {
-      critical: issues.filter(i => i.severity === 'critical').length,
-      high: issues.filter(i => i.severity === 'high').length,
-      medium: issues.filter(i => i.severity === 'medium').length,
-      low: issues.filter(i => i.severity === 'low').length
-    },
-    byType: {
-      bug: issues.filter(i => i.type === 'bug').length,
-      security: issues.filter(i => i.type === 'security').length,
-      performance: issues.filter(i => i.type === 'performance').length,
-      style: issues.filter(i => i.type === 'style').length,
-      maintainability: issues.filter(i => i.type === 'maintainability').length
-    },
-    suggestionsCount: (analysisResult.suggestions || []).length,
-    highlightsCount: (analysisResult.highlights || []).length,
-    needsAttention: issues.some(i => i.severity === 'critical' || i.severity === 'high')
-  };
+// Run queued jobs once the webhook has been acknowledged
+function processJobsAfterResponse() {
+  after(() => processJobs({ limit: 1 }).catch(error => {
+    console.error('Error processing review jobs:', error);
+  }));
 }
 
 // GET endpoint for webhook status/configuration info
 export async function GET(request) {
   return NextResponse.json({
     status: 'active',
-    supportedEvents: ['pull_request', 'pull_request_review', 'push', 'ping'],
-    documentation: 'Configure this URL as your GitHub webhook endpoint with Content-Type: application/json',
-    requiredHeaders: {
-      'x-github-event': 'The GitHub event type',
-      'x-hub-signature-256': 'HMAC signature for verification (optional but recommended)',
-      'x-github-delivery': 'Unique delivery ID'
+    commands: Object.keys(COMMANDS).map(name => `/prpilot ${name}`),
+    commandsRequire: 'A webhook secret, so deliveries are signed, and write access for the comment author',
+    supportedProviders: {
+      github: {
+        events: ['pull_request', 'pull_request_review', 'issue_comment', 'pull_request_review_comment', 'push', 'ping', ...INSTALLATION_EVENTS],
+        documentation: 'Configure this URL as your GitHub webhook endpoint with Content-Type: application/json',
+        headers: {
+          'x-github-event': 'The GitHub event type',
+          'x-hub-signature-256': 'HMAC signature for verification (optional but recommended)',
+          'x-github-delivery': 'Unique delivery ID'
+        }
+      },
+      gitlab: {
+        events: ['Merge Request Hook', 'Note Hook', 'Push Hook'],
+        documentation: 'Add this URL as a project webhook with merge request, comment and push events; use the webhook secret as the secret token',
+        headers: {
+          'x-gitlab-event': 'The GitLab event type',
+          'x-gitlab-token': 'Secret token for verification (optional but recommended)',
+          'x-gitlab-event-uuid': 'Unique delivery ID'
+        }
+      },
+      bitbucket: {
+        events: ['pullrequest:created', 'pullrequest:updated', 'pullrequest:approved', 'pullrequest:comment_created', 'repo:push'],
+        documentation: 'Add this URL as a Bitbucket Cloud repository webhook; set the webhook secret to enable signatures',
+        headers: {
+          'x-event-key': 'The Bitbucket event type',
+          'x-hub-signature': 'HMAC signature for verification (optional but recommended)',
+          'x-request-uuid': 'Unique delivery ID'
+        }
+      }
     }
   });
 }
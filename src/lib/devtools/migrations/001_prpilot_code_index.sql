@@ -0,0 +1,23 @@
+-- PRPilot: repository code index
+-- Brings existing databases in line with schema.sql for incremental indexing.
+-- Run in Supabase SQL Editor after schema.sql
+
+-- Indexing progress lives beside the repo's review status
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS index_status TEXT DEFAULT 'pending';
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS index_stats JSONB;
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMPTZ;
+
+-- Chunks belong to PRPilot repositories, not the shared devtools_repos table
+ALTER TABLE prpilot_code_chunks DROP CONSTRAINT IF EXISTS prpilot_code_chunks_repo_id_fkey;
+DELETE FROM prpilot_code_chunks WHERE repo_id NOT IN (SELECT id FROM prpilot_repos);
+ALTER TABLE prpilot_code_chunks
+  ADD CONSTRAINT prpilot_code_chunks_repo_id_fkey
+  FOREIGN KEY (repo_id) REFERENCES prpilot_repos(id) ON DELETE CASCADE;
+
+ALTER TABLE prpilot_code_chunks ADD COLUMN IF NOT EXISTS file_hash TEXT NOT NULL DEFAULT '';
+ALTER TABLE prpilot_code_chunks ADD COLUMN IF NOT EXISTS symbol_names TEXT[] DEFAULT '{}';
+ALTER TABLE prpilot_code_chunks ADD COLUMN IF NOT EXISTS referenced_names TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_file ON prpilot_code_chunks(repo_id, file_path);
+CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_symbols ON prpilot_code_chunks USING GIN(symbol_names);
+CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_references ON prpilot_code_chunks USING GIN(referenced_names);
@@ -0,0 +1,5 @@
+-- PRPilot: retrieval-augmented reviews
+-- Records which indexed code chunks were sent to the model with each review.
+-- Run in Supabase SQL Editor after 001_prpilot_code_index.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS context_chunks JSONB DEFAULT '[]';
@@ -0,0 +1,12 @@
+-- PRPilot: inline review comments
+-- Records where each finding was posted on GitHub.
+-- Run in Supabase SQL Editor after 002_prpilot_review_context.sql
+
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS position INTEGER;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS inline BOOLEAN DEFAULT FALSE;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS github_review_id BIGINT;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS github_comment_id BIGINT;
+ALTER TABLE prpilot_comments ALTER COLUMN severity SET DEFAULT 'medium';
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_comments_review ON prpilot_comments(review_id);
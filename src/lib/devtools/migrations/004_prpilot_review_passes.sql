@@ -0,0 +1,6 @@
+-- PRPilot: multi-pass reviews
+-- Large diffs are reviewed in several passes instead of being truncated.
+-- Run in Supabase SQL Editor after 003_prpilot_inline_comments.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS review_passes INTEGER DEFAULT 1;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS skipped_files JSONB DEFAULT '[]';
@@ -0,0 +1,103 @@
+-- PRPilot: canonical review and rule schema
+-- The API, webhook and library now share one review pipeline and one row shape.
+-- Run in Supabase SQL Editor after 004_prpilot_review_passes.sql
+
+-- Rename columns written by the old library pipeline
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_reviews' AND column_name = 'review_summary')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_reviews' AND column_name = 'summary') THEN
+    ALTER TABLE prpilot_reviews RENAME COLUMN review_summary TO summary;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_reviews' AND column_name = 'issues_found')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_reviews' AND column_name = 'issues') THEN
+    ALTER TABLE prpilot_reviews RENAME COLUMN issues_found TO issues;
+  END IF;
+
+  -- The old 1-10 score becomes a 0-100 quality score
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_reviews' AND column_name = 'score')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_reviews' AND column_name = 'quality_score') THEN
+    ALTER TABLE prpilot_reviews RENAME COLUMN score TO quality_score;
+    UPDATE prpilot_reviews SET quality_score = quality_score * 10 WHERE quality_score <= 10;
+  END IF;
+END $$;
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS issues JSONB DEFAULT '[]';
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS quality_score INTEGER;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS pr_author TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS base_branch TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS head_branch TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS triggered_by TEXT DEFAULT 'api';
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS webhook_delivery_id TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS highlights JSONB DEFAULT '[]';
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS rule_violations JSONB DEFAULT '[]';
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS metrics JSONB DEFAULT '{}';
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS files_reviewed JSONB DEFAULT '[]';
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS diff_size INTEGER;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS user_notes TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS resolved BOOLEAN DEFAULT FALSE;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Ad-hoc diff reviews have no pull request
+ALTER TABLE prpilot_reviews ALTER COLUMN pr_number DROP NOT NULL;
+
+ALTER TABLE prpilot_reviews DROP CONSTRAINT IF EXISTS prpilot_reviews_quality_score_check;
+ALTER TABLE prpilot_reviews
+  ADD CONSTRAINT prpilot_reviews_quality_score_check CHECK (quality_score BETWEEN 0 AND 100);
+
+-- Reviews belong to PRPilot repositories, not the shared devtools_repos table
+ALTER TABLE prpilot_reviews DROP CONSTRAINT IF EXISTS prpilot_reviews_repo_id_fkey;
+UPDATE prpilot_reviews SET repo_id = NULL WHERE repo_id NOT IN (SELECT id FROM prpilot_repos);
+ALTER TABLE prpilot_reviews
+  ADD CONSTRAINT prpilot_reviews_repo_id_fkey
+  FOREIGN KEY (repo_id) REFERENCES prpilot_repos(id) ON DELETE CASCADE;
+
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS url TEXT;
+
+-- Rules use the column names of the rules API
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_rules' AND column_name = 'rule_name') THEN
+    ALTER TABLE prpilot_rules RENAME COLUMN rule_name TO name;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_rules' AND column_name = 'rule_description') THEN
+    ALTER TABLE prpilot_rules RENAME COLUMN rule_description TO description;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_rules' AND column_name = 'rule_pattern') THEN
+    ALTER TABLE prpilot_rules RENAME COLUMN rule_pattern TO pattern;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'prpilot_rules' AND column_name = 'is_active') THEN
+    ALTER TABLE prpilot_rules RENAME COLUMN is_active TO enabled;
+  END IF;
+END $$;
+
+ALTER TABLE prpilot_rules ADD COLUMN IF NOT EXISTS category TEXT DEFAULT 'custom';
+ALTER TABLE prpilot_rules ADD COLUMN IF NOT EXISTS template_id TEXT;
+ALTER TABLE prpilot_rules ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE prpilot_rules ALTER COLUMN severity SET DEFAULT 'medium';
+UPDATE prpilot_rules SET severity = 'medium' WHERE severity = 'warning';
+UPDATE prpilot_rules SET severity = 'high' WHERE severity = 'error';
+UPDATE prpilot_rules SET severity = 'low' WHERE severity = 'info';
+
+ALTER TABLE prpilot_rules DROP CONSTRAINT IF EXISTS prpilot_rules_repo_id_fkey;
+UPDATE prpilot_rules SET repo_id = NULL WHERE repo_id NOT IN (SELECT id FROM prpilot_repos);
+ALTER TABLE prpilot_rules
+  ADD CONSTRAINT prpilot_rules_repo_id_fkey
+  FOREIGN KEY (repo_id) REFERENCES prpilot_repos(id) ON DELETE SET NULL;
@@ -0,0 +1,29 @@
+-- PRPilot: deterministic rules
+-- Rules declare a kind; regex and ast-selector rules run locally instead of on the model.
+-- Run in Supabase SQL Editor after 005_prpilot_unify_reviews.sql
+
+ALTER TABLE prpilot_rules ADD COLUMN IF NOT EXISTS kind TEXT DEFAULT 'llm';
+ALTER TABLE prpilot_rules ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}';
+
+ALTER TABLE prpilot_rules DROP CONSTRAINT IF EXISTS prpilot_rules_kind_check;
+ALTER TABLE prpilot_rules
+  ADD CONSTRAINT prpilot_rules_kind_check CHECK (kind IN ('regex', 'ast-selector', 'llm'));
+
+-- Rules created from templates pick up the deterministic implementations
+UPDATE prpilot_rules SET
+  kind = 'ast-selector',
+  pattern = 'CallExpression[callee.object.name="console"][callee.property.name=/^(log|warn|error|info|debug|trace)$/]',
+  options = '{"suggestion": "Remove the console statement or use the project logger"}'
+WHERE template_id = 'no-console';
+
+UPDATE prpilot_rules SET
+  kind = 'regex',
+  pattern = '(api[_-]?key|secret|passw(or)?d|token|access[_-]?key|private[_-]?key)["'']?\s*[:=]\s*["''][^"''\s]{8,}["'']|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36}|sk-[A-Za-z0-9_-]{20,}|xox[abpr]-[A-Za-z0-9-]{10,}|-----BEGIN ([A-Z]+ )?PRIVATE KEY-----',
+  options = '{"flags": "i", "suggestion": "Load the value from an environment variable or secret manager"}'
+WHERE template_id = 'no-hardcoded-secrets';
+
+UPDATE prpilot_rules SET
+  kind = 'ast-selector',
+  pattern = ':function',
+  options = '{"maxLines": 50, "suggestion": "Split the function into smaller functions"}'
+WHERE template_id = 'max-function-length';
@@ -0,0 +1,27 @@
+-- PRPilot: feedback on findings
+-- Every finding of a review is stored so users can accept, reject or mark it fixed.
+-- Run in Supabase SQL Editor after 006_prpilot_rule_kinds.sql
+
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS finding_key TEXT;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'model';
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS rule_id TEXT;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open';
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS feedback_note TEXT;
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMPTZ;
+
+ALTER TABLE prpilot_comments DROP CONSTRAINT IF EXISTS prpilot_comments_status_check;
+ALTER TABLE prpilot_comments
+  ADD CONSTRAINT prpilot_comments_status_check CHECK (status IN ('open', 'accepted', 'rejected', 'fixed'));
+
+-- Backfill the repository of existing comments
+UPDATE prpilot_comments c
+SET repo_id = r.repo_id
+FROM prpilot_reviews r
+WHERE c.review_id = r.id AND c.repo_id IS NULL;
+
+ALTER TABLE prpilot_comments DROP CONSTRAINT IF EXISTS prpilot_comments_review_id_finding_key_key;
+ALTER TABLE prpilot_comments
+  ADD CONSTRAINT prpilot_comments_review_id_finding_key_key UNIQUE (review_id, finding_key);
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_comments_feedback ON prpilot_comments(repo_id, status);
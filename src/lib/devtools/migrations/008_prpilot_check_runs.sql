@@ -0,0 +1,7 @@
+-- PRPilot: check runs
+-- Reviews are reported as a "PRPilot" check with configurable pass/fail thresholds.
+-- Run in Supabase SQL Editor after 007_prpilot_finding_feedback.sql
+
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS checks_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS check_min_score INTEGER DEFAULT 70;
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS check_fail_severity TEXT DEFAULT 'critical';
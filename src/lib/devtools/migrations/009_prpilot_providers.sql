@@ -0,0 +1,11 @@
+-- PRPilot: GitLab and Bitbucket providers
+-- The same repository path can be connected on several providers.
+-- Run in Supabase SQL Editor after 008_prpilot_check_runs.sql
+
+UPDATE prpilot_repos SET provider = 'github' WHERE provider IS NULL;
+ALTER TABLE prpilot_repos ALTER COLUMN provider SET NOT NULL;
+ALTER TABLE prpilot_repos DROP CONSTRAINT IF EXISTS prpilot_repos_user_id_repo_full_name_key;
+ALTER TABLE prpilot_repos ADD CONSTRAINT prpilot_repos_user_id_provider_repo_full_name_key
+  UNIQUE (user_id, provider, repo_full_name);
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_repos_webhook ON prpilot_repos(provider, repo_full_name);
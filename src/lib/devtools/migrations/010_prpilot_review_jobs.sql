@@ -0,0 +1,29 @@
+-- PRPilot: review job queue
+-- Webhooks enqueue jobs that a worker runs with retries; jobs are idempotent on the delivery ID.
+-- Run in Supabase SQL Editor after 009_prpilot_providers.sql
+
+CREATE TABLE IF NOT EXISTS prpilot_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  type TEXT NOT NULL, -- pull_request_review
+  delivery_id TEXT UNIQUE, -- webhook delivery that created the job
+  dedupe_key TEXT, -- one queued or running job per key
+  payload JSONB DEFAULT '{}',
+  status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  run_at TIMESTAMPTZ DEFAULT NOW(), -- not picked up before this time
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  review_id UUID REFERENCES prpilot_reviews(id) ON DELETE SET NULL,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_jobs_due ON prpilot_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_prpilot_jobs_repo ON prpilot_jobs(repo_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prpilot_jobs_dedupe ON prpilot_jobs(dedupe_key)
+  WHERE status IN ('queued', 'running');
+
+ALTER TABLE prpilot_jobs ENABLE ROW LEVEL SECURITY;
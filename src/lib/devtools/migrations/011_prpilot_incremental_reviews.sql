@@ -0,0 +1,14 @@
+-- PRPilot: incremental re-reviews
+-- Reviews remember the head commit they covered; re-reviews only look at newer commits,
+-- carry forward unresolved findings and mark findings on changed lines outdated.
+-- Run in Supabase SQL Editor after 010_prpilot_review_jobs.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS head_sha TEXT;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS previous_review_id UUID REFERENCES prpilot_reviews(id) ON DELETE SET NULL;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS incremental JSONB;
+
+ALTER TABLE prpilot_comments DROP CONSTRAINT IF EXISTS prpilot_comments_status_check;
+ALTER TABLE prpilot_comments
+  ADD CONSTRAINT prpilot_comments_status_check CHECK (status IN ('open', 'accepted', 'rejected', 'fixed', 'outdated'));
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_reviews_pr ON prpilot_reviews(repo_id, pr_number, created_at DESC);
@@ -0,0 +1,15 @@
+-- PRPilot: slash commands
+-- Rules suppressed for a single pull request with "/prpilot ignore <rule>".
+-- Run in Supabase SQL Editor after 011_prpilot_incremental_reviews.sql
+
+CREATE TABLE IF NOT EXISTS prpilot_suppressions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  pr_number INTEGER NOT NULL,
+  rule TEXT NOT NULL, -- prpilot_rules.id, template ID or name, lowercased
+  created_by TEXT, -- provider username that ran the command
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(repo_id, pr_number, rule)
+);
+
+ALTER TABLE prpilot_suppressions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,6 @@
+-- PRPilot: repository configuration file
+-- Reviews store the .prpilot.yml settings they ran with and the problems found in the file.
+-- Run in Supabase SQL Editor after 012_prpilot_slash_commands.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS config JSONB;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS config_errors JSONB DEFAULT '[]';
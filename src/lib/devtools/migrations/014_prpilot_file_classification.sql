@@ -0,0 +1,9 @@
+-- PRPilot: generated-file detection
+-- Classified files are skipped by the model review and listed in skipped_files.
+-- No schema change: files_reviewed has been JSONB DEFAULT '[]' since 005. An earlier
+-- version of this migration re-typed it with USING '[]', which cleared the stored paths
+-- (they cannot be restored) but left the same type and default, so databases that ran
+-- it need nothing undone. Safe to run whether or not that version was applied.
+-- Run in Supabase SQL Editor after 013_prpilot_repo_config.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS files_reviewed JSONB DEFAULT '[]';
@@ -0,0 +1,12 @@
+-- PRPilot: quality analytics
+-- Findings record when they were resolved, for the mean time to resolution,
+-- and reviews are indexed by repository and date for trend queries.
+-- Run in Supabase SQL Editor after 014_prpilot_file_classification.sql
+
+ALTER TABLE prpilot_comments ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+
+-- Findings resolved before this migration count from their last feedback
+UPDATE prpilot_comments SET resolved_at = feedback_at WHERE status = 'fixed' AND resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_reviews_trend ON prpilot_reviews(repo_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prpilot_comments_resolved ON prpilot_comments(repo_id, resolved_at);
@@ -0,0 +1,34 @@
+-- PRPilot: rule packs
+-- Named, versioned sets of rules that can be shared with other users and
+-- assigned to several repositories. Reviews read a pack's current rules, so
+-- updating a pack applies to every repository it is assigned to.
+-- Run in Supabase SQL Editor after 015_prpilot_analytics.sql
+
+CREATE TABLE IF NOT EXISTS prpilot_rule_packs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL, -- maintainer; only they can change the pack
+  name TEXT NOT NULL,
+  description TEXT,
+  version INTEGER DEFAULT 1, -- incremented on every change to the rules
+  visibility TEXT DEFAULT 'private' CHECK (visibility IN ('private', 'shared')), -- shared packs can be assigned by any user
+  rules JSONB DEFAULT '[]', -- [{ key, name, description, kind, pattern, options, category, severity, enabled }]
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS prpilot_repo_rule_packs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  pack_id UUID REFERENCES prpilot_rule_packs(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(repo_id, pack_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_rule_packs_shared ON prpilot_rule_packs(visibility);
+CREATE INDEX IF NOT EXISTS idx_prpilot_repo_rule_packs_pack ON prpilot_repo_rule_packs(pack_id);
+
+ALTER TABLE prpilot_rule_packs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_repo_rule_packs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users own their rule packs" ON prpilot_rule_packs FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Shared rule packs are readable" ON prpilot_rule_packs FOR SELECT USING (visibility = 'shared');
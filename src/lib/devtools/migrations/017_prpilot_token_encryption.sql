@@ -0,0 +1,12 @@
+-- PRPilot: encrypted access tokens
+-- Provider tokens are stored envelope-encrypted with an application key from
+-- PRPILOT_ENCRYPTION_KEYS instead of in plaintext. Existing plaintext tokens keep
+-- working until they are encrypted: after deploying with the key configured, call
+-- POST /api/prpilot/tokens (Authorization: Bearer <CRON_SECRET>) until "remaining"
+-- is false. The same call re-encrypts tokens after a new key is put first in the list.
+-- Run in Supabase SQL Editor after 016_prpilot_rule_packs.sql
+
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS github_token_encrypted TEXT;
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS token_key_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_repos_token_key ON prpilot_repos(token_key_id);
@@ -0,0 +1,9 @@
+-- PRPilot: GitHub App installations
+-- Repositories installed through the PRPilot GitHub App authenticate with
+-- short-lived installation tokens instead of a personal access token. The
+-- installation and installation_repositories webhooks fill in installation_id.
+-- Run in Supabase SQL Editor after 017_prpilot_token_encryption.sql
+
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS installation_id BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_repos_installation ON prpilot_repos(installation_id);
@@ -0,0 +1,15 @@
+-- PRPilot: review cost accounting and monthly budgets
+-- Reviews store the tokens, cost and latency of their model calls. Repositories
+-- can set a monthly budget; once spent, reviews are downgraded or skipped.
+-- Reviews from before this migration have no usage and count as free.
+-- Run in Supabase SQL Editor after 018_prpilot_github_app.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER DEFAULT 0;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS completion_tokens INTEGER DEFAULT 0;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6);
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS model_latency_ms INTEGER;
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS usage JSONB;
+
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS monthly_budget_usd NUMERIC(10, 2);
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS budget_action TEXT DEFAULT 'downgrade'
+  CHECK (budget_action IN ('downgrade', 'skip'));
@@ -0,0 +1,7 @@
+-- PRPilot: structured-output validation
+-- Model responses are validated against JSON schemas and repaired once. Output
+-- that stays invalid is recorded here and the review gets the status 'degraded'
+-- with no quality score.
+-- Run in Supabase SQL Editor after 019_prpilot_review_usage.sql
+
+ALTER TABLE prpilot_reviews ADD COLUMN IF NOT EXISTS output_errors JSONB DEFAULT '[]';
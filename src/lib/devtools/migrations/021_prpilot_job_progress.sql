@@ -0,0 +1,6 @@
+-- PRPilot: job progress across retries
+-- A retried review job reports to the check its first attempt started and reuses
+-- the review record in review_id, instead of adding a check and a review per attempt.
+-- Run in Supabase SQL Editor after 020_prpilot_output_validation.sql
+
+ALTER TABLE prpilot_jobs ADD COLUMN IF NOT EXISTS check_handle JSONB;
@@ -0,0 +1,23 @@
+-- PRPilot: model usage outside reviews
+-- Slash commands (explain, fix, describe) and drafted descriptions record their model
+-- calls here, so they count against the monthly budget and appear in cost analytics.
+-- Run in Supabase SQL Editor after 021_prpilot_job_progress.sql
+
+CREATE TABLE IF NOT EXISTS prpilot_model_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('describe', 'explain', 'fix')),
+  pr_number INTEGER,
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  cost_usd NUMERIC(12, 6),
+  model_latency_ms INTEGER,
+  usage JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prpilot_model_usage_repo ON prpilot_model_usage(repo_id, created_at DESC);
+
+ALTER TABLE prpilot_model_usage ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users own their model usage" ON prpilot_model_usage FOR ALL USING (auth.uid() = user_id);
@@ -0,0 +1,15 @@
+-- PRPilot: indexing recovery
+-- Indexing records when it started, so a run that crashed no longer blocks new ones,
+-- and files without code to chunk keep their hash, so unchanged ones are skipped.
+-- Run in Supabase SQL Editor after 022_prpilot_model_usage.sql
+
+ALTER TABLE prpilot_repos ADD COLUMN IF NOT EXISTS index_started_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS prpilot_empty_files (
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  file_path TEXT NOT NULL,
+  file_hash TEXT NOT NULL,
+  PRIMARY KEY (repo_id, file_path)
+);
+
+ALTER TABLE prpilot_empty_files ENABLE ROW LEVEL SECURITY;
@@ -1,132 +1,29 @@
 import { supabase } from '../supabase';
-import Groq from 'groq-sdk';
-
-// Initialize Groq client
-const groq = process.env.GROQ_API_KEY
-  ? new Groq({ apiKey: process.env.GROQ_API_KEY })
-  : null;
+import { indexSource } from './prpilot/indexer';
+import { validateRule } from './prpilot/rules';
+import { setFindingFeedback, getPrecisionStats } from './prpilot/feedback';
+import { getRepoAnalytics } from './prpilot/analytics';
+import { reviewToSarif, importSarif } from './prpilot/sarif';
+import { listRulePacks, saveRulePack, serializeRulePack } from './prpilot/packs';
+import { withoutRepoToken } from './prpilot/tokens';
+import { checkRepoBudget } from './prpilot/usage';
+import {
+  runReview,
+  analyzeDiff,
+  generateSuggestions,
+  calculateScore,
+  checkCustomRules
+} from './prpilot/engine';
 
-// Constants
-const CODE_REVIEW_MODEL = 'llama-3.3-70b-versatile';
-const MAX_DIFF_LENGTH = 50000; // Limit diff size for API
+// Review analysis lives in the shared engine used by the API routes and webhook
+export { analyzeDiff, generateSuggestions, calculateScore, checkCustomRules };
+export { setFindingFeedback, getPrecisionStats };
+export { getRepoAnalytics, checkRepoBudget };
+export { reviewToSarif, importSarif };
+export { listRulePacks, saveRulePack, serializeRulePack };
 
-// ============================================================================
-// SYSTEM PROMPTS
-// ============================================================================
-
-const CODE_REVIEW_SYSTEM_PROMPT = `You are an expert code reviewer with deep knowledge of software engineering best practices. Your role is to analyze code diffs and identify:
-
-1. **Bugs and Logic Errors**: Null pointer exceptions, off-by-one errors, race conditions, incorrect logic flow
-2. **Security Vulnerabilities**: SQL injection, XSS, insecure authentication, exposed secrets, CSRF
-3. **Performance Issues**: N+1 queries, memory leaks, inefficient algorithms, unnecessary re-renders
-4. **Style Violations**: Inconsistent naming, poor code organization, missing documentation
-5. **Missing Error Handling**: Uncaught exceptions, missing validation, no fallback handling
-
-Respond ONLY with valid JSON in this exact format:
-{
-  "issues": [
-    {
-      "type": "bug|security|performance|style|error_handling",
-      "severity": "critical|high|medium|low",
-      "line": <number or null>,
-      "file": "<filename or null>",
-      "title": "<brief title>",
-      "description": "<detailed explanation>",
-      "suggestion": "<how to fix>"
-    }
-  ],
-  "summary": "<2-3 sentence overall assessment>"
-}`;
-
-const SUGGESTION_SYSTEM_PROMPT = `You are an expert software engineer. Given a list of code issues, generate specific, actionable fix suggestions with code examples when appropriate.
-
-Respond ONLY with valid JSON in this exact format:
-{
-  "suggestions": [
-    {
-      "issueIndex": <number>,
-      "priority": "immediate|soon|later",
-      "fix": "<detailed fix description>",
-      "codeExample": "<optional code snippet showing the fix>"
-    }
-  ]
-}`;
-
-const CUSTOM_RULES_SYSTEM_PROMPT = `You are a code review assistant. Check the provided code diff against custom team rules and report any violations.
-
-Respond ONLY with valid JSON in this exact format:
-{
-  "violations": [
-    {
-      "ruleId": "<id of violated rule>",
-      "ruleName": "<name of the rule>",
-      "line": <number or null>,
-      "file": "<filename or null>",
-      "description": "<how the code violates the rule>",
-      "suggestion": "<how to fix>"
-    }
-  ]
-}`;
-
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
-
-/**
- * Validate that Groq client is available
- */
-function ensureGroqClient() {
-  if (!groq) {
-    throw new Error('Groq API key not configured. Set GROQ_API_KEY environment variable.');
-  }
-  return groq;
-}
-
-/**
- * Parse JSON response from AI, with fallback handling
- */
-function parseAIResponse(content, defaultValue = {}) {
-  try {
-    // Try to extract JSON from the response
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    return defaultValue;
-  } catch (error) {
-    console.error('Failed to parse AI response:', error.message);
-    return defaultValue;
-  }
-}
-
-/**
- * Truncate diff if too long
- */
-function truncateDiff(diff, maxLength = MAX_DIFF_LENGTH) {
-  if (diff.length <= maxLength) {
-    return diff;
-  }
-  const truncated = diff.substring(0, maxLength);
-  return truncated + '\n\n... [DIFF TRUNCATED - Too large for analysis]';
-}
-
-/**
- * Extract file names from diff
- */
-function extractFilesFromDiff(diff) {
-  const files = [];
-  const filePattern = /^(?:diff --git a\/(.+?) b\/|(?:\+\+\+|---) [ab]\/(.+?)$)/gm;
-  let match;
-
-  while ((match = filePattern.exec(diff)) !== null) {
-    const file = match[1] || match[2];
-    if (file && !files.includes(file)) {
-      files.push(file);
-    }
-  }
-
-  return files;
-}
+// Indexing runs older than this are presumed crashed, e.g. killed at the function timeout
+export const INDEX_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
 
 // ============================================================================
 // REPO MANAGEMENT
@@ -161,10 +58,12 @@ export async function addRepo(userId, repoUrl) {
     .insert({
       user_id: userId,
       url: repoUrl,
-      owner,
-      name,
+      repo_owner: owner,
+      repo_name: name,
+      repo_full_name: `${owner}/${name}`,
       provider,
-      status: 'pending',
+      status: 'active',
+      index_status: 'pending',
       indexed_at: null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -213,7 +112,7 @@ export async function removeRepo(repoId) {
 /**
  * Get all repositories for a user
  * @param {string} userId - The user's ID
- * @returns {Promise<Array>} List of repositories
+ * @returns {Promise<Array>} List of repositories, without their access tokens
  */
 export async function getRepos(userId) {
   if (!userId) {
@@ -230,58 +129,93 @@ export async function getRepos(userId) {
     throw new Error(`Failed to fetch repositories: ${error.message}`);
   }
 
-  return data || [];
+  return (data || []).map(withoutRepoToken);
 }
 
 /**
- * Start indexing a repository (placeholder for future implementation)
+ * Mark a repository as indexing, unless another run holds the lock.
+ * One conditional update claims it, so concurrent requests cannot both pass;
+ * runs older than INDEX_LOCK_TIMEOUT_MS no longer hold it.
  * @param {string} repoId - The repository ID
- * @returns {Promise<Object>} Indexing job status
+ * @returns {Promise<boolean>} Whether the lock was claimed
  */
-export async function indexRepo(repoId) {
-  if (!repoId) {
-    throw new Error('repoId is required');
-  }
+export async function claimIndexLock(repoId) {
+  const now = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - INDEX_LOCK_TIMEOUT_MS).toISOString();
 
-  // Update status to indexing
+  // Only the index columns change, not the repo's review status
   const { data, error } = await supabase
+    .from('prpilot_repos')
+    .update({ index_status: 'indexing', index_started_at: now, updated_at: now })
+    .eq('id', repoId)
+    .or(`index_status.is.null,index_status.neq.indexing,index_started_at.is.null,index_started_at.lt."${staleBefore}"`)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to start indexing: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Mark an indexing run that could not finish as failed, releasing its lock
+ * @param {string} repoId - The repository ID
+ */
+export async function failIndexing(repoId) {
+  const { error } = await supabase
     .from('prpilot_repos')
     .update({
-      status: 'indexing',
+      index_status: 'failed',
       updated_at: new Date().toISOString()
     })
-    .eq('id', repoId)
-    .select()
-    .single();
+    .eq('id', repoId);
 
   if (error) {
-    throw new Error(`Failed to start indexing: ${error.message}`);
+    console.error('Failed to mark indexing as failed:', error);
   }
+}
 
-  // TODO: Implement actual indexing logic
-  // This would typically:
-  // 1. Clone or fetch the repository
-  // 2. Parse and analyze code structure
-  // 3. Build embeddings for semantic search
-  // 4. Store metadata for context
+/**
+ * Index a repository's code into prpilot_code_chunks for review context
+ * @param {string} repoId - The repository ID
+ * @param {Object} source - Either { path } for a local checkout or { tarball } for a .tar.gz archive
+ * @param {Object} [options] - Indexing options
+ * @param {boolean} [options.claimed] - Whether the caller already holds the lock from claimIndexLock
+ * @returns {Promise<Object>} Indexing result with file and chunk statistics
+ * @throws {Error} When another run is indexing the repository
+ */
+export async function indexRepo(repoId, source, { claimed = false } = {}) {
+  if (!repoId) {
+    throw new Error('repoId is required');
+  }
+
+  if (!claimed && !await claimIndexLock(repoId)) {
+    throw new Error('Repository is already being indexed');
+  }
+
+  try {
+    const stats = await indexSource(repoId, source);
 
-  // For now, simulate completion after a delay
-  setTimeout(async () => {
     await supabase
       .from('prpilot_repos')
       .update({
-        status: 'indexed',
+        index_status: 'indexed',
+        index_stats: stats,
         indexed_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       })
       .eq('id', repoId);
-  }, 5000);
 
-  return {
-    repoId,
-    status: 'indexing',
-    message: 'Repository indexing started. This may take a few minutes.'
-  };
+    return {
+      repoId,
+      status: 'indexed',
+      stats
+    };
+  } catch (indexError) {
+    await failIndexing(repoId);
+    throw new Error(`Failed to index repository: ${indexError.message}`);
+  }
 }
 
 // ============================================================================
@@ -300,8 +234,6 @@ export async function reviewPR(repoId, prNumber, diff) {
     throw new Error('repoId, prNumber, and diff are required');
   }
 
-  const client = ensureGroqClient();
-
   // Get repo info for context
   const { data: repo, error: repoError } = await supabase
     .from('prpilot_repos')
@@ -313,60 +245,15 @@ export async function reviewPR(repoId, prNumber, diff) {
     throw new Error('Repository not found');
   }
 
-  // Get user's custom rules
-  const { data: rules } = await supabase
-    .from('prpilot_rules')
-    .select('*')
-    .eq('user_id', repo.user_id)
-    .eq('enabled', true);
-
-  const repoContext = {
-    name: repo.name,
-    owner: repo.owner,
-    provider: repo.provider
-  };
-
-  // Analyze the diff
-  const truncatedDiff = truncateDiff(diff);
-  const issues = await analyzeDiff(truncatedDiff, repoContext);
-
-  // Check custom rules if any exist
-  let ruleViolations = [];
-  if (rules && rules.length > 0) {
-    ruleViolations = await checkCustomRules(truncatedDiff, rules);
-  }
-
-  // Generate suggestions
-  const suggestions = await generateSuggestions(issues);
-
-  // Calculate score
-  const score = calculateScore(issues);
-
-  // Extract affected files
-  const files = extractFilesFromDiff(diff);
-
-  // Create review record
-  const { data: review, error: reviewError } = await supabase
-    .from('prpilot_reviews')
-    .insert({
-      repo_id: repoId,
-      user_id: repo.user_id,
-      pr_number: prNumber,
-      status: 'completed',
-      score,
-      issues,
-      suggestions,
-      rule_violations: ruleViolations,
-      files_reviewed: files,
-      diff_size: diff.length,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .select()
-    .single();
+  const review = await runReview({
+    repo,
+    diff,
+    pr: { number: prNumber },
+    triggeredBy: 'library'
+  });
 
-  if (reviewError) {
-    throw new Error(`Failed to save review: ${reviewError.message}`);
+  if (!review.id) {
+    throw new Error('Failed to save review');
   }
 
   return review;
@@ -388,8 +275,9 @@ export async function getReview(reviewId) {
       *,
       prpilot_repos (
         id,
-        name,
-        owner,
+        repo_name,
+        repo_owner,
+        repo_full_name,
         provider,
         url
       )
@@ -421,8 +309,9 @@ export async function getReviews(userId, limit = 20) {
       *,
       prpilot_repos (
         id,
-        name,
-        owner,
+        repo_name,
+        repo_owner,
+        repo_full_name,
         provider
       )
     `)
@@ -437,181 +326,6 @@ export async function getReviews(userId, limit = 20) {
   return data || [];
 }
 
-// ============================================================================
-// AI ANALYSIS
-// ============================================================================
-
-/**
- * Analyze a diff to find issues
- * @param {string} diff - The code diff
- * @param {Object} repoContext - Repository context information
- * @returns {Promise<Array>} List of issues found
- */
-export async function analyzeDiff(diff, repoContext = {}) {
-  if (!diff) {
-    throw new Error('diff is required');
-  }
-
-  const client = ensureGroqClient();
-
-  const contextInfo = repoContext.name
-    ? `Repository: ${repoContext.owner}/${repoContext.name} (${repoContext.provider})\n\n`
-    : '';
-
-  try {
-    const completion = await client.chat.completions.create({
-      messages: [
-        { role: 'system', content: CODE_REVIEW_SYSTEM_PROMPT },
-        {
-          role: 'user',
-          content: `${contextInfo}Please review this code diff and identify any issues:\n\n\`\`\`diff\n${diff}\n\`\`\``
-        }
-      ],
-      model: CODE_REVIEW_MODEL,
-      temperature: 0.3, // Lower temperature for more consistent analysis
-      max_tokens: 4096
-    });
-
-    const content = completion.choices[0]?.message?.content || '';
-    const result = parseAIResponse(content, { issues: [], summary: '' });
-
-    return result.issues || [];
-  } catch (error) {
-    console.error('AI analysis failed:', error.message);
-    throw new Error(`Failed to analyze diff: ${error.message}`);
-  }
-}
-
-/**
- * Generate fix suggestions for issues
- * @param {Array} issues - List of issues to generate suggestions for
- * @returns {Promise<Array>} List of suggestions
- */
-export async function generateSuggestions(issues) {
-  if (!issues || issues.length === 0) {
-    return [];
-  }
-
-  const client = ensureGroqClient();
-
-  try {
-    const completion = await client.chat.completions.create({
-      messages: [
-        { role: 'system', content: SUGGESTION_SYSTEM_PROMPT },
-        {
-          role: 'user',
-          content: `Generate fix suggestions for these issues:\n\n${JSON.stringify(issues, null, 2)}`
-        }
-      ],
-      model: CODE_REVIEW_MODEL,
-      temperature: 0.4,
-      max_tokens: 3000
-    });
-
-    const content = completion.choices[0]?.message?.content || '';
-    const result = parseAIResponse(content, { suggestions: [] });
-
-    return result.suggestions || [];
-  } catch (error) {
-    console.error('Failed to generate suggestions:', error.message);
-    // Return basic suggestions derived from issues
-    return issues.map((issue, index) => ({
-      issueIndex: index,
-      priority: issue.severity === 'critical' ? 'immediate' :
-                issue.severity === 'high' ? 'soon' : 'later',
-      fix: issue.suggestion || 'Review and address this issue.',
-      codeExample: null
-    }));
-  }
-}
-
-/**
- * Calculate a quality score based on issues found
- * @param {Array} issues - List of issues
- * @returns {number} Score from 1-10
- */
-export function calculateScore(issues) {
-  if (!issues || issues.length === 0) {
-    return 10; // Perfect score if no issues
-  }
-
-  // Deduction weights by severity
-  const weights = {
-    critical: 3.0,
-    high: 2.0,
-    medium: 1.0,
-    low: 0.5
-  };
-
-  // Type multipliers (security and bugs are more severe)
-  const typeMultipliers = {
-    security: 1.5,
-    bug: 1.3,
-    performance: 1.0,
-    error_handling: 0.9,
-    style: 0.6
-  };
-
-  let totalDeduction = 0;
-
-  for (const issue of issues) {
-    const severityWeight = weights[issue.severity] || 1;
-    const typeMultiplier = typeMultipliers[issue.type] || 1;
-    totalDeduction += severityWeight * typeMultiplier;
-  }
-
-  // Calculate score (start at 10, deduct based on issues)
-  // Cap deduction to avoid negative scores
-  const maxDeduction = 9; // Minimum score of 1
-  const normalizedDeduction = Math.min(totalDeduction, maxDeduction);
-  const score = 10 - normalizedDeduction;
-
-  // Round to one decimal place
-  return Math.round(score * 10) / 10;
-}
-
-/**
- * Check diff against custom rules
- * @param {string} diff - The code diff
- * @param {Array} rules - List of custom rules to check
- * @returns {Promise<Array>} List of rule violations
- */
-export async function checkCustomRules(diff, rules) {
-  if (!diff || !rules || rules.length === 0) {
-    return [];
-  }
-
-  const client = ensureGroqClient();
-
-  // Format rules for the prompt
-  const rulesDescription = rules.map(rule =>
-    `- ID: ${rule.id}, Name: "${rule.name}", Rule: "${rule.pattern}", Description: "${rule.description || 'No description'}"`
-  ).join('\n');
-
-  try {
-    const completion = await client.chat.completions.create({
-      messages: [
-        { role: 'system', content: CUSTOM_RULES_SYSTEM_PROMPT },
-        {
-          role: 'user',
-          content: `Check this diff against these custom rules:\n\nRules:\n${rulesDescription}\n\nDiff:\n\`\`\`diff\n${diff}\n\`\`\``
-        }
-      ],
-      model: CODE_REVIEW_MODEL,
-      temperature: 0.2, // Very low temperature for rule checking
-      max_tokens: 2000
-    });
-
-    const content = completion.choices[0]?.message?.content || '';
-    const result = parseAIResponse(content, { violations: [] });
-
-    return result.violations || [];
-  } catch (error) {
-    console.error('Failed to check custom rules:', error.message);
-    return [];
-  }
-}
-
 // ============================================================================
 // RULES MANAGEMENT
 // ============================================================================
@@ -631,12 +345,16 @@ export async function createRule(userId, rule) {
     throw new Error('Rule must have a name and pattern');
   }
 
+  validateRule(rule);
+
   const { data, error } = await supabase
     .from('prpilot_rules')
     .insert({
       user_id: userId,
       name: rule.name,
       pattern: rule.pattern,
+      kind: rule.kind || 'llm',
+      options: rule.options || {},
       description: rule.description || null,
       severity: rule.severity || 'medium',
       category: rule.category || 'custom',
@@ -666,7 +384,7 @@ export async function updateRule(ruleId, updates) {
   }
 
   // Only allow specific fields to be updated
-  const allowedFields = ['name', 'pattern', 'description', 'severity', 'category', 'enabled'];
+  const allowedFields = ['name', 'pattern', 'kind', 'options', 'description', 'severity', 'category', 'enabled'];
   const sanitizedUpdates = {};
 
   for (const field of allowedFields) {
@@ -679,6 +397,20 @@ export async function updateRule(ruleId, updates) {
     throw new Error('No valid fields to update');
   }
 
+  if (['pattern', 'kind', 'options'].some(field => field in sanitizedUpdates)) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('prpilot_rules')
+      .select('kind, pattern, options')
+      .eq('id', ruleId)
+      .single();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch rule: ${fetchError.message}`);
+    }
+
+    validateRule({ ...existing, ...sanitizedUpdates });
+  }
+
   sanitizedUpdates.updated_at = new Date().toISOString();
 
   const { data, error } = await supabase
@@ -749,6 +481,8 @@ export default {
   addRepo,
   removeRepo,
   getRepos,
+  claimIndexLock,
+  failIndexing,
   indexRepo,
 
   // Code Review
@@ -756,6 +490,18 @@ export default {
   getReview,
   getReviews,
 
+  // Feedback
+  setFindingFeedback,
+  getPrecisionStats,
+
+  // Analytics
+  getRepoAnalytics,
+  checkRepoBudget,
+
+  // SARIF
+  reviewToSarif,
+  importSarif,
+
   // AI Analysis
   analyzeDiff,
   generateSuggestions,
@@ -766,5 +512,10 @@ export default {
   createRule,
   updateRule,
   deleteRule,
-  getRules
+  getRules,
+
+  // Rule Packs
+  listRulePacks,
+  saveRulePack,
+  serializeRulePack
 };
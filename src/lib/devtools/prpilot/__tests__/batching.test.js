@@ -0,0 +1,200 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { splitDiffIntoBatches, reviewInPasses, mergeIssues, mergeBy } from '../batching';
+import { parseDiff } from '../diff';
+
+// A new file of numbered lines, about 40 characters each
+function newFileDiff(path, lineCount) {
+  const lines = Array.from({ length: lineCount }, (_, index) => `+const value${index + 1} = 'line ${index + 1} of the file';`);
+  return [
+    `diff --git a/${path} b/${path}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${path}`,
+    `@@ -0,0 +1,${lineCount} @@`,
+    ...lines
+  ].join('\n');
+}
+
+// A modified file with one small hunk per entry of hunkStarts
+function modifiedFileDiff(path, hunkStarts) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    ...hunkStarts.flatMap(start => [
+      `@@ -${start},2 +${start},2 @@`,
+      ` const kept${start} = true;`,
+      `-const old${start} = ${'1'.repeat(60)};`,
+      `+const new${start} = ${'2'.repeat(60)};`
+    ])
+  ].join('\n');
+}
+
+describe('splitDiffIntoBatches', () => {
+  it('packs whole files into batches in diff order', () => {
+    const diff = [modifiedFileDiff('src/a.js', [1]), modifiedFileDiff('src/b.js', [1]), modifiedFileDiff('src/c.js', [1])].join('\n');
+
+    const { batches, skippedFiles } = splitDiffIntoBatches(diff, { maxChars: 600 });
+
+    expect(skippedFiles).toEqual([]);
+    expect(batches.map(batch => batch.files)).toEqual([['src/a.js', 'src/b.js'], ['src/c.js']]);
+    expect(batches.map(batch => batch.diff).join('\n')).toBe(diff);
+  });
+
+  it('splits an oversized file at hunk boundaries and repeats its header', () => {
+    const diff = modifiedFileDiff('src/a.js', [10, 50, 90, 130]);
+
+    const { batches } = splitDiffIntoBatches(diff, { maxChars: 400 });
+
+    expect(batches.length).toBeGreaterThan(1);
+    const hunkStarts = batches.flatMap(batch => {
+      expect(batch.diff.startsWith('diff --git a/src/a.js b/src/a.js\n--- a/src/a.js\n+++ b/src/a.js\n@@ ')).toBe(true);
+      return parseDiff(batch.diff)[0].hunks.map(hunk => hunk.lines[0].newLine);
+    });
+    expect(hunkStarts).toEqual([10, 50, 90, 130]);
+  });
+
+  it('skips binary files', () => {
+    const diff = [
+      'diff --git a/logo.png b/logo.png',
+      'Binary files a/logo.png and b/logo.png differ',
+      modifiedFileDiff('src/a.js', [1])
+    ].join('\n');
+
+    const { batches, skippedFiles } = splitDiffIntoBatches(diff);
+
+    expect(skippedFiles).toEqual([{ file: 'logo.png', reason: 'binary' }]);
+    expect(batches.map(batch => batch.files)).toEqual([['src/a.js']]);
+  });
+
+  it('skips the files that do not fit in the pass limit', () => {
+    const diff = ['a', 'b', 'c', 'd'].map(name => modifiedFileDiff(`src/${name}.js`, [1])).join('\n');
+
+    const { batches, skippedFiles } = splitDiffIntoBatches(diff, { maxChars: 300, maxPasses: 2 });
+
+    expect(batches.map(batch => batch.files)).toEqual([['src/a.js'], ['src/b.js']]);
+    expect(skippedFiles).toEqual([
+      { file: 'src/c.js', reason: 'pass_limit' },
+      { file: 'src/d.js', reason: 'pass_limit' }
+    ]);
+  });
+
+  it('reviews a new file over the budget in windows with their own line numbers', () => {
+    const diff = newFileDiff('src/big.js', 500);
+    expect(diff.length).toBeGreaterThan(20000);
+
+    const { batches, skippedFiles } = splitDiffIntoBatches(diff, { maxChars: 15000 });
+
+    expect(skippedFiles).toEqual([]);
+    expect(batches.length).toBeGreaterThan(1);
+
+    const lines = [];
+    for (const batch of batches) {
+      expect(batch.diff.length).toBeLessThanOrEqual(15000);
+      expect(batch.files).toEqual(['src/big.js']);
+
+      const [file] = parseDiff(batch.diff);
+      expect(file.status).toBe('added');
+      for (const hunk of file.hunks) {
+        expect(hunk.header).toMatch(/^@@ -0,0 \+\d+,\d+ @@$/);
+        lines.push(...hunk.lines);
+      }
+    }
+
+    expect(lines).toHaveLength(500);
+    for (const line of lines) {
+      expect(line.content).toBe(`const value${line.newLine} = 'line ${line.newLine} of the file';`);
+    }
+  });
+
+  it('keeps old and new line numbers of a split modified hunk', () => {
+    const body = [];
+    for (let index = 1; index <= 300; index++) {
+      body.push(` context line ${index} of the modified file`);
+      if (index % 10 === 0) {
+        body.push(`-removed after old line ${index}`, `+added after old line ${index}`);
+      }
+    }
+    const diff = [
+      'diff --git a/src/edit.js b/src/edit.js',
+      '--- a/src/edit.js',
+      '+++ b/src/edit.js',
+      '@@ -101,330 +101,330 @@ function edit() {',
+      ...body
+    ].join('\n');
+
+    const { batches, skippedFiles } = splitDiffIntoBatches(diff, { maxChars: 4000 });
+    expect(skippedFiles).toEqual([]);
+
+    const lines = batches.flatMap(batch => parseDiff(batch.diff).flatMap(file => file.hunks.flatMap(hunk => hunk.lines)));
+    const original = parseDiff(diff)[0].hunks[0].lines;
+
+    expect(lines.map(({ type, content, oldLine, newLine }) => ({ type, content, oldLine, newLine })))
+      .toEqual(original.map(({ type, content, oldLine, newLine }) => ({ type, content, oldLine, newLine })));
+  });
+
+  it('skips a file only when a single line is over the budget', () => {
+    const diff = [
+      'diff --git a/dist/app.min.js b/dist/app.min.js',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/dist/app.min.js',
+      '@@ -0,0 +1,1 @@',
+      `+${'x'.repeat(20000)}`
+    ].join('\n');
+
+    expect(splitDiffIntoBatches(diff, { maxChars: 15000 })).toEqual({
+      batches: [],
+      skippedFiles: [{ file: 'dist/app.min.js', reason: 'line_too_large' }]
+    });
+  });
+});
+
+describe('reviewInPasses', () => {
+  const diff = ['a', 'b'].map(name => modifiedFileDiff(`src/${name}.js`, [1])).join('\n');
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reports the files of failed passes as skipped', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const reviewBatch = async (batch, index) => {
+      if (index === 1) {
+        throw new Error('rate limited');
+      }
+      return batch.files;
+    };
+
+    const result = await reviewInPasses(diff, reviewBatch, { maxChars: 300 });
+
+    expect(result.results).toEqual([['src/a.js'], null]);
+    expect(result.passes).toBe(2);
+    expect(result.failedPasses).toBe(1);
+    expect(result.skippedFiles).toEqual([{ file: 'src/b.js', reason: 'pass_failed' }]);
+  });
+
+  it('throws when every pass fails', async () => {
+    await expect(reviewInPasses(diff, async () => { throw new Error('model unavailable'); }, { maxChars: 300 }))
+      .rejects.toThrow('model unavailable');
+  });
+});
+
+describe('mergeIssues', () => {
+  it('keeps the most severe of duplicates across passes', () => {
+    const merged = mergeIssues([
+      [{ file: './src/a.js', line: 3, title: 'Missing await', severity: 'medium' }],
+      [{ file: 'src/a.js', line: 3, title: 'Missing  AWAIT!', severity: 'high' }, null],
+      [{ file: 'src/a.js', line: 4, title: 'Missing await', severity: 'low' }]
+    ]);
+
+    expect(merged.map(issue => [issue.line, issue.severity])).toEqual([[3, 'high'], [4, 'low']]);
+  });
+});
+
+describe('mergeBy', () => {
+  it('keeps the first record of each key', () => {
+    expect(mergeBy([[{ id: 1, pass: 1 }], [{ id: 1, pass: 2 }, { id: 2, pass: 2 }]], record => record.id))
+      .toEqual([{ id: 1, pass: 1 }, { id: 2, pass: 2 }]);
+  });
+});
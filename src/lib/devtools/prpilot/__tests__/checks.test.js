@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { determineCheckConclusion, formatCheckTitle, DEFAULT_CHECK_THRESHOLDS } from '../checks';
+
+describe('determineCheckConclusion', () => {
+  it('fails a degraded review even without findings or a score', () => {
+    const review = { status: 'degraded', quality_score: null, issues: [], rule_violations: [] };
+    const result = determineCheckConclusion(review, DEFAULT_CHECK_THRESHOLDS);
+
+    expect(result).toEqual({
+      conclusion: 'failure',
+      reasons: ['Model output could not be validated, so findings may be missing']
+    });
+    expect(formatCheckTitle(review, result.conclusion, result.reasons)).toBe('Model output could not be validated, so findings may be missing');
+  });
+
+  it('passes a completed review above the thresholds', () => {
+    const review = { status: 'completed', quality_score: 90, issues: [{ severity: 'low' }], rule_violations: [] };
+
+    expect(determineCheckConclusion(review, DEFAULT_CHECK_THRESHOLDS)).toEqual({ conclusion: 'success', reasons: [] });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseGitattributes, loadGitattributes, classifyFile, excludeClassifiedFiles } from '../classify';
+import { parseDiff } from '../diff';
+
+function fileDiff(path, lines = ['export const value = 1;']) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${path}`,
+    `@@ -0,0 +1,${lines.length} @@`,
+    ...lines.map(line => `+${line}`)
+  ].join('\n');
+}
+
+const classify = (path, lines, attributes) => classifyFile(parseDiff(fileDiff(path, lines))[0], attributes);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('classifyFile', () => {
+  it('recognizes files by path', () => {
+    expect(classify('package-lock.json')).toBe('lockfile');
+    expect(classify('services/api/go.sum')).toBe('lockfile');
+    expect(classify('node_modules/left-pad/index.js')).toBe('vendored');
+    expect(classify('lib/vendor/jquery.js')).toBe('vendored');
+    expect(classify('public/app.min.js')).toBe('generated');
+    expect(classify('src/__snapshots__/view.test.js.snap')).toBe('generated');
+    expect(classify('api/user.pb.go')).toBe('generated');
+    expect(classify('src/__tests__/app.test.js')).toBe('test');
+    expect(classify('pkg/server_test.go')).toBe('test');
+    expect(classify('src/app.js')).toBeNull();
+  });
+
+  it('recognizes generated files by a marker near the top', () => {
+    expect(classify('src/schema.ts', ['// Code generated by graphql-codegen. DO NOT EDIT.', 'export type A = 1;'])).toBe('generated');
+    expect(classify('src/schema.ts', ['', '', '', '', '', '// @generated below the first lines'])).toBeNull();
+  });
+
+  it('recognizes minified scripts and styles by their line length', () => {
+    const long = `var a=${'1+'.repeat(600)}1;`;
+
+    expect(classify('public/bundle.js', [long])).toBe('generated');
+    expect(classify('data/fixture.json', [long])).toBeNull();
+  });
+
+  it('classifies binary files first', () => {
+    const [file] = parseDiff('diff --git a/vendor/logo.png b/vendor/logo.png\nBinary files a/vendor/logo.png and b/vendor/logo.png differ');
+
+    expect(classifyFile(file)).toBe('binary');
+  });
+
+  it('lets .gitattributes override the path patterns', () => {
+    const attributes = parseGitattributes([
+      'src/gen/** linguist-generated',
+      'vendor/** -linguist-vendored',
+      'dist/** linguist-generated=false'
+    ].join('\n'));
+
+    expect(classify('src/gen/client.js', undefined, attributes)).toBe('generated');
+    expect(classify('vendor/patched.js', undefined, attributes)).toBeNull();
+    expect(classify('dist/index.js', undefined, attributes)).toBeNull();
+  });
+});
+
+describe('parseGitattributes', () => {
+  it('reads linguist attributes and lets the last matching line win', () => {
+    const attributes = parseGitattributes([
+      '# Generated code',
+      '*.pb.js linguist-generated=true text eol=lf',
+      '',
+      '/third_party/ linguist-vendored',
+      'proto/keep.pb.js !linguist-generated'
+    ].join('\n'));
+
+    expect(attributes.map(({ attribute, value }) => [attribute, value])).toEqual([
+      ['generated', true],
+      ['vendored', true],
+      ['generated', false]
+    ]);
+    expect(classify('proto/deep/api.pb.js', undefined, attributes)).toBe('generated');
+    expect(classify('proto/keep.pb.js', undefined, attributes)).toBeNull();
+    expect(classify('third_party/lib/a.js', undefined, attributes)).toBe('vendored');
+  });
+
+  it('returns no rules for a missing file', () => {
+    expect(parseGitattributes(null)).toEqual([]);
+  });
+});
+
+describe('loadGitattributes', () => {
+  const repo = { id: 'repo-1' };
+
+  it('reads the file at the given commit', async () => {
+    const provider = { fetchFile: vi.fn(async () => '*.gen.js linguist-generated') };
+
+    const attributes = await loadGitattributes(repo, provider, 'c0ffee');
+
+    expect(provider.fetchFile).toHaveBeenCalledWith(repo, '.gitattributes', 'c0ffee');
+    expect(attributes).toHaveLength(1);
+  });
+
+  it('returns no rules when the file cannot be read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await loadGitattributes(repo, { fetchFile: async () => { throw new Error('not found'); } }, 'c0ffee')).toEqual([]);
+    expect(await loadGitattributes(repo, { fetchFile: vi.fn() }, null)).toEqual([]);
+  });
+});
+
+describe('excludeClassifiedFiles', () => {
+  const diff = ['src/app.js', 'yarn.lock', 'src/app.test.js'].map(path => fileDiff(path)).join('\n');
+
+  it('leaves classified files out of the diff', () => {
+    expect(excludeClassifiedFiles(diff)).toEqual({
+      diff: fileDiff('src/app.js'),
+      skippedFiles: [
+        { file: 'yarn.lock', reason: 'lockfile' },
+        { file: 'src/app.test.js', reason: 'test' }
+      ]
+    });
+  });
+
+  it('keeps the file types to review anyway', () => {
+    expect(excludeClassifiedFiles(diff, { reviewFileTypes: ['test'] })).toEqual({
+      diff: [fileDiff('src/app.js'), fileDiff('src/app.test.js')].join('\n'),
+      skippedFiles: [{ file: 'yarn.lock', reason: 'lockfile' }]
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { DEFAULT_REPO_CONFIG, parseRepoConfig, loadRepoConfig, filterDiffByConfig, filterRulesByConfig } from '../config';
+
+const rules = [
+  { id: 'r1', template_id: 'no-console', name: 'No console' },
+  { id: 'r2', template_id: null, name: 'Use parameterized queries' }
+];
+
+describe('parseRepoConfig', () => {
+  it('normalizes every setting', () => {
+    const { config, errors } = parseRepoConfig([
+      'paths:',
+      "  include: ['src/**']",
+      '  exclude: docs/**',
+      'thresholds:',
+      '  min_score: 75',
+      '  fail_on_severity: high',
+      'rules: [no-console, " Use parameterized queries "]',
+      'language: " German "',
+      'max_comments: 20',
+      'auto_approve: false',
+      'review_file_types: [test, lockfile]'
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(config).toEqual({
+      paths: { include: ['src/**'], exclude: ['docs/**'] },
+      thresholds: { minScore: 75, failOnSeverity: 'high' },
+      rules: ['no-console', 'Use parameterized queries'],
+      language: 'German',
+      maxComments: 20,
+      autoApprove: false,
+      reviewFileTypes: ['test', 'lockfile']
+    });
+  });
+
+  it('uses the defaults for an empty file', () => {
+    expect(parseRepoConfig('')).toEqual({ config: DEFAULT_REPO_CONFIG, errors: [] });
+    expect(parseRepoConfig('# only a comment\n')).toEqual({ config: DEFAULT_REPO_CONFIG, errors: [] });
+  });
+
+  it('reports invalid YAML with its line', () => {
+    const { config, errors } = parseRepoConfig('paths:\n  include: [src\n');
+
+    expect(config).toBe(DEFAULT_REPO_CONFIG);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^\.prpilot\.yml is not valid YAML: .* \(line \d+\)$/);
+  });
+
+  it('requires a mapping', () => {
+    expect(parseRepoConfig('- src/**\n').errors).toEqual(['.prpilot.yml must be a mapping of settings']);
+  });
+
+  it('reports invalid settings and keeps their defaults', () => {
+    const { config, errors } = parseRepoConfig([
+      'reviewers: [alice]',
+      'paths: src/**',
+      'thresholds: {min_score: 120, fail_on_severity: blocker}',
+      'language: ""',
+      'max_comments: -1',
+      'auto_approve: "yes"',
+      'review_file_types: [docs]'
+    ].join('\n'));
+
+    expect(errors).toEqual([
+      'Unknown setting "reviewers"',
+      '"paths" must have "include" and/or "exclude" lists',
+      '"thresholds.min_score" must be a whole number from 0 to 100',
+      '"thresholds.fail_on_severity" must be one of: critical, high, medium, low',
+      '"language" must be a language name, e.g. "English"',
+      '"max_comments" must be a whole number from 0 to 100',
+      '"auto_approve" must be true or false',
+      '"review_file_types" must only contain: generated, vendored, binary, lockfile, test'
+    ]);
+    expect(config).toEqual(DEFAULT_REPO_CONFIG);
+  });
+
+  it('drops invalid globs and keeps the valid ones', () => {
+    const { config, errors } = parseRepoConfig('paths:\n  exclude: ["docs/**", 42]\n  include: ["src/**"]\n');
+
+    expect(errors).toEqual(['"paths.exclude" must be a list of strings']);
+    expect(config.paths).toEqual({ include: ['src/**'], exclude: [] });
+  });
+});
+
+describe('loadRepoConfig', () => {
+  const repo = { id: 'repo-1', repo_full_name: 'acme/api' };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reads the file at the given commit', async () => {
+    const provider = { fetchFile: vi.fn(async () => 'max_comments: 5\n') };
+
+    const result = await loadRepoConfig(repo, provider, 'c0ffee');
+
+    expect(provider.fetchFile).toHaveBeenCalledWith(repo, '.prpilot.yml', 'c0ffee');
+    expect(result).toMatchObject({ found: true, errors: [], config: { maxComments: 5 } });
+  });
+
+  it('falls back to the defaults when the file is missing or unreadable', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await loadRepoConfig(repo, { fetchFile: async () => null }, 'c0ffee'))
+      .toEqual({ config: DEFAULT_REPO_CONFIG, errors: [], found: false });
+    expect(await loadRepoConfig(repo, { fetchFile: async () => { throw new Error('rate limited'); } }, 'c0ffee'))
+      .toEqual({ config: DEFAULT_REPO_CONFIG, errors: ['.prpilot.yml could not be read: rate limited'], found: false });
+  });
+});
+
+describe('filterDiffByConfig', () => {
+  const fileDiff = path => `diff --git a/${path} b/${path}\n--- a/${path}\n+++ b/${path}\n@@ -1 +1 @@\n-a\n+b`;
+  const diff = ['src/app.js', 'src/app.test.js', 'docs/guide.md'].map(fileDiff).join('\n');
+
+  it('keeps included files that are not excluded', () => {
+    const config = { paths: { include: ['src/**'], exclude: ['**/*.test.js'] } };
+
+    expect(filterDiffByConfig(diff, config)).toEqual({
+      diff: fileDiff('src/app.js'),
+      excludedFiles: [
+        { file: 'src/app.test.js', reason: 'excluded_by_config' },
+        { file: 'docs/guide.md', reason: 'excluded_by_config' }
+      ]
+    });
+  });
+
+  it('returns the diff unchanged without globs', () => {
+    expect(filterDiffByConfig(diff, null)).toEqual({ diff, excludedFiles: [] });
+  });
+});
+
+describe('filterRulesByConfig', () => {
+  it('matches rules by ID, template ID or name, ignoring case', () => {
+    const all = [...rules, { id: 'r3', template_id: 'require-tests', name: 'Require tests' }];
+
+    expect(filterRulesByConfig(all, { rules: ['R1', 'use parameterized queries'] })).toEqual(rules);
+    expect(filterRulesByConfig(all, { rules: ['require-tests'] })).toEqual([all[2]]);
+  });
+
+  it('keeps all rules without a config', () => {
+    expect(filterRulesByConfig(rules, null)).toEqual(rules);
+    expect(filterRulesByConfig(rules, DEFAULT_REPO_CONFIG)).toEqual(rules);
+  });
+});
+
+describe('rules in .prpilot.yml', () => {
+  it('keeps the active rules when rules is null', () => {
+    const { config, errors } = parseRepoConfig('rules: null\n');
+
+    expect(errors).toEqual([]);
+    expect(config.rules).toBeNull();
+    expect(filterRulesByConfig(rules, config)).toEqual(rules);
+  });
+
+  it('keeps the active rules and reports an invalid list', () => {
+    const { config, errors } = parseRepoConfig('rules: [no-console, 42]\n');
+
+    expect(errors).toEqual(['"rules" must be a list of strings']);
+    expect(filterRulesByConfig(rules, config)).toEqual(rules);
+  });
+
+  it('turns all rules off only with an explicit empty list', () => {
+    const { config, errors } = parseRepoConfig('rules: []\n');
+
+    expect(errors).toEqual([]);
+    expect(filterRulesByConfig(rules, config)).toEqual([]);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { parseDiff, getAddedLines, mapLineToNewSide, getNewSideRange } from '../diff';
+
+const modified = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1a2b3c4..5d6e7f8 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,4 +10,5 @@ function start() {',
+  ' const port = 3000;',
+  '-const host = "localhost";',
+  '+const host = process.env.HOST;',
+  '+const debug = false;',
+  ' listen(port, host);',
+  ' log("started");',
+  '@@ -40,3 +41,2 @@',
+  ' stop();',
+  '-cleanup();',
+  ' exit();',
+  '\\ No newline at end of file'
+].join('\n');
+
+describe('parseDiff', () => {
+  it('numbers the lines of each hunk on both sides', () => {
+    const [file] = parseDiff(modified);
+
+    expect(file).toMatchObject({ path: 'src/app.js', oldPath: 'src/app.js', status: 'modified', binary: false, additions: 2, deletions: 2 });
+    expect(file.raw).toBe(modified);
+    expect(file.hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines, hunk.section])).toEqual([
+      [10, 4, 10, 5, 'function start() {'],
+      [40, 3, 41, 2, '']
+    ]);
+    expect(file.hunks[0].lines).toEqual([
+      { type: 'context', content: 'const port = 3000;', oldLine: 10, newLine: 10, position: 1 },
+      { type: 'del', content: 'const host = "localhost";', oldLine: 11, newLine: null, position: 2 },
+      { type: 'add', content: 'const host = process.env.HOST;', oldLine: null, newLine: 11, position: 3 },
+      { type: 'add', content: 'const debug = false;', oldLine: null, newLine: 12, position: 4 },
+      { type: 'context', content: 'listen(port, host);', oldLine: 12, newLine: 13, position: 5 },
+      { type: 'context', content: 'log("started");', oldLine: 13, newLine: 14, position: 6 }
+    ]);
+    // The second hunk header takes position 7
+    expect(file.hunks[1].lines.map(line => [line.type, line.oldLine, line.newLine, line.position])).toEqual([
+      ['context', 40, 41, 8],
+      ['del', 41, null, 9],
+      ['context', 42, 42, 10]
+    ]);
+  });
+
+  it('reads added, deleted, renamed and binary files', () => {
+    const diff = [
+      'diff --git a/src/new.js b/src/new.js',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/src/new.js',
+      '@@ -0,0 +1 @@',
+      '+export default 1;',
+      'diff --git a/src/old.js b/src/old.js',
+      'deleted file mode 100644',
+      '--- a/src/old.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-module.exports = 1;',
+      'diff --git a/docs/a.md b/docs/b.md',
+      'similarity index 100%',
+      'rename from docs/a.md',
+      'rename to docs/b.md',
+      'diff --git a/logo.png b/logo.png',
+      'Binary files a/logo.png and b/logo.png differ'
+    ].join('\n');
+
+    expect(parseDiff(diff).map(file => [file.path, file.oldPath, file.status, file.binary, file.additions, file.deletions])).toEqual([
+      ['src/new.js', 'src/new.js', 'added', false, 1, 0],
+      ['src/old.js', 'src/old.js', 'deleted', false, 0, 1],
+      ['docs/b.md', 'docs/a.md', 'renamed', false, 0, 0],
+      ['logo.png', 'logo.png', 'modified', true, 0, 0]
+    ]);
+  });
+
+  it('reads diffs without "diff --git" headers', () => {
+    const diff = [
+      '--- a/one.txt\t2026-01-01 10:00:00',
+      '+++ b/one.txt\t2026-01-01 10:05:00',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b',
+      '--- a/two.txt',
+      '+++ b/two.txt',
+      '@@ -1 +1 @@',
+      '-c',
+      '+d'
+    ].join('\n');
+
+    expect(parseDiff(diff).map(file => [file.path, file.hunks[0].lines.length])).toEqual([['one.txt', 2], ['two.txt', 2]]);
+  });
+
+  it('keeps removed lines starting with "-- " in their hunk', () => {
+    const diff = [
+      'diff --git a/schema.sql b/schema.sql',
+      '--- a/schema.sql',
+      '+++ b/schema.sql',
+      '@@ -1,2 +1,1 @@',
+      '--- drop this comment',
+      ' SELECT 1;'
+    ].join('\n');
+
+    const [file] = parseDiff(diff);
+
+    expect(file.hunks[0].lines.map(line => [line.type, line.content])).toEqual([['del', '-- drop this comment'], ['context', 'SELECT 1;']]);
+  });
+
+  it('returns no files for an empty diff', () => {
+    expect(parseDiff('')).toEqual([]);
+    expect(parseDiff(null)).toEqual([]);
+  });
+});
+
+describe('getAddedLines', () => {
+  it('lists added lines with their file, line and position', () => {
+    expect(getAddedLines(parseDiff(modified))).toEqual([
+      { file: 'src/app.js', line: 11, content: 'const host = process.env.HOST;', position: 3 },
+      { file: 'src/app.js', line: 12, content: 'const debug = false;', position: 4 }
+    ]);
+  });
+});
+
+describe('mapLineToNewSide', () => {
+  const [file] = parseDiff(modified);
+
+  it('shifts lines by the hunks before them', () => {
+    expect(mapLineToNewSide(file, 5)).toBe(5);
+    expect(mapLineToNewSide(file, 12)).toBe(13);
+    expect(mapLineToNewSide(file, 30)).toBe(31);
+    expect(mapLineToNewSide(file, 50)).toBe(50);
+  });
+
+  it('returns null for changed or removed lines', () => {
+    expect(mapLineToNewSide(file, 11)).toBeNull();
+    expect(mapLineToNewSide(file, 41)).toBeNull();
+  });
+});
+
+describe('getNewSideRange', () => {
+  const [file] = parseDiff(modified);
+
+  it('returns the lines of a range inside one hunk', () => {
+    expect(getNewSideRange(file, 11, 12).map(line => line.content)).toEqual(['const host = process.env.HOST;', 'const debug = false;']);
+  });
+
+  it('returns null for a range that leaves the hunk', () => {
+    expect(getNewSideRange(file, 13, 16)).toBeNull();
+    expect(getNewSideRange(file, 20, 21)).toBeNull();
+  });
+});
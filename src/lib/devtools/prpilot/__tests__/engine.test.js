@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { requestStructuredOutput, REVIEW_OUTPUT_SCHEMA } from '../engine';
+
+const request = { model: 'llama-3.3-70b-versatile', messages: [{ role: 'user', content: 'Review this diff' }] };
+const valid = { summary: 'One issue.', issues: [{ type: 'bug', severity: 'high', title: 'Missing await', description: 'Not awaited.' }] };
+
+// A Groq client stand-in that answers with the given responses in order
+function createClient(...responses) {
+  const create = vi.fn(async () => {
+    const response = responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    return { choices: [{ message: { content: response } }], usage: { prompt_tokens: 100, completion_tokens: 20 } };
+  });
+  return { chat: { completions: { create } } };
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('requestStructuredOutput', () => {
+  it('returns valid output after one call', async () => {
+    const client = createClient(JSON.stringify(valid));
+    const usage = [];
+
+    expect(await requestStructuredOutput(client, request, REVIEW_OUTPUT_SCHEMA, { usage, step: 'analysis' })).toEqual(valid);
+    expect(usage.map(call => call.step)).toEqual(['analysis']);
+  });
+
+  it('sends invalid output back once with its errors', async () => {
+    const invalid = JSON.stringify({ summary: 'One issue.', issues: [{ ...valid.issues[0], severity: 'urgent' }] });
+    const client = createClient(invalid, JSON.stringify(valid));
+    const usage = [];
+    const outputErrors = [];
+
+    const result = await requestStructuredOutput(client, request, REVIEW_OUTPUT_SCHEMA, { usage, outputErrors, step: 'analysis' });
+
+    expect(result).toEqual(valid);
+    expect(outputErrors).toEqual([]);
+    expect(usage.map(call => call.step)).toEqual(['analysis', 'analysis_repair']);
+
+    const repair = client.chat.completions.create.mock.calls[1][0];
+    expect(repair.model).toBe(request.model);
+    expect(repair.messages.slice(0, 2)).toEqual([...request.messages, { role: 'assistant', content: invalid }]);
+    expect(repair.messages[2].role).toBe('user');
+    expect(repair.messages[2].content).toContain('$.issues[0].severity must be one of critical, high, medium, low, got "urgent"');
+  });
+
+  it('keeps the valid items and reports output that stays invalid', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const partial = JSON.stringify({ summary: 'Two issues.', issues: [valid.issues[0], { title: 'No type' }] });
+    const client = createClient('not json', partial);
+    const outputErrors = [];
+
+    const result = await requestStructuredOutput(client, request, REVIEW_OUTPUT_SCHEMA, { outputErrors, step: 'analysis' });
+
+    expect(result).toEqual({ summary: 'Two issues.', issues: [valid.issues[0]], suggestions: [], highlights: [] });
+    expect(outputErrors).toEqual([{
+      step: 'analysis',
+      errors: ['$.issues[1].type is required', '$.issues[1].severity is required', '$.issues[1].description is required']
+    }]);
+  });
+
+  it('falls back to the first response when the repair request fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const client = createClient(JSON.stringify({ issues: valid.issues }), new Error('rate limited'));
+    const outputErrors = [];
+
+    const result = await requestStructuredOutput(client, request, REVIEW_OUTPUT_SCHEMA, { outputErrors, step: 'rules' });
+
+    expect(result).toEqual({ issues: valid.issues, suggestions: [], highlights: [] });
+    expect(outputErrors).toEqual([{ step: 'rules', errors: ['Repair request failed: rate limited'] }]);
+  });
+});
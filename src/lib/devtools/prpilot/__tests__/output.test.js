@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { validateSchema, parseModelOutput, dropInvalidItems, formatRepairPrompt } from '../output';
+import { REVIEW_OUTPUT_SCHEMA, RULES_OUTPUT_SCHEMA } from '../engine';
+
+const issue = {
+  type: 'bug',
+  severity: 'high',
+  file: 'src/app.js',
+  line: 12,
+  title: 'Missing await',
+  description: 'The promise is not awaited.',
+  suggestion: null
+};
+
+describe('validateSchema', () => {
+  it('accepts a valid review', () => {
+    expect(validateSchema({ summary: 'Looks good.', issues: [issue], highlights: ['Clear names'] }, REVIEW_OUTPUT_SCHEMA)).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    const review = {
+      summary: 42,
+      issues: [
+        { ...issue, type: 'typo', line: 0 },
+        { severity: 'low', title: 'No type', description: 'x', file: 7 }
+      ],
+      highlights: 'none'
+    };
+
+    expect(validateSchema(review, REVIEW_OUTPUT_SCHEMA)).toEqual([
+      '$.summary must be string, got number',
+      '$.issues[0].type must be one of bug, security, performance, style, error_handling, got "typo"',
+      '$.issues[0].line must be at least 1, got 0',
+      '$.issues[1].type is required',
+      '$.issues[1].file must be string or null, got number',
+      '$.highlights must be array, got "none"'
+    ]);
+  });
+
+  it('tells integers from other numbers', () => {
+    expect(validateSchema(1.5, { type: 'integer' })).toEqual(['$ must be integer, got number']);
+    expect(validateSchema({ violations: [{ ruleId: 3, description: 'x' }] }, RULES_OUTPUT_SCHEMA)).toEqual([]);
+  });
+});
+
+describe('parseModelOutput', () => {
+  it('reads plain, fenced and surrounded JSON', () => {
+    const json = JSON.stringify({ summary: 'Fine.', issues: [] });
+
+    for (const content of [json, `\`\`\`json\n${json}\n\`\`\``, `Here is the review:\n${json}\nThanks!`]) {
+      expect(parseModelOutput(content, REVIEW_OUTPUT_SCHEMA)).toEqual({ value: { summary: 'Fine.', issues: [] }, errors: [] });
+    }
+  });
+
+  it('reports responses that are not JSON', () => {
+    expect(parseModelOutput('I found no issues.', REVIEW_OUTPUT_SCHEMA)).toEqual({ value: null, errors: ['Response is not valid JSON'] });
+    expect(parseModelOutput('{"summary": ', REVIEW_OUTPUT_SCHEMA)).toEqual({ value: null, errors: ['Response is not valid JSON'] });
+    expect(parseModelOutput('', REVIEW_OUTPUT_SCHEMA)).toEqual({ value: null, errors: ['Response is empty'] });
+  });
+
+  it('returns the parsed value with its validation errors', () => {
+    const { value, errors } = parseModelOutput('{"issues": []}', REVIEW_OUTPUT_SCHEMA);
+
+    expect(value).toEqual({ issues: [] });
+    expect(errors).toEqual(['$.summary is required']);
+  });
+
+  it('reports at most 20 errors', () => {
+    const issues = Array.from({ length: 30 }, () => ({ ...issue, severity: 'urgent' }));
+
+    expect(parseModelOutput(JSON.stringify({ summary: '', issues }), REVIEW_OUTPUT_SCHEMA).errors).toHaveLength(20);
+  });
+});
+
+describe('dropInvalidItems', () => {
+  it('keeps the valid items and fields of an invalid response', () => {
+    const value = {
+      summary: 'Two issues.',
+      issues: [issue, { ...issue, severity: 'urgent' }],
+      suggestions: 'none',
+      highlights: ['Tests added', 3]
+    };
+
+    expect(dropInvalidItems(value, REVIEW_OUTPUT_SCHEMA)).toEqual({
+      summary: 'Two issues.',
+      issues: [issue],
+      suggestions: [],
+      highlights: ['Tests added']
+    });
+  });
+
+  it('returns empty lists for a response that is not an object', () => {
+    expect(dropInvalidItems(null, REVIEW_OUTPUT_SCHEMA)).toEqual({ issues: [], suggestions: [], highlights: [] });
+  });
+});
+
+describe('formatRepairPrompt', () => {
+  it('lists the errors for the model', () => {
+    const prompt = formatRepairPrompt(['$.summary is required', '$.issues[0].type must be one of bug']);
+
+    expect(prompt).toContain('- $.summary is required\n- $.issues[0].type must be one of bug');
+    expect(prompt).toContain('ONLY the corrected JSON object');
+  });
+});
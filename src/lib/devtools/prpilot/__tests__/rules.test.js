@@ -0,0 +1,167 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RULE_TEMPLATES, validateRule, isLlmRule, runLocalRules } from '../rules';
+
+function addedFileDiff(path, lines) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${path}`,
+    `@@ -0,0 +1,${lines.length} @@`,
+    ...lines.map(line => `+${line}`)
+  ].join('\n');
+}
+
+function modifiedFileDiff(path, start, lines) {
+  const added = lines.filter(line => !line.startsWith('-')).length;
+  const removed = lines.filter(line => !line.startsWith('+')).length;
+  return [
+    `diff --git a/${path} b/${path}`,
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    `@@ -${start},${removed} +${start},${added} @@`,
+    ...lines
+  ].join('\n');
+}
+
+const template = (id, fields = {}) => ({ id, ...RULE_TEMPLATES[id], ...fields });
+
+describe('validateRule', () => {
+  it('accepts every template', () => {
+    for (const id of Object.keys(RULE_TEMPLATES)) {
+      expect(() => validateRule(template(id))).not.toThrow();
+    }
+  });
+
+  it('rejects unknown kinds, missing patterns and invalid options', () => {
+    expect(() => validateRule({ kind: 'shell' })).toThrow('kind must be one of: regex, ast-selector, llm');
+    expect(() => validateRule({ kind: 'regex' })).toThrow('A pattern is required for regex rules');
+    expect(() => validateRule({ kind: 'regex', pattern: 'a', options: [] })).toThrow('options must be an object');
+    expect(() => validateRule({ kind: 'ast-selector', pattern: ':function', options: { maxLines: 0 } }))
+      .toThrow('options.maxLines must be a positive integer');
+  });
+
+  it('reports patterns that do not compile', () => {
+    expect(() => validateRule({ kind: 'regex', pattern: '(unclosed' })).toThrow(/^Invalid regex pattern: /);
+    expect(() => validateRule({ kind: 'ast-selector', pattern: 'CallExpression[' })).toThrow(/^Invalid ast-selector pattern: /);
+  });
+
+  it('needs no pattern for llm rules', () => {
+    expect(() => validateRule({ name: 'Docs', description: 'Document public functions' })).not.toThrow();
+    expect(isLlmRule({})).toBe(true);
+    expect(isLlmRule({ kind: 'regex' })).toBe(false);
+  });
+
+  it('rejects regex patterns with nested quantifiers', () => {
+    for (const pattern of ['(a+)+$', '(?:\\w*,)*x', '^(([a-z])+.)+[A-Z]', '(x+){2,}']) {
+      expect(() => validateRule({ kind: 'regex', pattern })).toThrow(/Invalid regex pattern: nested quantifiers/);
+    }
+  });
+
+  it('accepts quantified groups without repeats inside and repeats in character classes', () => {
+    for (const pattern of ['(ab)+', '(a|b?)*c', '[(a+)]+', '\\(a+\\)+', RULE_TEMPLATES['no-hardcoded-secrets'].pattern]) {
+      expect(() => validateRule({ kind: 'regex', pattern })).not.toThrow();
+    }
+  });
+});
+
+describe('runLocalRules', () => {
+  it('reports regex matches on added lines with their new line numbers', () => {
+    const diff = modifiedFileDiff('src/config.js', 20, [
+      ' const region = "eu-west-1";',
+      '-const apiKey = process.env.API_KEY;',
+      '+const apiKey = "live_4f9a8b7c6d5e";',
+      '+const timeout = 3000;'
+    ]);
+
+    expect(runLocalRules(diff, [template('no-hardcoded-secrets')])).toEqual([{
+      ruleId: 'no-hardcoded-secrets',
+      ruleName: 'No Hardcoded Secrets',
+      kind: 'regex',
+      severity: 'critical',
+      file: 'src/config.js',
+      line: 21,
+      code: 'const apiKey = "live_4f9a8b7c6d5e";',
+      description: RULE_TEMPLATES['no-hardcoded-secrets'].description,
+      suggestion: 'Load the value from an environment variable or secret manager'
+    }]);
+  });
+
+  it('ignores global and sticky flags so every line is matched', () => {
+    const rule = { id: 'todo', name: 'No TODO', kind: 'regex', pattern: 'todo', options: { flags: 'giy' } };
+    const diff = addedFileDiff('src/a.js', ['// TODO one', '// todo two']);
+
+    expect(runLocalRules(diff, [rule]).map(violation => violation.line)).toEqual([1, 2]);
+  });
+
+  it('reports AST matches that start on an added line only', () => {
+    const diff = modifiedFileDiff('src/log.js', 5, [
+      ' console.log("kept");',
+      '+function save(record) {',
+      '+  console.warn("saving", record);',
+      '+  return db.insert(record);',
+      '+}'
+    ]);
+
+    const violations = runLocalRules(diff, [template('no-console')]);
+
+    expect(violations.map(violation => [violation.file, violation.line, violation.code])).toEqual([
+      ['src/log.js', 7, 'console.warn("saving", record);']
+    ]);
+  });
+
+  it('reports functions longer than maxLines with their length', () => {
+    const body = Array.from({ length: 4 }, (_, index) => `  step${index}();`);
+    const diff = addedFileDiff('src/long.ts', ['function short() {', '  return 1;', '}', 'function long() {', ...body, '}']);
+
+    const [violation, ...rest] = runLocalRules(diff, [template('max-function-length', { options: { maxLines: 4 } })]);
+
+    expect(rest).toEqual([]);
+    expect(violation.line).toBe(4);
+    expect(violation.description).toBe(`${RULE_TEMPLATES['max-function-length'].description} (6 lines, limit 4)`);
+  });
+
+  it('runs AST rules on JavaScript and TypeScript files only', () => {
+    const diff = addedFileDiff('scripts/build.py', ['console.log("python has no console")']);
+
+    expect(runLocalRules(diff, [template('no-console')])).toEqual([]);
+  });
+
+  it('ignores llm rules and deleted files', () => {
+    const diff = [
+      'diff --git a/src/old.js b/src/old.js',
+      'deleted file mode 100644',
+      '--- a/src/old.js',
+      '+++ /dev/null',
+      '@@ -1,1 +0,0 @@',
+      '-console.log("gone");'
+    ].join('\n');
+
+    expect(runLocalRules(diff, [template('no-console'), template('require-tests')])).toEqual([]);
+    expect(runLocalRules(addedFileDiff('src/a.js', ['console.log(1);']), [template('require-tests')])).toEqual([]);
+  });
+
+  it('caps the violations of one rule', () => {
+    const rule = { id: 'todo', name: 'No TODO', kind: 'regex', pattern: 'TODO' };
+    const diff = addedFileDiff('src/a.js', Array.from({ length: 60 }, (_, index) => `// TODO ${index}`));
+
+    expect(runLocalRules(diff, [rule])).toHaveLength(50);
+  });
+
+  it('skips stored rules with nested quantifiers', () => {
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const rule = { id: 'r1', name: 'Slow', kind: 'regex', pattern: '^(a+)+$' };
+    const diff = addedFileDiff('src/a.js', [`${'a'.repeat(40)}!`]);
+
+    expect(runLocalRules(diff, [rule])).toEqual([]);
+    expect(logged).toHaveBeenCalledWith('Skipping rule r1:', expect.stringContaining('nested quantifiers'));
+    logged.mockRestore();
+  });
+
+  it('matches only the start of very long lines', () => {
+    const rule = { id: 'r2', name: 'No eval', kind: 'regex', pattern: 'eval\\(' };
+    const diff = addedFileDiff('dist/app.min.js', [`eval(x);${' '.repeat(3000)}`, `${' '.repeat(3000)}eval(y);`]);
+
+    expect(runLocalRules(diff, [rule]).map(violation => violation.line)).toEqual([1]);
+  });
+});
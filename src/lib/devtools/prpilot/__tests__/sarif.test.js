@@ -0,0 +1,295 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { reviewToSarif, parseSarif, mergeImportedIssues, importSarif } from '../sarif';
+import { supabase } from '@/lib/supabase';
+
+vi.mock('@/lib/supabase', async () => {
+  const { createSupabaseStub } = await import('../providers/__tests__/helpers');
+  return { supabase: createSupabaseStub() };
+});
+
+const sqlInjection = {
+  type: 'security',
+  severity: 'critical',
+  file: 'src/db.js',
+  line: 10,
+  title: 'SQL injection',
+  description: 'The query concatenates user input.'
+};
+
+function imported(fields) {
+  return { severity: 'medium', file: 'src/db.js', source: 'sarif', tool: 'ESLint', ...fields };
+}
+
+const eslintLog = {
+  version: '2.1.0',
+  runs: [{
+    tool: {
+      driver: {
+        name: 'ESLint',
+        rules: [
+          { id: 'no-unused-vars', shortDescription: { text: 'Disallow unused variables' }, help: { text: 'Remove the variable.' } },
+          { id: 'security/detect-eval', properties: { tags: ['security', 'CWE-95'], 'security-severity': '9.3' } }
+        ]
+      }
+    },
+    results: [
+      {
+        ruleId: 'no-unused-vars',
+        ruleIndex: 0,
+        level: 'warning',
+        message: { text: "'result' is assigned a value but never used." },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'file:///home/runner/work/api/src/db.js' }, region: { startLine: 11 } } }]
+      },
+      {
+        ruleIndex: 1,
+        level: 'error',
+        message: { text: 'eval with an argument built from input' },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'src/run%20script.js' }, region: { startLine: 4 } } }]
+      },
+      {
+        ruleId: 'no-unused-vars',
+        suppressions: [{ kind: 'inSource' }],
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js' }, region: { startLine: 30 } } }]
+      },
+      { ruleId: 'no-unused-vars', kind: 'pass', locations: [] },
+      { ruleId: 'no-unused-vars', message: { text: 'No location' } }
+    ]
+  }]
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+describe('reviewToSarif', () => {
+  const review = {
+    issues: [
+      sqlInjection,
+      {
+        type: 'bug',
+        severity: 'low',
+        file: 'src/db.js',
+        line: 22,
+        title: 'Off by one',
+        description: 'The loop skips the last row.',
+        fix: { description: 'Use <=', startLine: 22, endLine: 22, replacement: 'for (let i = 0; i <= n; i++) {' }
+      },
+      { type: 'style', severity: 'low', title: 'No file', description: 'Left out.' },
+      { type: 'style', severity: 'medium', file: 'src/db.js', line: 11, title: 'no-unused-vars', description: 'Unused.', source: 'sarif', tool: 'ESLint', toolRuleId: 'no-unused-vars' }
+    ],
+    rule_violations: [{ ruleId: 'r1', ruleName: 'No console', file: 'src/log.js', line: 3, severity: 'medium', description: 'Remove console statements.' }]
+  };
+
+  it('writes a run for PRPilot and one per imported tool', () => {
+    const log = reviewToSarif(review);
+
+    expect(log).toMatchObject({ version: '2.1.0', $schema: 'https://json.schemastore.org/sarif-2.1.0.json' });
+    expect(log.runs.map(run => [run.tool.driver.name, run.results.length])).toEqual([['PRPilot', 3], ['ESLint', 1]]);
+    expect(log.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(['security', 'bug', 'custom/r1']);
+    expect(log.runs[1].results[0].ruleId).toBe('no-unused-vars');
+  });
+
+  it('describes each finding as a result with a location, level and fingerprint', () => {
+    const [security, bug, rule] = reviewToSarif(review).runs[0].results;
+
+    expect(security).toMatchObject({
+      ruleId: 'security',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: 'SQL injection\n\nThe query concatenates user input.' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js', uriBaseId: '%SRCROOT%' }, region: { startLine: 10 } } }],
+      properties: { severity: 'critical', type: 'security' }
+    });
+    expect(security.partialFingerprints['prpilotFinding/v1']).toMatch(/^[0-9a-f]{32}$/);
+    expect(bug.level).toBe('note');
+    expect(bug.fixes[0].artifactChanges[0].replacements).toEqual([
+      { deletedRegion: { startLine: 22, endLine: 22 }, insertedContent: { text: 'for (let i = 0; i <= n; i++) {' } }
+    ]);
+    expect(rule).toMatchObject({ ruleId: 'custom/r1', level: 'warning', properties: { type: 'rule' } });
+  });
+
+  it('keeps fingerprints stable when a finding moves', () => {
+    const fingerprintAt = line => reviewToSarif({ issues: [{ ...sqlInjection, line }] }).runs[0].results[0].partialFingerprints;
+
+    expect(fingerprintAt(40)).toEqual(fingerprintAt(10));
+  });
+
+  it('exports rejected findings as suppressed', () => {
+    const log = reviewToSarif(review, {
+      findings: [{ finding_key: 'issue:0', status: 'rejected', feedback_note: 'Input is a constant' }]
+    });
+
+    expect(log.runs[0].results[0].suppressions).toEqual([{ kind: 'external', status: 'accepted', justification: 'Input is a constant' }]);
+    expect(log.runs[0].results[1].suppressions).toBeUndefined();
+  });
+});
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+describe('parseSarif', () => {
+  it('turns open results with a location into issues', () => {
+    const { issues, errors } = parseSarif(JSON.stringify(eslintLog), { files: ['src/db.js'] });
+
+    expect(issues).toEqual([
+      {
+        type: 'style',
+        severity: 'medium',
+        title: 'Disallow unused variables',
+        description: "'result' is assigned a value but never used.",
+        suggestion: 'Remove the variable.',
+        file: 'src/db.js',
+        line: 11,
+        source: 'sarif',
+        tool: 'ESLint',
+        toolRuleId: 'no-unused-vars'
+      },
+      {
+        type: 'security',
+        severity: 'critical',
+        title: 'security/detect-eval',
+        description: 'eval with an argument built from input',
+        suggestion: null,
+        file: 'src/run script.js',
+        line: 4,
+        source: 'sarif',
+        tool: 'ESLint',
+        toolRuleId: 'security/detect-eval'
+      }
+    ]);
+    expect(errors).toEqual(['1 result(s) without a file location were skipped']);
+  });
+
+  it('rejects logs that are not SARIF 2.1.0', () => {
+    expect(parseSarif('{').errors[0]).toMatch(/^SARIF is not valid JSON: /);
+    expect(parseSarif({ version: '2.1.0' }).errors).toEqual(['SARIF log must be an object with a "runs" array']);
+    expect(parseSarif({ version: '1.0.0', runs: [] }).errors).toEqual(['Only SARIF 2.1.0 is supported, got 1.0.0']);
+  });
+
+  it('caps the number of imported results', () => {
+    const result = { ruleId: 'x', locations: [{ physicalLocation: { artifactLocation: { uri: 'a.js' }, region: { startLine: 1 } } }] };
+    const log = { version: '2.1.0', runs: [{ tool: { driver: { name: 'Lint' } }, results: Array(502).fill(result) }] };
+
+    const { issues, errors } = parseSarif(log);
+
+    expect(issues).toHaveLength(500);
+    expect(errors).toEqual(['2 result(s) over the limit of 500 were skipped']);
+  });
+
+  it('reads a log PRPilot exported', () => {
+    const { issues } = parseSarif(reviewToSarif({ issues: [sqlInjection] }));
+
+    expect(issues).toEqual([expect.objectContaining({ type: 'security', severity: 'high', file: 'src/db.js', line: 10, tool: 'PRPilot' })]);
+  });
+});
+
+describe('mergeImportedIssues', () => {
+  it('keeps an unrelated result on a line next to a model finding', () => {
+    const unused = imported({
+      type: 'style',
+      line: 11,
+      title: 'no-unused-vars',
+      description: "'result' is assigned a value but never used.",
+      toolRuleId: 'no-unused-vars'
+    });
+
+    const { issues, added, duplicates } = mergeImportedIssues({ issues: [sqlInjection] }, [unused]);
+
+    expect(added).toEqual([unused]);
+    expect(duplicates).toBe(0);
+    expect(issues).toHaveLength(2);
+    expect(issues[0].alsoReportedBy).toBeUndefined();
+  });
+
+  it('merges a result of the same type on the same line', () => {
+    const semgrep = imported({
+      type: 'security',
+      line: 10,
+      tool: 'Semgrep',
+      title: 'Tainted SQL string',
+      description: 'User input flows into a raw query.',
+      toolRuleId: 'tainted-sql-string'
+    });
+
+    const { issues, added, duplicates } = mergeImportedIssues({ issues: [sqlInjection] }, [semgrep]);
+
+    expect(added).toEqual([]);
+    expect(duplicates).toBe(1);
+    expect(issues[0].alsoReportedBy).toEqual(['Semgrep/tainted-sql-string']);
+  });
+
+  it('merges a result with similar wording to a rule violation', () => {
+    const violation = { ruleId: 'r1', ruleName: 'No console statements', file: 'src/db.js', line: 20, severity: 'low', description: 'Remove console statements.' };
+    const noConsole = imported({ type: 'style', line: 20, title: 'no-console', description: 'Unexpected console statement.', toolRuleId: 'no-console' });
+
+    const { added, duplicates } = mergeImportedIssues({ issues: [], rule_violations: [violation] }, [noConsole]);
+
+    expect(added).toEqual([]);
+    expect(duplicates).toBe(1);
+  });
+
+  it('skips results the same tool already reported on that line', () => {
+    const unused = imported({ type: 'style', line: 11, title: 'no-unused-vars', toolRuleId: 'no-unused-vars' });
+
+    const first = mergeImportedIssues({ issues: [] }, [unused, { ...unused }]);
+    const second = mergeImportedIssues({ issues: first.issues }, [{ ...unused }]);
+
+    expect(first.added).toHaveLength(1);
+    expect(first.duplicates).toBe(1);
+    expect(second.added).toEqual([]);
+  });
+
+  it('keeps a related result more than a line away', () => {
+    const semgrep = imported({ type: 'security', line: 12, tool: 'Semgrep', title: 'Tainted SQL string', toolRuleId: 'tainted-sql-string' });
+
+    expect(mergeImportedIssues({ issues: [sqlInjection] }, [semgrep]).added).toEqual([semgrep]);
+  });
+});
+
+describe('importSarif', () => {
+  const review = { id: 'review-1', repo_id: 'repo-1', status: 'completed', files_reviewed: ['src/db.js'], issues: [sqlInjection] };
+
+  beforeEach(() => {
+    supabase.queries.length = 0;
+    supabase.respond = query => ({
+      data: query.action === 'update' ? { ...review, ...query.payload } : query.payload,
+      error: null
+    });
+  });
+
+  it('stores the new findings and rescores the review', async () => {
+    const result = await importSarif(review, eslintLog);
+
+    expect(result).toMatchObject({ imported: 2, duplicates: 0, excluded: 0, errors: ['1 result(s) without a file location were skipped'] });
+    expect(result.review.issues.map(issue => issue.title)).toEqual(['SQL injection', 'Disallow unused variables', 'security/detect-eval']);
+
+    const [update, upsert] = supabase.queries;
+    expect(update).toMatchObject({ table: 'prpilot_reviews', action: 'update', filters: [['eq', 'id', 'review-1'], ['single']] });
+    expect(update.payload.quality_score).toEqual(expect.any(Number));
+    expect(upsert).toMatchObject({ table: 'prpilot_comments', action: 'upsert', options: { ignoreDuplicates: true } });
+    expect(upsert.payload.map(row => row.finding_key)).toEqual(['issue:0', 'issue:1', 'issue:2']);
+  });
+
+  it('leaves out paths the repository config excludes and keeps degraded reviews unscored', async () => {
+    const degraded = { ...review, status: 'degraded', config: { paths: { include: [], exclude: ['src/run*'] } } };
+
+    const result = await importSarif(degraded, eslintLog);
+
+    expect(result).toMatchObject({ imported: 1, excluded: 1 });
+    expect(supabase.queries[0].payload.quality_score).toBeNull();
+  });
+
+  it('changes nothing when no result can be imported', async () => {
+    const result = await importSarif(review, { version: '2.1.0', runs: [] });
+
+    expect(result).toEqual({ review, imported: 0, duplicates: 0, excluded: 0, errors: [] });
+    expect(supabase.queries).toEqual([]);
+  });
+
+  it('surfaces database errors', async () => {
+    supabase.respond = () => ({ data: null, error: { message: 'permission denied' } });
+
+    await expect(importSarif(review, eslintLog)).rejects.toThrow('Failed to store imported findings: permission denied');
+  });
+});
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  isTokenEncryptionConfigured,
+  encryptToken,
+  decryptToken,
+  encryptRepoToken,
+  resolveRepoToken,
+  withoutRepoToken,
+  rotateRepoTokens
+} from '../tokens';
+import { supabase } from '@/lib/supabase';
+
+vi.mock('@/lib/supabase', async () => {
+  const { createSupabaseStub } = await import('../providers/__tests__/helpers');
+  return { supabase: createSupabaseStub() };
+});
+
+const OLD_KEY = `old:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `new:${crypto.randomBytes(32).toString('base64')}`;
+const TOKEN = 'ghp_plaintext_token_for_tests';
+
+// Flip one character of an envelope part so its auth tag no longer matches
+function tamper(envelope, part) {
+  const parts = envelope.split('.');
+  const chars = [...parts[part]];
+  chars[20] = chars[20] === 'A' ? 'B' : 'A';
+  parts[part] = chars.join('');
+  return parts.join('.');
+}
+
+beforeEach(() => {
+  vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', OLD_KEY);
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+// ============================================================================
+// ENCRYPTION
+// ============================================================================
+
+describe('encryptToken', () => {
+  it('round-trips a token through a v1 envelope', () => {
+    const { envelope, keyId } = encryptToken(TOKEN);
+
+    expect(keyId).toBe('old');
+    expect(envelope).toMatch(/^v1\.old\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(envelope).not.toContain(TOKEN);
+    expect(decryptToken(envelope)).toBe(TOKEN);
+  });
+
+  it('uses a new data key for every token', () => {
+    const first = encryptToken(TOKEN).envelope;
+    const second = encryptToken(TOKEN).envelope;
+
+    expect(first).not.toBe(second);
+    expect(decryptToken(second)).toBe(TOKEN);
+  });
+
+  it('rejects tampered envelopes', () => {
+    const { envelope } = encryptToken(TOKEN);
+
+    expect(() => decryptToken(tamper(envelope, 2))).toThrow();
+    expect(() => decryptToken(tamper(envelope, 3))).toThrow();
+    expect(() => decryptToken('v2.old.a.b')).toThrow('Unrecognized token envelope');
+    expect(() => decryptToken(null)).toThrow('Unrecognized token envelope');
+  });
+
+  it('needs the key an envelope was encrypted with', () => {
+    const { envelope } = encryptToken(TOKEN);
+    vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', NEW_KEY);
+
+    expect(() => decryptToken(envelope)).toThrow('Token is encrypted with key "old", which is not in PRPILOT_ENCRYPTION_KEYS');
+  });
+
+  it('encrypts with the first key and decrypts with any listed key', () => {
+    const { envelope: oldEnvelope } = encryptToken(TOKEN);
+    vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', `${NEW_KEY}, ${OLD_KEY}`);
+
+    expect(encryptToken(TOKEN).keyId).toBe('new');
+    expect(decryptToken(oldEnvelope)).toBe(TOKEN);
+  });
+
+  it('validates the configured keys', () => {
+    vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', ' ');
+    expect(isTokenEncryptionConfigured()).toBe(false);
+    expect(() => encryptToken(TOKEN)).toThrow('PRPILOT_ENCRYPTION_KEYS is not configured');
+
+    vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', crypto.randomBytes(32).toString('base64'));
+    expect(() => encryptToken(TOKEN)).toThrow('PRPILOT_ENCRYPTION_KEYS entries must look like "<key id>:<base64 key>"');
+
+    vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', `short:${crypto.randomBytes(16).toString('base64')}`);
+    expect(() => encryptToken(TOKEN)).toThrow('Encryption key "short" must be 32 bytes, base64 encoded');
+  });
+});
+
+// ============================================================================
+// REPOSITORY TOKENS
+// ============================================================================
+
+describe('repository tokens', () => {
+  it('stores only the encrypted token', () => {
+    const columns = encryptRepoToken(TOKEN);
+
+    expect(columns).toEqual({ github_token: null, github_token_encrypted: expect.stringMatching(/^v1\.old\./), token_key_id: 'old' });
+    expect(resolveRepoToken(columns)).toBe(TOKEN);
+    expect(encryptRepoToken('')).toEqual({ github_token: null, github_token_encrypted: null, token_key_id: null });
+  });
+
+  it('reads plaintext tokens stored before encryption', () => {
+    expect(resolveRepoToken({ github_token: TOKEN })).toBe(TOKEN);
+    expect(resolveRepoToken({})).toBeNull();
+  });
+
+  it('leaves the token columns out of API responses', () => {
+    const repo = { id: 'repo-1', repo_full_name: 'acme/api', ...encryptRepoToken(TOKEN) };
+
+    expect(withoutRepoToken(repo)).toEqual({ id: 'repo-1', repo_full_name: 'acme/api', has_token: true });
+    expect(withoutRepoToken({ id: 'repo-2', installation_id: 7, github_token: null })).toEqual({ id: 'repo-2', installation_id: 7, has_token: true });
+    expect(withoutRepoToken({ id: 'repo-3' }).has_token).toBe(false);
+  });
+});
+
+// ============================================================================
+// ROTATION
+// ============================================================================
+
+describe('rotateRepoTokens', () => {
+  const updates = () => supabase.queries.filter(query => query.action === 'update');
+
+  beforeEach(() => {
+    supabase.queries.length = 0;
+  });
+
+  it('re-encrypts plaintext and old-key tokens with the current key', async () => {
+    const oldColumns = encryptRepoToken('token-b');
+    vi.stubEnv('PRPILOT_ENCRYPTION_KEYS', `${NEW_KEY},${OLD_KEY}`);
+    const rows = [
+      { id: 'repo-a', github_token: 'token-a', github_token_encrypted: null, token_key_id: null },
+      { id: 'repo-b', ...oldColumns }
+    ];
+    supabase.respond = query => ({ data: query.action === 'select' ? rows : null, error: null });
+
+    const result = await rotateRepoTokens({ limit: 2 });
+
+    expect(result).toEqual({ keyId: 'new', rotated: 2, failed: [], cursor: 'repo-b', remaining: true });
+
+    const [select] = supabase.queries;
+    expect(select.filters).toContainEqual(['or', expect.stringContaining('token_key_id.neq.new')]);
+    expect(select.filters).toContainEqual(['order', 'id', { ascending: true }]);
+    expect(select.filters).toContainEqual(['limit', 2]);
+
+    expect(updates().map(query => [query.filters[0][2], query.payload.github_token, query.payload.token_key_id])).toEqual([
+      ['repo-a', null, 'new'],
+      ['repo-b', null, 'new']
+    ]);
+    expect(updates().map(query => resolveRepoToken(query.payload))).toEqual(['token-a', 'token-b']);
+  });
+
+  it('continues after the cursor and reports rows that fail', async () => {
+    const rows = [
+      { id: 'repo-c', github_token_encrypted: 'v1.gone.a.b', token_key_id: 'gone' },
+      { id: 'repo-d', github_token: 'token-d' }
+    ];
+    supabase.respond = query => {
+      if (query.action === 'select') {
+        return { data: rows, error: null };
+      }
+      return { data: null, error: query.filters[0][2] === 'repo-d' ? { message: 'permission denied' } : null };
+    };
+
+    const result = await rotateRepoTokens({ after: 'repo-b' });
+
+    expect(supabase.queries[0].filters).toContainEqual(['gt', 'id', 'repo-b']);
+    expect(result).toEqual({
+      keyId: 'old',
+      rotated: 0,
+      failed: [
+        { repoId: 'repo-c', error: 'Token is encrypted with key "gone", which is not in PRPILOT_ENCRYPTION_KEYS' },
+        { repoId: 'repo-d', error: 'permission denied' }
+      ],
+      cursor: 'repo-d',
+      remaining: false
+    });
+  });
+
+  it('keeps the cursor when no rows are left', async () => {
+    supabase.respond = () => ({ data: [], error: null });
+
+    expect(await rotateRepoTokens({ after: 'repo-d' })).toEqual({ keyId: 'old', rotated: 0, failed: [], cursor: 'repo-d', remaining: false });
+  });
+
+  it('surfaces database errors', async () => {
+    supabase.respond = () => ({ data: null, error: { message: 'timeout' } });
+
+    await expect(rotateRepoTokens()).rejects.toThrow('Failed to fetch repository tokens: timeout');
+  });
+});
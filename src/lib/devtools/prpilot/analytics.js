@@ -0,0 +1,333 @@
+/**
+ * PRPilot Quality Analytics
+ * Aggregates the completed and degraded reviews of a repository over a time window:
+ * score trend, issue counts, recurring rule violations, hotspot files,
+ * per-author averages and the mean time from review to resolution.
+ *
+ * Findings carried forward by incremental re-reviews are counted once, in the
+ * review that first reported them. Degraded reviews count for findings but have
+ * no score. Model cost covers every review in the window, including failed ones,
+ * since their model calls were paid for too, and the model calls of slash commands
+ * and drafted descriptions.
+ */
+
+import { supabase } from '../../supabase';
+import { SEVERITIES, ISSUE_TYPES } from './engine';
+
+// Constants
+export const TREND_INTERVALS = ['day', 'week'];
+const MAX_ANALYTICS_REVIEWS = 2000;
+const MAX_RESOLVED_FINDINGS = 10000;
+const TOP_LIMIT = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the quality analytics of a repository
+ * @param {string} repoId - The repository ID
+ * @param {Object} options - Time window
+ * @param {Date} options.since - Start of the window
+ * @param {Date} options.until - End of the window
+ * @param {string} [options.interval] - Trend bucket size, one of TREND_INTERVALS
+ * @returns {Promise<Object>} Result of buildAnalytics
+ */
+export async function getRepoAnalytics(repoId, { since, until, interval = 'week' }) {
+  const { data: reviews, error } = await supabase
+    .from('prpilot_reviews')
+    .select('id, pr_number, pr_author, triggered_by, quality_score, issues, rule_violations, resolved, resolved_at, created_at')
+    .eq('repo_id', repoId)
+    .in('status', ['completed', 'degraded'])
+    .gte('created_at', since.toISOString())
+    .lt('created_at', until.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(MAX_ANALYTICS_REVIEWS);
+
+  if (error) {
+    throw new Error(`Failed to fetch reviews: ${error.message}`);
+  }
+
+  const { data: findings, error: findingsError } = await supabase
+    .from('prpilot_comments')
+    .select('created_at, resolved_at')
+    .eq('repo_id', repoId)
+    .gte('created_at', since.toISOString())
+    .lt('created_at', until.toISOString())
+    .not('resolved_at', 'is', null)
+    .limit(MAX_RESOLVED_FINDINGS);
+
+  if (findingsError) {
+    throw new Error(`Failed to fetch resolved findings: ${findingsError.message}`);
+  }
+
+  // Only the per-model totals of the usage column; its call list is not needed here
+  const { data: spend, error: spendError } = await supabase
+    .from('prpilot_reviews')
+    .select('status, created_at, prompt_tokens, completion_tokens, cost_usd, model_latency_ms, byModel:usage->byModel')
+    .eq('repo_id', repoId)
+    .gte('created_at', since.toISOString())
+    .lt('created_at', until.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(MAX_ANALYTICS_REVIEWS);
+
+  if (spendError) {
+    throw new Error(`Failed to fetch review usage: ${spendError.message}`);
+  }
+
+  const { data: operations, error: operationsError } = await supabase
+    .from('prpilot_model_usage')
+    .select('kind, created_at, prompt_tokens, completion_tokens, cost_usd, model_latency_ms, byModel:usage->byModel')
+    .eq('repo_id', repoId)
+    .gte('created_at', since.toISOString())
+    .lt('created_at', until.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(MAX_ANALYTICS_REVIEWS);
+
+  if (operationsError) {
+    throw new Error(`Failed to fetch command usage: ${operationsError.message}`);
+  }
+
+  return {
+    window: { since: since.toISOString(), until: until.toISOString(), interval },
+    ...buildAnalytics(reviews || [], findings || [], { interval }),
+    cost: buildCostAnalytics(spend || [], { interval, operations: operations || [] }),
+    truncated: [reviews, spend, operations].some(rows => (rows || []).length === MAX_ANALYTICS_REVIEWS)
+  };
+}
+
+/**
+ * Aggregate review records
+ * @param {Array<Object>} reviews - Completed and degraded reviews, oldest first
+ * @param {Array<{created_at: string, resolved_at: string}>} resolvedFindings - Findings with a resolution time
+ * @param {Object} [options] - Aggregation options
+ * @param {string} [options.interval] - Trend bucket size, one of TREND_INTERVALS
+ * @returns {{summary: Object, scoreTrend: Array, issues: Object, topRuleViolations: Array,
+ *   hotspots: Array, authors: Array, timeToResolution: Object}}
+ */
+export function buildAnalytics(reviews, resolvedFindings = [], { interval = 'week' } = {}) {
+  const buckets = new Map();
+  const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const byType = Object.fromEntries(ISSUE_TYPES.map(type => [type, 0]));
+  const rules = new Map();
+  const files = new Map();
+  const authors = new Map();
+  let totalIssues = 0;
+
+  for (const review of reviews) {
+    const issues = (review.issues || []).filter(issue => !issue.carriedForward);
+    const violations = (review.rule_violations || []).filter(violation => !violation.carriedForward);
+    const hasScore = typeof review.quality_score === 'number';
+
+    const period = startOfPeriod(new Date(review.created_at), interval);
+    const bucket = buckets.get(period) || { period, reviews: 0, scores: [], issues: 0 };
+    bucket.reviews++;
+    bucket.issues += issues.length;
+    if (hasScore) {
+      bucket.scores.push(review.quality_score);
+    }
+    buckets.set(period, bucket);
+
+    for (const issue of issues) {
+      totalIssues++;
+      if (issue.severity in bySeverity) bySeverity[issue.severity]++;
+      if (issue.type in byType) byType[issue.type]++;
+    }
+
+    for (const violation of violations) {
+      const key = String(violation.ruleId || violation.ruleName || 'unknown');
+      const rule = rules.get(key) || { ruleId: violation.ruleId || null, ruleName: violation.ruleName || null, count: 0, reviews: new Set() };
+      rule.count++;
+      rule.reviews.add(review.id);
+      rules.set(key, rule);
+    }
+
+    for (const finding of [...issues, ...violations]) {
+      if (!finding.file) {
+        continue;
+      }
+      const file = files.get(finding.file) || { file: finding.file, findings: 0, ...Object.fromEntries(SEVERITIES.map(severity => [severity, 0])) };
+      file.findings++;
+      if (finding.severity in file) file[finding.severity]++;
+      files.set(finding.file, file);
+    }
+
+    // Push reviews have no pull request author
+    const authorName = review.pr_author || null;
+    if (authorName && review.triggered_by !== 'push') {
+      const author = authors.get(authorName) || { author: authorName, reviews: 0, scores: [], issues: 0 };
+      author.reviews++;
+      author.issues += issues.length;
+      if (hasScore) {
+        author.scores.push(review.quality_score);
+      }
+      authors.set(authorName, author);
+    }
+  }
+
+  const scores = reviews.map(review => review.quality_score).filter(score => typeof score === 'number');
+  const resolvedReviews = reviews.filter(review => review.resolved && review.resolved_at);
+
+  return {
+    summary: {
+      reviews: reviews.length,
+      pullRequests: new Set(reviews.map(review => review.pr_number).filter(Boolean)).size,
+      averageScore: average(scores),
+      totalIssues
+    },
+    scoreTrend: [...buckets.values()].map(bucket => ({
+      period: bucket.period,
+      reviews: bucket.reviews,
+      averageScore: average(bucket.scores),
+      minScore: bucket.scores.length > 0 ? Math.min(...bucket.scores) : null,
+      issues: bucket.issues
+    })),
+    issues: { total: totalIssues, bySeverity, byType },
+    topRuleViolations: [...rules.values()]
+      .map(({ reviews: ruleReviews, ...rule }) => ({ ...rule, reviews: ruleReviews.size }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_LIMIT),
+    hotspots: [...files.values()]
+      .sort((a, b) => b.findings - a.findings || severityWeight(b) - severityWeight(a))
+      .slice(0, TOP_LIMIT),
+    authors: [...authors.values()]
+      .map(author => ({
+        author: author.author,
+        reviews: author.reviews,
+        averageScore: average(author.scores),
+        averageIssues: round(author.issues / author.reviews)
+      }))
+      .sort((a, b) => b.reviews - a.reviews),
+    timeToResolution: {
+      reviews: {
+        resolved: resolvedReviews.length,
+        meanHours: average(resolvedReviews.map(review => hoursBetween(review.created_at, review.resolved_at)))
+      },
+      findings: {
+        resolved: resolvedFindings.length,
+        meanHours: average(resolvedFindings.map(finding => hoursBetween(finding.created_at, finding.resolved_at)))
+      }
+    }
+  };
+}
+
+/**
+ * Aggregate the model usage of review records and of work outside reviews
+ * @param {Array<Object>} reviews - Reviews of any status with their usage columns, oldest first
+ * @param {Object} [options] - Aggregation options
+ * @param {string} [options.interval] - Trend bucket size, one of TREND_INTERVALS
+ * @param {Array<Object>} [options.operations] - prpilot_model_usage rows of slash commands and descriptions
+ * @returns {{reviews: number, skipped: number, promptTokens: number, completionTokens: number,
+ *   totalTokens: number, costUsd: number, averageCostUsd: number|null, averageLatencyMs: number|null,
+ *   byModel: Object, operations: {count: number, costUsd: number, byKind: Object}, trend: Array}}
+ *   averageCostUsd is per billed review; the totals, byModel and trend include operations
+ */
+export function buildCostAnalytics(reviews, { interval = 'week', operations = [] } = {}) {
+  const buckets = new Map();
+  const byModel = {};
+  const byKind = {};
+  const totals = { promptTokens: 0, completionTokens: 0, costUsd: 0, latencies: [] };
+  let billed = 0;
+  let reviewCostUsd = 0;
+
+  const add = (row, counter) => {
+    const promptTokens = row.prompt_tokens || 0;
+    const completionTokens = row.completion_tokens || 0;
+    const costUsd = Number(row.cost_usd) || 0;
+
+    // Skipped reviews and reviews from before usage was recorded made no counted calls
+    if (promptTokens + completionTokens === 0) {
+      return null;
+    }
+
+    totals.promptTokens += promptTokens;
+    totals.completionTokens += completionTokens;
+    totals.costUsd += costUsd;
+    if (typeof row.model_latency_ms === 'number') {
+      totals.latencies.push(row.model_latency_ms);
+    }
+
+    for (const [model, usage] of Object.entries(row.byModel || {})) {
+      const entry = byModel[model] || { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+      entry.calls += usage.calls || 0;
+      entry.promptTokens += usage.promptTokens || 0;
+      entry.completionTokens += usage.completionTokens || 0;
+      entry.costUsd = roundCost(entry.costUsd + (usage.costUsd || 0));
+      byModel[model] = entry;
+    }
+
+    const period = startOfPeriod(new Date(row.created_at), interval);
+    const bucket = buckets.get(period) || { period, reviews: 0, operations: 0, totalTokens: 0, costUsd: 0 };
+    bucket[counter]++;
+    bucket.totalTokens += promptTokens + completionTokens;
+    bucket.costUsd = roundCost(bucket.costUsd + costUsd);
+    buckets.set(period, bucket);
+    return costUsd;
+  };
+
+  for (const review of reviews) {
+    const costUsd = add(review, 'reviews');
+    if (costUsd !== null) {
+      billed++;
+      reviewCostUsd += costUsd;
+    }
+  }
+
+  for (const operation of operations) {
+    const costUsd = add(operation, 'operations');
+    if (costUsd !== null) {
+      const entry = byKind[operation.kind] || { count: 0, costUsd: 0 };
+      entry.count++;
+      entry.costUsd = roundCost(entry.costUsd + costUsd);
+      byKind[operation.kind] = entry;
+    }
+  }
+
+  const kinds = Object.values(byKind);
+
+  return {
+    reviews: billed,
+    skipped: reviews.filter(review => review.status === 'skipped').length,
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    totalTokens: totals.promptTokens + totals.completionTokens,
+    costUsd: roundCost(totals.costUsd),
+    averageCostUsd: billed > 0 ? roundCost(reviewCostUsd / billed) : null,
+    averageLatencyMs: totals.latencies.length > 0
+      ? Math.round(totals.latencies.reduce((sum, value) => sum + value, 0) / totals.latencies.length)
+      : null,
+    byModel,
+    operations: {
+      count: kinds.reduce((sum, entry) => sum + entry.count, 0),
+      costUsd: roundCost(kinds.reduce((sum, entry) => sum + entry.costUsd, 0)),
+      byKind
+    },
+    trend: [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period))
+  };
+}
+
+// ISO date of the start of the day or week (Monday, UTC) a date falls in
+function startOfPeriod(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start.toISOString().slice(0, 10);
+}
+
+function severityWeight(file) {
+  return SEVERITIES.reduce((weight, severity, index) => weight + file[severity] * (SEVERITIES.length - index) ** 2, 0);
+}
+
+function hoursBetween(from, to) {
+  return Math.max(0, (new Date(to) - new Date(from)) / HOUR_MS);
+}
+
+function average(values) {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,285 @@
+/**
+ * PRPilot Diff Batching
+ * Splits large diffs into per-file/per-hunk batches that fit the model budget,
+ * reviews them in parallel passes, and merges the results
+ */
+
+import { parseDiff } from './diff';
+
+// Constants
+export const DEFAULT_BATCH_CHARS = 15000;
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_REVIEW_PASSES = 12;
+
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Split a diff into batches of whole files, splitting oversized files at hunk
+ * boundaries and oversized hunks into windows of lines with their own headers
+ * @param {string} diff - The diff text
+ * @param {Object} options - Options
+ * @param {number} [options.maxChars] - Maximum characters per batch
+ * @param {number} [options.maxPasses] - Maximum number of batches; later files are skipped
+ * @returns {{batches: Array<{diff: string, files: Array<string>}>, skippedFiles: Array<{file: string, reason: string}>}}
+ */
+export function splitDiffIntoBatches(diff, options = {}) {
+  const maxChars = options.maxChars || DEFAULT_BATCH_CHARS;
+  const maxPasses = options.maxPasses || MAX_REVIEW_PASSES;
+  const skippedFiles = [];
+  const pieces = [];
+
+  for (const file of parseDiff(diff)) {
+    if (file.binary) {
+      skippedFiles.push({ file: file.path, reason: 'binary' });
+      continue;
+    }
+
+    if (file.raw.length <= maxChars) {
+      pieces.push({ file: file.path, text: file.raw });
+      continue;
+    }
+
+    // Keep the file header on every piece so each batch is a valid diff
+    const lines = file.raw.split('\n');
+    const firstHunk = lines.findIndex(line => line.startsWith('@@ '));
+    const header = lines.slice(0, firstHunk).join('\n');
+    const hunks = [];
+    let current = null;
+
+    for (const line of lines.slice(firstHunk)) {
+      if (line.startsWith('@@ ')) {
+        current = [line];
+        hunks.push(current);
+      } else {
+        current.push(line);
+      }
+    }
+
+    let filePieces = [];
+    let pieceHunks = [];
+    const flush = () => {
+      if (pieceHunks.length > 0) {
+        filePieces.push({ file: file.path, text: [header, ...pieceHunks].join('\n') });
+        pieceHunks = [];
+      }
+    };
+
+    for (const hunkLines of hunks) {
+      const hunk = hunkLines.join('\n');
+      const windows = header.length + hunk.length + 1 > maxChars
+        ? splitHunk(hunkLines, maxChars - header.length - 1)
+        : [hunk];
+
+      // Only a single line over budget cannot be reviewed
+      if (!windows) {
+        skippedFiles.push({ file: file.path, reason: 'line_too_large' });
+        filePieces = null;
+        break;
+      }
+
+      for (const window of windows) {
+        if ([header, ...pieceHunks, window].join('\n').length > maxChars) {
+          flush();
+        }
+        pieceHunks.push(window);
+      }
+    }
+
+    if (filePieces) {
+      flush();
+      pieces.push(...filePieces);
+    }
+  }
+
+  // Pack pieces into batches in diff order
+  const batches = [];
+  let batch = null;
+
+  for (const piece of pieces) {
+    if (!batch || batch.diff.length + piece.text.length + 1 > maxChars) {
+      if (batches.length >= maxPasses) {
+        if (!skippedFiles.some(skipped => skipped.file === piece.file)) {
+          skippedFiles.push({ file: piece.file, reason: 'pass_limit' });
+        }
+        continue;
+      }
+      batch = { diff: '', files: [] };
+      batches.push(batch);
+    }
+
+    batch.diff = batch.diff ? `${batch.diff}\n${piece.text}` : piece.text;
+    if (!batch.files.includes(piece.file)) {
+      batch.files.push(piece.file);
+    }
+  }
+
+  return { batches, skippedFiles };
+}
+
+// Split a hunk into consecutive windows of lines, each with a header
+// recomputed from its own lines so line numbers stay right; null when a
+// single line does not fit
+function splitHunk(hunkLines, maxChars) {
+  const match = hunkLines[0].match(HUNK_HEADER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const section = match[5] ? ` ${match[5]}` : '';
+  const oldLines = match[2] === undefined ? 1 : parseInt(match[2], 10);
+  const newLines = match[4] === undefined ? 1 : parseInt(match[4], 10);
+  // Numbers of the next old and new line; an empty side starts after its start line
+  let nextOld = parseInt(match[1], 10) + (oldLines === 0 ? 1 : 0);
+  let nextNew = parseInt(match[3], 10) + (newLines === 0 ? 1 : 0);
+
+  const windows = [];
+  let window = null;
+
+  const formatHeader = ({ oldStart, newStart, oldCount, newCount }) =>
+    `@@ -${oldCount > 0 ? oldStart : oldStart - 1},${oldCount} +${newCount > 0 ? newStart : newStart - 1},${newCount} @@${section}`;
+  const flush = () => {
+    if (window) {
+      windows.push([formatHeader(window), ...window.lines].join('\n'));
+    }
+  };
+
+  for (const line of hunkLines.slice(1)) {
+    const old = !line.startsWith('+') && !line.startsWith('\\') ? 1 : 0;
+    const added = !line.startsWith('-') && !line.startsWith('\\') ? 1 : 0;
+    const grown = window && {
+      ...window,
+      oldCount: window.oldCount + old,
+      newCount: window.newCount + added
+    };
+
+    // "\ No newline at end of file" stays with the line it belongs to
+    const fits = grown && (line.startsWith('\\') ||
+      formatHeader(grown).length + window.length + line.length + 1 <= maxChars);
+
+    if (fits) {
+      window = { ...grown, lines: window.lines, length: window.length + line.length + 1 };
+      window.lines.push(line);
+    } else {
+      flush();
+      window = { oldStart: nextOld, newStart: nextNew, oldCount: old, newCount: added, lines: [line], length: line.length + 1 };
+      if (formatHeader(window).length + window.length > maxChars) {
+        return null;
+      }
+    }
+
+    nextOld += old;
+    nextNew += added;
+  }
+
+  flush();
+  return windows;
+}
+
+/**
+ * Run an async worker over items with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>} Settled results in item order
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, runNext)
+  );
+
+  return results;
+}
+
+/**
+ * Review a diff in batched passes
+ * @param {string} diff - The diff text
+ * @param {Function} reviewBatch - Async function called with ({diff, files}, index)
+ * @param {Object} options - Options for splitDiffIntoBatches plus concurrency
+ * @returns {Promise<{results: Array, batches: Array, passes: number, failedPasses: number, skippedFiles: Array}>}
+ */
+export async function reviewInPasses(diff, reviewBatch, options = {}) {
+  const { batches, skippedFiles } = splitDiffIntoBatches(diff, options);
+  const settled = await runWithConcurrency(batches, options.concurrency || DEFAULT_CONCURRENCY, reviewBatch);
+
+  const failures = settled.filter(result => result.status === 'rejected');
+  if (batches.length > 0 && failures.length === batches.length) {
+    throw failures[0].reason;
+  }
+
+  failures.forEach(failure => console.error('Review pass failed:', failure.reason?.message));
+
+  // Files of failed passes were not reviewed
+  settled.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      for (const file of batches[index].files) {
+        skippedFiles.push({ file, reason: 'pass_failed' });
+      }
+    }
+  });
+
+  return {
+    results: settled.map(result => (result.status === 'fulfilled' ? result.value : null)),
+    batches,
+    passes: batches.length,
+    failedPasses: failures.length,
+    skippedFiles
+  };
+}
+
+/**
+ * Merge issues from several passes, keeping the most severe of duplicates
+ * @param {Array<Array<Object>>} issueLists - Issues per pass
+ * @returns {Array<Object>} De-duplicated issues
+ */
+export function mergeIssues(issueLists) {
+  const merged = new Map();
+
+  for (const issue of issueLists.flat().filter(Boolean)) {
+    const key = [
+      (issue.file || '').replace(/^\.?\//, ''),
+      issue.line || '',
+      (issue.title || issue.description || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+    ].join('|');
+
+    const existing = merged.get(key);
+    if (!existing || (SEVERITY_RANK[issue.severity] || 0) > (SEVERITY_RANK[existing.severity] || 0)) {
+      merged.set(key, issue);
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Merge lists of records, de-duplicated by a key function
+ * @param {Array<Array<Object>>} lists - Records per pass
+ * @param {Function} keyOf - Returns the de-duplication key of a record
+ * @returns {Array<Object>} De-duplicated records
+ */
+export function mergeBy(lists, keyOf) {
+  const merged = new Map();
+
+  for (const item of lists.flat().filter(Boolean)) {
+    const key = keyOf(item);
+    if (!merged.has(key)) {
+      merged.set(key, item);
+    }
+  }
+
+  return [...merged.values()];
+}
@@ -0,0 +1,182 @@
+/**
+ * PRPilot Review Checks
+ * Decides whether a review passes the repository's thresholds and formats the
+ * "PRPilot" check or commit status each provider reports on the head commit,
+ * so branch protection can require it
+ */
+
+import { parseDiff } from './diff';
+import { findDiffFile, formatConfigErrors, formatQualityScore } from './comments';
+import { SEVERITIES } from './engine';
+
+// Constants
+export const CHECK_NAME = 'PRPilot';
+export const DEFAULT_CHECK_THRESHOLDS = {
+  minScore: 70,
+  failOnSeverity: 'critical'
+};
+const MAX_ANNOTATIONS = 500;
+const APPROVE_MIN_SCORE = 80;
+const ANNOTATION_LEVELS = { critical: 'failure', high: 'failure', medium: 'warning', low: 'notice' };
+
+/**
+ * Get the pass/fail thresholds of a repository; the .prpilot.yml thresholds win over its settings
+ * @param {Object} repo - Repository record
+ * @param {Object} [config] - Repository config stored on the review
+ * @returns {{minScore: number, failOnSeverity: string}}
+ */
+export function getCheckThresholds(repo, config = null) {
+  const minScore = config?.thresholds?.minScore ?? repo?.check_min_score;
+  const failOnSeverity = config?.thresholds?.failOnSeverity ?? repo?.check_fail_severity;
+
+  return {
+    minScore: minScore ?? DEFAULT_CHECK_THRESHOLDS.minScore,
+    failOnSeverity: SEVERITIES.includes(failOnSeverity)
+      ? failOnSeverity
+      : DEFAULT_CHECK_THRESHOLDS.failOnSeverity
+  };
+}
+
+/**
+ * Whether a review may approve the pull request.
+ * Without an auto_approve setting in .prpilot.yml, only repositories without the
+ * PRPilot check approve, since the check gates merges otherwise.
+ * @param {Object} review - Stored review record
+ * @param {Object} repo - Repository record
+ * @returns {boolean}
+ */
+export function shouldApprove(review, repo) {
+  const autoApprove = review.config?.autoApprove ?? repo.checks_enabled === false;
+  const blocking = (review.issues || []).filter(issue => ['critical', 'high'].includes(issue.severity));
+
+  return autoApprove && blocking.length === 0 && review.quality_score >= APPROVE_MIN_SCORE;
+}
+
+/**
+ * Decide the check conclusion of a review; degraded reviews fail
+ * @param {Object} review - Stored review record
+ * @param {Object} thresholds - Result of getCheckThresholds
+ * @returns {{conclusion: string, reasons: Array<string>}}
+ */
+export function determineCheckConclusion(review, thresholds) {
+  const reasons = [];
+
+  // Findings that failed validation were dropped, so a degraded review is no real result
+  if (review.status === 'degraded') {
+    reasons.push('Model output could not be validated, so findings may be missing');
+  }
+
+  if (typeof review.quality_score === 'number' && review.quality_score < thresholds.minScore) {
+    reasons.push(`Quality score ${review.quality_score} is below ${thresholds.minScore}`);
+  }
+
+  // Severities are ordered most severe first
+  const blocking = SEVERITIES.slice(0, SEVERITIES.indexOf(thresholds.failOnSeverity) + 1);
+  const findings = [...(review.issues || []), ...(review.rule_violations || [])];
+  const blockingCount = findings.filter(finding => blocking.includes(finding.severity)).length;
+
+  if (blockingCount > 0) {
+    reasons.push(`${blockingCount} finding(s) of severity ${blocking.join(' or ')}`);
+  }
+
+  return { conclusion: reasons.length > 0 ? 'failure' : 'success', reasons };
+}
+
+/**
+ * Build check run annotations for the findings of a review that point at a diff file
+ * @param {Object} review - Stored review record
+ * @param {string} diff - The reviewed diff
+ * @returns {Array<Object>} GitHub check run annotations
+ */
+export function buildAnnotations(review, diff) {
+  const files = parseDiff(diff);
+  const annotations = [];
+
+  const findings = [
+    ...(review.issues || []).map(issue => ({
+      file: issue.file,
+      line: issue.line,
+      severity: issue.severity,
+      title: `${issue.title} (${issue.type})`,
+      message: [issue.description, issue.suggestion && `Suggestion: ${issue.suggestion}`].filter(Boolean).join('\n\n')
+    })),
+    ...(review.rule_violations || []).map(violation => ({
+      file: violation.file,
+      line: violation.line,
+      severity: violation.severity,
+      title: `Rule: ${violation.ruleName}`,
+      message: [violation.description, violation.suggestion && `Suggestion: ${violation.suggestion}`].filter(Boolean).join('\n\n')
+    }))
+  ];
+
+  for (const finding of findings) {
+    const file = findDiffFile(finding.file, files);
+    const line = parseInt(finding.line, 10);
+    if (!file || !line) {
+      continue;
+    }
+
+    annotations.push({
+      path: file.path,
+      start_line: line,
+      end_line: line,
+      annotation_level: ANNOTATION_LEVELS[finding.severity] || 'notice',
+      title: (finding.title || '').slice(0, 255),
+      message: finding.message || finding.title || ''
+    });
+  }
+
+  return annotations.slice(0, MAX_ANNOTATIONS);
+}
+
+/**
+ * Title of the check for a finished review
+ * @param {Object} review - Stored review record
+ * @param {string} conclusion - 'success' or 'failure'
+ * @param {Array<string>} reasons - Failure reasons from determineCheckConclusion
+ * @returns {string} One-line title
+ */
+export function formatCheckTitle(review, conclusion, reasons) {
+  return conclusion === 'success'
+    ? `Quality score ${formatQualityScore(review)}`
+    : reasons[0];
+}
+
+/**
+ * Markdown summary of a finished review for the check output
+ * @param {Object} review - Stored review record
+ * @param {string} conclusion - 'success' or 'failure'
+ * @param {Array<string>} reasons - Failure reasons from determineCheckConclusion
+ * @returns {string} Markdown summary
+ */
+export function formatCheckSummary(review, conclusion, reasons) {
+  const counts = review.metrics?.bySeverity || {};
+  let summary = `**Quality Score:** ${formatQualityScore(review)}\n\n`;
+
+  if (conclusion === 'failure') {
+    summary += `### Failed because\n${reasons.map(reason => `- ${reason}`).join('\n')}\n\n`;
+  }
+
+  summary += `**Findings:** ${counts.critical || 0} critical, ${counts.high || 0} high, ${counts.medium || 0} medium, ${counts.low || 0} low`;
+  summary += `, ${(review.rule_violations || []).length} rule violation(s)\n\n`;
+
+  if (review.summary) {
+    summary += `### Summary\n${review.summary}\n`;
+  }
+
+  if (review.config_errors?.length > 0) {
+    summary += `\n${formatConfigErrors(review.config_errors)}\n`;
+  }
+
+  return summary.slice(0, 65535);
+}
+
+/**
+ * Link to the stored review, when the app URL is configured
+ * @param {Object} review - Stored review record
+ * @returns {string|undefined} URL
+ */
+export function getReviewDetailsUrl(review) {
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL;
+  return appUrl && review?.id ? `${appUrl}/api/prpilot/review/${review.id}` : undefined;
+}
@@ -0,0 +1,178 @@
+/**
+ * PRPilot File Classification
+ * Sorts the files of a diff into generated, vendored, binary, lockfile and test
+ * files using known path patterns, file content and the linguist-generated /
+ * linguist-vendored attributes of the repository's .gitattributes. Classified
+ * files are left out of the model review by default so they do not use up the
+ * diff budget; a .prpilot.yml can opt file types back in with review_file_types.
+ */
+
+import picomatch from 'picomatch';
+import { parseDiff } from './diff';
+
+// Constants
+export const FILE_TYPES = ['generated', 'vendored', 'binary', 'lockfile', 'test'];
+export const GITATTRIBUTES_FILE = '.gitattributes';
+
+const LOCKFILES = [
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+  'Gemfile.lock', 'Cargo.lock', 'composer.lock', 'poetry.lock', 'Pipfile.lock', 'uv.lock',
+  'go.sum', 'mix.lock', 'pubspec.lock', 'Podfile.lock', 'packages.lock.json', 'flake.lock'
+];
+
+const VENDORED_PATTERNS = [
+  '**/node_modules/**', '**/vendor/**', '**/third_party/**', '**/third-party/**',
+  '**/bower_components/**', '**/jspm_packages/**', '**/Pods/**', '**/.yarn/**'
+];
+
+const GENERATED_PATTERNS = [
+  '**/*.min.js', '**/*.min.css', '**/*.map', '**/*.snap', '**/__snapshots__/**',
+  '**/dist/**', '**/.next/**', '**/generated/**', '**/__generated__/**', '**/*.generated.*',
+  '**/*.pb.go', '**/*_pb2.py', '**/*_pb2_grpc.py', '**/*.g.dart', '**/*.freezed.dart', '**/*.designer.cs'
+];
+
+const TEST_PATTERNS = [
+  '**/__tests__/**', '**/test/**', '**/tests/**', '**/spec/**',
+  '**/*.test.*', '**/*.spec.*', '**/*_test.go', '**/test_*.py', '**/*_test.py', '**/*Test.java'
+];
+
+// Markers code generators put in the first lines of a file
+const GENERATED_MARKER_PATTERN = /@generated|DO NOT EDIT|auto-?generated|Code generated by/i;
+const GENERATED_MARKER_LINES = 5;
+const MINIFIED_LINE_LENGTH = 1000;
+const MINIFIABLE_PATTERN = /\.(m?js|cjs|css)$/;
+
+const matchesVendored = picomatch(VENDORED_PATTERNS, { dot: true });
+const matchesGenerated = picomatch(GENERATED_PATTERNS, { dot: true });
+const matchesTest = picomatch(TEST_PATTERNS, { dot: true });
+
+/**
+ * Parse the linguist attributes of a .gitattributes file
+ * @param {string} text - File content
+ * @returns {Array<{match: Function, attribute: string, value: boolean}>} Rules in file order
+ */
+export function parseGitattributes(text) {
+  const rules = [];
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const [pattern, ...attributes] = line.split(/\s+/);
+    const match = compileAttributePattern(pattern);
+
+    for (const entry of attributes) {
+      const parsed = entry.match(/^(-|!)?linguist-(generated|vendored)(?:=(true|false))?$/);
+      if (parsed) {
+        rules.push({ match, attribute: parsed[2], value: !parsed[1] && parsed[3] !== 'false' });
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Read the linguist attributes of a repository at a commit
+ * @param {Object} repo - Repository record
+ * @param {Object} provider - Provider adapter
+ * @param {string} ref - Commit to read .gitattributes from, usually the PR head
+ * @returns {Promise<Array>} Result of parseGitattributes; empty if the file is missing or unreadable
+ */
+export async function loadGitattributes(repo, provider, ref) {
+  if (!ref) {
+    return [];
+  }
+
+  try {
+    return parseGitattributes(await provider.fetchFile(repo, GITATTRIBUTES_FILE, ref));
+  } catch (error) {
+    console.error(`Failed to read ${GITATTRIBUTES_FILE}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Classify a diff file
+ * @param {Object} file - A file from parseDiff
+ * @param {Array} [attributes] - Result of parseGitattributes
+ * @returns {string|null} One of FILE_TYPES, or null for regular source files
+ */
+export function classifyFile(file, attributes = []) {
+  const path = file.path;
+  const attribute = name => resolveAttribute(attributes, name, path);
+
+  if (file.binary) {
+    return 'binary';
+  }
+
+  if (LOCKFILES.includes(path.split('/').pop())) {
+    return 'lockfile';
+  }
+
+  const vendored = attribute('vendored');
+  if (vendored ?? matchesVendored(path)) {
+    return 'vendored';
+  }
+
+  const generated = attribute('generated');
+  if (generated ?? (matchesGenerated(path) || hasGeneratedContent(file))) {
+    return 'generated';
+  }
+
+  return matchesTest(path) ? 'test' : null;
+}
+
+/**
+ * Leave classified files out of a diff
+ * @param {string} diff - The diff text
+ * @param {Object} [options] - Classification options
+ * @param {Array} [options.attributes] - Result of parseGitattributes
+ * @param {Array<string>} [options.reviewFileTypes] - File types to keep anyway
+ * @returns {{diff: string, skippedFiles: Array<{file: string, reason: string}>}}
+ */
+export function excludeClassifiedFiles(diff, { attributes = [], reviewFileTypes = [] } = {}) {
+  const kept = [];
+  const skippedFiles = [];
+
+  for (const file of parseDiff(diff)) {
+    const type = classifyFile(file, attributes);
+    if (type && !reviewFileTypes.includes(type)) {
+      skippedFiles.push({ file: file.path, reason: type });
+    } else {
+      kept.push(file.raw);
+    }
+  }
+
+  return { diff: kept.join('\n'), skippedFiles };
+}
+
+// Patterns without a slash match the file name at any depth, like in .gitignore
+function compileAttributePattern(pattern) {
+  const glob = pattern.replace(/^\//, '').replace(/\/$/, '/**');
+  return picomatch(glob, { dot: true, basename: !pattern.includes('/') });
+}
+
+// The last matching line wins; undefined when no line sets the attribute
+function resolveAttribute(attributes, name, path) {
+  let value;
+  for (const rule of attributes) {
+    if (rule.attribute === name && rule.match(path)) {
+      value = rule.value;
+    }
+  }
+  return value;
+}
+
+function hasGeneratedContent(file) {
+  const lines = file.hunks.flatMap(hunk => hunk.lines).filter(line => line.newLine);
+  const header = lines.filter(line => line.newLine <= GENERATED_MARKER_LINES);
+
+  if (header.some(line => GENERATED_MARKER_PATTERN.test(line.content))) {
+    return true;
+  }
+
+  return MINIFIABLE_PATTERN.test(file.path) && lines.some(line => line.content.length > MINIFIED_LINE_LENGTH);
+}
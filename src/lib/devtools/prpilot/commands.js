@@ -0,0 +1,338 @@
+/**
+ * PRPilot Slash Commands
+ * Commands collaborators write on their own line in a pull request comment,
+ * e.g. "/prpilot explain 2". Every command is answered in the comment's thread.
+ */
+
+import { supabase } from '../../supabase';
+import { ensureGroqClient, createCompletion, parseAIResponse, getActiveRules, CODE_REVIEW_MODEL } from './engine';
+import { parseDiff } from './diff';
+import { findDiffFile } from './comments';
+import { redactSecrets } from './secrets';
+import { findPreviousReview } from './incremental';
+import { addSuppression, isRuleSuppressed } from './suppressions';
+import { validateReplacement, formatSuggestionBlock } from './suggestions';
+import { describePullRequest } from './describe';
+import { checkRepoBudget, saveRepoUsage, BUDGET_REVIEW_MODEL } from './usage';
+
+// Constants
+export const COMMANDS = {
+  review: 'Re-run the review of this pull request',
+  explain: 'Explain a finding in more detail: `explain <number or title>`, or reply in the finding\'s thread',
+  ignore: 'Suppress a rule for this pull request: `ignore <rule>`',
+  fix: 'Propose a change that fixes a finding: `fix <number or title>`, or reply in the finding\'s thread',
+  describe: 'Write a description of this pull request into its body: `describe changelog` adds a changelog entry',
+  help: 'List the available commands'
+};
+// Marks PRPilot's own replies so they are never read as commands
+export const REPLY_MARKER = '<!-- prpilot:reply -->';
+const COMMAND_PATTERN = /^\/prpilot(?:[ \t]+(\S+))?(?:[ \t]+(.*))?$/im;
+const SNIPPET_CONTEXT_LINES = 8;
+const BUDGET_EXHAUSTED_REPLY = 'This repository has used its monthly review budget, so commands that call the model are paused until the budget resets or is raised.';
+
+const EXPLAIN_SYSTEM_PROMPT = `You are PRPilot, an AI code reviewer. A developer asked you to explain one finding of your review.
+Explain in Markdown, in at most 250 words:
+- what the problem is and why it matters in this code
+- when it would actually cause trouble
+- how to fix it, with a short code example if it helps
+Do not repeat the finding title as a heading.`;
+
+const FIX_SYSTEM_PROMPT = `You are PRPilot, an AI code reviewer. Propose the smallest change that fixes one finding.
+You get the finding and the numbered lines around it. Replace exactly the lines from startLine to endLine; the finding's line must be in that range.
+Keep the surrounding indentation. Return ONLY valid JSON:
+{
+  "startLine": <first replaced line number>,
+  "endLine": <last replaced line number>,
+  "replacement": "the new code for those lines",
+  "explanation": "one or two sentences on what the change does"
+}`;
+
+/**
+ * Find the PRPilot command in a comment
+ * @param {string} body - Comment text
+ * @returns {{name: string, args: string}|null} The command, or null if there is none
+ */
+export function parseCommand(body) {
+  if (!body || body.includes(REPLY_MARKER)) {
+    return null;
+  }
+
+  const match = body.match(COMMAND_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: (match[1] || 'help').toLowerCase(),
+    args: (match[2] || '').trim()
+  };
+}
+
+/**
+ * Run a command and build its reply
+ * @param {Object} options - Command context
+ * @param {Object} options.repo - Repository record
+ * @param {Object} options.provider - Provider adapter
+ * @param {Object} options.comment - Normalized comment the command was written in
+ * @param {Object} options.command - Result of parseCommand
+ * @returns {Promise<{reply: string, rerun: boolean}>} Markdown reply, and whether the review should run again
+ */
+export async function runCommand({ repo, provider, comment, command }) {
+  switch (command.name) {
+    case 'review':
+      return { reply: formatReply('Re-running the review of this pull request.'), rerun: true };
+
+    case 'explain':
+      return { reply: formatReply(await explainFinding(repo, provider, comment, command.args)), rerun: false };
+
+    case 'ignore':
+      return { reply: formatReply(await ignoreRule(repo, comment, command.args)), rerun: false };
+
+    case 'fix':
+      return { reply: formatReply(await proposeFix(repo, provider, comment, command.args)), rerun: false };
+
+    case 'describe':
+      return { reply: formatReply(await describeChanges(repo, provider, comment, command.args)), rerun: false };
+
+    case 'help':
+      return { reply: formatReply(formatHelp()), rerun: false };
+
+    default:
+      return { reply: formatReply(`Unknown command \`${command.name}\`.\n\n${formatHelp()}`), rerun: false };
+  }
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function explainFinding(repo, provider, comment, ref) {
+  const finding = await resolveFinding(repo, comment, ref);
+  if (!finding) {
+    return formatFindingNotFound(ref);
+  }
+
+  const snippet = await getFindingSnippet(repo, provider, comment.prNumber, finding.issue);
+  const completion = await requestCompletion(repo, comment, 'explain', {
+    messages: [
+      { role: 'system', content: EXPLAIN_SYSTEM_PROMPT },
+      { role: 'user', content: formatFindingPrompt(finding.issue, snippet) }
+    ],
+    temperature: 0.3,
+    max_tokens: 1024
+  });
+  if (!completion) {
+    return BUDGET_EXHAUSTED_REPLY;
+  }
+
+  const explanation = completion.choices[0]?.message?.content?.trim() || 'No explanation could be generated.';
+  return `### Finding #${finding.index + 1}: ${finding.issue.title}\n\n${explanation}`;
+}
+
+async function ignoreRule(repo, comment, ref) {
+  if (!ref) {
+    return 'Name the rule to ignore, e.g. `/prpilot ignore no-console`.';
+  }
+
+  const wanted = ref.replace(/[`"']/g, '').toLowerCase();
+  const rules = await getActiveRules(repo);
+  const rule = rules.find(candidate => isRuleSuppressed(candidate, [wanted]));
+
+  if (!rule) {
+    const names = rules.map(candidate => `\`${candidate.template_id || candidate.name}\``).join(', ');
+    return `No active rule matches \`${ref}\`.${names ? ` Active rules: ${names}.` : ''}`;
+  }
+
+  await addSuppression({
+    repoId: repo.id,
+    prNumber: comment.prNumber,
+    rule: String(rule.id),
+    createdBy: comment.author
+  });
+
+  return `Rule **${rule.name}** is suppressed for this pull request and will be skipped in later reviews.`;
+}
+
+async function proposeFix(repo, provider, comment, ref) {
+  const finding = await resolveFinding(repo, comment, ref);
+  if (!finding) {
+    return formatFindingNotFound(ref);
+  }
+
+  const snippet = await getFindingSnippet(repo, provider, comment.prNumber, finding.issue);
+  if (!snippet) {
+    return `Finding #${finding.index + 1} does not point at a line in this pull request, so there is nothing to change.`;
+  }
+
+  const completion = await requestCompletion(repo, comment, 'fix', {
+    messages: [
+      { role: 'system', content: FIX_SYSTEM_PROMPT },
+      { role: 'user', content: formatFindingPrompt(finding.issue, snippet) }
+    ],
+    temperature: 0.2,
+    max_tokens: 1024
+  });
+  if (!completion) {
+    return BUDGET_EXHAUSTED_REPLY;
+  }
+
+  const response = parseAIResponse(completion.choices[0]?.message?.content || '', {});
+  const fix = validateReplacement(finding.issue, response, snippet.files);
+
+  if (!fix) {
+    return `No safe change could be proposed for finding #${finding.index + 1}.`;
+  }
+
+  const replaced = snippet.lines
+    .filter(candidate => candidate.line >= fix.startLine && candidate.line <= fix.endLine)
+    .map(candidate => candidate.content);
+  let reply = `### Fix for finding #${finding.index + 1}: ${finding.issue.title}\n\n${response.explanation || ''}\n\n`;
+
+  // Suggestion blocks apply to the line the thread is on, so they are only used in the finding's own thread
+  if (finding.fromThread && fix.startLine === fix.endLine && fix.startLine === parseInt(finding.issue.line, 10)) {
+    reply += formatSuggestionBlock(fix, 'github');
+  } else {
+    const removed = replaced.map(line => `-${line}`).join('\n');
+    const added = fix.replacement.split('\n').map(line => `+${line}`).join('\n');
+    reply += `\`${snippet.path}\` lines ${fix.startLine}-${fix.endLine}:\n\n\`\`\`diff\n${removed}\n${added}\n\`\`\``;
+  }
+
+  return reply;
+}
+
+async function describeChanges(repo, provider, comment, args) {
+  const { skipped, updated } = await describePullRequest({
+    repo,
+    provider,
+    number: comment.prNumber,
+    update: true,
+    changelog: /\bchangelog\b/i.test(args)
+  });
+
+  if (skipped) {
+    return BUDGET_EXHAUSTED_REPLY;
+  }
+  if (!updated) {
+    return 'No complete description could be drafted, so the pull request body was left unchanged.';
+  }
+
+  return 'The pull request description was updated. Running `/prpilot describe` again replaces the drafted part and keeps the rest of the body.';
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Commands count against the monthly budget like reviews: over it they use the
+// smaller model, or get no completion (null) when the budget_action is skip
+async function requestCompletion(repo, comment, kind, request) {
+  const budget = await checkRepoBudget(repo);
+  if (budget.action === 'skip') {
+    return null;
+  }
+
+  const usage = [];
+  try {
+    return await createCompletion(ensureGroqClient(), {
+      ...request,
+      model: budget.action === 'downgrade' ? BUDGET_REVIEW_MODEL : CODE_REVIEW_MODEL
+    }, { usage, step: kind });
+  } finally {
+    await saveRepoUsage(repo, { kind, prNumber: comment.prNumber, calls: usage, budget });
+  }
+}
+
+// Find the finding a command refers to: the thread it was written in, a 1-based number or part of a title
+async function resolveFinding(repo, comment, ref) {
+  if (!ref && comment.rootCommentId) {
+    const { data: row } = await supabase
+      .from('prpilot_comments')
+      .select('review_id, finding_key')
+      .eq('repo_id', repo.id)
+      .eq('github_comment_id', comment.rootCommentId)
+      .limit(1)
+      .maybeSingle();
+
+    if (row?.finding_key?.startsWith('issue:')) {
+      const { data: review } = await supabase
+        .from('prpilot_reviews')
+        .select('*')
+        .eq('id', row.review_id)
+        .single();
+
+      const index = parseInt(row.finding_key.split(':')[1], 10);
+      if (review?.issues?.[index]) {
+        return { review, issue: review.issues[index], index, fromThread: true };
+      }
+    }
+  }
+
+  const review = await findPreviousReview(repo, comment.prNumber);
+  const issues = review?.issues || [];
+  if (!ref || issues.length === 0) {
+    return null;
+  }
+
+  const number = ref.match(/^#?(\d+)$/);
+  const index = number
+    ? parseInt(number[1], 10) - 1
+    : issues.findIndex(issue => (issue.title || '').toLowerCase().includes(ref.toLowerCase()));
+
+  return issues[index] ? { review, issue: issues[index], index, fromThread: false } : null;
+}
+
+// Numbered new-side lines of the pull request around a finding, with secrets redacted
+async function getFindingSnippet(repo, provider, prNumber, issue) {
+  const line = parseInt(issue.line, 10);
+  if (!issue.file || !line) {
+    return null;
+  }
+
+  const diff = await provider.fetchPullRequestDiff(repo, { number: prNumber });
+  const files = parseDiff(redactSecrets(diff));
+  const file = findDiffFile(issue.file, files);
+  if (!file) {
+    return null;
+  }
+
+  const lines = file.hunks
+    .flatMap(hunk => hunk.lines)
+    .filter(candidate => candidate.newLine && Math.abs(candidate.newLine - line) <= SNIPPET_CONTEXT_LINES)
+    .map(candidate => ({ line: candidate.newLine, content: candidate.content }));
+
+  return lines.length > 0 ? { path: file.path, lines, files } : null;
+}
+
+function formatFindingPrompt(issue, snippet) {
+  let prompt = `Finding:\n${JSON.stringify({
+    title: issue.title,
+    type: issue.type,
+    severity: issue.severity,
+    file: issue.file,
+    line: issue.line,
+    description: issue.description,
+    suggestion: issue.suggestion
+  }, null, 2)}\n\n`;
+
+  if (snippet) {
+    const numbered = snippet.lines.map(({ line, content }) => `${line}: ${content}`).join('\n');
+    prompt += `Code in ${snippet.path}:\n\`\`\`\n${numbered}\n\`\`\``;
+  }
+
+  return prompt;
+}
+
+function formatFindingNotFound(ref) {
+  return ref
+    ? `No finding of the latest review matches \`${ref}\`. Use its number (e.g. \`2\`) or part of its title.`
+    : 'Name the finding by number or title, or reply in the thread of the finding.';
+}
+
+function formatHelp() {
+  const lines = Object.entries(COMMANDS).map(([name, description]) => `- \`/prpilot ${name}\`: ${description}`);
+  return `**PRPilot commands**\n\n${lines.join('\n')}`;
+}
+
+function formatReply(body) {
+  return `${body}\n\n${REPLY_MARKER}`;
+}
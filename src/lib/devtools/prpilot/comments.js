@@ -0,0 +1,347 @@
+/**
+ * PRPilot Review Comments
+ * Maps review issues onto diff positions and records what was posted
+ */
+
+import { supabase } from '../../supabase';
+import { findingKey } from './feedback';
+import { getNewSideRange } from './diff';
+import { hasReplacement, formatSuggestionBlock } from './suggestions';
+
+const SEVERITY_EMOJI = { critical: '🔴', high: '🟠', medium: '🟡', low: '🟢' };
+const SEVERITY_ORDER = Object.keys(SEVERITY_EMOJI);
+const FINDING_NUMBER_PATTERN = /<sub>Finding #(\d+) · [^\n]*<\/sub>$/;
+
+/**
+ * Find the diff file an issue refers to.
+ * Models often report paths relative to a subdirectory, so a unique suffix match is accepted.
+ * @param {string} issueFile - The file named by the issue
+ * @param {Array<Object>} files - Files from parseDiff
+ * @returns {Object|null} The matching diff file
+ */
+export function findDiffFile(issueFile, files) {
+  if (!issueFile) {
+    return null;
+  }
+
+  const normalized = issueFile.trim().replace(/^\.?\//, '');
+  const exact = files.find(file => file.path === normalized);
+  if (exact) {
+    return exact;
+  }
+
+  const suffixMatches = files.filter(file =>
+    file.path.endsWith(`/${normalized}`) || normalized.endsWith(`/${file.path}`)
+  );
+  return suffixMatches.length === 1 ? suffixMatches[0] : null;
+}
+
+/**
+ * Find the diff line for a line number on the new side of a file
+ * @param {Object} file - A file from parseDiff
+ * @param {number} lineNumber - Line number in the new file
+ * @returns {Object|null} The diff line, or null if the line is not in the diff
+ */
+export function findDiffLine(file, lineNumber) {
+  for (const hunk of file.hunks) {
+    const line = hunk.lines.find(candidate => candidate.newLine === lineNumber);
+    if (line) {
+      return line;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the diff position of a line on the new side of a file
+ * @param {Object} file - A file from parseDiff
+ * @param {number} lineNumber - Line number in the new file
+ * @returns {number|null} The diff position, or null if the line is not in the diff
+ */
+export function findLinePosition(file, lineNumber) {
+  return findDiffLine(file, lineNumber)?.position ?? null;
+}
+
+/**
+ * Split issues into those that can be posted inline and those that cannot.
+ * Issues carried forward from an earlier review were posted then and are only counted.
+ * Issues with a suggested change are anchored on the lines it replaces.
+ * @param {Array<Object>} issues - Review issues with file and line
+ * @param {Array<Object>} files - Files from parseDiff
+ * @param {Object} [options] - Mapping options
+ * @param {number|null} [options.maxComments] - Inline comment limit; the least severe issues over it go in the summary
+ * @returns {{inline: Array<Object>, summary: Array<Object>, carried: Array<Object>}}
+ *   Inline entries carry the issue's index, diff location and whether a suggestion applies
+ */
+export function mapIssuesToDiff(issues, files, { maxComments = null } = {}) {
+  const inline = [];
+  const summary = [];
+  const carried = [];
+
+  for (const [index, issue] of (issues || []).entries()) {
+    if (issue.carriedForward) {
+      carried.push(issue);
+      continue;
+    }
+
+    const file = findDiffFile(issue.file, files);
+    const line = parseInt(issue.line, 10);
+    const diffLine = file && line ? findDiffLine(file, line) : null;
+
+    if (diffLine) {
+      const range = hasReplacement(issue)
+        ? getNewSideRange(file, issue.fix.startLine, issue.fix.endLine)
+        : null;
+      const anchor = range ? range[range.length - 1] : diffLine;
+
+      inline.push({
+        issue,
+        index,
+        path: file.path,
+        oldPath: file.oldPath,
+        startLine: range ? issue.fix.startLine : line,
+        line: anchor.newLine,
+        oldLine: anchor.oldLine,
+        position: anchor.position,
+        suggestion: Boolean(range)
+      });
+    } else {
+      summary.push(issue);
+    }
+  }
+
+  if (maxComments !== null && inline.length > maxComments) {
+    const rank = entry => SEVERITY_ORDER.indexOf(entry.issue.severity) + 1 || SEVERITY_ORDER.length + 1;
+    const kept = [...inline].sort((a, b) => rank(a) - rank(b)).slice(0, maxComments);
+
+    return {
+      inline: inline.filter(entry => kept.includes(entry)),
+      summary: [...summary, ...inline.filter(entry => !kept.includes(entry)).map(entry => entry.issue)],
+      carried
+    };
+  }
+
+  return { inline, summary, carried };
+}
+
+/**
+ * Key of a posted inline comment, used to match provider comment IDs to findings.
+ * Several findings can share a line, so the key is the finding's index.
+ * @param {number} index - Index of the issue in the review
+ * @returns {string} Comment key
+ */
+export function inlineCommentKey(index) {
+  return findingKey('issue', index);
+}
+
+/**
+ * Read the finding number formatInlineComment put into a comment
+ * @param {string} body - Comment body
+ * @returns {number|null} 1-based finding number, or null for other comments
+ */
+export function parseFindingNumber(body) {
+  const match = (body || '').trimEnd().match(FINDING_NUMBER_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Format the body of an inline review comment
+ * @param {Object} issue - The review issue
+ * @param {number} [number] - 1-based number of the issue in the review, for slash commands
+ * @param {string|null} [suggestionSyntax] - 'github' or 'gitlab' when the comment is anchored
+ *   on the fix's lines; otherwise the fix is shown as a plain code block
+ * @returns {string} Markdown comment body
+ */
+export function formatInlineComment(issue, number, suggestionSyntax = null) {
+  const emoji = SEVERITY_EMOJI[issue.severity] || '';
+  let body = `${emoji} **${issue.title}** (${issue.severity} ${issue.type})\n\n${issue.description}`;
+
+  if (issue.suggestion) {
+    body += `\n\n> Suggestion: ${issue.suggestion}`;
+  }
+
+  if (hasReplacement(issue)) {
+    body += `\n\n${formatSuggestionBlock(issue.fix, suggestionSyntax)}`;
+  }
+
+  if (number) {
+    body += `\n\n<sub>Finding #${number} · reply \`/prpilot explain\` or \`/prpilot fix\`</sub>`;
+  }
+
+  return body;
+}
+
+/**
+ * Format the review summary comment; issues posted inline are only counted
+ * @param {Object} review - Stored review record
+ * @param {Object} mapped - Result of mapIssuesToDiff
+ * @returns {string} Markdown comment body
+ */
+export function formatReviewSummary(review, mapped) {
+  const summaryIssues = mapped.summary;
+
+  let comment = `## PRPilot AI Code Review\n\n`;
+  comment += `**Quality Score:** ${formatQualityScore(review)}\n\n`;
+  comment += `### Summary\n${review.summary}\n\n`;
+
+  if (review.incremental) {
+    comment += `**${pluralize(review.incremental.newIssues, 'new issue')}, ${review.incremental.resolved} resolved since last review**\n\n`;
+  }
+
+  if (mapped.inline.length > 0) {
+    comment += `_${mapped.inline.length} issue(s) posted as inline comments on the diff._\n\n`;
+  }
+
+  if (mapped.carried?.length > 0) {
+    comment += `_${pluralize(mapped.carried.length, 'unresolved issue')} from earlier reviews still apply._\n\n`;
+  }
+
+  if (review.skipped_files?.length > 0) {
+    const reasons = {};
+    for (const skipped of review.skipped_files) {
+      reasons[skipped.reason] = (reasons[skipped.reason] || 0) + 1;
+    }
+    const breakdown = Object.entries(reasons).map(([reason, count]) => `${count} ${reason.replace(/_/g, ' ')}`).join(', ');
+    comment += `_${pluralize(review.skipped_files.length, 'file')} not reviewed (${breakdown})._\n\n`;
+  }
+
+  if (summaryIssues.length > 0) {
+    comment += `### ${mapped.inline.length > 0 ? 'Other Issues' : 'Issues Found'} (${summaryIssues.length})\n\n`;
+
+    const issuesBySeverity = {
+      critical: summaryIssues.filter(i => i.severity === 'critical'),
+      high: summaryIssues.filter(i => i.severity === 'high'),
+      medium: summaryIssues.filter(i => i.severity === 'medium'),
+      low: summaryIssues.filter(i => i.severity === 'low')
+    };
+
+    for (const [severity, issues] of Object.entries(issuesBySeverity)) {
+      if (issues.length > 0) {
+        comment += `#### ${SEVERITY_EMOJI[severity]} ${severity.charAt(0).toUpperCase() + severity.slice(1)} (${issues.length})\n\n`;
+
+        for (const issue of issues) {
+          comment += `- **${issue.title}** (${issue.type})`;
+          if (issue.file) comment += ` in \`${issue.file}\``;
+          if (issue.line) comment += ` at line ${issue.line}`;
+          comment += `\n  ${issue.description}`;
+          if (issue.suggestion) comment += `\n  > Suggestion: ${issue.suggestion}`;
+          comment += '\n\n';
+        }
+      }
+    }
+  }
+
+  if (review.suggestions && review.suggestions.length > 0) {
+    comment += `### Suggestions for Improvement\n\n`;
+    for (const suggestion of review.suggestions) {
+      comment += `- **${suggestion.title}** (${suggestion.type})`;
+      if (suggestion.file) comment += ` in \`${suggestion.file}\``;
+      comment += `\n  ${suggestion.description}\n\n`;
+    }
+  }
+
+  if (review.highlights && review.highlights.length > 0) {
+    comment += `### Highlights\n\n`;
+    for (const highlight of review.highlights) {
+      comment += `- ${highlight}\n`;
+    }
+  }
+
+  if (review.config_errors?.length > 0) {
+    comment += `\n${formatConfigErrors(review.config_errors)}\n`;
+  }
+
+  comment += `\n---\n*Automated review by PRPilot AI*`;
+
+  return comment;
+}
+
+/**
+ * Format the quality score of a review; degraded reviews have none
+ * @param {Object} review - Stored review record
+ * @returns {string} e.g. "85/100"
+ */
+export function formatQualityScore(review) {
+  return typeof review.quality_score === 'number'
+    ? `${review.quality_score}/100`
+    : 'not scored (model output could not be validated)';
+}
+
+/**
+ * Format the problems found in a repository's .prpilot.yml
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Markdown section
+ */
+export function formatConfigErrors(errors) {
+  let section = `### ⚠️ Configuration problems\n\n`;
+  section += `These settings in \`.prpilot.yml\` were ignored and their defaults used:\n\n`;
+  section += errors.map(error => `- ${error}`).join('\n');
+  return section;
+}
+
+/**
+ * Record what was posted for a review on its findings in prpilot_comments.
+ * Findings are stored when the review completes; this adds diff positions and GitHub IDs.
+ * @param {string} reviewId - The review ID
+ * @param {Object} mapped - Result of mapIssuesToDiff
+ * @param {Object} posted - Posting details
+ * @param {number} [posted.githubReviewId] - ID of the GitHub review
+ * @param {Map<string, number>} [posted.commentIds] - inlineCommentKey -> provider comment ID
+ * @param {boolean} [posted.inline] - Whether inline comments were accepted by GitHub
+ * @returns {Promise<Array>} The updated inline comment rows
+ */
+export async function saveReviewComments(reviewId, mapped, posted = {}) {
+  if (!reviewId) {
+    return [];
+  }
+
+  const postedInline = posted.inline !== false;
+
+  if (posted.githubReviewId) {
+    const { error } = await supabase
+      .from('prpilot_comments')
+      .update({ github_review_id: posted.githubReviewId })
+      .eq('review_id', reviewId)
+      .like('finding_key', 'issue:%');
+
+    if (error) {
+      console.error('Failed to store GitHub review ID:', error);
+    }
+  }
+
+  if (!postedInline || mapped.inline.length === 0) {
+    return [];
+  }
+
+  const rows = mapped.inline.map(({ issue, index, path, position }) => ({
+    review_id: reviewId,
+    finding_key: findingKey('issue', index),
+    file_path: path,
+    line_number: parseInt(issue.line, 10) || null,
+    position,
+    inline: true,
+    comment_type: issue.type || null,
+    severity: issue.severity || 'medium',
+    title: issue.title || null,
+    message: issue.description || issue.title || '',
+    suggestion: issue.suggestion || null,
+    github_review_id: posted.githubReviewId || null,
+    github_comment_id: posted.commentIds?.get(inlineCommentKey(index)) || null
+  }));
+
+  const { data, error } = await supabase
+    .from('prpilot_comments')
+    .upsert(rows, { onConflict: 'review_id,finding_key' })
+    .select();
+
+  if (error) {
+    console.error('Failed to store review comments:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
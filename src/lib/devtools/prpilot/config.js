@@ -0,0 +1,263 @@
+/**
+ * PRPilot Repository Configuration
+ * An optional .prpilot.yml at the repository root, read from the head commit of
+ * each pull request so review settings are versioned with the code:
+ *
+ *   paths:
+ *     include: ['src/**']
+ *     exclude: ['**\/*.snap', 'docs/**']
+ *   thresholds:
+ *     min_score: 75
+ *     fail_on_severity: high
+ *   rules: [no-console, 3f2c...]   # rule IDs, template IDs or names; omit for all active rules, [] for none
+ *   language: German                # language of review comments
+ *   max_comments: 20                # inline comments per review; the rest go in the summary
+ *   auto_approve: false
+ *   review_file_types: [test]       # generated, vendored, binary, lockfile or test files to review anyway
+ *
+ * Settings that are missing or invalid fall back to the repository's database settings.
+ */
+
+import yaml from 'js-yaml';
+import picomatch from 'picomatch';
+import { parseDiff } from './diff';
+import { SEVERITIES } from './engine';
+import { FILE_TYPES } from './classify';
+
+// Constants
+export const CONFIG_FILE = '.prpilot.yml';
+export const DEFAULT_REPO_CONFIG = {
+  paths: { include: [], exclude: [] },
+  thresholds: { minScore: null, failOnSeverity: null },
+  rules: null,
+  language: null,
+  maxComments: null,
+  autoApprove: null,
+  reviewFileTypes: []
+};
+const CONFIG_KEYS = ['paths', 'thresholds', 'rules', 'language', 'max_comments', 'auto_approve', 'review_file_types'];
+const MAX_COMMENTS_LIMIT = 100;
+
+/**
+ * Parse and validate the content of a .prpilot.yml file
+ * @param {string} text - File content
+ * @returns {{config: Object, errors: Array<string>}} The normalized config and what was wrong with the file
+ */
+export function parseRepoConfig(text) {
+  let raw;
+  try {
+    raw = yaml.load(text || '', { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    const location = error.mark ? ` (line ${error.mark.line + 1})` : '';
+    return { config: DEFAULT_REPO_CONFIG, errors: [`${CONFIG_FILE} is not valid YAML: ${error.reason || error.message}${location}`] };
+  }
+
+  if (raw === undefined || raw === null) {
+    return { config: DEFAULT_REPO_CONFIG, errors: [] };
+  }
+
+  if (!isPlainObject(raw)) {
+    return { config: DEFAULT_REPO_CONFIG, errors: [`${CONFIG_FILE} must be a mapping of settings`] };
+  }
+
+  const errors = [];
+  const config = {
+    ...DEFAULT_REPO_CONFIG,
+    paths: { ...DEFAULT_REPO_CONFIG.paths },
+    thresholds: { ...DEFAULT_REPO_CONFIG.thresholds }
+  };
+
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      errors.push(`Unknown setting "${key}"`);
+    }
+  }
+
+  if (raw.paths !== undefined) {
+    if (!isPlainObject(raw.paths)) {
+      errors.push('"paths" must have "include" and/or "exclude" lists');
+    } else {
+      for (const field of ['include', 'exclude']) {
+        const globs = parseStringList(raw.paths[field], `paths.${field}`, errors) || [];
+        config.paths[field] = globs.filter(glob => isValidGlob(glob, field, errors));
+      }
+    }
+  }
+
+  if (raw.thresholds !== undefined) {
+    if (!isPlainObject(raw.thresholds)) {
+      errors.push('"thresholds" must have "min_score" and/or "fail_on_severity"');
+    } else {
+      const { min_score: minScore, fail_on_severity: failOnSeverity } = raw.thresholds;
+
+      if (minScore !== undefined) {
+        if (Number.isInteger(minScore) && minScore >= 0 && minScore <= 100) {
+          config.thresholds.minScore = minScore;
+        } else {
+          errors.push('"thresholds.min_score" must be a whole number from 0 to 100');
+        }
+      }
+
+      if (failOnSeverity !== undefined) {
+        if (SEVERITIES.includes(failOnSeverity)) {
+          config.thresholds.failOnSeverity = failOnSeverity;
+        } else {
+          errors.push(`"thresholds.fail_on_severity" must be one of: ${SEVERITIES.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  // Only an explicit empty list turns all rules off; null or an invalid list keeps the active rules
+  if (raw.rules !== undefined) {
+    config.rules = parseStringList(raw.rules, 'rules', errors);
+  }
+
+  if (raw.language !== undefined) {
+    if (typeof raw.language === 'string' && raw.language.trim() && raw.language.length <= 40) {
+      config.language = raw.language.trim();
+    } else {
+      errors.push('"language" must be a language name, e.g. "English"');
+    }
+  }
+
+  if (raw.max_comments !== undefined) {
+    if (Number.isInteger(raw.max_comments) && raw.max_comments >= 0 && raw.max_comments <= MAX_COMMENTS_LIMIT) {
+      config.maxComments = raw.max_comments;
+    } else {
+      errors.push(`"max_comments" must be a whole number from 0 to ${MAX_COMMENTS_LIMIT}`);
+    }
+  }
+
+  if (raw.auto_approve !== undefined) {
+    if (typeof raw.auto_approve === 'boolean') {
+      config.autoApprove = raw.auto_approve;
+    } else {
+      errors.push('"auto_approve" must be true or false');
+    }
+  }
+
+  if (raw.review_file_types !== undefined) {
+    const types = parseStringList(raw.review_file_types, 'review_file_types', errors) || [];
+    const unknown = types.filter(type => !FILE_TYPES.includes(type));
+
+    if (unknown.length > 0) {
+      errors.push(`"review_file_types" must only contain: ${FILE_TYPES.join(', ')}`);
+    } else {
+      config.reviewFileTypes = types;
+    }
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Read the configuration of a repository at a commit
+ * @param {Object} repo - Repository record
+ * @param {Object} provider - Provider adapter
+ * @param {string} ref - Commit to read the file from, usually the PR head
+ * @returns {Promise<{config: Object, errors: Array<string>, found: boolean}>}
+ */
+export async function loadRepoConfig(repo, provider, ref) {
+  if (!ref) {
+    return { config: DEFAULT_REPO_CONFIG, errors: [], found: false };
+  }
+
+  let text;
+  try {
+    text = await provider.fetchFile(repo, CONFIG_FILE, ref);
+  } catch (error) {
+    console.error(`Failed to read ${CONFIG_FILE}:`, error.message);
+    return { config: DEFAULT_REPO_CONFIG, errors: [`${CONFIG_FILE} could not be read: ${error.message}`], found: false };
+  }
+
+  if (text === null) {
+    return { config: DEFAULT_REPO_CONFIG, errors: [], found: false };
+  }
+
+  return { ...parseRepoConfig(text), found: true };
+}
+
+/**
+ * Whether a file is reviewed under the configured include/exclude globs
+ * @param {string} filePath - Path from the repository root
+ * @param {Object} paths - config.paths
+ * @returns {boolean}
+ */
+export function isPathIncluded(filePath, paths = DEFAULT_REPO_CONFIG.paths) {
+  const matches = globs => globs.length > 0 && picomatch(globs, { dot: true })(filePath);
+
+  if (paths.include.length > 0 && !matches(paths.include)) {
+    return false;
+  }
+  return !matches(paths.exclude);
+}
+
+/**
+ * Remove the files a configuration leaves out from a diff
+ * @param {string} diff - The diff text
+ * @param {Object|null} config - Normalized repository config
+ * @returns {{diff: string, excludedFiles: Array<{file: string, reason: string}>}}
+ */
+export function filterDiffByConfig(diff, config) {
+  const paths = config?.paths || DEFAULT_REPO_CONFIG.paths;
+  if (paths.include.length === 0 && paths.exclude.length === 0) {
+    return { diff, excludedFiles: [] };
+  }
+
+  const files = parseDiff(diff);
+  const kept = files.filter(file => isPathIncluded(file.path, paths));
+
+  return {
+    diff: kept.map(file => file.raw).join('\n'),
+    excludedFiles: files
+      .filter(file => !kept.includes(file))
+      .map(file => ({ file: file.path, reason: 'excluded_by_config' }))
+  };
+}
+
+/**
+ * Keep the rules a configuration enables
+ * @param {Array} rules - Active rules of the repository
+ * @param {Object|null} config - Normalized repository config
+ * @returns {Array} Rules to check
+ */
+export function filterRulesByConfig(rules, config) {
+  if (!Array.isArray(config?.rules)) {
+    return rules;
+  }
+
+  const enabled = config.rules.map(ref => ref.toLowerCase());
+  return rules.filter(rule =>
+    [rule.id, rule.template_id, rule.name].some(ref => ref && enabled.includes(String(ref).toLowerCase()))
+  );
+}
+
+// A list of trimmed strings; null when the setting is empty or invalid, so it falls back
+function parseStringList(value, name, errors) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string' || !item.trim())) {
+    errors.push(`"${name}" must be a list of strings`);
+    return null;
+  }
+
+  return list.map(item => item.trim());
+}
+
+function isValidGlob(glob, field, errors) {
+  try {
+    picomatch.makeRe(glob);
+    return true;
+  } catch (error) {
+    errors.push(`Invalid glob "${glob}" in paths.${field}: ${error.message}`);
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
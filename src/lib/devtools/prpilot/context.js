@@ -0,0 +1,203 @@
+/**
+ * PRPilot Review Context
+ * Retrieves indexed code related to a diff for retrieval-augmented reviews
+ *
+ * For every file in the diff we collect:
+ * - names used on changed lines, whose definitions (callees, types) are looked up
+ * - names declared on changed lines, whose callers are looked up
+ * Matching chunks are ranked and packed into the prompt under a token budget.
+ */
+
+import { supabase } from '../../supabase';
+import { parseDiff } from './diff';
+import { detectLanguage, extractSymbols, extractReferencedNames } from './indexer';
+
+// Constants
+const DEFAULT_TOKEN_BUDGET = 6000;
+const MAX_LOOKUP_NAMES = 100;
+const MAX_CANDIDATE_CHUNKS = 60;
+const CHUNK_COLUMNS = 'id, file_path, chunk_index, start_line, end_line, content, symbol_names, referenced_names';
+
+/**
+ * Rough token estimate used for budgeting (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Collect the names a diff touches
+ * @param {Array<Object>} files - Files from parseDiff
+ * @returns {{usedNames: Array<string>, changedSymbols: Array<string>}}
+ */
+export function collectTouchedNames(files) {
+  const usedNames = new Set();
+  const changedSymbols = new Set();
+
+  for (const file of files) {
+    const language = detectLanguage(file.path);
+
+    for (const hunk of file.hunks) {
+      const changedLines = hunk.lines
+        .filter(line => line.type !== 'context')
+        .map(line => line.content);
+
+      if (changedLines.length === 0) {
+        continue;
+      }
+
+      // The hunk section names the enclosing function, whose callers may be affected
+      for (const symbol of extractSymbols([hunk.section, ...changedLines], language)) {
+        changedSymbols.add(symbol.name);
+      }
+
+      for (const name of extractReferencedNames(changedLines.join('\n'))) {
+        usedNames.add(name);
+      }
+    }
+  }
+
+  for (const name of changedSymbols) {
+    usedNames.delete(name);
+  }
+
+  return {
+    usedNames: [...usedNames].slice(0, MAX_LOOKUP_NAMES),
+    changedSymbols: [...changedSymbols].slice(0, MAX_LOOKUP_NAMES)
+  };
+}
+
+/**
+ * Build the code context for reviewing a diff
+ * @param {string} repoId - The repository ID whose index is searched
+ * @param {string} diff - The diff under review
+ * @param {Object} options - Options
+ * @param {number} [options.tokenBudget] - Maximum tokens of context to include
+ * @returns {Promise<{chunks: Array<Object>, prompt: string, tokensUsed: number}>}
+ */
+export async function buildReviewContext(repoId, diff, options = {}) {
+  const empty = { chunks: [], prompt: '', tokensUsed: 0 };
+  const tokenBudget = options.tokenBudget ?? DEFAULT_TOKEN_BUDGET;
+
+  if (!repoId || !diff || !supabase || tokenBudget <= 0) {
+    return empty;
+  }
+
+  const files = parseDiff(diff);
+  const { usedNames, changedSymbols } = collectTouchedNames(files);
+
+  if (usedNames.length === 0 && changedSymbols.length === 0) {
+    return empty;
+  }
+
+  try {
+    const [definitions, callers] = await Promise.all([
+      usedNames.length > 0
+        ? supabase
+            .from('prpilot_code_chunks')
+            .select(CHUNK_COLUMNS)
+            .eq('repo_id', repoId)
+            .overlaps('symbol_names', usedNames)
+            .limit(MAX_CANDIDATE_CHUNKS)
+        : { data: [] },
+      changedSymbols.length > 0
+        ? supabase
+            .from('prpilot_code_chunks')
+            .select(CHUNK_COLUMNS)
+            .eq('repo_id', repoId)
+            .overlaps('referenced_names', changedSymbols)
+            .limit(MAX_CANDIDATE_CHUNKS)
+        : { data: [] }
+    ]);
+
+    if (definitions.error || callers.error) {
+      throw definitions.error || callers.error;
+    }
+
+    const candidates = rankCandidates(
+      definitions.data || [],
+      callers.data || [],
+      { usedNames, changedSymbols, files }
+    );
+
+    return packContext(candidates, tokenBudget);
+  } catch (error) {
+    // Reviews still run without context if the index is unavailable
+    console.error('Failed to build review context:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * Score candidate chunks: definitions of used names outrank callers,
+ * and chunks that only repeat the changed lines are dropped
+ */
+function rankCandidates(definitions, callers, { usedNames, changedSymbols, files }) {
+  const used = new Set(usedNames);
+  const changed = new Set(changedSymbols);
+  const byId = new Map();
+
+  const changedRanges = new Map();
+  for (const file of files) {
+    changedRanges.set(file.oldPath, file.hunks.map(hunk => [hunk.oldStart, hunk.oldStart + hunk.oldLines - 1]));
+  }
+
+  const overlapsChange = (chunk) => (changedRanges.get(chunk.file_path) || [])
+    .some(([start, end]) => chunk.start_line <= end && chunk.end_line >= start);
+
+  for (const chunk of definitions) {
+    const matched = (chunk.symbol_names || []).filter(name => used.has(name));
+    if (matched.length === 0 || overlapsChange(chunk)) {
+      continue;
+    }
+    byId.set(chunk.id, { chunk, reason: 'definition', symbols: matched, score: 10 + matched.length });
+  }
+
+  for (const chunk of callers) {
+    const matched = (chunk.referenced_names || []).filter(name => changed.has(name));
+    if (matched.length === 0 || overlapsChange(chunk) || byId.has(chunk.id)) {
+      continue;
+    }
+    byId.set(chunk.id, { chunk, reason: 'caller', symbols: matched, score: matched.length });
+  }
+
+  return [...byId.values()].sort((a, b) => b.score - a.score);
+}
+
+function packContext(candidates, tokenBudget) {
+  const chunks = [];
+  const sections = [];
+  let tokensUsed = 0;
+
+  for (const { chunk, reason, symbols } of candidates) {
+    const label = reason === 'definition'
+      ? `definition of ${symbols.join(', ')}`
+      : `calls ${symbols.join(', ')}`;
+    const section = `### ${chunk.file_path}:${chunk.start_line}-${chunk.end_line} (${label})\n\`\`\`\n${chunk.content}\n\`\`\``;
+    const tokens = estimateTokens(section);
+
+    if (tokensUsed + tokens > tokenBudget) {
+      continue;
+    }
+
+    tokensUsed += tokens;
+    sections.push(section);
+    chunks.push({
+      chunk_id: chunk.id,
+      file_path: chunk.file_path,
+      start_line: chunk.start_line,
+      end_line: chunk.end_line,
+      reason,
+      symbols,
+      tokens
+    });
+  }
+
+  return {
+    chunks,
+    prompt: sections.join('\n\n'),
+    tokensUsed
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * PRPilot Pull Request Descriptions
+ * Drafts a structured description of a pull request from its diff and commits:
+ * summary, motivation, notable changes per area, risk and testing notes, and
+ * optionally a Keep a Changelog entry. Secrets are redacted from the diff, the
+ * commit messages and the existing description before anything reaches the model.
+ *
+ * The draft is written between markers in the pull request body, so drafting
+ * again replaces the earlier draft and keeps what the author wrote around it.
+ * Drafts count against the repository's monthly budget like reviews.
+ */
+
+import { ensureGroqClient, requestStructuredOutput, CODE_REVIEW_MODEL } from './engine';
+import { parseDiff } from './diff';
+import { scanDiffForSecrets, redactSecrets } from './secrets';
+import { excludeClassifiedFiles } from './classify';
+import { summarizeUsage, checkRepoBudget, saveRepoUsage, BUDGET_REVIEW_MODEL } from './usage';
+
+// Constants
+export const CHANGELOG_CATEGORIES = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+export const DESCRIPTION_START = '<!-- prpilot:description:start -->';
+export const DESCRIPTION_END = '<!-- prpilot:description:end -->';
+const MAX_DIFF_CHARS = 20000;
+const MAX_COMMITS = 50;
+const MAX_FILES_LISTED = 200;
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+export const DESCRIPTION_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'motivation', 'changes', 'risk', 'testing'],
+  properties: {
+    summary: { type: 'string' },
+    motivation: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['area', 'items'],
+        properties: {
+          area: { type: 'string' },
+          items: STRING_LIST
+        }
+      }
+    },
+    risk: {
+      type: 'object',
+      required: ['level', 'notes'],
+      properties: {
+        level: { type: 'string', enum: RISK_LEVELS },
+        notes: STRING_LIST
+      }
+    },
+    testing: STRING_LIST,
+    changelog: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'entry'],
+        properties: {
+          category: { type: 'string', enum: CHANGELOG_CATEGORIES },
+          entry: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const DESCRIBE_SYSTEM_PROMPT = `You are PRPilot, writing the description of a pull request for its reviewers.
+Base it only on the diff, the commit messages and the current description; do not invent tickets, links or test results.
+- summary: 1-3 sentences on what the pull request does
+- motivation: why the change is needed, from the commits and current description; say so if it is not stated
+- changes: notable changes grouped by area (a module, feature or layer), each item one short sentence
+- risk: level low, medium or high, with notes on what could break, migrations, config or API changes
+- testing: how the change was or should be tested, based on the tests in the diff
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "summary": "<summary>",
+  "motivation": "<motivation>",
+  "changes": [{ "area": "<area>", "items": ["<change>"] }],
+  "risk": { "level": "low|medium|high", "notes": ["<note>"] },
+  "testing": ["<testing note>"]
+}`;
+
+const CHANGELOG_PROMPT = `Also add "changelog": a Keep a Changelog entry for users of the project, as
+[{ "category": "Added|Changed|Deprecated|Removed|Fixed|Security", "entry": "<one line>" }].
+Leave out internal changes that users do not notice; use an empty array if there are none.`;
+
+/**
+ * Draft the description of a pull request with the model
+ * @param {Object} options - Pull request contents
+ * @param {Object} options.pr - Normalized pull request (title, body, baseBranch, headBranch)
+ * @param {string} options.diff - The pull request diff
+ * @param {Array<{message: string}>} [options.commits] - Commits of the pull request, oldest first
+ * @param {boolean} [options.changelog] - Whether to draft a changelog entry too
+ * @param {string} [options.model] - Model to draft with
+ * @param {Array<Object>} [options.usage] - Usage list the model calls are recorded on
+ * @returns {Promise<{draft: Object, outputErrors: Array<Object>}>} The validated draft
+ */
+export async function draftDescription({ pr, diff, commits = [], changelog = false, model = CODE_REVIEW_MODEL, usage = null }) {
+  const client = ensureGroqClient();
+  const outputErrors = [];
+
+  const draft = await requestStructuredOutput(client, {
+    messages: [
+      { role: 'system', content: changelog ? `${DESCRIBE_SYSTEM_PROMPT}\n\n${CHANGELOG_PROMPT}` : DESCRIBE_SYSTEM_PROMPT },
+      { role: 'user', content: buildDescribePrompt(pr, diff, commits) }
+    ],
+    model,
+    temperature: 0.3,
+    max_tokens: 2048
+  }, DESCRIPTION_OUTPUT_SCHEMA, { usage, outputErrors, step: 'describe' });
+
+  return {
+    draft: {
+      summary: draft.summary || '',
+      motivation: draft.motivation || '',
+      changes: draft.changes || [],
+      risk: draft.risk || null,
+      testing: draft.testing || [],
+      ...(changelog && { changelog: draft.changelog || [] })
+    },
+    outputErrors
+  };
+}
+
+/**
+ * Format a draft as Markdown
+ * @param {Object} draft - Draft from draftDescription
+ * @returns {string} Markdown description
+ */
+export function formatDescription(draft) {
+  const sections = [`## Summary\n\n${draft.summary}`];
+
+  if (draft.motivation) {
+    sections.push(`## Motivation\n\n${draft.motivation}`);
+  }
+
+  const areas = draft.changes.filter(area => area.items.length > 0);
+  if (areas.length > 0) {
+    sections.push(`## Changes\n\n${areas.map(area => `**${area.area}**\n${formatList(area.items)}`).join('\n\n')}`);
+  }
+
+  if (draft.risk) {
+    const notes = draft.risk.notes.length > 0 ? `\n\n${formatList(draft.risk.notes)}` : '';
+    sections.push(`## Risk\n\n**${capitalize(draft.risk.level)}**${notes}`);
+  }
+
+  if (draft.testing.length > 0) {
+    sections.push(`## Testing\n\n${formatList(draft.testing)}`);
+  }
+
+  const changelog = formatChangelogEntry(draft.changelog);
+  if (changelog) {
+    sections.push(`## Changelog\n\n${changelog}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Format changelog items as a Keep a Changelog entry, categories in the standard order
+ * @param {Array<{category: string, entry: string}>} [items] - Changelog items of a draft
+ * @returns {string} Markdown entry, empty without items
+ */
+export function formatChangelogEntry(items = []) {
+  return CHANGELOG_CATEGORIES
+    .map(category => [category, items.filter(item => item.category === category)])
+    .filter(([, entries]) => entries.length > 0)
+    .map(([category, entries]) => `### ${category}\n${formatList(entries.map(item => item.entry))}`)
+    .join('\n\n');
+}
+
+/**
+ * Put a drafted description into a pull request body: an earlier draft is
+ * replaced, otherwise the draft goes below what the author wrote
+ * @param {string|null} body - Current pull request body
+ * @param {string} markdown - Result of formatDescription
+ * @returns {string} The new body
+ */
+export function mergeDescription(body, markdown) {
+  const block = `${DESCRIPTION_START}\n${markdown}\n${DESCRIPTION_END}`;
+  const current = body || '';
+  const start = current.indexOf(DESCRIPTION_START);
+  const end = current.indexOf(DESCRIPTION_END, start);
+
+  if (start !== -1 && end !== -1) {
+    return `${current.slice(0, start)}${block}${current.slice(end + DESCRIPTION_END.length)}`;
+  }
+
+  return current.trim() ? `${current.trimEnd()}\n\n${block}` : block;
+}
+
+/**
+ * Draft the description of a pull request and optionally write it to the provider
+ * @param {Object} options - Pull request to describe
+ * @param {Object} options.repo - Repository record
+ * @param {Object} options.provider - Provider adapter
+ * @param {number} options.number - Pull request number
+ * @param {boolean} [options.update] - Whether to write the draft into the pull request body
+ * @param {boolean} [options.changelog] - Whether to add a Keep a Changelog entry
+ * @returns {Promise<{skipped: boolean, budget: Object, pr: Object|null, draft: Object|null, markdown: string|null,
+ *   updated: boolean, outputErrors: Array<Object>, usage: Object}>}
+ *   skipped when the monthly budget is used up and the repository's budget_action is skip
+ */
+export async function describePullRequest({ repo, provider, number, update = false, changelog = false }) {
+  // Over budget, drafts use the smaller model, or are skipped
+  const budget = await checkRepoBudget(repo);
+  if (budget.action === 'skip') {
+    return { skipped: true, budget, pr: null, draft: null, markdown: null, updated: false, outputErrors: [], usage: summarizeUsage([]) };
+  }
+
+  const pr = await provider.fetchPullRequest(repo, number);
+  const [diff, commits] = await Promise.all([
+    provider.fetchPullRequestDiff(repo, pr),
+    provider.fetchPullRequestCommits(repo, number)
+  ]);
+
+  const usage = [];
+  let drafted;
+  try {
+    drafted = await draftDescription({
+      pr,
+      diff,
+      commits,
+      changelog,
+      usage,
+      ...(budget.action === 'downgrade' && { model: BUDGET_REVIEW_MODEL })
+    });
+  } finally {
+    // Tokens spent before a failure count too
+    await saveRepoUsage(repo, { kind: 'describe', prNumber: number, calls: usage, budget });
+  }
+
+  const { draft, outputErrors } = drafted;
+  const markdown = formatDescription(draft);
+
+  // Drafts the model could not produce in full are returned but not written
+  const updated = update && outputErrors.length === 0;
+  if (updated) {
+    await provider.updatePullRequestDescription(repo, number, mergeDescription(pr.body, markdown));
+  }
+
+  return { skipped: false, budget, pr, draft, markdown, updated, outputErrors, usage: summarizeUsage(usage) };
+}
+
+// Files with their change counts, the commit messages and as much of the
+// redacted diff as fits; generated, vendored and lockfile changes are only listed
+function buildDescribePrompt(pr, diff, commits) {
+  const files = parseDiff(diff);
+  const { diff: reviewable } = excludeClassifiedFiles(scanDiffForSecrets(diff).redactedDiff, { reviewFileTypes: ['test'] });
+
+  const fileList = files
+    .slice(0, MAX_FILES_LISTED)
+    .map(file => `- ${file.path} (${file.status}, +${file.additions} -${file.deletions})`)
+    .join('\n');
+  const commitList = commits
+    .slice(-MAX_COMMITS)
+    .map(commit => `- ${redactSecrets(commit.message.split('\n')[0])}`)
+    .join('\n');
+  const truncated = reviewable.length > MAX_DIFF_CHARS
+    ? `${reviewable.slice(0, MAX_DIFF_CHARS)}\n... (diff truncated)`
+    : reviewable;
+
+  // The current body is left out if it only holds an earlier draft
+  const currentBody = redactSecrets(removeDraft(pr.body || '')).trim();
+
+  return `PR Title: ${pr.title || 'Untitled'}
+Base Branch: ${pr.baseBranch || 'unknown'} <- Head Branch: ${pr.headBranch || 'unknown'}
+Current Description: ${currentBody || 'No description provided'}
+
+Commits:
+${commitList || '- (none)'}
+
+Changed files (${files.length}):
+${fileList}
+
+Diff:
+\`\`\`diff
+${truncated}
+\`\`\``;
+}
+
+function removeDraft(body) {
+  const start = body.indexOf(DESCRIPTION_START);
+  const end = body.indexOf(DESCRIPTION_END, start);
+  return start !== -1 && end !== -1
+    ? `${body.slice(0, start)}${body.slice(end + DESCRIPTION_END.length)}`
+    : body;
+}
+
+function formatList(items) {
+  return items.map(item => `- ${item}`).join('\n');
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
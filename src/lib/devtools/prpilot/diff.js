@@ -0,0 +1,219 @@
+/**
+ * PRPilot Diff Parser
+ * Parses unified diffs (git format) into files, hunks and numbered lines
+ */
+
+const FILE_HEADER_PATTERN = /^diff --git a\/(.+?) b\/(.+)$/;
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Parse a unified diff
+ *
+ * Every line carries its old/new line number and its GitHub diff "position":
+ * the 1-based offset from the file's first hunk header, counting later
+ * hunk headers as lines.
+ *
+ * @param {string} diff - The diff text
+ * @returns {Array<Object>} Parsed files with hunks and lines
+ */
+export function parseDiff(diff) {
+  const files = [];
+  if (!diff) {
+    return files;
+  }
+
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let position = 0;
+
+  const startFile = (oldPath, newPath) => {
+    file = {
+      path: newPath,
+      oldPath,
+      status: 'modified',
+      binary: false,
+      hunks: [],
+      additions: 0,
+      deletions: 0,
+      rawLines: []
+    };
+    files.push(file);
+    hunk = null;
+    position = 0;
+  };
+
+  for (const line of diff.split('\n')) {
+    const fileMatch = line.match(FILE_HEADER_PATTERN);
+    if (fileMatch) {
+      startFile(fileMatch[1], fileMatch[2]);
+      file.rawLines.push(line);
+      continue;
+    }
+
+    const inHunk = hunk !== null &&
+      (oldLine < hunk.oldStart + hunk.oldLines || newLine < hunk.newStart + hunk.newLines);
+
+    // Diffs without "diff --git" headers start each file at its "---" line
+    if (!inHunk && line.startsWith('--- ') && (!file || file.hunks.length > 0)) {
+      const filePath = stripPathPrefix(line.slice(4));
+      startFile(filePath, filePath);
+    }
+
+    if (!file) {
+      continue;
+    }
+
+    file.rawLines.push(line);
+
+    const hunkMatch = line.match(HUNK_HEADER_PATTERN);
+    if (hunkMatch) {
+      if (file.hunks.length > 0) {
+        position++;
+      }
+      hunk = {
+        header: line,
+        oldStart: parseInt(hunkMatch[1], 10),
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: parseInt(hunkMatch[3], 10),
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        section: hunkMatch[5] || '',
+        lines: []
+      };
+      file.hunks.push(hunk);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      continue;
+    }
+
+    if (hunk && line.startsWith('\\')) {
+      // "\ No newline at end of file" takes a position but no line number
+      position++;
+      continue;
+    }
+
+    if (!inHunk) {
+      // File header lines: mode changes, renames, ---/+++ paths
+      if (line.startsWith('new file mode')) {
+        file.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        file.status = 'deleted';
+      } else if (line.startsWith('rename from ')) {
+        file.status = 'renamed';
+        file.oldPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        file.path = line.slice('rename to '.length);
+      } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+        file.binary = true;
+      } else if (line.startsWith('--- ')) {
+        const oldPath = stripPathPrefix(line.slice(4));
+        if (oldPath === '/dev/null') {
+          file.status = 'added';
+        } else {
+          file.oldPath = oldPath;
+        }
+      } else if (line.startsWith('+++ ')) {
+        const newPath = stripPathPrefix(line.slice(4));
+        if (newPath === '/dev/null') {
+          file.status = 'deleted';
+          file.path = file.oldPath;
+        } else {
+          file.path = newPath;
+        }
+      }
+      continue;
+    }
+
+    position++;
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.slice(1), oldLine: null, newLine, position });
+      file.additions++;
+      newLine++;
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.slice(1), oldLine, newLine: null, position });
+      file.deletions++;
+      oldLine++;
+    } else {
+      hunk.lines.push({ type: 'context', content: line.slice(1), oldLine, newLine, position });
+      oldLine++;
+      newLine++;
+    }
+  }
+
+  return files.map(({ rawLines, ...parsed }) => ({
+    ...parsed,
+    raw: rawLines.join('\n')
+  }));
+}
+
+/**
+ * Get the added lines of parsed diff files
+ * @param {Array<Object>} files - Files from parseDiff
+ * @returns {Array<{file: string, line: number, content: string, position: number}>}
+ */
+export function getAddedLines(files) {
+  const added = [];
+
+  for (const file of files) {
+    for (const hunk of file.hunks) {
+      for (const line of hunk.lines) {
+        if (line.type === 'add') {
+          added.push({ file: file.path, line: line.newLine, content: line.content, position: line.position });
+        }
+      }
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Follow a line of the old side of a file to its number on the new side
+ * @param {Object} file - A file from parseDiff
+ * @param {number} oldLine - Line number in the old file
+ * @returns {number|null} Line number in the new file, or null if the line was changed or removed
+ */
+export function mapLineToNewSide(file, oldLine) {
+  let offset = 0;
+
+  for (const hunk of file.hunks) {
+    // A hunk that only adds lines inserts them after oldStart
+    const before = hunk.oldLines === 0 ? oldLine <= hunk.oldStart : oldLine < hunk.oldStart;
+    if (before) {
+      break;
+    }
+
+    if (oldLine < hunk.oldStart + hunk.oldLines) {
+      const line = hunk.lines.find(candidate => candidate.oldLine === oldLine);
+      return line?.type === 'context' ? line.newLine : null;
+    }
+
+    offset += hunk.newLines - hunk.oldLines;
+  }
+
+  return oldLine + offset;
+}
+
+/**
+ * Get a contiguous range of new-side lines that all lie in one hunk
+ * @param {Object} file - A file from parseDiff
+ * @param {number} startLine - First line number in the new file
+ * @param {number} endLine - Last line number in the new file
+ * @returns {Array<Object>|null} The diff lines of the range, or null if part of it is outside the hunk
+ */
+export function getNewSideRange(file, startLine, endLine) {
+  for (const hunk of file.hunks) {
+    const lines = hunk.lines.filter(line => line.newLine && line.newLine >= startLine && line.newLine <= endLine);
+    if (lines.length > 0) {
+      return lines.length === endLine - startLine + 1 ? lines : null;
+    }
+  }
+  return null;
+}
+
+function stripPathPrefix(filePath) {
+  const trimmed = filePath.split('\t')[0].trim();
+  return trimmed.replace(/^[ab]\//, '');
+}
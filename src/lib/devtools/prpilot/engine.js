@@ -0,0 +1,954 @@
+/**
+ * PRPilot Review Engine
+ * The single review pipeline behind the library, the review API and the webhook
+ *
+ * Every review is stored in the canonical prpilot_reviews shape:
+ * - summary, quality_score (0-100), issues, suggestions, highlights
+ * - rule_violations, metrics, files_reviewed, context_chunks
+ * - review_passes, skipped_files, status, triggered_by
+ * - head_sha, previous_review_id, incremental (for re-reviews of new commits)
+ * - config, config_errors (the repository's .prpilot.yml at the head commit)
+ * - prompt_tokens, completion_tokens, cost_usd, model_latency_ms, usage (model calls, see usage.js)
+ * - output_errors (model output that failed validation even after a repair attempt;
+ *   the review is then 'degraded' and has no quality score)
+ */
+
+import { supabase } from '../../supabase';
+import Groq from 'groq-sdk';
+import { buildReviewContext } from './context';
+import { reviewInPasses, mergeIssues, mergeBy } from './batching';
+import { parseDiff } from './diff';
+import { runLocalRules, isLlmRule } from './rules';
+import { scanDiffForSecrets, secretFindingsToIssues, redactSecrets } from './secrets';
+import { saveFindings, buildFeedbackPrompt } from './feedback';
+import { carryForwardFindings, markFindingsOutdated } from './incremental';
+import { getSuppressedRules, isRuleSuppressed } from './suppressions';
+import { getSuggestionContext, validateReplacement } from './suggestions';
+import { CONFIG_FILE, filterDiffByConfig, filterRulesByConfig, isPathIncluded } from './config';
+import { excludeClassifiedFiles } from './classify';
+import { getPackRules } from './packs';
+import { recordModelCall, buildUsageColumns, checkRepoBudget, BUDGET_REVIEW_MODEL } from './usage';
+import { parseModelOutput, dropInvalidItems, formatRepairPrompt } from './output';
+
+// Initialize Groq client
+const groq = process.env.GROQ_API_KEY
+  ? new Groq({ apiKey: process.env.GROQ_API_KEY })
+  : null;
+
+// Constants
+export const CODE_REVIEW_MODEL = 'llama-3.3-70b-versatile';
+const MAX_BATCH_LENGTH = 15000; // Diff characters per review pass
+
+export const ISSUE_TYPES = ['bug', 'security', 'performance', 'style', 'error_handling'];
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+export const SUGGESTION_TYPES = ['improvement', 'refactor', 'documentation', 'testing'];
+export const FIX_PRIORITIES = ['immediate', 'soon', 'later'];
+
+// Fix suggestions do not change findings or the score, so invalid ones do not degrade a review
+const DEGRADING_STEPS = ['analysis', 'rules'];
+
+// ============================================================================
+// SYSTEM PROMPTS
+// ============================================================================
+
+const CODE_REVIEW_SYSTEM_PROMPT = `You are an expert code reviewer with deep knowledge of software engineering best practices, security, performance optimization, and clean code principles. Your role is to analyze pull request diffs and identify:
+
+1. **Bugs and Logic Errors**: Null pointer exceptions, off-by-one errors, race conditions, incorrect logic flow
+2. **Security Vulnerabilities**: SQL injection, XSS, insecure authentication, exposed secrets, CSRF
+3. **Performance Issues**: N+1 queries, memory leaks, inefficient algorithms, unnecessary re-renders
+4. **Style Violations**: Inconsistent naming, poor code organization, missing documentation
+5. **Missing Error Handling**: Uncaught exceptions, missing validation, no fallback handling
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "summary": "<2-3 sentence overall assessment>",
+  "issues": [
+    {
+      "type": "bug|security|performance|style|error_handling",
+      "severity": "critical|high|medium|low",
+      "file": "<filename or null>",
+      "line": <line number in the new file, or null>,
+      "title": "<brief title>",
+      "description": "<detailed explanation>",
+      "suggestion": "<how to fix>"
+    }
+  ],
+  "suggestions": [
+    {
+      "type": "improvement|refactor|documentation|testing",
+      "file": "<filename or null>",
+      "title": "<suggestion title>",
+      "description": "<what could be improved and why>"
+    }
+  ],
+  "highlights": [
+    "<positive aspects of the code>"
+  ]
+}`;
+
+const FIX_SYSTEM_PROMPT = `You are an expert software engineer. Given a list of code issues, generate specific, actionable fix suggestions with code examples when appropriate.
+
+Some issues include "code": numbered lines of the new file around the issue. For those, also give the exact replacement:
+- startLine and endLine are the first and last numbered lines your replacement covers; the issue's line must be in the range
+- replacement is the complete new text for those lines, with the original indentation and without line numbers
+- keep the range as small as possible and only use line numbers shown in "code"
+Leave startLine, endLine and replacement null when a fix cannot be expressed as such a replacement.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "suggestions": [
+    {
+      "issueIndex": <number>,
+      "priority": "immediate|soon|later",
+      "fix": "<detailed fix description>",
+      "codeExample": "<optional code snippet showing the fix>",
+      "startLine": <number or null>,
+      "endLine": <number or null>,
+      "replacement": "<replacement text or null>"
+    }
+  ]
+}`;
+
+const CUSTOM_RULES_SYSTEM_PROMPT = `You are a code review assistant. Check the provided code diff against custom team rules and report any violations.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "violations": [
+    {
+      "ruleId": "<id of violated rule>",
+      "ruleName": "<name of the rule>",
+      "line": <number or null>,
+      "file": "<filename or null>",
+      "description": "<how the code violates the rule>",
+      "suggestion": "<how to fix>"
+    }
+  ]
+}`;
+
+// ============================================================================
+// OUTPUT SCHEMAS
+// ============================================================================
+
+const LINE = { type: ['integer', 'null'], minimum: 1 };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+export const REVIEW_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'issues'],
+  properties: {
+    summary: { type: 'string' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'severity', 'title', 'description'],
+        properties: {
+          type: { type: 'string', enum: ISSUE_TYPES },
+          severity: { type: 'string', enum: SEVERITIES },
+          file: NULLABLE_STRING,
+          line: LINE,
+          title: { type: 'string' },
+          description: { type: 'string' },
+          suggestion: NULLABLE_STRING
+        }
+      }
+    },
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'title', 'description'],
+        properties: {
+          type: { type: 'string', enum: SUGGESTION_TYPES },
+          file: NULLABLE_STRING,
+          title: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    highlights: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+export const FIX_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['issueIndex', 'priority', 'fix'],
+        properties: {
+          issueIndex: { type: 'integer', minimum: 0 },
+          priority: { type: 'string', enum: FIX_PRIORITIES },
+          fix: { type: 'string' },
+          codeExample: NULLABLE_STRING,
+          startLine: LINE,
+          endLine: LINE,
+          replacement: NULLABLE_STRING
+        }
+      }
+    }
+  }
+};
+
+export const RULES_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['violations'],
+  properties: {
+    violations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['ruleId', 'description'],
+        properties: {
+          ruleId: { type: ['string', 'integer'] },
+          ruleName: NULLABLE_STRING,
+          line: LINE,
+          file: NULLABLE_STRING,
+          description: { type: 'string' },
+          suggestion: NULLABLE_STRING
+        }
+      }
+    }
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate that Groq client is available
+ */
+export function ensureGroqClient() {
+  if (!groq) {
+    throw new Error('Groq API key not configured. Set GROQ_API_KEY environment variable.');
+  }
+  return groq;
+}
+
+/**
+ * Check whether the review model is configured
+ */
+export function isGroqConfigured() {
+  return Boolean(groq);
+}
+
+/**
+ * Parse JSON response from AI, accepting fenced code blocks
+ */
+export function parseAIResponse(content, defaultValue = {}) {
+  let jsonContent = content || '';
+
+  const fencedMatch = jsonContent.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fencedMatch) {
+    jsonContent = fencedMatch[1];
+  }
+
+  try {
+    const objectMatch = jsonContent.match(/\{[\s\S]*\}/);
+    if (objectMatch) {
+      return JSON.parse(objectMatch[0]);
+    }
+    return defaultValue;
+  } catch (error) {
+    console.error('Failed to parse AI response:', error.message);
+    return defaultValue;
+  }
+}
+
+/**
+ * Send a chat completion and record its tokens and latency on a usage list
+ * @param {Object} client - Groq client
+ * @param {Object} request - Chat completion request
+ * @param {Object} options - Accounting options
+ * @param {string} options.step - Name of the call in the usage list
+ * @param {Array<Object>} [options.usage] - Usage list the call is recorded on
+ * @returns {Promise<Object>} The completion
+ */
+export async function createCompletion(client, request, { usage = null, step }) {
+  const startedAt = Date.now();
+  const completion = await client.chat.completions.create(request);
+  recordModelCall(usage, { step, model: request.model, usage: completion.usage, latencyMs: Date.now() - startedAt });
+  return completion;
+}
+
+/**
+ * Request JSON matching a schema; an invalid response is sent back once with its errors.
+ * Whatever is still invalid is dropped and reported on outputErrors.
+ * @param {Object} client - Groq client
+ * @param {Object} request - Chat completion request
+ * @param {Object} schema - Expected shape of the response (see output.js)
+ * @param {Object} options - Accounting options
+ * @param {string} options.step - Name of the call in usage and output errors
+ * @param {Array<Object>} [options.usage] - Usage list the calls are recorded on
+ * @param {Array<Object>} [options.outputErrors] - Receives output that stayed invalid after repair
+ * @returns {Promise<Object>} The valid response, or its valid parts
+ */
+export async function requestStructuredOutput(client, request, schema, { usage = null, outputErrors = null, step }) {
+  const completion = await createCompletion(client, request, { usage, step });
+  const content = completion.choices[0]?.message?.content || '';
+  const first = parseModelOutput(content, schema);
+  if (first.errors.length === 0) {
+    return first.value;
+  }
+
+  let second;
+  try {
+    const repair = await createCompletion(client, {
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content },
+        { role: 'user', content: formatRepairPrompt(first.errors) }
+      ]
+    }, { usage, step: `${step}_repair` });
+    second = parseModelOutput(repair.choices[0]?.message?.content || '', schema);
+  } catch (error) {
+    second = { value: null, errors: [`Repair request failed: ${error.message}`] };
+  }
+
+  if (second.errors.length === 0) {
+    return second.value;
+  }
+
+  console.error(`Invalid ${step} output after repair:`, second.errors.join('; '));
+  outputErrors?.push({ step, errors: second.errors });
+  return dropInvalidItems(second.value ?? first.value, schema);
+}
+
+function hasDegradedOutput(outputErrors = []) {
+  return outputErrors.some(entry => DEGRADING_STEPS.includes(entry.step));
+}
+
+/**
+ * Describe the PR for the review prompt
+ */
+function formatPrContext(pr = {}) {
+  if (!pr.title) {
+    return '';
+  }
+
+  return `PR Title: ${pr.title}
+PR Description: ${pr.body || 'No description provided'}
+Base Branch: ${pr.baseBranch || 'unknown'} <- Head Branch: ${pr.headBranch || 'unknown'}
+Author: ${pr.author || 'unknown'}\n\n`;
+}
+
+// Keeps the JSON keys and enum values in English so responses still parse
+function formatLanguageInstruction(language) {
+  return language
+    ? `\n\nWrite all human-readable text (summary, titles, descriptions, suggestions, fixes) in ${language}. Keep JSON keys and enum values in English.`
+    : '';
+}
+
+// ============================================================================
+// AI ANALYSIS
+// ============================================================================
+
+/**
+ * Analyze a diff to find issues
+ * @param {string} diff - The code diff
+ * @param {Object} reviewContext - Context for the prompt
+ * @param {Object} [reviewContext.repo] - Repository record
+ * @param {Object} [reviewContext.pr] - Pull request details
+ * @param {string} [reviewContext.codeContext] - Related code retrieved from the index
+ * @param {string} [reviewContext.feedback] - What the team rejected in earlier reviews
+ * @param {string} [reviewContext.language] - Language to write the review in
+ * @param {string} [reviewContext.model] - Model to review with
+ * @param {Array<Object>} [reviewContext.usage] - Usage list the model call is recorded on
+ * @param {Array<Object>} [reviewContext.outputErrors] - Receives output that stayed invalid after repair
+ * @returns {Promise<Object>} Summary, issues, suggestions and highlights
+ */
+export async function analyzeDiff(diff, reviewContext = {}) {
+  if (!diff) {
+    throw new Error('diff is required');
+  }
+
+  const client = ensureGroqClient();
+  const { repo, pr, codeContext, feedback, language, model = CODE_REVIEW_MODEL, usage = null, outputErrors = null } = reviewContext;
+
+  const repoInfo = repo?.repo_full_name
+    ? `Repository: ${repo.repo_full_name} (${repo.provider || 'github'})\n\n`
+    : '';
+
+  const codeContextInfo = codeContext
+    ? `Related code from the repository (definitions and callers of symbols touched by the diff):\n\n${codeContext}\n\n`
+    : '';
+
+  const feedbackInfo = feedback ? `${feedback}\n\n` : '';
+
+  try {
+    const result = await requestStructuredOutput(client, {
+      messages: [
+        { role: 'system', content: CODE_REVIEW_SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `${repoInfo}${formatPrContext(pr)}${codeContextInfo}${feedbackInfo}Please review this code diff and identify any issues:\n\n\`\`\`diff\n${diff}\n\`\`\`${formatLanguageInstruction(language)}`
+        }
+      ],
+      model,
+      temperature: 0.3, // Lower temperature for more consistent analysis
+      max_tokens: 4096
+    }, REVIEW_OUTPUT_SCHEMA, { usage, outputErrors, step: 'analysis' });
+
+    return {
+      summary: result.summary || '',
+      issues: Array.isArray(result.issues) ? result.issues : [],
+      suggestions: Array.isArray(result.suggestions) ? result.suggestions : [],
+      highlights: Array.isArray(result.highlights) ? result.highlights : []
+    };
+  } catch (error) {
+    console.error('AI analysis failed:', error.message);
+    throw new Error(`Failed to analyze diff: ${error.message}`);
+  }
+}
+
+/**
+ * Generate fix suggestions for issues.
+ * With the diff, suggestions for issues on diff lines can carry an exact replacement
+ * (startLine, endLine, replacement); replacements that would not apply cleanly are dropped.
+ * @param {Array} issues - List of issues to generate suggestions for
+ * @param {string} [diff] - The (redacted) diff the issues were found in
+ * @param {Object} [options] - Suggestion options
+ * @param {string} [options.language] - Language to write the fix descriptions in
+ * @param {string} [options.model] - Model to generate the fixes with
+ * @param {Array<Object>} [options.usage] - Usage list the model call is recorded on
+ * @param {Array<Object>} [options.outputErrors] - Receives output that stayed invalid after repair
+ * @returns {Promise<Array>} List of suggestions, one per issue index
+ */
+export async function generateSuggestions(issues, diff = '', options = {}) {
+  const { language = null, model = CODE_REVIEW_MODEL, usage = null, outputErrors = null } = options;
+
+  if (!issues || issues.length === 0) {
+    return [];
+  }
+
+  const client = ensureGroqClient();
+  const files = parseDiff(diff);
+  const prompted = issues.map((issue, index) => {
+    const context = getSuggestionContext(issue, files);
+    return {
+      issueIndex: index,
+      ...issue,
+      ...(context && { code: context.lines.map(({ line, content }) => `${line}: ${content}`).join('\n') })
+    };
+  });
+
+  try {
+    const result = await requestStructuredOutput(client, {
+      messages: [
+        { role: 'system', content: FIX_SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `Generate fix suggestions for these issues:\n\n${JSON.stringify(prompted, null, 2)}${formatLanguageInstruction(language)}`
+        }
+      ],
+      model,
+      temperature: 0.4,
+      max_tokens: 4000
+    }, FIX_OUTPUT_SCHEMA, { usage, outputErrors, step: 'fixes' });
+
+    return result.suggestions.map(suggestion => {
+      const { startLine, endLine, replacement, ...rest } = suggestion;
+      const issue = issues[suggestion.issueIndex];
+      const change = issue ? validateReplacement(issue, { startLine, endLine, replacement }, files) : null;
+      return change ? { ...rest, ...change } : rest;
+    });
+  } catch (error) {
+    console.error('Failed to generate suggestions:', error.message);
+    // Return basic suggestions derived from issues
+    return issues.map((issue, index) => ({
+      issueIndex: index,
+      priority: issue.severity === 'critical' ? 'immediate' :
+                issue.severity === 'high' ? 'soon' : 'later',
+      fix: issue.suggestion || 'Review and address this issue.',
+      codeExample: null
+    }));
+  }
+}
+
+/**
+ * Check diff against custom rules.
+ * Regex and AST rules run locally on the added lines; only llm rules go to the model.
+ * @param {string} diff - The code diff
+ * @param {Array} rules - List of custom rules to check
+ * @param {Object} [options] - Model options for llm rules
+ * @param {string} [options.model] - Model to check the rules with
+ * @param {Array<Object>} [options.usage] - Usage list the model call is recorded on
+ * @param {Array<Object>} [options.outputErrors] - Receives output that stayed invalid after repair,
+ *   and the error if the llm rules could not be checked
+ * @returns {Promise<Array>} List of rule violations
+ */
+export async function checkCustomRules(diff, rules, options = {}) {
+  if (!diff || !rules || rules.length === 0) {
+    return [];
+  }
+
+  const localViolations = runLocalRules(diff, rules);
+  const llmRules = rules.filter(isLlmRule);
+
+  if (llmRules.length === 0) {
+    return localViolations;
+  }
+
+  return [...localViolations, ...await checkLlmRules(diff, llmRules, options)];
+}
+
+async function checkLlmRules(diff, rules, { model = CODE_REVIEW_MODEL, usage = null, outputErrors = null }) {
+  const client = ensureGroqClient();
+
+  // Format rules for the prompt
+  const rulesDescription = rules.map(rule =>
+    `- ID: ${rule.id}, Name: "${rule.name}", Rule: "${rule.pattern || rule.description}", Description: "${rule.description || 'No description'}"`
+  ).join('\n');
+
+  try {
+    const result = await requestStructuredOutput(client, {
+      messages: [
+        { role: 'system', content: CUSTOM_RULES_SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `Check this diff against these custom rules:\n\nRules:\n${rulesDescription}\n\nDiff:\n\`\`\`diff\n${diff}\n\`\`\``
+        }
+      ],
+      model,
+      temperature: 0.2, // Very low temperature for rule checking
+      max_tokens: 2000
+    }, RULES_OUTPUT_SCHEMA, { usage, outputErrors, step: 'rules' });
+
+    return result.violations.map(violation => ({
+      ...violation,
+      kind: 'llm',
+      severity: rules.find(rule => String(rule.id) === String(violation.ruleId))?.severity || 'medium'
+    }));
+  } catch (error) {
+    console.error('Failed to check custom rules:', error.message);
+    outputErrors?.push({ step: 'rules', errors: [`Custom rules could not be checked: ${error.message}`] });
+    return [];
+  }
+}
+
+/**
+ * Calculate a quality score based on issues found
+ * @param {Array} issues - List of issues
+ * @returns {number} Score from 10-100
+ */
+export function calculateScore(issues) {
+  if (!issues || issues.length === 0) {
+    return 100; // Perfect score if no issues
+  }
+
+  // Deduction weights by severity
+  const weights = {
+    critical: 30,
+    high: 20,
+    medium: 10,
+    low: 5
+  };
+
+  // Type multipliers (security and bugs are more severe)
+  const typeMultipliers = {
+    security: 1.5,
+    bug: 1.3,
+    performance: 1.0,
+    error_handling: 0.9,
+    style: 0.6
+  };
+
+  let totalDeduction = 0;
+
+  for (const issue of issues) {
+    const severityWeight = weights[issue.severity] || 10;
+    const typeMultiplier = typeMultipliers[issue.type] || 1;
+    totalDeduction += severityWeight * typeMultiplier;
+  }
+
+  // Cap deduction to keep a minimum score of 10
+  const maxDeduction = 90;
+  return Math.round(100 - Math.min(totalDeduction, maxDeduction));
+}
+
+/**
+ * Summarize issues by severity and type
+ * @param {Object} result - Review result with issues, suggestions and highlights
+ * @returns {Object} Review metrics
+ */
+export function calculateMetrics(result) {
+  const issues = result.issues || [];
+  const countBy = (field, values) => Object.fromEntries(
+    values.map(value => [value, issues.filter(issue => issue[field] === value).length])
+  );
+
+  const bySeverity = countBy('severity', SEVERITIES);
+
+  return {
+    totalIssues: issues.length,
+    bySeverity,
+    byType: countBy('type', ISSUE_TYPES),
+    ruleViolations: (result.rule_violations || []).length,
+    secretsFound: issues.filter(issue => issue.source === 'secret-scanner').length,
+    suggestionsCount: (result.suggestions || []).length,
+    highlightsCount: (result.highlights || []).length,
+    needsAttention: bySeverity.critical > 0 || bySeverity.high > 0
+  };
+}
+
+// ============================================================================
+// REVIEW PIPELINE
+// ============================================================================
+
+/**
+ * Get the enabled rules that apply to a repository:
+ * rules scoped to the repo, the owner's rules without a repo, and the rules of
+ * the packs assigned to the repo. The owner's own rules win over pack rules with the same name.
+ * @param {Object} repo - Repository record
+ * @returns {Promise<Array>} List of rules
+ */
+export async function getActiveRules(repo) {
+  if (!repo?.id) {
+    return [];
+  }
+
+  // Two plain filters rather than an or() string built from the record's IDs
+  const [repoRules, userRules] = await Promise.all([
+    supabase.from('prpilot_rules').select('*').eq('enabled', true).eq('repo_id', repo.id),
+    supabase.from('prpilot_rules').select('*').eq('enabled', true).eq('user_id', repo.user_id).is('repo_id', null)
+  ]);
+
+  const error = repoRules.error || userRules.error;
+  if (error) {
+    console.error('Failed to fetch rules:', error);
+    return [];
+  }
+
+  const ownRules = [...new Map([...(repoRules.data || []), ...(userRules.data || [])].map(rule => [rule.id, rule])).values()];
+  const ownNames = new Set(ownRules.map(rule => rule.name.toLowerCase()));
+  const packRules = await getPackRules(repo);
+
+  return [...ownRules, ...packRules.filter(rule => !ownNames.has(rule.name.toLowerCase()))];
+}
+
+/**
+ * Run the model review of a diff without storing anything
+ * @param {string} diff - The diff to review
+ * @param {Object} options - Review options
+ * @param {Object} [options.repo] - Repository record, used for context retrieval
+ * @param {Object} [options.pr] - Pull request details
+ * @param {Array} [options.rules] - Custom rules to check
+ * @param {Object} [options.config] - Repository config; its excluded paths are scanned for secrets but not reviewed
+ * @param {string} [options.language] - Language to write the review in
+ * @param {Array} [options.attributes] - Linguist attributes from the repository's .gitattributes
+ * @param {Array<string>} [options.reviewFileTypes] - Generated, vendored, lockfile or test files to review anyway
+ * @param {string} [options.model] - Model to review with
+ * @param {boolean} [options.generateFixes] - Whether to ask the model for fix suggestions
+ * @param {Array<Object>} [options.usage] - Usage list every model call is recorded on
+ * @returns {Promise<Object>} Canonical review result; quality_score is null when
+ *   output_errors contains findings output that stayed invalid after repair
+ */
+export async function analyzeReview(diff, options = {}) {
+  const {
+    repo = null,
+    pr = {},
+    rules = [],
+    config = null,
+    language = null,
+    attributes = [],
+    reviewFileTypes = [],
+    model = CODE_REVIEW_MODEL,
+    generateFixes = true,
+    usage = null
+  } = options;
+  const outputErrors = [];
+
+  // Secrets are reported locally and never sent to the model
+  const secretScan = scanDiffForSecrets(diff);
+  const feedback = await buildFeedbackPrompt(repo?.id);
+
+  // Files excluded by the repository config, and generated, vendored, binary,
+  // lockfile and test files, are still scanned for secrets but not reviewed
+  const configured = filterDiffByConfig(secretScan.redactedDiff, config);
+  const classified = excludeClassifiedFiles(configured.diff, { attributes, reviewFileTypes });
+
+  // Review the diff in batches that fit the model budget, each with
+  // indexed code around the symbols its part of the diff touches
+  const passes = await reviewInPasses(classified.diff, async (batch) => {
+    const codeContext = await buildReviewContext(repo?.id, batch.diff);
+    const [analysis, violations] = await Promise.all([
+      analyzeDiff(batch.diff, { repo, pr, feedback, language, model, usage, outputErrors, codeContext: redactSecrets(codeContext.prompt) }),
+      checkCustomRules(batch.diff, rules, { model, usage, outputErrors })
+    ]);
+
+    return { ...analysis, violations, contextChunks: codeContext.chunks };
+  }, { maxChars: MAX_BATCH_LENGTH });
+
+  const passResults = passes.results.filter(Boolean);
+  const summaries = passResults.map(result => result.summary).filter(Boolean);
+  const issues = mergeIssues([
+    secretFindingsToIssues(secretScan.findings),
+    ...passResults.map(result => result.issues)
+  ]);
+
+  // Attach fix suggestions to the issues they address; findings in files the
+  // config excludes are reported without one, so nothing of those files reaches the model
+  const fixable = issues.filter(issue => !issue.file || isPathIncluded(issue.file, config?.paths));
+  const fixes = generateFixes
+    ? await generateSuggestions(fixable, configured.diff, { language, model, usage, outputErrors })
+    : [];
+  for (const fix of fixes) {
+    if (fixable[fix.issueIndex]) {
+      fixable[fix.issueIndex].fix = {
+        priority: fix.priority,
+        description: fix.fix,
+        codeExample: fix.codeExample || null,
+        ...(fix.replacement !== undefined && {
+          startLine: fix.startLine,
+          endLine: fix.endLine,
+          replacement: fix.replacement
+        })
+      };
+    }
+  }
+
+  const result = {
+    summary: summaries.length === 1
+      ? summaries[0]
+      : summaries.map(summary => `- ${summary}`).join('\n'),
+    // A score over findings that may be incomplete would look like a real one
+    quality_score: hasDegradedOutput(outputErrors) ? null : calculateScore(issues),
+    issues,
+    suggestions: mergeBy(
+      passResults.map(result => result.suggestions),
+      suggestion => `${suggestion.file}|${(suggestion.title || '').toLowerCase()}`
+    ),
+    highlights: [...new Set(passResults.flatMap(result => result.highlights))],
+    rule_violations: mergeBy(
+      passResults.map(result => result.violations),
+      violation => `${violation.ruleId}|${violation.file}|${violation.line}`
+    ),
+    files_reviewed: parseDiff(classified.diff).map(file => file.path),
+    context_chunks: mergeBy(
+      passResults.map(result => result.contextChunks),
+      chunk => chunk.chunk_id
+    ),
+    review_passes: passes.passes,
+    skipped_files: [...classified.skippedFiles, ...passes.skippedFiles, ...configured.excludedFiles],
+    output_errors: outputErrors
+  };
+
+  if (!configured.diff && configured.excludedFiles.length > 0) {
+    result.summary = `All changed files are excluded by the paths in ${CONFIG_FILE}.`;
+  } else if (!classified.diff && classified.skippedFiles.length > 0) {
+    result.summary = 'Only generated, vendored, binary, lockfile or test files changed, so nothing was sent for model review.';
+  }
+
+  result.metrics = calculateMetrics(result);
+  return result;
+}
+
+/**
+ * Review a diff and store the result in prpilot_reviews
+ * @param {Object} options - Review options
+ * @param {string} options.diff - The diff to review
+ * @param {Object} [options.repo] - Repository record; omit for standalone reviews
+ * @param {string} [options.userId] - Owner of the review, defaults to the repo owner
+ * @param {Object} [options.pr] - Pull request details (number, title, body, url, author, baseBranch, headBranch, headSha)
+ * @param {Array} [options.rules] - Custom rules; defaults to the repo's active rules
+ * @param {string} [options.triggeredBy] - What started the review (api, webhook, library, push)
+ * @param {string} [options.deliveryId] - Webhook delivery ID
+ * @param {Object} [options.previousReview] - Earlier review of the PR; the diff then only
+ *   covers commits since its head and its unresolved findings are carried forward
+ * @param {Object} [options.config] - Repository config from .prpilot.yml (see loadRepoConfig)
+ * @param {Array<string>} [options.configErrors] - Problems found in .prpilot.yml, reported with the review
+ * @param {Array} [options.attributes] - Linguist attributes from .gitattributes (see loadGitattributes)
+ * @param {string} [options.reviewId] - Record of an earlier failed attempt, reused instead of inserting one
+ * @returns {Promise<Object>} The stored review record; status 'skipped' when the repository's
+ *   monthly budget is used up and its budget_action is skip
+ * @throws {Error} With reviewId set to the failed record, so a retry can pass it back
+ */
+export async function runReview(options) {
+  const {
+    diff,
+    repo = null,
+    pr = {},
+    triggeredBy = 'api',
+    deliveryId = null,
+    previousReview = null,
+    config = null,
+    configErrors = [],
+    attributes = []
+  } = options;
+  const userId = options.userId || repo?.user_id;
+
+  if (!diff || !userId) {
+    throw new Error('diff and userId (or repo) are required');
+  }
+
+  ensureGroqClient();
+
+  // Over budget, reviews use a smaller model without generated fixes, or are skipped
+  const budget = await checkRepoBudget(repo);
+
+  // Rules suppressed for this PR with "/prpilot ignore" are left out
+  const suppressed = await getSuppressedRules(repo?.id, pr.number);
+  const rules = filterRulesByConfig(options.rules ?? await getActiveRules(repo), config)
+    .filter(rule => !isRuleSuppressed(rule, suppressed));
+  const fields = {
+    user_id: userId,
+    repo_id: repo?.id || null,
+    pr_number: pr.number || null,
+    pr_title: pr.title || null,
+    pr_url: pr.url || null,
+    pr_author: pr.author || null,
+    base_branch: pr.baseBranch || null,
+    head_branch: pr.headBranch || null,
+    head_sha: pr.headSha || null,
+    previous_review_id: previousReview?.id || null,
+    triggered_by: triggeredBy,
+    webhook_delivery_id: deliveryId,
+    diff_size: diff.length,
+    config,
+    config_errors: configErrors
+  };
+
+  // A retry keeps the record of the failed attempt, and the tokens that attempt spent
+  const review = options.reviewId
+    ? await updateReviewRecord({ id: options.reviewId }, { ...fields, status: 'analyzing', error_message: null })
+    : await createReviewRecord(fields);
+  const usage = [...(review.usage?.calls || [])];
+
+  if (budget.action === 'skip') {
+    return updateReviewRecord(review, {
+      status: 'skipped',
+      summary: `Review skipped: this repository has used its monthly review budget ($${budget.spentUsd} of $${budget.budgetUsd}).`,
+      ...buildUsageColumns(usage, budget)
+    });
+  }
+
+  try {
+    // Files the repository config leaves out are only scanned for secrets and lose carried findings
+    const result = await analyzeReview(diff, {
+      repo,
+      pr,
+      rules,
+      config,
+      attributes,
+      language: config?.language,
+      reviewFileTypes: config?.reviewFileTypes,
+      ...(budget.action === 'downgrade' && { model: BUDGET_REVIEW_MODEL, generateFixes: false }),
+      usage
+    });
+
+    const carried = previousReview ? await carryForwardFindings(previousReview, diff) : null;
+    if (carried && config) {
+      const included = finding => !finding.file || isPathIncluded(finding.file, config.paths);
+      carried.issues = carried.issues.filter(included);
+      carried.rule_violations = carried.rule_violations.filter(included);
+    }
+
+    if (carried) {
+      result.incremental = {
+        previousReviewId: previousReview.id,
+        fromSha: previousReview.head_sha,
+        toSha: pr.headSha || null,
+        newIssues: result.issues.length,
+        carriedIssues: carried.issues.length,
+        resolved: carried.outdatedKeys.length
+      };
+      result.issues = [...result.issues, ...carried.issues];
+      result.rule_violations = [
+        ...result.rule_violations,
+        ...carried.rule_violations.filter(violation =>
+          !isRuleSuppressed({ id: violation.ruleId, name: violation.ruleName }, suppressed)
+        )
+      ];
+      result.quality_score = hasDegradedOutput(result.output_errors) ? null : calculateScore(result.issues);
+      result.metrics = calculateMetrics(result);
+    }
+
+    const degraded = hasDegradedOutput(result.output_errors);
+    if (degraded) {
+      result.summary = `${result.summary}\n\n_Part of the model output could not be validated, so findings may be missing and this review has no quality score._`.trim();
+    }
+
+    if (budget.action === 'downgrade') {
+      result.summary = `${result.summary}\n\n_Reviewed with a smaller model and without fix suggestions: this repository has used its monthly review budget._`.trim();
+    }
+
+    const stored = await updateReviewRecord(review, {
+      status: degraded ? 'degraded' : 'completed',
+      ...result,
+      ...buildUsageColumns(usage, budget)
+    });
+
+    // Findings are stored individually so users can accept or reject them
+    await saveFindings(stored);
+    if (carried) {
+      await markFindingsOutdated(previousReview.id, carried.outdatedKeys);
+    }
+    return stored;
+  } catch (error) {
+    // Tokens spent before the failure still count against the budget
+    await updateReviewRecord(review, {
+      status: 'failed',
+      error_message: error.message,
+      ...buildUsageColumns(usage, budget)
+    });
+    error.reviewId = review.id;
+    throw error;
+  }
+}
+
+/**
+ * Insert a review in the analyzing state.
+ * Standalone reviews continue without a record if the insert fails.
+ */
+async function createReviewRecord(fields) {
+  const record = {
+    ...fields,
+    status: 'analyzing',
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = await supabase
+    .from('prpilot_reviews')
+    .insert(record)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating review record:', error);
+    return { id: null, ...record };
+  }
+
+  return data;
+}
+
+async function updateReviewRecord(review, updates) {
+  const fields = {
+    ...updates,
+    updated_at: new Date().toISOString()
+  };
+  const updated = { ...review, ...fields };
+
+  if (!review.id) {
+    return updated;
+  }
+
+  const { data, error } = await supabase
+    .from('prpilot_reviews')
+    .update(fields)
+    .eq('id', review.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating review record:', error);
+    return updated;
+  }
+
+  return data;
+}
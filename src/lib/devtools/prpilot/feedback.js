@@ -0,0 +1,276 @@
+/**
+ * PRPilot Review Feedback
+ * Stores every finding of a review in prpilot_comments so users can mark it
+ * accepted, rejected (false positive) or fixed, and turns that feedback into
+ * per-repo precision stats and few-shot hints for later reviews
+ */
+
+import { supabase } from '../../supabase';
+
+// Constants
+export const FINDING_STATUSES = ['open', 'accepted', 'rejected', 'fixed', 'outdated'];
+// Statuses that mean the code a finding points at was changed
+export const RESOLVED_STATUSES = ['fixed', 'outdated'];
+const MAX_FALSE_POSITIVE_EXAMPLES = 10;
+const MIN_FEEDBACK_FOR_HINT = 5;
+const LOW_PRECISION_THRESHOLD = 0.5;
+const MAX_STATS_ROWS = 10000;
+
+/**
+ * Key of a finding within its review, stable across reposts
+ * @param {string} kind - 'issue' or 'rule'
+ * @param {number} index - Index in review.issues or review.rule_violations
+ * @returns {string} Finding key
+ */
+export function findingKey(kind, index) {
+  return `${kind}:${index}`;
+}
+
+/**
+ * Store the issues and rule violations of a completed review as open findings
+ * @param {Object} review - Stored review record
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.keepExisting] - Only insert findings that are not stored yet,
+ *   leaving the feedback on existing ones untouched
+ * @returns {Promise<Array>} The stored finding rows
+ */
+export async function saveFindings(review, { keepExisting = false } = {}) {
+  if (!review?.id) {
+    return [];
+  }
+
+  const base = {
+    review_id: review.id,
+    repo_id: review.repo_id || null,
+    created_at: new Date().toISOString()
+  };
+
+  const rows = [
+    ...(review.issues || []).map((issue, index) => ({
+      ...base,
+      finding_key: findingKey('issue', index),
+      source: issue.source || 'model',
+      file_path: issue.file || '',
+      line_number: parseInt(issue.line, 10) || null,
+      comment_type: issue.type || null,
+      severity: issue.severity || 'medium',
+      title: issue.title || null,
+      message: issue.description || issue.title || '',
+      suggestion: issue.suggestion || null
+    })),
+    ...(review.rule_violations || []).map((violation, index) => ({
+      ...base,
+      finding_key: findingKey('rule', index),
+      source: violation.kind === 'llm' ? 'model' : 'rule',
+      rule_id: violation.ruleId ? String(violation.ruleId) : null,
+      file_path: violation.file || '',
+      line_number: parseInt(violation.line, 10) || null,
+      comment_type: 'rule',
+      severity: violation.severity || 'medium',
+      title: violation.ruleName || null,
+      message: violation.description || violation.ruleName || '',
+      suggestion: violation.suggestion || null
+    }))
+  ];
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('prpilot_comments')
+    .upsert(rows, { onConflict: 'review_id,finding_key', ignoreDuplicates: keepExisting })
+    .select();
+
+  if (error) {
+    console.error('Failed to store review findings:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the findings of a review
+ * @param {string} reviewId - The review ID
+ * @returns {Promise<Array>} Finding rows in review order
+ */
+export async function getFindings(reviewId) {
+  const { data, error } = await supabase
+    .from('prpilot_comments')
+    .select('*')
+    .eq('review_id', reviewId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch findings: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Record feedback on findings of a review
+ * @param {string} reviewId - The review the findings belong to
+ * @param {Array<{id: string, status: string, note?: string}>} updates - Feedback per finding
+ * @returns {Promise<Array>} The updated finding rows
+ */
+export async function setFindingFeedback(reviewId, updates) {
+  if (!reviewId || !Array.isArray(updates) || updates.length === 0) {
+    throw new Error('reviewId and a list of finding updates are required');
+  }
+
+  for (const update of updates) {
+    if (!update?.id) {
+      throw new Error('Each finding update needs an id');
+    }
+    if (!FINDING_STATUSES.includes(update.status)) {
+      throw new Error(`status must be one of: ${FINDING_STATUSES.join(', ')}`);
+    }
+  }
+
+  const updated = [];
+  for (const update of updates) {
+    const { data, error } = await supabase
+      .from('prpilot_comments')
+      .update({
+        status: update.status,
+        // Fixed findings were real issues; open clears earlier feedback
+        accepted: update.status === 'open' ? null : update.status !== 'rejected',
+        feedback_note: update.note ?? null,
+        feedback_at: update.status === 'open' ? null : new Date().toISOString(),
+        resolved_at: RESOLVED_STATUSES.includes(update.status) ? new Date().toISOString() : null
+      })
+      .eq('id', update.id)
+      .eq('review_id', reviewId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update finding ${update.id}: ${error.message}`);
+    }
+    updated.push(data);
+  }
+
+  return updated;
+}
+
+/**
+ * Precision of a repository's findings per issue type and per rule.
+ * Precision is (accepted + fixed) / (accepted + fixed + rejected).
+ * @param {string} repoId - The repository ID
+ * @returns {Promise<{overall: Object, byType: Object, byRule: Object}>}
+ */
+export async function getPrecisionStats(repoId) {
+  const { data, error } = await supabase
+    .from('prpilot_comments')
+    .select('comment_type, rule_id, title, status')
+    .eq('repo_id', repoId)
+    .neq('status', 'open')
+    .limit(MAX_STATS_ROWS);
+
+  if (error) {
+    throw new Error(`Failed to fetch feedback: ${error.message}`);
+  }
+
+  const overall = emptyCounts();
+  const byType = {};
+  const byRule = {};
+
+  for (const row of data || []) {
+    countFeedback(overall, row.status);
+
+    if (row.comment_type === 'rule') {
+      const key = row.rule_id || row.title || 'unknown';
+      byRule[key] = byRule[key] || { ...emptyCounts(), name: row.title };
+      countFeedback(byRule[key], row.status);
+    } else {
+      const key = row.comment_type || 'unknown';
+      byType[key] = byType[key] || emptyCounts();
+      countFeedback(byType[key], row.status);
+    }
+  }
+
+  for (const counts of [overall, ...Object.values(byType), ...Object.values(byRule)]) {
+    counts.precision = precisionOf(counts);
+  }
+
+  return { overall, byType, byRule };
+}
+
+/**
+ * Build the prompt section describing what this team considers false positives
+ * @param {string} repoId - The repository ID
+ * @returns {Promise<string>} Prompt text, empty when there is no feedback
+ */
+export async function buildFeedbackPrompt(repoId) {
+  if (!repoId || !supabase) {
+    return '';
+  }
+
+  try {
+    const [{ data: rejected, error }, stats] = await Promise.all([
+      supabase
+        .from('prpilot_comments')
+        .select('comment_type, title, message, file_path, feedback_note')
+        .eq('repo_id', repoId)
+        .eq('status', 'rejected')
+        .neq('comment_type', 'rule')
+        .order('feedback_at', { ascending: false })
+        .limit(MAX_FALSE_POSITIVE_EXAMPLES),
+      getPrecisionStats(repoId)
+    ]);
+
+    if (error) {
+      throw error;
+    }
+
+    const sections = [];
+
+    if (rejected?.length > 0) {
+      const examples = rejected.map(finding => {
+        let line = `- [${finding.comment_type}] ${finding.title}: ${truncate(finding.message, 200)}`;
+        if (finding.feedback_note) {
+          line += ` (team note: ${truncate(finding.feedback_note, 200)})`;
+        }
+        return line;
+      });
+      sections.push(`Past findings this team marked as false positives. Do not report similar issues:\n${examples.join('\n')}`);
+    }
+
+    const noisyTypes = Object.entries(stats.byType)
+      .filter(([, counts]) => counts.total >= MIN_FEEDBACK_FOR_HINT && counts.precision < LOW_PRECISION_THRESHOLD)
+      .map(([type, counts]) => `- ${type}: ${Math.round(counts.precision * 100)}% of ${counts.total} findings were useful`);
+
+    if (noisyTypes.length > 0) {
+      sections.push(`Issue types this team usually rejects. Only report them when you are certain:\n${noisyTypes.join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+  } catch (error) {
+    // Reviews still run without feedback hints
+    console.error('Failed to build feedback prompt:', error.message);
+    return '';
+  }
+}
+
+function emptyCounts() {
+  return { accepted: 0, rejected: 0, fixed: 0, total: 0, precision: null };
+}
+
+function countFeedback(counts, status) {
+  if (counts[status] === undefined) {
+    return;
+  }
+  counts[status]++;
+  counts.total++;
+}
+
+function precisionOf(counts) {
+  return counts.total > 0 ? (counts.accepted + counts.fixed) / counts.total : null;
+}
+
+function truncate(text, length) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+}
@@ -0,0 +1,135 @@
+/**
+ * PRPilot Incremental Reviews
+ * When new commits are pushed to a pull request that was reviewed before, only
+ * the changes since the last reviewed head commit go to the model. Earlier
+ * findings on lines that did not change are carried forward to the new review;
+ * findings on changed lines are marked outdated and count as resolved.
+ */
+
+import { supabase } from '../../supabase';
+import { parseDiff, mapLineToNewSide } from './diff';
+import { findDiffFile } from './comments';
+import { findingKey, getFindings } from './feedback';
+
+// Findings the team already dealt with are not carried forward
+const SETTLED_STATUSES = ['rejected', 'fixed', 'outdated'];
+
+/**
+ * Get the latest completed review of a pull request that recorded its head commit
+ * @param {Object} repo - Repository record
+ * @param {number} prNumber - Pull request number
+ * @returns {Promise<Object|null>} The review record
+ */
+export async function findPreviousReview(repo, prNumber) {
+  const { data, error } = await supabase
+    .from('prpilot_reviews')
+    .select('*')
+    .eq('repo_id', repo.id)
+    .eq('pr_number', prNumber)
+    .eq('status', 'completed')
+    .not('head_sha', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to fetch previous review:', error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Split the findings of a previous review into those still valid after a diff and those it outdates
+ * @param {Object} previousReview - The previous review record
+ * @param {string} diff - Diff from the previous head commit to the new one
+ * @returns {Promise<{issues: Array, rule_violations: Array, outdatedKeys: Array<string>}>}
+ *   Carried findings with their file and line moved to the new head
+ */
+export async function carryForwardFindings(previousReview, diff) {
+  const files = parseDiff(diff);
+  const findings = await getFindings(previousReview.id).catch(error => {
+    console.error('Failed to fetch previous findings:', error.message);
+    return [];
+  });
+  const statusByKey = new Map(findings.map(finding => [finding.finding_key, finding.status]));
+
+  const carried = { issues: [], rule_violations: [] };
+  const outdatedKeys = [];
+
+  for (const [kind, field] of [['issue', 'issues'], ['rule', 'rule_violations']]) {
+    for (const [index, finding] of (previousReview[field] || []).entries()) {
+      const key = findingKey(kind, index);
+      if (SETTLED_STATUSES.includes(statusByKey.get(key))) {
+        continue;
+      }
+
+      const location = followFinding(finding, files);
+      if (location) {
+        carried[field].push({
+          ...finding,
+          ...location,
+          ...(finding.fix && { fix: withoutReplacement(finding.fix) }),
+          carriedForward: true
+        });
+      } else {
+        outdatedKeys.push(key);
+      }
+    }
+  }
+
+  return { ...carried, outdatedKeys };
+}
+
+/**
+ * Mark open findings of a review as outdated
+ * @param {string} reviewId - The review the findings belong to
+ * @param {Array<string>} keys - Finding keys
+ */
+export async function markFindingsOutdated(reviewId, keys) {
+  if (!reviewId || keys.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('prpilot_comments')
+    .update({ status: 'outdated', resolved_at: new Date().toISOString() })
+    .eq('review_id', reviewId)
+    .eq('status', 'open')
+    .in('finding_key', keys);
+
+  if (error) {
+    console.error('Failed to mark findings outdated:', error);
+  }
+}
+
+// Where a finding is on the new head, or null if the code it points at changed
+function followFinding(finding, files) {
+  const oldSide = files.map(file => ({ ...file, path: file.oldPath || file.path }));
+  const match = findDiffFile(finding.file, oldSide);
+
+  // Files the new commits did not touch keep their findings as they are
+  if (!match) {
+    return { file: finding.file, line: finding.line };
+  }
+
+  const file = files[oldSide.indexOf(match)];
+  if (file.status === 'deleted') {
+    return null;
+  }
+
+  const line = parseInt(finding.line, 10);
+  if (!line) {
+    return { file: file.path, line: finding.line };
+  }
+
+  const newLine = mapLineToNewSide(file, line);
+  return newLine ? { file: file.path, line: newLine } : null;
+}
+
+// Line ranges of suggested changes refer to the old head, so carried fixes keep only their description
+function withoutReplacement(fix) {
+  const { startLine, endLine, replacement, ...rest } = fix;
+  return rest;
+}
@@ -0,0 +1,573 @@
+/**
+ * PRPilot Repository Indexer
+ * Walks a repository checkout and stores language-aware code chunks
+ *
+ * Sources:
+ * - A local checkout directory ({ path })
+ * - A .tar.gz archive, as a file path or Buffer ({ tarball })
+ *
+ * Each file is split at top-level declaration boundaries, symbols are
+ * extracted per chunk, and every row carries the file's content hash so
+ * re-indexing only rewrites files whose content changed.
+ */
+
+import { supabase } from '../../supabase';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+// Constants
+const MAX_FILE_SIZE = 512 * 1024; // Skip files larger than 512KB
+const MAX_CHUNK_LINES = 80;
+const MAX_REFERENCED_NAMES = 200;
+const INSERT_BATCH_SIZE = 500;
+const FETCH_PAGE_SIZE = 1000;
+
+const IGNORED_DIRECTORIES = new Set([
+  '.git', 'node_modules', 'vendor', 'dist', 'build', 'out', '.next',
+  'coverage', '__pycache__', '.venv', 'venv', 'target', '.idea', '.vscode'
+]);
+
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin', '.cs': 'csharp', '.scala': 'scala',
+  '.rb': 'ruby',
+  '.php': 'php',
+  '.c': 'c', '.h': 'c', '.cc': 'cpp', '.cpp': 'cpp', '.hpp': 'cpp',
+  '.swift': 'swift',
+  '.sql': 'sql',
+  '.sh': 'shell', '.bash': 'shell',
+  '.css': 'css', '.scss': 'css',
+  '.html': 'html', '.vue': 'vue', '.svelte': 'svelte',
+  '.md': 'markdown', '.mdx': 'markdown',
+  '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml'
+};
+
+// Lines that start a new top-level declaration, per language family
+const DECLARATION_PATTERNS = {
+  javascript: /^(export\s+)?(default\s+)?(async\s+)?(function\*?|class|const|let|var)\b/,
+  typescript: /^(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?(async\s+)?(function\*?|class|const|let|var|interface|type|enum|namespace)\b/,
+  python: /^(async\s+def|def|class)\s/,
+  go: /^(func|type|var|const)\b/,
+  rust: /^(pub(\([\w:]+\))?\s+)?(async\s+)?(fn|struct|enum|trait|impl|mod|type|const|static)\b/,
+  java: /^\s{0,4}(@\w+\s+)*((public|private|protected|static|final|abstract|synchronized)\s+)+[\w<>[\],\s]+\(/,
+  kotlin: /^\s{0,4}((public|private|protected|internal|override|suspend|data|sealed|open|abstract)\s+)*(fun|class|object|interface)\b/,
+  csharp: /^\s{0,8}((public|private|protected|internal|static|async|override|virtual|abstract|sealed|partial)\s+)+[\w<>[\],\s]+[({]/,
+  scala: /^\s{0,2}(def|class|object|trait|case class)\b/,
+  ruby: /^\s{0,2}(def|class|module)\s/,
+  php: /^\s{0,4}((public|private|protected|static|abstract|final)\s+)*(function|class|interface|trait)\s/,
+  c: /^[A-Za-z_][\w\s*]*\s\**[A-Za-z_]\w*\s*\([^;]*$/,
+  cpp: /^(template\s*<.*>\s*)?(class|struct|namespace|[A-Za-z_][\w\s*:&<>]*\s[*&]?[A-Za-z_][\w:]*\s*\([^;]*$)/,
+  swift: /^\s{0,4}((public|private|internal|open|static|final)\s+)*(func|class|struct|enum|protocol|extension)\b/,
+  shell: /^(function\s+\w+|\w+\s*\(\)\s*\{)/,
+  sql: /^(CREATE|ALTER|DROP)\s/i,
+  markdown: /^#{1,3}\s/
+};
+
+// Symbol extractors: [pattern, kind], first capture group is the name
+const SYMBOL_PATTERNS = {
+  javascript: [
+    [/^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\*?\s+([A-Za-z_$][\w$]*)/, 'function'],
+    [/^\s*(?:export\s+)?(?:default\s+)?class\s+([A-Za-z_$][\w$]*)/, 'class'],
+    [/^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/, 'function'],
+    [/^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/, 'variable'],
+    [/^\s+(?:static\s+)?(?:async\s+)?(?!if\b|for\b|while\b|switch\b|catch\b|return\b|function\b)([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/, 'method']
+  ],
+  python: [
+    [/^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/, 'function'],
+    [/^\s*class\s+([A-Za-z_]\w*)/, 'class']
+  ],
+  go: [
+    [/^func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/, 'function'],
+    [/^type\s+([A-Za-z_]\w*)\s+(?:struct|interface)/, 'type'],
+    [/^type\s+([A-Za-z_]\w*)/, 'type']
+  ],
+  rust: [
+    [/^\s*(?:pub(?:\([\w:]+\))?\s+)?(?:async\s+)?fn\s+([A-Za-z_]\w*)/, 'function'],
+    [/^\s*(?:pub(?:\([\w:]+\))?\s+)?(?:struct|enum|trait|type)\s+([A-Za-z_]\w*)/, 'type']
+  ],
+  java: [
+    [/^\s*(?:(?:public|private|protected|static|final|abstract)\s+)*(?:class|interface|enum|record)\s+([A-Za-z_]\w*)/, 'class'],
+    [/^\s*(?:@\w+\s+)*(?:(?:public|private|protected|static|final|abstract|synchronized)\s+)+[\w<>[\],\s]+\s([A-Za-z_]\w*)\s*\(/, 'method']
+  ],
+  kotlin: [
+    [/^\s*(?:\w+\s+)*fun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?([A-Za-z_]\w*)/, 'function'],
+    [/^\s*(?:\w+\s+)*(?:class|object|interface)\s+([A-Za-z_]\w*)/, 'class']
+  ],
+  csharp: [
+    [/^\s*(?:(?:public|private|protected|internal|static|abstract|sealed|partial)\s+)*(?:class|interface|struct|enum|record)\s+([A-Za-z_]\w*)/, 'class'],
+    [/^\s*(?:(?:public|private|protected|internal|static|async|override|virtual|abstract)\s+)+[\w<>[\],\s]+\s([A-Za-z_]\w*)\s*\(/, 'method']
+  ],
+  scala: [
+    [/^\s*def\s+([A-Za-z_]\w*)/, 'function'],
+    [/^\s*(?:case\s+)?(?:class|object|trait)\s+([A-Za-z_]\w*)/, 'class']
+  ],
+  ruby: [
+    [/^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!]?)/, 'method'],
+    [/^\s*(?:class|module)\s+([A-Z]\w*)/, 'class']
+  ],
+  php: [
+    [/^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+([A-Za-z_]\w*)/, 'function'],
+    [/^\s*(?:abstract\s+|final\s+)?(?:class|interface|trait)\s+([A-Za-z_]\w*)/, 'class']
+  ],
+  c: [
+    [/^[A-Za-z_][\w\s*]*\s\**([A-Za-z_]\w*)\s*\([^;]*$/, 'function'],
+    [/^(?:typedef\s+)?struct\s+([A-Za-z_]\w*)/, 'type']
+  ],
+  swift: [
+    [/^\s*(?:\w+\s+)*func\s+([A-Za-z_]\w*)/, 'function'],
+    [/^\s*(?:\w+\s+)*(?:class|struct|enum|protocol)\s+([A-Za-z_]\w*)/, 'type']
+  ],
+  shell: [
+    [/^(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\)\s*\{/, 'function']
+  ],
+  sql: [
+    [/^\s*CREATE\s+(?:OR\s+REPLACE\s+)?(?:TABLE|VIEW|FUNCTION|INDEX|TYPE)\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w.]+)/i, 'table']
+  ]
+};
+
+SYMBOL_PATTERNS.typescript = [
+  ...SYMBOL_PATTERNS.javascript,
+  [/^\s*(?:export\s+)?(?:declare\s+)?(?:interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/, 'type']
+];
+SYMBOL_PATTERNS.cpp = [
+  ...SYMBOL_PATTERNS.c,
+  [/^\s*(?:template\s*<.*>\s*)?(?:class|struct|namespace)\s+([A-Za-z_]\w*)/, 'type']
+];
+
+const COMMON_KEYWORDS = new Set([
+  'abstract', 'and', 'any', 'as', 'async', 'await', 'bool', 'boolean', 'break', 'case', 'catch',
+  'char', 'class', 'const', 'continue', 'def', 'default', 'defer', 'del', 'delete', 'do', 'double',
+  'elif', 'else', 'end', 'enum', 'except', 'export', 'extends', 'false', 'final', 'finally', 'float',
+  'for', 'from', 'func', 'function', 'global', 'impl', 'implements', 'import', 'in', 'instanceof',
+  'int', 'interface', 'lambda', 'let', 'long', 'match', 'mod', 'module', 'mut', 'new', 'nil', 'none',
+  'None', 'not', 'null', 'number', 'object', 'or', 'package', 'pass', 'private', 'protected', 'pub',
+  'public', 'raise', 'return', 'self', 'static', 'string', 'struct', 'super', 'switch', 'this',
+  'throw', 'throws', 'trait', 'true', 'True', 'False', 'try', 'type', 'typeof', 'undefined', 'use',
+  'var', 'void', 'while', 'with', 'yield'
+]);
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * Walk a local checkout and yield its text files
+ * @param {string} rootDir - Absolute path to the checkout
+ * @returns {AsyncGenerator<{path: string, content: string}>}
+ */
+async function* readDirectorySource(rootDir) {
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relativeDir = pending.pop();
+    const entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          pending.push(relativePath);
+        }
+        continue;
+      }
+
+      if (!entry.isFile() || !detectLanguage(relativePath)) {
+        continue;
+      }
+
+      const absolutePath = path.join(rootDir, relativePath);
+      const stats = await fs.stat(absolutePath);
+      if (stats.size > MAX_FILE_SIZE) {
+        continue;
+      }
+
+      const buffer = await fs.readFile(absolutePath);
+      if (!isBinary(buffer)) {
+        yield { path: relativePath, content: buffer.toString('utf8') };
+      }
+    }
+  }
+}
+
+/**
+ * Read a gzipped tarball and yield its text files.
+ * The top-level directory (e.g. "owner-repo-sha/" in GitHub archives) is stripped.
+ * @param {Buffer|string} tarball - Archive contents or a path to the archive
+ * @returns {AsyncGenerator<{path: string, content: string}>}
+ */
+async function* readTarballSource(tarball) {
+  const compressed = Buffer.isBuffer(tarball) ? tarball : await fs.readFile(tarball);
+  const archive = zlib.gunzipSync(compressed);
+
+  let offset = 0;
+  let longName = null;
+  let paxPath = null;
+
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+
+    // Two consecutive zero blocks mark the end of the archive
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const name = readTarString(header, 0, 100);
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const typeFlag = String.fromCharCode(header[156]);
+    const prefix = readTarString(header, 345, 155);
+    const body = archive.subarray(offset + 512, offset + 512 + size);
+
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (typeFlag === 'L') {
+      longName = body.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+
+    if (typeFlag === 'x') {
+      const match = body.toString('utf8').match(/^\d+ path=(.*)$/m);
+      paxPath = match ? match[1] : null;
+      continue;
+    }
+
+    const fullName = longName || paxPath || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    paxPath = null;
+
+    if (typeFlag !== '0' && typeFlag !== '\0') {
+      continue;
+    }
+
+    const relativePath = fullName.split('/').slice(1).join('/');
+    const segments = relativePath.split('/');
+
+    if (!relativePath ||
+        segments.slice(0, -1).some(segment => IGNORED_DIRECTORIES.has(segment)) ||
+        !detectLanguage(relativePath) ||
+        size > MAX_FILE_SIZE ||
+        isBinary(body)) {
+      continue;
+    }
+
+    yield { path: relativePath, content: body.toString('utf8') };
+  }
+}
+
+function readTarString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// ============================================================================
+// CHUNKING & SYMBOLS
+// ============================================================================
+
+/**
+ * Detect the language of a file from its extension
+ * @param {string} filePath - Repository-relative file path
+ * @returns {string|null} Language name, or null if the file is not indexed
+ */
+export function detectLanguage(filePath) {
+  return LANGUAGES_BY_EXTENSION[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Split a file into chunks at declaration boundaries
+ * @param {string} content - File content
+ * @param {string} language - Language from detectLanguage
+ * @returns {Array<{content: string, startLine: number, endLine: number, symbols: Array}>}
+ */
+export function chunkFile(content, language) {
+  const lines = content.split('\n');
+  const declarationPattern = DECLARATION_PATTERNS[language];
+
+  // Find segment start indexes, pulling leading comments and decorators along
+  const boundaries = [0];
+  if (declarationPattern) {
+    for (let i = 1; i < lines.length; i++) {
+      if (!declarationPattern.test(lines[i])) {
+        continue;
+      }
+
+      let start = i;
+      while (start > 1 && /^\s*(\/\/|\/\*|\*|#|@|""")/.test(lines[start - 1])) {
+        start--;
+      }
+      if (start > boundaries[boundaries.length - 1]) {
+        boundaries.push(start);
+      }
+    }
+  }
+  boundaries.push(lines.length);
+
+  // Pack segments into chunks, splitting oversized segments into windows
+  const chunks = [];
+  let chunkStart = 0;
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const segmentStart = boundaries[i - 1];
+    const segmentEnd = boundaries[i];
+
+    if (segmentEnd - chunkStart > MAX_CHUNK_LINES && segmentStart > chunkStart) {
+      chunks.push([chunkStart, segmentStart]);
+      chunkStart = segmentStart;
+    }
+
+    while (segmentEnd - chunkStart > MAX_CHUNK_LINES) {
+      chunks.push([chunkStart, chunkStart + MAX_CHUNK_LINES]);
+      chunkStart += MAX_CHUNK_LINES;
+    }
+  }
+  if (chunkStart < lines.length) {
+    chunks.push([chunkStart, lines.length]);
+  }
+
+  return chunks
+    .map(([start, end]) => {
+      const chunkLines = lines.slice(start, end);
+      return {
+        content: chunkLines.join('\n'),
+        startLine: start + 1,
+        endLine: end,
+        symbols: extractSymbols(chunkLines, language, start + 1)
+      };
+    })
+    .filter(chunk => chunk.content.trim().length > 0);
+}
+
+/**
+ * Extract declared symbols from source lines
+ * @param {Array<string>} lines - Source lines
+ * @param {string} language - Language from detectLanguage
+ * @param {number} firstLine - Line number of lines[0]
+ * @returns {Array<{name: string, kind: string, line: number}>}
+ */
+export function extractSymbols(lines, language, firstLine = 1) {
+  const patterns = SYMBOL_PATTERNS[language];
+  if (!patterns) {
+    return [];
+  }
+
+  const symbols = [];
+  lines.forEach((line, index) => {
+    for (const [pattern, kind] of patterns) {
+      const match = line.match(pattern);
+      if (match && match[1] && !COMMON_KEYWORDS.has(match[1])) {
+        symbols.push({ name: match[1], kind, line: firstLine + index });
+        break;
+      }
+    }
+  });
+
+  return symbols;
+}
+
+/**
+ * Collect identifiers a chunk refers to, excluding keywords and its own symbols
+ * @param {string} content - Chunk content
+ * @param {Array} symbols - Symbols declared in the chunk
+ * @returns {Array<string>} Unique identifier names
+ */
+export function extractReferencedNames(content, symbols = []) {
+  const declared = new Set(symbols.map(symbol => symbol.name));
+  const names = new Set();
+  const identifierPattern = /[A-Za-z_$][\w$]{2,}/g;
+  const code = content
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:])\/\/.*$/gm, '$1');
+  let match;
+
+  while ((match = identifierPattern.exec(code)) !== null && names.size < MAX_REFERENCED_NAMES) {
+    const name = match[0];
+    if (!COMMON_KEYWORDS.has(name) && !declared.has(name)) {
+      names.add(name);
+    }
+  }
+
+  return [...names];
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// ============================================================================
+// INDEXING
+// ============================================================================
+
+/**
+ * Index a repository source into prpilot_code_chunks.
+ * Files whose hash matches the stored one are left untouched.
+ * @param {string} repoId - The repository ID
+ * @param {Object} source - Either { path } for a checkout or { tarball } for an archive
+ * @returns {Promise<Object>} Indexing statistics
+ */
+export async function indexSource(repoId, source = {}) {
+  if (!repoId) {
+    throw new Error('repoId is required');
+  }
+
+  let files;
+  if (source.path) {
+    files = readDirectorySource(source.path);
+  } else if (source.tarball) {
+    files = readTarballSource(source.tarball);
+  } else {
+    throw new Error('source must provide a path or a tarball');
+  }
+
+  const existingHashes = await getIndexedFileHashes(repoId);
+  const seenFiles = new Set();
+  const stats = {
+    filesScanned: 0,
+    filesIndexed: 0,
+    filesUnchanged: 0,
+    filesRemoved: 0,
+    chunksWritten: 0
+  };
+
+  for await (const file of files) {
+    stats.filesScanned++;
+    seenFiles.add(file.path);
+
+    const fileHash = hashContent(file.content);
+    if (existingHashes.get(file.path) === fileHash) {
+      stats.filesUnchanged++;
+      continue;
+    }
+
+    const language = detectLanguage(file.path);
+    const rows = chunkFile(file.content, language).map((chunk, index) => ({
+      repo_id: repoId,
+      file_path: file.path,
+      chunk_index: index,
+      content: chunk.content,
+      content_hash: hashContent(chunk.content),
+      file_hash: fileHash,
+      start_line: chunk.startLine,
+      end_line: chunk.endLine,
+      language,
+      symbols: chunk.symbols,
+      symbol_names: [...new Set(chunk.symbols.map(symbol => symbol.name))],
+      referenced_names: extractReferencedNames(chunk.content, chunk.symbols)
+    }));
+
+    if (existingHashes.has(file.path)) {
+      await deleteFileChunks(repoId, [file.path]);
+    }
+    await insertChunks(rows);
+
+    // Files without code have no chunk to hold their hash
+    if (rows.length === 0) {
+      await saveEmptyFile(repoId, file.path, fileHash);
+    }
+
+    stats.filesIndexed++;
+    stats.chunksWritten += rows.length;
+  }
+
+  const removedFiles = [...existingHashes.keys()].filter(filePath => !seenFiles.has(filePath));
+  if (removedFiles.length > 0) {
+    await deleteFileChunks(repoId, removedFiles);
+    stats.filesRemoved = removedFiles.length;
+  }
+
+  return stats;
+}
+
+/**
+ * Get the stored hash of every indexed file in a repository, from its first
+ * chunk or, for files without chunks, from prpilot_empty_files
+ * @param {string} repoId - The repository ID
+ * @returns {Promise<Map<string, string>>} file_path -> file_hash
+ */
+async function getIndexedFileHashes(repoId) {
+  const hashes = new Map();
+
+  const { data: emptyFiles, error: emptyError } = await supabase
+    .from('prpilot_empty_files')
+    .select('file_path, file_hash')
+    .eq('repo_id', repoId);
+
+  if (emptyError) {
+    throw new Error(`Failed to load indexed files: ${emptyError.message}`);
+  }
+
+  for (const row of emptyFiles || []) {
+    hashes.set(row.file_path, row.file_hash);
+  }
+
+  let from = 0;
+  while (true) {
+    const { data, error } = await supabase
+      .from('prpilot_code_chunks')
+      .select('file_path, file_hash')
+      .eq('repo_id', repoId)
+      .eq('chunk_index', 0)
+      .range(from, from + FETCH_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load indexed files: ${error.message}`);
+    }
+
+    for (const row of data || []) {
+      hashes.set(row.file_path, row.file_hash);
+    }
+
+    if (!data || data.length < FETCH_PAGE_SIZE) {
+      return hashes;
+    }
+    from += FETCH_PAGE_SIZE;
+  }
+}
+
+// Removes the chunks of files, and their entries as empty files
+async function deleteFileChunks(repoId, filePaths) {
+  for (let i = 0; i < filePaths.length; i += INSERT_BATCH_SIZE) {
+    const batch = filePaths.slice(i, i + INSERT_BATCH_SIZE);
+    const results = await Promise.all(['prpilot_code_chunks', 'prpilot_empty_files'].map(table => supabase
+      .from(table)
+      .delete()
+      .eq('repo_id', repoId)
+      .in('file_path', batch)));
+
+    const error = results.find(result => result.error)?.error;
+    if (error) {
+      throw new Error(`Failed to delete stale chunks: ${error.message}`);
+    }
+  }
+}
+
+async function saveEmptyFile(repoId, filePath, fileHash) {
+  const { error } = await supabase
+    .from('prpilot_empty_files')
+    .upsert({ repo_id: repoId, file_path: filePath, file_hash: fileHash }, { onConflict: 'repo_id,file_path' });
+
+  if (error) {
+    throw new Error(`Failed to store file hash: ${error.message}`);
+  }
+}
+
+async function insertChunks(rows) {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('prpilot_code_chunks')
+      .insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to store code chunks: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,527 @@
+/**
+ * PRPilot Review Jobs
+ * A table-backed queue for work started by webhooks, so deliveries are
+ * acknowledged immediately and reviews run in a worker
+ *
+ * - Jobs are idempotent on the webhook delivery ID
+ * - Only one queued or running job exists per pull request head commit or pushed commit
+ * - Failed jobs are retried with exponential backoff and end up "dead"
+ *   after max_attempts; dead jobs can be requeued by hand
+ * - Retries report to the check of the first attempt and reuse its review record;
+ *   a review that was already stored is only reported again
+ */
+
+import { supabase } from '../../supabase';
+import { runReview } from './engine';
+import { getProvider } from './providers';
+import { findPreviousReview } from './incremental';
+import { runCommand } from './commands';
+import { formatReviewSummary } from './comments';
+import { loadRepoConfig } from './config';
+import { loadGitattributes } from './classify';
+import { hasRepoToken } from './tokens';
+
+// Constants
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+export const JOB_TYPES = ['pull_request_review', 'pull_request_command', 'push_review'];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // Running jobs older than this are presumed crashed
+const DEFAULT_BATCH_SIZE = 5;
+const UNIQUE_VIOLATION = '23505';
+const BUDGET_SKIPPED_MESSAGE = 'the repository has used its monthly review budget';
+const STORED_REVIEW_STATUSES = ['completed', 'degraded', 'skipped'];
+
+const JOB_HANDLERS = {
+  pull_request_review: reviewPullRequest,
+  pull_request_command: runPullRequestCommand,
+  push_review: reviewPush
+};
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Add a job to the queue
+ * @param {Object} options - Job options
+ * @param {string} options.type - One of JOB_TYPES
+ * @param {Object} options.repo - Repository record
+ * @param {Object} options.payload - Data the job handler needs
+ * @param {string} [options.deliveryId] - Webhook delivery ID, for idempotency
+ * @param {string} [options.dedupeKey] - Jobs with the same key are not queued twice
+ * @returns {Promise<{job: Object, duplicate: boolean}>}
+ */
+export async function enqueueJob({ type, repo, payload, deliveryId = null, dedupeKey = null }) {
+  if (!JOB_TYPES.includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('prpilot_jobs')
+    .insert({
+      type,
+      repo_id: repo.id,
+      delivery_id: deliveryId,
+      dedupe_key: dedupeKey,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: DEFAULT_MAX_ATTEMPTS,
+      run_at: now,
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { job: data, duplicate: false };
+  }
+
+  // A redelivered webhook or a job already waiting for the same commit
+  if (error.code === UNIQUE_VIOLATION) {
+    const existing = await findDuplicateJob(deliveryId, dedupeKey);
+    if (existing) {
+      return { job: existing, duplicate: true };
+    }
+  }
+
+  throw new Error(`Failed to enqueue job: ${error.message}`);
+}
+
+/**
+ * Claim the next job that is due, or one whose worker stopped responding
+ * @returns {Promise<Object|null>} The claimed job
+ */
+export async function claimNextJob() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: candidates, error } = await supabase
+    .from('prpilot_jobs')
+    .select('*')
+    .or(`and(status.eq.queued,run_at.lte.${now.toISOString()}),and(status.eq.running,locked_at.lt.${staleBefore})`)
+    .order('run_at', { ascending: true })
+    .limit(DEFAULT_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch jobs: ${error.message}`);
+  }
+
+  for (const candidate of candidates || []) {
+    // The attempts check makes the claim fail if another worker got there first
+    const { data: claimed } = await supabase
+      .from('prpilot_jobs')
+      .update({
+        status: 'running',
+        attempts: candidate.attempts + 1,
+        locked_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', candidate.id)
+      .eq('status', candidate.status)
+      .eq('attempts', candidate.attempts)
+      .select()
+      .maybeSingle();
+
+    if (claimed) {
+      return claimed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {Object} job - A job returned by claimNextJob
+ * @returns {Promise<Object>} The updated job
+ */
+export async function runJob(job) {
+  const isLastAttempt = job.attempts >= job.max_attempts;
+
+  try {
+    const result = await JOB_HANDLERS[job.type](job, { isLastAttempt });
+
+    return await updateJob(job.id, {
+      status: 'completed',
+      review_id: result?.reviewId || null,
+      last_error: null,
+      locked_at: null,
+      completed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error);
+
+    if (isLastAttempt) {
+      return await updateJob(job.id, {
+        status: 'dead',
+        last_error: error.message,
+        locked_at: null
+      });
+    }
+
+    return await updateJob(job.id, {
+      status: 'queued',
+      last_error: error.message,
+      locked_at: null,
+      run_at: new Date(Date.now() + getRetryDelay(job.attempts)).toISOString()
+    });
+  }
+}
+
+/**
+ * Work through due jobs until the queue is empty or a limit is reached
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.limit] - Maximum jobs to run
+ * @param {number} [options.deadline] - Timestamp (ms) after which no new job is started
+ * @returns {Promise<{processed: number, completed: number, retried: number, dead: number}>}
+ */
+export async function processJobs({ limit = DEFAULT_BATCH_SIZE, deadline = Infinity } = {}) {
+  const summary = { processed: 0, completed: 0, retried: 0, dead: 0 };
+
+  while (summary.processed < limit && Date.now() < deadline) {
+    const job = await claimNextJob();
+    if (!job) {
+      break;
+    }
+
+    const result = await runJob(job);
+    summary.processed++;
+
+    if (result.status === 'completed') {
+      summary.completed++;
+    } else if (result.status === 'dead') {
+      summary.dead++;
+    } else {
+      summary.retried++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object>} The requeued job
+ */
+export async function requeueJob(jobId) {
+  const { data, error } = await supabase
+    .from('prpilot_jobs')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .eq('status', 'dead')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to requeue job: ${error.message}`);
+  }
+  if (!data) {
+    throw new Error('Only dead jobs can be requeued');
+  }
+
+  return data;
+}
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+// Review a pull request and report the result to its provider
+async function reviewPullRequest(job, { isLastAttempt }) {
+  const repo = await getJobRepo(job);
+  const provider = getProvider(repo.provider);
+  const { pr, action, force } = job.payload;
+
+  // A retry after the review was stored only reports it again
+  const stored = await getStoredReview(job);
+  const previousReview = stored ? null : await findPreviousReview(repo, pr.number);
+  if (!stored && !force && previousReview && pr.headSha && previousReview.head_sha === pr.headSha) {
+    // This commit was already reviewed
+    return { reviewId: previousReview.id };
+  }
+
+  // New commits are reviewed on their own; the full diff is the fallback,
+  // e.g. after a force push removed the previously reviewed commit
+  const fromSha = stored
+    ? stored.incremental?.fromSha
+    : action === 'synchronize' && previousReview && pr.headSha && previousReview.head_sha;
+  let diff = null;
+  if (fromSha) {
+    diff = await provider.fetchCompareDiff(repo, fromSha, pr.headSha).catch(error => {
+      console.error('Falling back to a full review:', error.message);
+      return null;
+    });
+  }
+
+  const isIncremental = Boolean(diff);
+  if (!isIncremental) {
+    diff = await provider.fetchPullRequestDiff(repo, pr);
+  }
+
+  // Report progress as a "PRPilot" check or status on the head commit
+  const check = await startJobStatus(job, repo, provider, pr);
+
+  try {
+    const review = stored || await storeJobReview(job, async () => {
+      // Settings versioned with the code in .prpilot.yml and .gitattributes at the head commit
+      const repoConfig = await loadRepoConfig(repo, provider, pr.headSha);
+      const attributes = await loadGitattributes(repo, provider, pr.headSha);
+
+      return runReview({
+        repo,
+        diff,
+        triggeredBy: 'webhook',
+        deliveryId: job.delivery_id,
+        pr,
+        previousReview: isIncremental ? previousReview : null,
+        config: repoConfig.found ? repoConfig.config : null,
+        configErrors: repoConfig.errors,
+        attributes,
+        reviewId: job.review_id
+      });
+    });
+
+    if (review.status === 'skipped') {
+      await provider.failStatus(repo, check, BUDGET_SKIPPED_MESSAGE);
+      return { reviewId: review.id };
+    }
+
+    // Post review comments to the provider if a token is available
+    if (hasRepoToken(repo)) {
+      await provider.postReview(repo, pr, review, diff);
+    }
+
+    await provider.finishStatus(repo, check, review, diff);
+    return { reviewId: review.id };
+  } catch (error) {
+    // The check stays in progress while a retry is pending
+    if (isLastAttempt) {
+      await provider.failStatus(repo, check, error.message);
+    }
+    throw error;
+  }
+}
+
+// Answer a slash command in its thread; "/prpilot review" then runs a full review
+async function runPullRequestCommand(job, { isLastAttempt }) {
+  const repo = await getJobRepo(job);
+  const provider = getProvider(repo.provider);
+  const { comment, command } = job.payload;
+
+  const { reply, rerun } = await runCommand({ repo, provider, comment, command });
+
+  // A retried re-review has already acknowledged the command
+  if (!rerun || job.attempts === 1) {
+    await provider.replyToComment(repo, comment, reply);
+  }
+
+  if (!rerun) {
+    return null;
+  }
+
+  const pr = await provider.fetchPullRequest(repo, comment.prNumber);
+  return reviewPullRequest({ ...job, payload: { pr, action: 'command', force: true } }, { isLastAttempt });
+}
+
+// Review the commits of a push to the default branch; the result goes to the
+// check on the pushed head commit, or to a commit comment where there is no check run
+async function reviewPush(job, { isLastAttempt }) {
+  const repo = await getJobRepo(job);
+  const provider = getProvider(repo.provider);
+  const { push } = job.payload;
+
+  const diff = await provider.fetchCompareDiff(repo, push.before, push.after);
+  if (!diff.trim()) {
+    return null;
+  }
+
+  const commit = { headSha: push.after };
+  const check = await startJobStatus(job, repo, provider, commit);
+
+  try {
+    const review = await getStoredReview(job) || await storeJobReview(job, async () => {
+      const repoConfig = await loadRepoConfig(repo, provider, push.after);
+      const attributes = await loadGitattributes(repo, provider, push.after);
+
+      return runReview({
+        repo,
+        diff,
+        triggeredBy: 'push',
+        deliveryId: job.delivery_id,
+        pr: {
+          title: `Push to ${push.branch}`,
+          author: push.pusher,
+          baseBranch: push.branch,
+          headBranch: push.branch,
+          headSha: push.after
+        },
+        config: repoConfig.found ? repoConfig.config : null,
+        configErrors: repoConfig.errors,
+        attributes,
+        reviewId: job.review_id
+      });
+    });
+
+    if (review.status === 'skipped') {
+      await provider.failStatus(repo, check, BUDGET_SKIPPED_MESSAGE);
+      return { reviewId: review.id };
+    }
+
+    // A failed comment must not retry the stored review
+    if (hasRepoToken(repo) && check?.type !== 'check_run') {
+      const summary = formatReviewSummary(review, { inline: [], summary: review.issues || [], carried: [] });
+      await provider.postCommitComment(repo, push.after, summary).catch(error => {
+        console.error('Failed to comment on commit:', error.message);
+      });
+    }
+
+    await provider.finishStatus(repo, check, review, diff);
+    return { reviewId: review.id };
+  } catch (error) {
+    if (isLastAttempt) {
+      await provider.failStatus(repo, check, error.message);
+    }
+    throw error;
+  }
+}
+
+// ============================================================================
+// ATTEMPTS
+// ============================================================================
+
+// The check of an earlier attempt is reused, so retries never leave one in progress
+async function startJobStatus(job, repo, provider, pr) {
+  if (job.check_handle) {
+    return job.check_handle;
+  }
+
+  const check = await provider.startStatus(repo, pr);
+  if (check) {
+    await saveJobProgress(job, { check_handle: check });
+  }
+  return check;
+}
+
+// A review an earlier attempt stored; reporting it again costs no model calls
+async function getStoredReview(job) {
+  if (!job.review_id) {
+    return null;
+  }
+
+  const { data: review, error } = await supabase
+    .from('prpilot_reviews')
+    .select('*')
+    .eq('id', job.review_id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch the review of job ${job.id}: ${error.message}`);
+  }
+
+  return review && STORED_REVIEW_STATUSES.includes(review.status) ? review : null;
+}
+
+// Run a review and keep its record on the job, also when it fails, so the
+// next attempt reuses the record instead of adding one
+async function storeJobReview(job, run) {
+  try {
+    const review = await run();
+    if (review.id) {
+      await saveJobProgress(job, { review_id: review.id });
+    }
+    return review;
+  } catch (error) {
+    if (error.reviewId) {
+      await saveJobProgress(job, { review_id: error.reviewId });
+    }
+    throw error;
+  }
+}
+
+async function saveJobProgress(job, fields) {
+  Object.assign(job, fields);
+  await updateJob(job.id, fields);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function getJobRepo(job) {
+  const { data: repo, error } = await supabase
+    .from('prpilot_repos')
+    .select('*')
+    .eq('id', job.repo_id)
+    .single();
+
+  if (error || !repo) {
+    throw new Error('Repository of the job no longer exists');
+  }
+
+  return repo;
+}
+
+async function findDuplicateJob(deliveryId, dedupeKey) {
+  if (deliveryId) {
+    const { data } = await supabase
+      .from('prpilot_jobs')
+      .select('*')
+      .eq('delivery_id', deliveryId)
+      .maybeSingle();
+
+    if (data) {
+      return data;
+    }
+  }
+
+  // The delivery may be new while the commit already has a pending job
+  if (dedupeKey) {
+    const { data } = await supabase
+      .from('prpilot_jobs')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .in('status', ['queued', 'running'])
+      .limit(1)
+      .maybeSingle();
+
+    return data;
+  }
+
+  return null;
+}
+
+async function updateJob(jobId, updates) {
+  const { data, error } = await supabase
+    .from('prpilot_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update job ${jobId}: ${error.message}`);
+  }
+
+  return data;
+}
@@ -0,0 +1,142 @@
+/**
+ * PRPilot Model Output Validation
+ * Parses the structured responses of the review model and validates them against
+ * the JSON schemas in the engine, using the subset of JSON Schema they need (type,
+ * enum, required, properties, items, minimum). Responses that do not parse or do
+ * not match are sent back to the model once with the errors; whatever is still
+ * invalid after that is dropped and the review is marked degraded instead of
+ * being scored on partial output.
+ */
+
+// Constants
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - JSON schema using type, enum, required, properties, items and minimum
+ * @param {string} [path] - Location of the value, for error messages
+ * @returns {Array<string>} Problems found, empty when the value matches
+ */
+export function validateSchema(value, schema, path = '$') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path} must be ${types.join(' or ')}, got ${describe(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && value !== null && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}, got ${value}`);
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], property, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a model response and validate it against a schema.
+ * A fenced ```json block wins over the rest of the text.
+ * @param {string} content - Raw model response
+ * @param {Object} schema - Expected shape
+ * @returns {{value: Object|null, errors: Array<string>}} value is null when the response is not JSON
+ */
+export function parseModelOutput(content, schema) {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1].trim() : text;
+
+  let value;
+  try {
+    value = JSON.parse(candidate);
+  } catch {
+    // Text around the object, e.g. "Here is the review: {...}"
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    try {
+      value = start !== -1 && end > start ? JSON.parse(candidate.slice(start, end + 1)) : undefined;
+    } catch {
+      value = undefined;
+    }
+  }
+
+  if (value === undefined) {
+    return { value: null, errors: [text ? 'Response is not valid JSON' : 'Response is empty'] };
+  }
+
+  return { value, errors: validateSchema(value, schema).slice(0, MAX_REPORTED_ERRORS) };
+}
+
+/**
+ * Keep the valid parts of a response that still has errors: invalid items of the
+ * schema's arrays are dropped, and missing arrays become empty
+ * @param {Object|null} value - Parsed response
+ * @param {Object} schema - Expected shape, an object with array properties
+ * @returns {Object} The usable part of the response
+ */
+export function dropInvalidItems(value, schema) {
+  const usable = {};
+
+  for (const [key, property] of Object.entries(schema.properties)) {
+    const field = isObject(value) ? value[key] : undefined;
+    if (property.type === 'array') {
+      usable[key] = Array.isArray(field)
+        ? field.filter(item => validateSchema(item, property.items).length === 0)
+        : [];
+    } else if (field !== undefined && validateSchema(field, property).length === 0) {
+      usable[key] = field;
+    }
+  }
+
+  return usable;
+}
+
+/**
+ * Message that asks the model to correct its response
+ * @param {Array<string>} errors - Problems from parseModelOutput
+ * @returns {string} Repair instruction
+ */
+export function formatRepairPrompt(errors) {
+  return `Your response does not match the required JSON format:\n${errors.map(error => `- ${error}`).join('\n')}\n\nRespond again with ONLY the corrected JSON object, in the exact format from the instructions. Use only the listed values for enum fields.`;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'string' ? JSON.stringify(value.slice(0, 40)) : typeof value;
+}
@@ -0,0 +1,479 @@
+/**
+ * PRPilot Rule Packs
+ * Named, versioned sets of rules maintained by one user and assigned to any
+ * number of repositories. Packs can be shared so other users can assign them
+ * to their own repositories, and exported or imported as JSON or YAML:
+ *
+ *   prpilot_rule_pack: 1
+ *   name: Node backend
+ *   description: Standards for our Node services
+ *   rules:
+ *     - template: no-console          # start from a built-in template
+ *     - key: no-sync-fs
+ *       name: No synchronous fs calls
+ *       kind: regex
+ *       pattern: 'fs\.\w+Sync\('
+ *       severity: medium
+ *       options: { suggestion: Use the fs/promises API }
+ *
+ * Reviews read the current rules of every assigned pack, so a change to a pack
+ * applies to all of its repositories from their next review on.
+ */
+
+import yaml from 'js-yaml';
+import { supabase } from '../../supabase';
+import { RULE_TEMPLATES, validateRule } from './rules';
+import { SEVERITIES } from './engine';
+
+// Constants
+export const PACK_FORMAT_VERSION = 1;
+export const PACK_FORMATS = ['json', 'yaml'];
+export const PACK_VISIBILITIES = ['private', 'shared'];
+const MAX_PACK_RULES = 100;
+const RULE_FIELDS = ['key', 'template', 'name', 'description', 'kind', 'pattern', 'options', 'category', 'severity', 'enabled'];
+
+// ============================================================================
+// FORMAT
+// ============================================================================
+
+/**
+ * Parse and validate a rule pack document
+ * @param {Object|string} input - Pack object, or its JSON or YAML text
+ * @returns {{pack: Object|null, errors: Array<string>}} The normalized pack ({name, description, rules})
+ *   or null with what was wrong with it
+ */
+export function parseRulePack(input) {
+  let raw = input;
+  if (typeof input === 'string') {
+    try {
+      // YAML is a superset of JSON, so one parser reads both formats
+      raw = yaml.load(input, { schema: yaml.JSON_SCHEMA });
+    } catch (error) {
+      const location = error.mark ? ` (line ${error.mark.line + 1})` : '';
+      return { pack: null, errors: [`Rule pack is not valid JSON or YAML: ${error.reason || error.message}${location}`] };
+    }
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { pack: null, errors: ['Rule pack must be an object with a name and rules'] };
+  }
+
+  const errors = [];
+  const format = raw.prpilot_rule_pack ?? PACK_FORMAT_VERSION;
+  if (format !== PACK_FORMAT_VERSION) {
+    errors.push(`Unsupported rule pack format ${format}; expected ${PACK_FORMAT_VERSION}`);
+  }
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) {
+    errors.push('"name" is required');
+  }
+
+  if (!Array.isArray(raw.rules) || raw.rules.length === 0) {
+    errors.push('"rules" must be a non-empty list');
+  } else if (raw.rules.length > MAX_PACK_RULES) {
+    errors.push(`A rule pack can have at most ${MAX_PACK_RULES} rules`);
+  }
+
+  if (errors.length > 0) {
+    return { pack: null, errors };
+  }
+
+  const rules = raw.rules.map((rule, index) => normalizePackRule(rule, index, errors));
+  const keys = new Set();
+  for (const rule of rules.filter(Boolean)) {
+    if (keys.has(rule.key)) {
+      errors.push(`Rule key "${rule.key}" is used more than once`);
+    }
+    keys.add(rule.key);
+  }
+
+  if (errors.length > 0) {
+    return { pack: null, errors };
+  }
+
+  return {
+    pack: {
+      name,
+      description: typeof raw.description === 'string' ? raw.description.trim() : null,
+      rules
+    },
+    errors: []
+  };
+}
+
+/**
+ * Serialize a rule pack for export
+ * @param {Object} pack - Rule pack record
+ * @param {string} [format] - One of PACK_FORMATS
+ * @returns {string} Pack document that parseRulePack reads back
+ */
+export function serializeRulePack(pack, format = 'json') {
+  const document = {
+    prpilot_rule_pack: PACK_FORMAT_VERSION,
+    name: pack.name,
+    ...(pack.description && { description: pack.description }),
+    version: pack.version,
+    rules: (pack.rules || []).map(rule =>
+      Object.fromEntries(Object.entries(rule).filter(([, value]) =>
+        value !== null && value !== undefined && !(typeof value === 'object' && Object.keys(value).length === 0)
+      ))
+    )
+  };
+
+  return format === 'yaml'
+    ? yaml.dump(document, { lineWidth: -1, noRefs: true })
+    : JSON.stringify(document, null, 2);
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Get the rule packs a user can use: their own and the ones shared by others
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Pack records with the IDs of the user's repos each is assigned to
+ */
+export async function listRulePacks(userId) {
+  // Two plain filters rather than an or() string, which would be built from the caller's input
+  const [own, shared] = await Promise.all([
+    supabase.from('prpilot_rule_packs').select('*').eq('user_id', userId),
+    supabase.from('prpilot_rule_packs').select('*').eq('visibility', 'shared')
+  ]);
+
+  const error = own.error || shared.error;
+  if (error) {
+    throw new Error(`Failed to fetch rule packs: ${error.message}`);
+  }
+
+  const packs = [...new Map([...(own.data || []), ...(shared.data || [])].map(pack => [pack.id, pack])).values()]
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const { data: repos } = await supabase
+    .from('prpilot_repos')
+    .select('id')
+    .eq('user_id', userId);
+  const repoIds = (repos || []).map(repo => repo.id);
+
+  const { data: assignments, error: assignmentsError } = repoIds.length > 0
+    ? await supabase
+      .from('prpilot_repo_rule_packs')
+      .select('repo_id, pack_id')
+      .in('repo_id', repoIds)
+    : { data: [] };
+
+  if (assignmentsError) {
+    throw new Error(`Failed to fetch rule pack assignments: ${assignmentsError.message}`);
+  }
+
+  return packs.map(pack => ({
+    ...pack,
+    repoIds: (assignments || []).filter(row => row.pack_id === pack.id).map(row => row.repo_id)
+  }));
+}
+
+/**
+ * Get a rule pack the user maintains or that is shared with them
+ * @param {string} packId - The pack ID
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object|null>} The pack record
+ */
+export async function getRulePack(packId, userId) {
+  const { data, error } = await supabase
+    .from('prpilot_rule_packs')
+    .select('*')
+    .eq('id', packId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch rule pack: ${error.message}`);
+  }
+
+  if (!data || (data.user_id !== userId && data.visibility !== 'shared')) {
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Create a rule pack, or update the user's pack with the same name to a new version
+ * @param {string} userId - The maintainer's ID
+ * @param {Object|string} input - Pack document (see parseRulePack)
+ * @param {Object} [options] - Save options
+ * @param {string} [options.visibility] - One of PACK_VISIBILITIES; kept as is for existing packs when omitted
+ * @returns {Promise<{pack: Object, created: boolean}>} The stored pack
+ * @throws {Error} If the document is invalid
+ */
+export async function saveRulePack(userId, input, { visibility } = {}) {
+  const { pack, errors } = parseRulePack(input);
+  if (!pack) {
+    throw new Error(errors.join('; '));
+  }
+
+  if (visibility !== undefined && !PACK_VISIBILITIES.includes(visibility)) {
+    throw new Error(`visibility must be one of: ${PACK_VISIBILITIES.join(', ')}`);
+  }
+
+  const { data: existing } = await supabase
+    .from('prpilot_rule_packs')
+    .select('id, version')
+    .eq('user_id', userId)
+    .eq('name', pack.name)
+    .maybeSingle();
+
+  if (existing) {
+    return { pack: await updateRulePack(existing.id, userId, { ...pack, visibility }), created: false };
+  }
+
+  const { data, error } = await supabase
+    .from('prpilot_rule_packs')
+    .insert({
+      user_id: userId,
+      name: pack.name,
+      description: pack.description,
+      rules: pack.rules,
+      version: 1,
+      visibility: visibility || 'private',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create rule pack: ${error.message}`);
+  }
+
+  return { pack: data, created: true };
+}
+
+/**
+ * Update a rule pack the user maintains; changed rules get a new version
+ * @param {string} packId - The pack ID
+ * @param {string} userId - The maintainer's ID
+ * @param {Object} updates - name, description, rules and/or visibility
+ * @returns {Promise<Object>} The updated pack
+ * @throws {Error} If the pack is not the user's or the update is invalid
+ */
+export async function updateRulePack(packId, userId, updates) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('prpilot_rule_packs')
+    .select('*')
+    .eq('id', packId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError || !existing) {
+    throw new Error('Rule pack not found or access denied');
+  }
+
+  const fields = {};
+
+  if (updates.name !== undefined || updates.rules !== undefined) {
+    const { pack, errors } = parseRulePack({
+      name: updates.name ?? existing.name,
+      rules: updates.rules ?? existing.rules
+    });
+    if (!pack) {
+      throw new Error(errors.join('; '));
+    }
+
+    fields.name = pack.name;
+    if (updates.rules !== undefined && JSON.stringify(pack.rules) !== JSON.stringify(existing.rules)) {
+      fields.rules = pack.rules;
+      fields.version = (existing.version || 1) + 1;
+    }
+  }
+
+  if (updates.description !== undefined) {
+    fields.description = updates.description || null;
+  }
+
+  if (updates.visibility !== undefined) {
+    if (!PACK_VISIBILITIES.includes(updates.visibility)) {
+      throw new Error(`visibility must be one of: ${PACK_VISIBILITIES.join(', ')}`);
+    }
+    fields.visibility = updates.visibility;
+  }
+
+  const { data, error } = await supabase
+    .from('prpilot_rule_packs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', packId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update rule pack: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Assign a rule pack to repositories, or remove it from them
+ * @param {Object} pack - Pack record the user can use
+ * @param {Array<string>} repoIds - Repositories owned by the user
+ * @param {boolean} assigned - Whether the pack should apply to the repositories
+ * @returns {Promise<void>}
+ */
+export async function setRulePackRepos(pack, repoIds, assigned) {
+  if (assigned) {
+    const { error } = await supabase
+      .from('prpilot_repo_rule_packs')
+      .upsert(
+        repoIds.map(repoId => ({ repo_id: repoId, pack_id: pack.id, created_at: new Date().toISOString() })),
+        { onConflict: 'repo_id,pack_id', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw new Error(`Failed to assign rule pack: ${error.message}`);
+    }
+    return;
+  }
+
+  const { error } = await supabase
+    .from('prpilot_repo_rule_packs')
+    .delete()
+    .eq('pack_id', pack.id)
+    .in('repo_id', repoIds);
+
+  if (error) {
+    throw new Error(`Failed to unassign rule pack: ${error.message}`);
+  }
+}
+
+/**
+ * Get the enabled rules of the packs assigned to a repository, shaped like prpilot_rules rows.
+ * Packs that were made private by someone other than the repo owner no longer apply.
+ * @param {Object} repo - Repository record
+ * @returns {Promise<Array>} Rules with the pack ID and version they come from
+ */
+export async function getPackRules(repo) {
+  if (!repo?.id) {
+    return [];
+  }
+
+  const { data: assignments, error } = await supabase
+    .from('prpilot_repo_rule_packs')
+    .select('pack_id')
+    .eq('repo_id', repo.id);
+
+  if (error || !assignments?.length) {
+    if (error) console.error('Failed to fetch rule pack assignments:', error);
+    return [];
+  }
+
+  const { data: packs, error: packsError } = await supabase
+    .from('prpilot_rule_packs')
+    .select('*')
+    .in('id', assignments.map(row => row.pack_id));
+
+  if (packsError) {
+    console.error('Failed to fetch rule packs:', packsError);
+    return [];
+  }
+
+  return (packs || [])
+    .filter(pack => pack.user_id === repo.user_id || pack.visibility === 'shared')
+    .flatMap(pack => expandPackRules(pack, repo));
+}
+
+/**
+ * Turn the rules of a pack into rule records for a repository
+ * @param {Object} pack - Rule pack record
+ * @param {Object} repo - Repository record
+ * @returns {Array} Enabled rules; IDs are "<pack id>:<rule key>" and template_id is the rule key
+ */
+export function expandPackRules(pack, repo) {
+  return (pack.rules || [])
+    .filter(rule => rule.enabled !== false)
+    .map(rule => ({
+      id: `${pack.id}:${rule.key}`,
+      user_id: repo.user_id,
+      repo_id: repo.id,
+      name: rule.name,
+      description: rule.description || null,
+      kind: rule.kind || 'llm',
+      pattern: rule.pattern || null,
+      options: rule.options || {},
+      category: rule.category || 'custom',
+      severity: rule.severity || 'medium',
+      template_id: rule.key,
+      enabled: true,
+      pack_id: pack.id,
+      pack_name: pack.name,
+      pack_version: pack.version
+    }));
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Fill a pack rule from its template and check it can run
+function normalizePackRule(raw, index, errors) {
+  const label = `rules[${index}]`;
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const unknown = Object.keys(raw).filter(field => !RULE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push(`${label} has unknown fields: ${unknown.join(', ')}`);
+  }
+
+  let template = {};
+  if (raw.template !== undefined) {
+    template = RULE_TEMPLATES[raw.template];
+    if (!template) {
+      errors.push(`${label} uses unknown template "${raw.template}"`);
+      return null;
+    }
+  }
+
+  const rule = {
+    key: raw.key || raw.template || slugify(raw.name || ''),
+    name: raw.name || template.name,
+    description: raw.description || template.description || null,
+    kind: raw.kind || template.kind || 'llm',
+    pattern: raw.pattern || template.pattern || null,
+    options: raw.options || template.options || {},
+    category: raw.category || template.category || 'custom',
+    severity: raw.severity || template.severity || 'medium',
+    enabled: raw.enabled !== false
+  };
+
+  if (!rule.name || !rule.key) {
+    errors.push(`${label} needs a name or a template`);
+    return null;
+  }
+
+  if (!/^[a-z0-9][a-z0-9._-]*$/.test(rule.key)) {
+    errors.push(`${label} key "${rule.key}" may only contain lowercase letters, digits, ".", "_" and "-"`);
+  }
+
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`${label} severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  if (rule.kind === 'llm' && !rule.pattern && !rule.description) {
+    errors.push(`${label} needs a description for the model to check`);
+  }
+
+  try {
+    validateRule(rule);
+  } catch (error) {
+    errors.push(`${label} (${rule.name}): ${error.message}`);
+  }
+
+  return rule;
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { readFixture, startApiStub } from './helpers';
+import * as bitbucket from '../bitbucket';
+import { supabase } from '@/lib/supabase';
+
+vi.mock('@/lib/supabase', async () => {
+  const { createSupabaseStub } = await import('./helpers');
+  return { supabase: createSupabaseStub() };
+});
+
+const repo = { id: 'repo-1', provider: 'bitbucket', repo_full_name: 'acme/billing', github_token: 'druiz:app-password' };
+
+function signedHeaders(eventKey, rawBody, secret) {
+  const signature = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return new Headers({
+    'x-event-key': eventKey,
+    'x-request-uuid': '9b2e7c41-5d0a-4f3e-8c16-a07d2b9e4f58',
+    'x-hub-signature': `sha256=${signature}`
+  });
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+describe('bitbucket webhooks', () => {
+  it('recognizes and describes a delivery', () => {
+    const payload = readFixture('bitbucket/pullrequest-created.json');
+    const headers = signedHeaders('pullrequest:created', JSON.stringify(payload), 'hook-secret');
+
+    expect(bitbucket.matchesWebhook(headers)).toBe(true);
+    expect(bitbucket.matchesWebhook(new Headers({ 'x-event-key': 'repo:push' }))).toBe(false);
+    expect(bitbucket.describeWebhook(headers, payload)).toEqual({
+      event: 'pull_request',
+      eventKey: 'pullrequest:created',
+      deliveryId: '9b2e7c41-5d0a-4f3e-8c16-a07d2b9e4f58',
+      repoFullName: 'acme/billing'
+    });
+  });
+
+  it('verifies the signature and reports an unsigned delivery as null', () => {
+    const rawBody = JSON.stringify(readFixture('bitbucket/pullrequest-created.json'));
+    const headers = signedHeaders('pullrequest:created', rawBody, 'hook-secret');
+
+    expect(bitbucket.verifyWebhook(headers, rawBody, 'hook-secret')).toBe(true);
+    expect(bitbucket.verifyWebhook(headers, rawBody, 'other-secret')).toBe(false);
+    expect(bitbucket.verifyWebhook(headers, `${rawBody} `, 'hook-secret')).toBe(false);
+    expect(bitbucket.verifyWebhook(new Headers({ 'x-event-key': 'pullrequest:created' }), rawBody, 'hook-secret')).toBeNull();
+  });
+
+  it('normalizes a pull request and derives the action from the event key', () => {
+    const payload = readFixture('bitbucket/pullrequest-created.json');
+
+    expect(bitbucket.parsePullRequestEvent(payload, { eventKey: 'pullrequest:created' })).toEqual({
+      action: 'opened',
+      pr: {
+        number: 17,
+        title: 'Retry failed invoice exports',
+        body: 'Exports that hit a timeout are queued again.',
+        url: 'https://bitbucket.org/acme/billing/pull-requests/17',
+        author: 'druiz',
+        baseBranch: 'main',
+        headBranch: 'invoice-retry',
+        baseSha: '5f1c2d0a9b8e',
+        headSha: 'c0ffee123456'
+      }
+    });
+    expect(bitbucket.parsePullRequestEvent(payload, { eventKey: 'pullrequest:updated' }).action).toBe('synchronize');
+    expect(bitbucket.parsePullRequestEvent(payload, { eventKey: 'pullrequest:fulfilled' }).action).toBe('closed');
+    expect(bitbucket.parsePullRequestEvent(readFixture('bitbucket/repo-push.json'), { eventKey: 'repo:push' })).toBeNull();
+  });
+
+  it('normalizes an approval', () => {
+    expect(bitbucket.parseReviewEvent(readFixture('bitbucket/pullrequest-approved.json'), { eventKey: 'pullrequest:approved' })).toEqual({
+      prNumber: 17,
+      state: 'approved',
+      reviewer: 'sokafor'
+    });
+  });
+
+  it('normalizes a reply in a comment thread', () => {
+    expect(bitbucket.parseCommentEvent(readFixture('bitbucket/comment-created.json'))).toEqual({
+      prNumber: 17,
+      id: 530118,
+      threadId: 530101,
+      rootCommentId: 530101,
+      body: '/prpilot fix 1',
+      author: 'sokafor',
+      authorId: '{a3f0c2d1-6b5e-4e2f-9d8c-7b6a5f4e3d21}',
+      isBot: false
+    });
+  });
+
+  it('starts a thread with a top-level comment', () => {
+    const payload = readFixture('bitbucket/comment-created.json');
+    delete payload.comment.parent;
+
+    expect(bitbucket.parseCommentEvent(payload)).toMatchObject({ id: 530118, threadId: 530118, rootCommentId: null });
+  });
+
+  it('normalizes the first branch change of a push', () => {
+    const push = bitbucket.parsePushEvent(readFixture('bitbucket/repo-push.json'));
+
+    expect(push).toMatchObject({
+      ref: 'refs/heads/main',
+      before: '5f1c2d0a9b8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a',
+      after: 'c0ffee1234567890abcdef1234567890abcdef12',
+      pusher: 'druiz'
+    });
+    expect(push.commits).toHaveLength(1);
+  });
+});
+
+// ============================================================================
+// API
+// ============================================================================
+
+describe('bitbucket API', () => {
+  let api;
+  let handler;
+
+  beforeAll(async () => {
+    api = await startApiStub(request => handler(request));
+    process.env.BITBUCKET_API_URL = api.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.BITBUCKET_API_URL;
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.requests.length = 0;
+    supabase.queries.length = 0;
+    supabase.respond = query => ({ data: query.action === 'upsert' ? query.payload : null, error: null });
+  });
+
+  it('fetches the pull request diff with basic auth for app passwords', async () => {
+    handler = () => ({ body: readFixture('bitbucket/pullrequest.diff') });
+
+    const diff = await bitbucket.fetchPullRequestDiff(repo, { number: 17 });
+
+    expect(api.requests[0].path).toBe('/repositories/acme/billing/pullrequests/17/diff');
+    expect(api.requests[0].headers.authorization).toBe(`Basic ${Buffer.from('druiz:app-password').toString('base64')}`);
+    expect(diff).toBe(readFixture('bitbucket/pullrequest.diff'));
+  });
+
+  it('posts inline comments on new-side lines and stores their IDs', async () => {
+    let comments = 0;
+    handler = ({ body }) => {
+      comments += 1;
+      // Bitbucket rejects comments on lines outside the diff it shows
+      if (body.inline?.to === 16) {
+        return { status: 400, body: { type: 'error', error: { message: 'Invalid inline position' } } };
+      }
+      return { status: 201, body: { id: 530000 + comments } };
+    };
+
+    const review = {
+      id: 'review-1',
+      summary: 'Timed out exports are retried.',
+      quality_score: 80,
+      issues: [
+        { type: 'bug', severity: 'high', file: 'src/exports.js', line: 13, title: 'Lost error', description: 'The error is dropped.' },
+        { type: 'style', severity: 'low', file: 'src/exports.js', line: 16, title: 'Rejected line', description: 'Bitbucket refuses this one.' }
+      ]
+    };
+
+    await bitbucket.postReview(repo, { number: 17 }, review, readFixture('bitbucket/pullrequest.diff'));
+
+    const [first, second, summary] = api.requests;
+    expect(first.path).toBe('/repositories/acme/billing/pullrequests/17/comments');
+    expect(first.body.inline).toEqual({ path: 'src/exports.js', to: 13 });
+    expect(first.body.content.raw).toContain('Finding #1');
+    expect(second.body.inline).toEqual({ path: 'src/exports.js', to: 16 });
+
+    // The rejected issue moves to the summary
+    expect(summary.body.inline).toBeUndefined();
+    expect(summary.body.content.raw).toContain('Rejected line');
+
+    const upsert = supabase.queries.find(query => query.action === 'upsert');
+    expect(upsert.payload.map(row => [row.finding_key, row.github_comment_id, row.github_review_id])).toEqual([
+      ['issue:0', 530001, 530003]
+    ]);
+  });
+});
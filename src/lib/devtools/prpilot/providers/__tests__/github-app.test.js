@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { startApiStub } from './helpers';
+import { supabase } from '@/lib/supabase';
+
+vi.mock('@/lib/supabase', async () => {
+  const { createSupabaseStub } = await import('./helpers');
+  return { supabase: createSupabaseStub() };
+});
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PRIVATE_KEY_PEM = privateKey.export({ type: 'pkcs8', format: 'pem' });
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+let api;
+let app;
+let tokensIssued;
+
+function decodeJwt(jwt) {
+  const [header, payload, signature] = jwt.split('.');
+  const valid = crypto
+    .createVerify('RSA-SHA256')
+    .update(`${header}.${payload}`)
+    .verify(publicKey, signature, 'base64url');
+
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url')),
+    payload: JSON.parse(Buffer.from(payload, 'base64url')),
+    valid
+  };
+}
+
+// GitHub issues installation tokens that expire an hour after the request
+function handleGitHubRequest({ method, path, headers }) {
+  const tokenMatch = path.match(/^\/app\/installations\/(\d+)\/access_tokens$/);
+  if (method === 'POST' && tokenMatch) {
+    const jwt = decodeJwt(headers.authorization.replace(/^Bearer /, ''));
+    if (!jwt.valid) {
+      return { status: 401, body: { message: 'A JSON web token could not be decoded' } };
+    }
+
+    tokensIssued += 1;
+    return {
+      status: 201,
+      body: {
+        token: `ghs_${tokenMatch[1]}_${tokensIssued}`,
+        expires_at: new Date(Date.now() + HOUR_MS).toISOString()
+      }
+    };
+  }
+
+  const repoMatch = path.match(/^\/repos\/([^/]+\/[^/]+)$/);
+  if (method === 'GET' && repoMatch) {
+    return { body: { full_name: repoMatch[1], default_branch: 'trunk' } };
+  }
+}
+
+function stubAppEnv() {
+  vi.stubEnv('GITHUB_API_URL', api.url);
+  vi.stubEnv('GITHUB_APP_ID', '123456');
+  vi.stubEnv('GITHUB_APP_PRIVATE_KEY', PRIVATE_KEY_PEM);
+  vi.stubEnv('GITHUB_APP_WEBHOOK_SECRET', 'app-secret');
+  vi.stubEnv('GITHUB_APP_OWNER_USER_ID', '');
+}
+
+beforeAll(async () => {
+  api = await startApiStub(handleGitHubRequest);
+
+  // API_URL is read when the module loads
+  stubAppEnv();
+  app = await import('../github-app');
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await api.close();
+});
+
+beforeEach(() => {
+  api.requests.length = 0;
+  tokensIssued = 0;
+  supabase.queries.length = 0;
+  supabase.respond = () => ({ data: null, error: null });
+  vi.spyOn(Date, 'now').mockReturnValue(NOW);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  stubAppEnv();
+});
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+describe('createAppJwt', () => {
+  it('signs an RS256 token for the app with the private key', () => {
+    const jwt = decodeJwt(app.createAppJwt(NOW));
+
+    expect(jwt.valid).toBe(true);
+    expect(jwt.header).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(jwt.payload).toEqual({
+      iss: '123456',
+      // Backdated for clock skew and within GitHub's 10 minute limit
+      iat: NOW / 1000 - 60,
+      exp: NOW / 1000 + 9 * 60
+    });
+  });
+
+  it('accepts a key whose newlines were escaped in a single-line variable', () => {
+    vi.stubEnv('GITHUB_APP_PRIVATE_KEY', PRIVATE_KEY_PEM.replace(/\n/g, '\\n'));
+
+    expect(decodeJwt(app.createAppJwt(NOW)).valid).toBe(true);
+  });
+
+  it('requires the app credentials', () => {
+    vi.stubEnv('GITHUB_APP_ID', '');
+
+    expect(() => app.createAppJwt(NOW)).toThrow('GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY must be configured');
+  });
+});
+
+describe('getInstallationToken', () => {
+  it('exchanges a JWT for a token and caches it', async () => {
+    app.invalidateInstallationToken(11);
+
+    expect(await app.getInstallationToken(11)).toBe('ghs_11_1');
+    expect(await app.getInstallationToken('11')).toBe('ghs_11_1');
+
+    expect(api.requests).toHaveLength(1);
+    expect(api.requests[0]).toMatchObject({ method: 'POST', path: '/app/installations/11/access_tokens' });
+    expect(decodeJwt(api.requests[0].headers.authorization.replace(/^Bearer /, '')).payload.iss).toBe('123456');
+  });
+
+  it('shares one exchange between concurrent requests', async () => {
+    app.invalidateInstallationToken(12);
+
+    const tokens = await Promise.all([app.getInstallationToken(12), app.getInstallationToken(12), app.getInstallationToken('12')]);
+
+    expect(tokens).toEqual(['ghs_12_1', 'ghs_12_1', 'ghs_12_1']);
+    expect(api.requests).toHaveLength(1);
+  });
+
+  it('refreshes the token shortly before it expires', async () => {
+    app.invalidateInstallationToken(13);
+    expect(await app.getInstallationToken(13)).toBe('ghs_13_1');
+
+    // Still valid for more than the refresh margin
+    Date.now.mockReturnValue(NOW + 50 * 60 * 1000);
+    expect(await app.getInstallationToken(13)).toBe('ghs_13_1');
+
+    // Within five minutes of expiry
+    Date.now.mockReturnValue(NOW + 56 * 60 * 1000);
+    expect(await app.getInstallationToken(13)).toBe('ghs_13_2');
+    expect(api.requests).toHaveLength(2);
+  });
+
+  it('requests a new token after invalidation', async () => {
+    app.invalidateInstallationToken(14);
+    await app.getInstallationToken(14);
+    app.invalidateInstallationToken(14);
+
+    expect(await app.getInstallationToken(14)).toBe('ghs_14_2');
+  });
+
+  it('does not cache a failed exchange', async () => {
+    vi.stubEnv('GITHUB_APP_PRIVATE_KEY', crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    app.invalidateInstallationToken(15);
+
+    await expect(app.getInstallationToken(15)).rejects.toThrow();
+    vi.stubEnv('GITHUB_APP_PRIVATE_KEY', PRIVATE_KEY_PEM);
+
+    expect(await app.getInstallationToken(15)).toBe('ghs_15_1');
+  });
+});
+
+describe('verifyAppWebhook', () => {
+  const rawBody = JSON.stringify({ action: 'created', installation: { id: 11 } });
+  const sign = secret => `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+  it('accepts deliveries signed with the app secret only', () => {
+    expect(app.verifyAppWebhook(new Headers({ 'x-hub-signature-256': sign('app-secret') }), rawBody)).toBe(true);
+    expect(app.verifyAppWebhook(new Headers({ 'x-hub-signature-256': sign('other-secret') }), rawBody)).toBe(false);
+    expect(app.verifyAppWebhook(new Headers(), rawBody)).toBe(false);
+  });
+});
+
+// ============================================================================
+// INSTALLATIONS
+// ============================================================================
+
+describe('syncInstallation', () => {
+  const updates = () => supabase.queries.filter(query => query.action === 'update');
+  const inserts = () => supabase.queries.filter(query => query.action === 'insert');
+
+  it('attaches connected repositories without changing their status and registers new ones', async () => {
+    vi.stubEnv('GITHUB_APP_OWNER_USER_ID', 'owner-1');
+    app.invalidateInstallationToken(21);
+    supabase.respond = query => {
+      const name = query.filters.find(([method, column]) => method === 'eq' && column === 'repo_full_name')?.[2];
+      return { data: query.action === 'select' && name === 'acme/api' ? [{ id: 'repo-1' }] : null, error: null };
+    };
+
+    const result = await app.syncInstallation('installation', {
+      action: 'created',
+      installation: { id: 21 },
+      repositories: [{ full_name: 'acme/api' }, { full_name: 'acme/web' }]
+    });
+
+    expect(result).toEqual({ action: 'created', installationId: 21, registered: ['acme/api', 'acme/web'], removed: [], skipped: [] });
+
+    const [update] = updates();
+    expect(update.payload).toEqual({ installation_id: 21, updated_at: expect.any(String) });
+    expect(update.filters).toContainEqual(['in', 'id', ['repo-1']]);
+
+    const [insert] = inserts();
+    expect(insert.payload).toMatchObject({
+      user_id: 'owner-1',
+      provider: 'github',
+      repo_full_name: 'acme/web',
+      installation_id: 21,
+      default_branch: 'trunk',
+      status: 'active'
+    });
+
+    // The default branch is read with an installation token
+    const repoRequest = api.requests.find(request => request.path === '/repos/acme/web');
+    expect(repoRequest.headers.authorization).toBe('Bearer ghs_21_1');
+  });
+
+  it('skips new repositories without a configured owner', async () => {
+    const result = await app.syncInstallation('installation_repositories', {
+      action: 'added',
+      installation: { id: 22 },
+      repositories_added: [{ full_name: 'acme/new' }]
+    });
+
+    expect(result.skipped).toEqual(['acme/new']);
+    expect(inserts()).toHaveLength(0);
+  });
+
+  it('pauses removed repositories unless they have their own token', async () => {
+    supabase.respond = query => ({
+      data: query.action === 'select'
+        ? [
+            { id: 'repo-1', repo_full_name: 'acme/api', github_token: null, github_token_encrypted: 'v1:abc' },
+            { id: 'repo-2', repo_full_name: 'acme/web', github_token: null, github_token_encrypted: null }
+          ]
+        : null,
+      error: null
+    });
+
+    const result = await app.syncInstallation('installation_repositories', {
+      action: 'removed',
+      installation: { id: 23 },
+      repositories_removed: [{ full_name: 'acme/api' }, { full_name: 'acme/web' }]
+    });
+
+    expect(result.removed).toEqual(['acme/api', 'acme/web']);
+    expect(updates().map(query => [query.filters[0][2], query.payload.installation_id, query.payload.status])).toEqual([
+      ['repo-1', null, undefined],
+      ['repo-2', null, 'paused']
+    ]);
+  });
+
+  it('pauses and resumes repositories with a suspended installation', async () => {
+    await app.syncInstallation('installation', { action: 'suspend', installation: { id: 24 } });
+    await app.syncInstallation('installation', { action: 'unsuspend', installation: { id: 24 } });
+
+    expect(updates().map(query => [query.payload.status, query.filters])).toEqual([
+      ['paused', [['eq', 'installation_id', 24]]],
+      ['active', [['eq', 'installation_id', 24]]]
+    ]);
+  });
+
+  it('rejects payloads without an installation', async () => {
+    await expect(app.syncInstallation('installation', { action: 'created' })).rejects.toThrow('Installation missing from payload');
+  });
+
+  it('surfaces database errors', async () => {
+    supabase.respond = () => ({ data: null, error: { message: 'permission denied' } });
+
+    await expect(app.syncInstallation('installation', {
+      action: 'created',
+      installation: { id: 25 },
+      repositories: [{ full_name: 'acme/api' }]
+    })).rejects.toThrow('Failed to look up acme/api: permission denied');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { readFixture, startApiStub } from './helpers';
+import { supabase } from '@/lib/supabase';
+
+vi.mock('@/lib/supabase', async () => {
+  const { createSupabaseStub } = await import('./helpers');
+  return { supabase: createSupabaseStub() };
+});
+
+const repo = { id: 'repo-1', provider: 'github', repo_full_name: 'acme/billing', github_token: 'ghp_test' };
+
+let api;
+let github;
+let handler;
+
+beforeAll(async () => {
+  api = await startApiStub(request => handler(request));
+
+  // API_URL is read when github-app.js loads
+  vi.stubEnv('GITHUB_API_URL', api.url);
+  github = await import('../github');
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await api.close();
+});
+
+beforeEach(() => {
+  api.requests.length = 0;
+  supabase.queries.length = 0;
+  supabase.respond = query => ({ data: query.action === 'upsert' ? query.payload : null, error: null });
+});
+
+describe('github postReview', () => {
+  it('matches review comments to findings by their number, also on a shared line', async () => {
+    let postedComments = [];
+    handler = ({ method, path, body }) => {
+      if (method === 'POST' && path === '/repos/acme/billing/pulls/17/reviews') {
+        postedComments = body.comments;
+        return { body: { id: 700 } };
+      }
+      if (method === 'GET' && path.startsWith('/repos/acme/billing/pulls/17/reviews/700/comments')) {
+        // Listed in a different order than they were posted
+        return {
+          body: postedComments
+            .map((comment, index) => ({ id: 600 + index, path: comment.path, line: comment.line, body: comment.body }))
+            .reverse()
+        };
+      }
+    };
+
+    const review = {
+      id: 'review-1',
+      issues: [
+        { type: 'bug', severity: 'high', file: 'src/exports.js', line: 13, title: 'Lost error', description: 'The error is dropped.' },
+        { type: 'performance', severity: 'low', file: 'src/exports.js', line: 13, title: 'Unbounded queue', description: 'See Finding #1 too.' },
+        { type: 'style', severity: 'low', file: 'src/exports.js', line: 10, title: 'Shared client', description: 'The client is created per batch.' }
+      ]
+    };
+
+    await github.postReview(repo, { number: 17, headSha: 'c0ffee123456' }, review, readFixture('bitbucket/pullrequest.diff'));
+
+    expect(postedComments.map(comment => [comment.path, comment.line])).toEqual([
+      ['src/exports.js', 13],
+      ['src/exports.js', 13],
+      ['src/exports.js', 10]
+    ]);
+
+    const upsert = supabase.queries.find(query => query.action === 'upsert');
+    expect(upsert.payload.map(row => [row.finding_key, row.title, row.github_comment_id, row.github_review_id])).toEqual([
+      ['issue:0', 'Lost error', 600, 700],
+      ['issue:1', 'Unbounded queue', 601, 700],
+      ['issue:2', 'Shared client', 602, 700]
+    ]);
+  });
+});
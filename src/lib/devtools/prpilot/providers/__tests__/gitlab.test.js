@@ -0,0 +1,274 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { readFixture, startApiStub, createSupabaseStub } from './helpers';
+import { parseDiff } from '../../diff';
+import * as gitlab from '../gitlab';
+import { supabase } from '@/lib/supabase';
+
+vi.mock('@/lib/supabase', async () => {
+  const { createSupabaseStub } = await import('./helpers');
+  return { supabase: createSupabaseStub() };
+});
+
+const repo = { id: 'repo-1', provider: 'gitlab', repo_full_name: 'acme/billing', github_token: 'glpat-test' };
+const diffRefs = { base_sha: 'base000', start_sha: 'start000', head_sha: 'head000' };
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+describe('gitlab webhooks', () => {
+  const headers = new Headers({
+    'x-gitlab-event': 'Merge Request Hook',
+    'x-gitlab-event-uuid': '4e1b9f0c-0a7d-4c55-8e62-1f3b2a9d7c10',
+    'x-gitlab-token': 'hook-secret'
+  });
+
+  it('recognizes and describes a delivery', () => {
+    const payload = readFixture('gitlab/merge-request-update.json');
+
+    expect(gitlab.matchesWebhook(headers)).toBe(true);
+    expect(gitlab.matchesWebhook(new Headers({ 'x-github-event': 'push' }))).toBe(false);
+    expect(gitlab.describeWebhook(headers, payload)).toEqual({
+      event: 'pull_request',
+      deliveryId: '4e1b9f0c-0a7d-4c55-8e62-1f3b2a9d7c10',
+      repoFullName: 'acme/billing'
+    });
+  });
+
+  it('verifies the secret token and reports a missing one as null', () => {
+    expect(gitlab.verifyWebhook(headers, '{}', 'hook-secret')).toBe(true);
+    expect(gitlab.verifyWebhook(headers, '{}', 'other-secret')).toBe(false);
+    expect(gitlab.verifyWebhook(new Headers(), '{}', 'hook-secret')).toBeNull();
+  });
+
+  it('treats an update with an old revision as new commits', () => {
+    expect(gitlab.parsePullRequestEvent(readFixture('gitlab/merge-request-update.json'))).toEqual({
+      action: 'synchronize',
+      pr: {
+        number: 42,
+        title: 'Retry failed invoice exports',
+        body: 'Exports that hit a timeout are queued again.',
+        url: 'https://gitlab.example.com/acme/billing/-/merge_requests/42',
+        author: 'druiz',
+        baseBranch: 'main',
+        headBranch: 'invoice-retry',
+        baseSha: null,
+        headSha: 'c0ffee1234567890abcdef1234567890abcdef12'
+      }
+    });
+  });
+
+  it('treats an update without an old revision as an edit', () => {
+    const event = gitlab.parsePullRequestEvent(readFixture('gitlab/merge-request-edit.json'));
+
+    expect(event.action).toBe('edited');
+    expect(event.pr.title).toBe('Retry failed invoice exports (v2)');
+  });
+
+  it('ignores other events as merge request events', () => {
+    expect(gitlab.parsePullRequestEvent(readFixture('gitlab/note.json'))).toBeNull();
+  });
+
+  it('normalizes a merge request note', () => {
+    expect(gitlab.parseCommentEvent(readFixture('gitlab/note.json'))).toEqual({
+      prNumber: 42,
+      id: 771204,
+      threadId: '6a9c1b7e2f0d4c3a8b5e9d1f7c2a4b6e8d0f1a3c',
+      rootCommentId: null,
+      body: '/prpilot explain 2',
+      author: 'sokafor',
+      authorId: 2210,
+      isBot: false
+    });
+  });
+
+  it('skips system notes', () => {
+    expect(gitlab.parseCommentEvent(readFixture('gitlab/system-note.json'))).toBeNull();
+  });
+
+  it('normalizes a push', () => {
+    const push = gitlab.parsePushEvent(readFixture('gitlab/push.json'));
+
+    expect(push).toMatchObject({
+      ref: 'refs/heads/main',
+      before: '5f1c2d0a9b8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a',
+      after: 'c0ffee1234567890abcdef1234567890abcdef12',
+      pusher: 'druiz'
+    });
+    expect(push.commits).toHaveLength(1);
+  });
+});
+
+// ============================================================================
+// DIFFS
+// ============================================================================
+
+describe('gitlab buildUnifiedDiff', () => {
+  const changes = readFixture('gitlab/merge-request-diffs.json');
+
+  it('writes git headers for modified, added, deleted and renamed files', () => {
+    const diff = gitlab.buildUnifiedDiff(changes);
+
+    expect(diff).toContain('diff --git a/src/exports.js b/src/exports.js\n--- a/src/exports.js\n+++ b/src/exports.js\n@@ -10,6 +10,9 @@');
+    expect(diff).toContain('diff --git a/src/queue.js b/src/queue.js\nnew file mode 100644\n--- /dev/null\n+++ b/src/queue.js');
+    expect(diff).toContain('diff --git a/src/legacy-export.js b/src/legacy-export.js\ndeleted file mode 100644\n--- a/src/legacy-export.js\n+++ /dev/null');
+    expect(diff).toContain('diff --git a/docs/export.md b/docs/exports.md\nrename from docs/export.md\nrename to docs/exports.md');
+    expect(diff.endsWith('\n')).toBe(false);
+  });
+
+  it('produces a diff parseDiff reads back', () => {
+    const files = parseDiff(gitlab.buildUnifiedDiff(changes));
+
+    expect(files.map(file => [file.path, file.status])).toEqual([
+      ['src/exports.js', 'modified'],
+      ['src/queue.js', 'added'],
+      ['src/legacy-export.js', 'deleted'],
+      ['docs/exports.md', 'renamed']
+    ]);
+    expect(files[0].additions).toBe(4);
+    expect(files[0].deletions).toBe(1);
+  });
+});
+
+// ============================================================================
+// API
+// ============================================================================
+
+describe('gitlab API', () => {
+  let api;
+  let handler;
+
+  beforeAll(async () => {
+    api = await startApiStub(request => handler(request));
+    process.env.GITLAB_API_URL = api.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.GITLAB_API_URL;
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.requests.length = 0;
+    supabase.queries.length = 0;
+    supabase.respond = query => ({ data: query.action === 'upsert' ? query.payload : null, error: null });
+  });
+
+  it('pages through merge request diffs', async () => {
+    const changes = readFixture('gitlab/merge-request-diffs.json');
+    handler = ({ path }) => path.includes('page=1&')
+      ? { body: changes.slice(0, 2), headers: { 'x-next-page': '2' } }
+      : { body: changes.slice(2) };
+
+    const diff = await gitlab.fetchPullRequestDiff(repo, { number: 42 });
+
+    expect(api.requests.map(request => request.path)).toEqual([
+      '/projects/acme%2Fbilling/merge_requests/42/diffs?page=1&per_page=100',
+      '/projects/acme%2Fbilling/merge_requests/42/diffs?page=2&per_page=100'
+    ]);
+    expect(api.requests[0].headers.authorization).toBe('Bearer glpat-test');
+    expect(diff).toBe(gitlab.buildUnifiedDiff(changes));
+  });
+
+  it('posts discussions at diff positions and stores their note IDs', async () => {
+    let discussions = 0;
+    handler = ({ method, path }) => {
+      if (method === 'GET' && path === '/projects/acme%2Fbilling/merge_requests/42') {
+        return { body: { iid: 42, diff_refs: diffRefs } };
+      }
+      if (method === 'POST' && path.endsWith('/discussions')) {
+        discussions += 1;
+        return { status: 201, body: { id: `discussion-${discussions}`, notes: [{ id: 9000 + discussions }] } };
+      }
+      if (method === 'POST' && path.endsWith('/notes')) {
+        return { status: 201, body: { id: 8000 } };
+      }
+    };
+
+    const diff = gitlab.buildUnifiedDiff(readFixture('gitlab/merge-request-diffs.json'));
+    const review = {
+      id: 'review-1',
+      summary: 'Timed out exports are retried.',
+      quality_score: 80,
+      issues: [
+        { type: 'bug', severity: 'high', file: 'src/exports.js', line: 13, title: 'Lost error', description: 'The error is dropped.' },
+        { type: 'style', severity: 'low', file: 'src/exports.js', line: 10, title: 'Shared client', description: 'The client is created per batch.' },
+        { type: 'bug', severity: 'medium', file: 'src/exports.js', line: 40, title: 'Outside the diff', description: 'Not on a changed line.' }
+      ]
+    };
+
+    await gitlab.postReview(repo, { number: 42, headSha: 'head000' }, review, diff);
+
+    const posted = api.requests.filter(request => request.path.endsWith('/discussions'));
+    expect(posted.map(request => request.body.position)).toEqual([
+      { position_type: 'text', ...diffRefs, old_path: 'src/exports.js', new_path: 'src/exports.js', new_line: 13 },
+      // Unchanged lines are addressed on both sides
+      { position_type: 'text', ...diffRefs, old_path: 'src/exports.js', new_path: 'src/exports.js', new_line: 10, old_line: 10 }
+    ]);
+    expect(posted[0].body.body).toContain('Finding #1');
+
+    const summary = api.requests.find(request => request.path.endsWith('/notes'));
+    expect(summary.body.body).toContain('Outside the diff');
+
+    const upsert = supabase.queries.find(query => query.action === 'upsert');
+    expect(upsert.table).toBe('prpilot_comments');
+    expect(upsert.payload.map(row => [row.finding_key, row.line_number, row.github_comment_id, row.github_review_id])).toEqual([
+      ['issue:0', 13, 9001, 8000],
+      ['issue:1', 10, 9002, 8000]
+    ]);
+  });
+
+  it('keeps the note IDs of findings on the same line apart', async () => {
+    let discussions = 0;
+    handler = ({ method, path }) => {
+      if (method === 'GET') {
+        return { body: { iid: 42, diff_refs: diffRefs } };
+      }
+      if (path.endsWith('/discussions')) {
+        discussions += 1;
+        return { status: 201, body: { notes: [{ id: 9100 + discussions }] } };
+      }
+      return { status: 201, body: { id: 8002 } };
+    };
+
+    const diff = gitlab.buildUnifiedDiff(readFixture('gitlab/merge-request-diffs.json'));
+    const review = {
+      id: 'review-3',
+      issues: [
+        { type: 'bug', severity: 'high', file: 'src/exports.js', line: 13, title: 'Lost error', description: 'The error is dropped.' },
+        { type: 'performance', severity: 'low', file: 'src/exports.js', line: 13, title: 'Unbounded queue', description: 'The queue can grow forever.' }
+      ]
+    };
+
+    await gitlab.postReview(repo, { number: 42 }, review, diff);
+
+    const upsert = supabase.queries.find(query => query.action === 'upsert');
+    expect(upsert.payload.map(row => [row.finding_key, row.title, row.github_comment_id])).toEqual([
+      ['issue:0', 'Lost error', 9101],
+      ['issue:1', 'Unbounded queue', 9102]
+    ]);
+  });
+
+  it('lists issues in the summary when the merge request has no diff refs', async () => {
+    handler = ({ method, path }) => {
+      if (method === 'GET') {
+        return { status: 404, body: { message: '404 Not found' } };
+      }
+      if (path.endsWith('/notes')) {
+        return { status: 201, body: { id: 8001 } };
+      }
+    };
+
+    const diff = gitlab.buildUnifiedDiff(readFixture('gitlab/merge-request-diffs.json'));
+    const review = {
+      id: 'review-2',
+      issues: [{ type: 'bug', severity: 'high', file: 'src/exports.js', line: 13, title: 'Lost error', description: 'The error is dropped.' }]
+    };
+
+    await gitlab.postReview(repo, { number: 42 }, review, diff);
+
+    expect(api.requests.some(request => request.path.endsWith('/discussions'))).toBe(false);
+    expect(api.requests.find(request => request.path.endsWith('/notes')).body.body).toContain('Lost error');
+    expect(supabase.queries.some(query => query.action === 'upsert')).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Test helpers for the provider adapters: recorded fixtures, a local HTTP
+ * stand-in for the provider APIs and an in-memory Supabase client
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const WRITE_ACTIONS = ['insert', 'update', 'upsert', 'delete'];
+
+/**
+ * Read a recorded fixture; .json files are parsed
+ * @param {string} name - Path below fixtures/, e.g. 'gitlab/note.json'
+ * @returns {Object|string} The fixture
+ */
+export function readFixture(name) {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+/**
+ * Start a local HTTP server standing in for a provider API. Every request is
+ * recorded with its parsed JSON body; the handler answers it.
+ * @param {Function} handler - (request) => {status, body, headers}; request has method, path, headers, body
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>}
+ */
+export async function startApiStub(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(request);
+
+      const { status = 200, body = null, headers = {} } = (await handler(request)) || { status: 404 };
+      const text = typeof body === 'string' ? body : JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers });
+      res.end(text);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * In-memory stand-in for the Supabase client. Queries are recorded with their
+ * table, action, payload and filters; respond decides what each one returns.
+ * @param {Function} [respond] - (query) => {data, error}
+ * @returns {{from: Function, queries: Array<Object>, respond: Function}}
+ */
+export function createSupabaseStub(respond = () => ({ data: null, error: null })) {
+  const stub = { queries: [], respond };
+
+  stub.from = (table) => {
+    const query = { table, action: 'select', payload: null, options: null, filters: [] };
+    stub.queries.push(query);
+
+    const builder = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          const result = Promise.resolve(stub.respond(query));
+          return result.then.bind(result);
+        }
+
+        return (...args) => {
+          if (WRITE_ACTIONS.includes(method)) {
+            query.action = method;
+            query.payload = args[0] ?? null;
+            query.options = args[1] ?? null;
+          } else if (method !== 'select') {
+            query.filters.push([method, ...args]);
+          }
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  return stub;
+}
@@ -0,0 +1,556 @@
+/**
+ * PRPilot Bitbucket Provider
+ * Webhooks, diffs, pull request comments and build statuses for Bitbucket Cloud
+ *
+ * The repository's access token (see tokens.js) is either a repository access token
+ * or "username:app_password" for an app password.
+ */
+
+import { parseDiff } from '../diff';
+import { mapIssuesToDiff, formatInlineComment, formatReviewSummary, saveReviewComments, inlineCommentKey } from '../comments';
+import {
+  CHECK_NAME,
+  getCheckThresholds,
+  shouldApprove,
+  determineCheckConclusion,
+  formatCheckTitle,
+  getReviewDetailsUrl
+} from '../checks';
+import { verifyHmacSignature, ensureOk } from './utils';
+import { hasRepoToken, resolveRepoToken } from '../tokens';
+
+export const name = 'bitbucket';
+
+// Constants
+const DEFAULT_API_URL = 'https://api.bitbucket.org/2.0';
+const WEB_URL = 'https://bitbucket.org';
+const STATUS_KEY = 'PRPILOT';
+const EVENT_TYPES = {
+  'pullrequest:created': 'pull_request',
+  'pullrequest:updated': 'pull_request',
+  'pullrequest:fulfilled': 'pull_request',
+  'pullrequest:rejected': 'pull_request',
+  'pullrequest:approved': 'pull_request_review',
+  'pullrequest:changes_request_created': 'pull_request_review',
+  'pullrequest:comment_created': 'comment',
+  'repo:push': 'push',
+  'diagnostics:ping': 'ping'
+};
+const PR_ACTIONS = {
+  'pullrequest:created': 'opened',
+  'pullrequest:updated': 'synchronize',
+  'pullrequest:fulfilled': 'closed',
+  'pullrequest:rejected': 'closed'
+};
+const REVIEW_STATES = {
+  'pullrequest:approved': 'approved',
+  'pullrequest:changes_request_created': 'changes_requested'
+};
+const STATUS_STATES = { success: 'SUCCESSFUL', failure: 'FAILED' };
+const COMMAND_PERMISSIONS = ['write', 'admin'];
+const COMMITS_PER_PAGE = 100;
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+/**
+ * Whether a webhook request was sent by Bitbucket
+ * @param {Headers} headers - Request headers
+ * @returns {boolean}
+ */
+export function matchesWebhook(headers) {
+  return headers.has('x-event-key') && headers.has('x-request-uuid');
+}
+
+/**
+ * Read the event type, delivery ID and repository of a webhook
+ * @param {Headers} headers - Request headers
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{event: string, deliveryId: string, repoFullName: string}}
+ */
+export function describeWebhook(headers, payload) {
+  const eventKey = headers.get('x-event-key');
+
+  return {
+    event: EVENT_TYPES[eventKey] || eventKey,
+    // The event key is kept so pull request actions can be derived from it
+    eventKey,
+    deliveryId: headers.get('x-request-uuid') || headers.get('x-hook-uuid'),
+    repoFullName: payload.repository?.full_name
+  };
+}
+
+/**
+ * Verify the webhook signature
+ * @param {Headers} headers - Request headers
+ * @param {string} rawBody - The raw request body
+ * @param {string} secret - The repository's webhook secret
+ * @returns {boolean|null} Validity, or null when the request is unsigned
+ */
+export function verifyWebhook(headers, rawBody, secret) {
+  const signature = headers.get('x-hub-signature-256') || headers.get('x-hub-signature');
+  return signature ? verifyHmacSignature(rawBody, signature, secret) : null;
+}
+
+/**
+ * Normalize a pull request webhook
+ * @param {Object} payload - Parsed webhook body
+ * @param {Object} webhook - Result of describeWebhook
+ * @returns {{action: string, pr: Object}|null}
+ */
+export function parsePullRequestEvent(payload, { eventKey } = {}) {
+  if (!payload.pullrequest) {
+    return null;
+  }
+
+  return {
+    action: PR_ACTIONS[eventKey] || eventKey,
+    pr: normalizePullRequest(payload.pullrequest)
+  };
+}
+
+/**
+ * Normalize a pull request approval or change request
+ * @param {Object} payload - Parsed webhook body
+ * @param {Object} webhook - Result of describeWebhook
+ * @returns {{prNumber: number, state: string, reviewer: string}}
+ */
+export function parseReviewEvent(payload, { eventKey } = {}) {
+  const participant = payload.approval || payload.changes_request;
+
+  return {
+    prNumber: payload.pullrequest?.id,
+    state: REVIEW_STATES[eventKey] || eventKey,
+    reviewer: participant?.user?.nickname || participant?.user?.display_name
+  };
+}
+
+/**
+ * Normalize a new pull request comment
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object|null} Comment with prNumber, id, threadId, rootCommentId, body, author
+ */
+export function parseCommentEvent(payload) {
+  const comment = payload.comment;
+  if (!comment || !payload.pullrequest) {
+    return null;
+  }
+
+  return {
+    prNumber: payload.pullrequest.id,
+    id: comment.id,
+    // Replies always point at the comment that started the thread
+    threadId: comment.parent?.id || comment.id,
+    rootCommentId: comment.parent?.id || null,
+    body: comment.content?.raw || '',
+    author: comment.user?.nickname || comment.user?.display_name,
+    authorId: comment.user?.uuid,
+    isBot: comment.user?.type === 'app_user'
+  };
+}
+
+/**
+ * Normalize a push webhook; only the first branch change is considered
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{ref: string, before: string, after: string, commits: Array, pusher: string|null}}
+ */
+export function parsePushEvent(payload) {
+  const change = payload.push?.changes?.[0] || {};
+  const branch = change.new?.type === 'branch' ? change.new.name : change.old?.name;
+
+  return {
+    ref: branch ? `refs/heads/${branch}` : null,
+    before: change.old?.target?.hash || null,
+    after: change.new?.target?.hash || null,
+    commits: change.commits || [],
+    pusher: payload.actor?.nickname || payload.actor?.display_name || null
+  };
+}
+
+// ============================================================================
+// REPOSITORY ACCESS
+// ============================================================================
+
+/**
+ * Check that the repository's token can read it
+ * @param {Object} repo - Repository record
+ * @returns {Promise<{ok: boolean, message?: string}>}
+ */
+export async function checkAccess(repo) {
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}`);
+  if (response.ok) {
+    return { ok: true };
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  return { ok: false, message: errorData.error?.message || 'Repository not found or access denied' };
+}
+
+/**
+ * Fetch the unified diff of a pull request
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchPullRequestDiff(repo, pr) {
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}/pullrequests/${pr.number}/diff`);
+  await ensureOk(response, 'fetch pull request diff');
+  return response.text();
+}
+
+/**
+ * Fetch the changes between two commits, e.g. the previous and new head of a pull request
+ * @param {Object} repo - Repository record
+ * @param {string} fromSha - The older commit
+ * @param {string} toSha - The newer commit
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchCompareDiff(repo, fromSha, toSha) {
+  // Bitbucket ranges name the newer commit first
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}/diff/${toSha}..${fromSha}?topic=false`);
+  await ensureOk(response, 'fetch compare diff');
+  return response.text();
+}
+
+/**
+ * Fetch a pull request
+ * @param {Object} repo - Repository record
+ * @param {number} number - Pull request ID
+ * @returns {Promise<Object>} Normalized pull request
+ */
+export async function fetchPullRequest(repo, number) {
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}/pullrequests/${number}`);
+  await ensureOk(response, 'fetch pull request');
+  return normalizePullRequest(await response.json());
+}
+
+/**
+ * Fetch the commits of a pull request, oldest first
+ * @param {Object} repo - Repository record
+ * @param {number} number - Pull request ID
+ * @returns {Promise<Array<{sha: string, message: string, author: string}>>} Up to 100 commits
+ */
+export async function fetchPullRequestCommits(repo, number) {
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}/pullrequests/${number}/commits?pagelen=${COMMITS_PER_PAGE}`);
+  await ensureOk(response, 'fetch pull request commits');
+
+  // Bitbucket lists the newest commit first
+  const { values = [] } = await response.json();
+  return values.reverse().map(commit => ({
+    sha: commit.hash,
+    message: commit.message || '',
+    author: commit.author?.user?.nickname || commit.author?.raw || null
+  }));
+}
+
+/**
+ * Replace the description of a pull request
+ * @param {Object} repo - Repository record
+ * @param {number} number - Pull request ID
+ * @param {string} body - Markdown description
+ */
+export async function updatePullRequestDescription(repo, number, body) {
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}/pullrequests/${number}`, {
+    method: 'PUT',
+    body: { description: body }
+  });
+  await ensureOk(response, 'update pull request description');
+}
+
+/**
+ * Whether the author of a comment may run PRPilot commands: users with write or admin access.
+ * Reading permissions needs a token with repository admin scope.
+ * @param {Object} repo - Repository record
+ * @param {Object} comment - Result of parseCommentEvent
+ * @returns {Promise<boolean>}
+ */
+export async function canRunCommands(repo, comment) {
+  if (!comment.authorId) {
+    return false;
+  }
+
+  const response = await bitbucketFetch(
+    repo,
+    `/repositories/${repo.repo_full_name}/permissions-config/users/${encodeURIComponent(comment.authorId)}`
+  );
+  if (!response.ok) {
+    return false;
+  }
+
+  const { permission } = await response.json();
+  return COMMAND_PERMISSIONS.includes(permission);
+}
+
+/**
+ * Download a gzipped tarball of the repository at a ref
+ * @param {Object} repo - Repository record
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<Buffer>} The archive
+ */
+export async function fetchArchive(repo, ref) {
+  const response = await fetch(`${WEB_URL}/${repo.repo_full_name}/get/${encodeURIComponent(ref)}.tar.gz`, {
+    headers: buildHeaders(repo)
+  });
+  await ensureOk(response, 'download repository archive');
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Read a file of the repository at a ref
+ * @param {Object} repo - Repository record
+ * @param {string} path - File path from the repository root
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string|null>} The file content, or null if the file does not exist
+ */
+export async function fetchFile(repo, path, ref) {
+  const response = await bitbucketFetch(
+    repo,
+    `/repositories/${repo.repo_full_name}/src/${encodeURIComponent(ref)}/${path.split('/').map(encodeURIComponent).join('/')}`
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  await ensureOk(response, `fetch ${path}`);
+  return response.text();
+}
+
+// ============================================================================
+// REVIEWS
+// ============================================================================
+
+/**
+ * Post issues on diff lines as inline comments, then a summary comment
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @param {Object} review - Stored review record
+ * @param {string} diff - The reviewed diff
+ */
+export async function postReview(repo, pr, review, diff) {
+  const mapped = mapIssuesToDiff(review.issues, parseDiff(diff), { maxComments: review.config?.maxComments });
+  const commentsPath = `/repositories/${repo.repo_full_name}/pullrequests/${pr.number}/comments`;
+
+  try {
+    const posted = [];
+    const commentIds = new Map();
+
+    for (const entry of mapped.inline) {
+      const response = await bitbucketFetch(repo, commentsPath, {
+        method: 'POST',
+        body: {
+          content: { raw: formatInlineComment(entry.issue, entry.index + 1) },
+          inline: { path: entry.path, to: entry.line }
+        }
+      });
+
+      if (response.ok) {
+        const comment = await response.json();
+        commentIds.set(inlineCommentKey(entry.index), comment.id);
+        posted.push(entry);
+      }
+    }
+
+    // Issues whose line Bitbucket rejected are listed in the summary instead
+    const summaryMapped = {
+      ...mapped,
+      inline: posted,
+      summary: [...mapped.summary, ...mapped.inline.filter(entry => !posted.includes(entry)).map(entry => entry.issue)]
+    };
+
+    const response = await bitbucketFetch(repo, commentsPath, {
+      method: 'POST',
+      body: { content: { raw: formatReviewSummary(review, summaryMapped) } }
+    });
+    await ensureOk(response, 'post pull request comment');
+    const comment = await response.json();
+
+    console.log(`Posted review to PR #${pr.number} with ${posted.length} inline comments`);
+
+    // Bitbucket reviews only approve when .prpilot.yml asks for it
+    if (review.config?.autoApprove && shouldApprove(review, repo)) {
+      const approveResponse = await bitbucketFetch(
+        repo,
+        `/repositories/${repo.repo_full_name}/pullrequests/${pr.number}/approve`,
+        { method: 'POST' }
+      );
+      if (!approveResponse.ok) {
+        console.error(`Failed to approve PR #${pr.number}: ${approveResponse.status}`);
+      }
+    }
+
+    await saveReviewComments(review.id, summaryMapped, {
+      githubReviewId: comment.id,
+      commentIds,
+      inline: posted.length > 0
+    });
+  } catch (postError) {
+    console.error('Error posting to Bitbucket:', postError);
+  }
+}
+
+/**
+ * Answer a comment in its thread
+ * @param {Object} repo - Repository record
+ * @param {Object} comment - Result of parseCommentEvent
+ * @param {string} body - Markdown reply
+ */
+export async function replyToComment(repo, comment, body) {
+  const response = await bitbucketFetch(
+    repo,
+    `/repositories/${repo.repo_full_name}/pullrequests/${comment.prNumber}/comments`,
+    {
+      method: 'POST',
+      body: { content: { raw: body }, parent: { id: comment.threadId } }
+    }
+  );
+  await ensureOk(response, 'reply to comment');
+}
+
+/**
+ * Comment on a commit, e.g. with the review of a push to the default branch
+ * @param {Object} repo - Repository record
+ * @param {string} sha - The commit
+ * @param {string} body - Markdown comment
+ */
+export async function postCommitComment(repo, sha, body) {
+  const response = await bitbucketFetch(repo, `/repositories/${repo.repo_full_name}/commit/${sha}/comments`, {
+    method: 'POST',
+    body: { content: { raw: body } }
+  });
+  await ensureOk(response, 'comment on commit');
+}
+
+// ============================================================================
+// STATUSES
+// ============================================================================
+
+/**
+ * Mark a review as in progress on the head commit
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @returns {Promise<Object|null>} Handle for finishStatus, or null if nothing was created
+ */
+export async function startStatus(repo, pr) {
+  if (!hasRepoToken(repo) || !pr.headSha || repo.checks_enabled === false) {
+    return null;
+  }
+
+  // Bitbucket requires a link on every build status
+  const handle = { type: 'status', headSha: pr.headSha, url: pr.url || `${WEB_URL}/${repo.repo_full_name}` };
+
+  try {
+    const response = await postBuildStatus(repo, handle, 'INPROGRESS', 'Review in progress');
+    return response.ok ? handle : null;
+  } catch (error) {
+    console.error('Error starting review status:', error);
+    return null;
+  }
+}
+
+/**
+ * Complete the status of a finished review
+ * @param {Object} repo - Repository record
+ * @param {Object} handle - Result of startStatus
+ * @param {Object} review - Stored review record
+ * @returns {Promise<string|null>} The conclusion that was reported
+ */
+export async function finishStatus(repo, handle, review) {
+  if (!handle) {
+    return null;
+  }
+
+  const { conclusion, reasons } = determineCheckConclusion(review, getCheckThresholds(repo, review.config));
+
+  try {
+    await postBuildStatus(
+      repo,
+      handle,
+      STATUS_STATES[conclusion],
+      formatCheckTitle(review, conclusion, reasons),
+      getReviewDetailsUrl(review)
+    );
+    return conclusion;
+  } catch (error) {
+    console.error('Error completing review status:', error);
+    return null;
+  }
+}
+
+/**
+ * Complete the status of a review that could not be finished
+ * @param {Object} repo - Repository record
+ * @param {Object} handle - Result of startStatus
+ */
+export async function failStatus(repo, handle) {
+  if (!handle) {
+    return;
+  }
+
+  try {
+    await postBuildStatus(repo, handle, 'STOPPED', 'Review could not be completed');
+  } catch (error) {
+    console.error('Error failing review status:', error);
+  }
+}
+
+async function postBuildStatus(repo, handle, state, description, detailsUrl) {
+  const response = await bitbucketFetch(
+    repo,
+    `/repositories/${repo.repo_full_name}/commit/${handle.headSha}/statuses/build`,
+    {
+      method: 'POST',
+      body: {
+        key: STATUS_KEY,
+        name: CHECK_NAME,
+        state,
+        description: description.slice(0, 255),
+        url: detailsUrl || handle.url
+      }
+    }
+  );
+
+  if (!response.ok) {
+    console.error('Failed to update build status:', response.status);
+  }
+  return response;
+}
+
+function normalizePullRequest(pullRequest) {
+  return {
+    number: pullRequest.id,
+    title: pullRequest.title,
+    body: pullRequest.description,
+    url: pullRequest.links?.html?.href,
+    author: pullRequest.author?.nickname || pullRequest.author?.display_name,
+    baseBranch: pullRequest.destination?.branch?.name,
+    headBranch: pullRequest.source?.branch?.name,
+    baseSha: pullRequest.destination?.commit?.hash,
+    headSha: pullRequest.source?.commit?.hash
+  };
+}
+
+// App passwords are stored as "username:password" and use basic auth
+function buildHeaders(repo, extra = {}) {
+  const headers = { 'User-Agent': 'PRPilot-App', ...extra };
+
+  const token = resolveRepoToken(repo);
+  if (token) {
+    headers['Authorization'] = token.includes(':')
+      ? `Basic ${Buffer.from(token).toString('base64')}`
+      : `Bearer ${token}`;
+  }
+
+  return headers;
+}
+
+function bitbucketFetch(repo, path, options = {}) {
+  const headers = buildHeaders(repo, options.body ? { 'Content-Type': 'application/json' } : {});
+
+  return fetch(`${process.env.BITBUCKET_API_URL || DEFAULT_API_URL}${path}`, {
+    method: options.method || 'GET',
+    headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+}
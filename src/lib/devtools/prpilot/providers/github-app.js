@@ -0,0 +1,306 @@
+/**
+ * PRPilot GitHub App
+ * Authenticates as a GitHub App instead of with a personal token: a JWT signed
+ * with the app's private key is exchanged for short-lived installation access
+ * tokens, which are cached until shortly before they expire. Reviews then post
+ * as the app's bot account and do not depend on any one engineer's token.
+ *
+ * installation and installation_repositories webhooks register the installed
+ * repositories in prpilot_repos. Repositories already connected with a token
+ * switch to the installation without a change of status; new ones belong to
+ * GITHUB_APP_OWNER_USER_ID.
+ *
+ * Environment: GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY (PEM), GITHUB_APP_WEBHOOK_SECRET,
+ * GITHUB_APP_OWNER_USER_ID, and GITHUB_API_URL for GitHub Enterprise Server or a
+ * local stand-in of the API.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../../../supabase';
+import { verifyHmacSignature, ensureOk } from './utils';
+
+// Constants
+export const API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+export const INSTALLATION_EVENTS = ['installation', 'installation_repositories'];
+const JWT_CLOCK_SKEW_SECONDS = 60;
+const JWT_LIFETIME_SECONDS = 9 * 60; // GitHub allows at most 10 minutes
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Installation tokens by installation ID, and requests for them in flight
+const tokenCache = new Map();
+const pendingTokens = new Map();
+
+/**
+ * Whether the GitHub App credentials are configured
+ * @returns {boolean}
+ */
+export function isGitHubAppConfigured() {
+  return Boolean(process.env.GITHUB_APP_ID && process.env.GITHUB_APP_PRIVATE_KEY && process.env.GITHUB_APP_WEBHOOK_SECRET);
+}
+
+/**
+ * The secret GitHub signs the app's webhooks with
+ * @returns {string|null}
+ */
+export function getAppWebhookSecret() {
+  return process.env.GITHUB_APP_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Create a JWT that authenticates as the app
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} RS256-signed JWT
+ */
+export function createAppJwt(now = Date.now()) {
+  const appId = process.env.GITHUB_APP_ID;
+  const privateKey = process.env.GITHUB_APP_PRIVATE_KEY;
+
+  if (!appId || !privateKey) {
+    throw new Error('GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY must be configured');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+    iat: seconds - JWT_CLOCK_SKEW_SECONDS,
+    exp: seconds + JWT_LIFETIME_SECONDS,
+    iss: appId
+  })}`;
+
+  // Keys pasted into a single-line environment variable keep their newlines as "\n"
+  const signature = crypto
+    .createSign('RSA-SHA256')
+    .update(unsigned)
+    .sign(crypto.createPrivateKey(privateKey.replace(/\\n/g, '\n')), 'base64url');
+
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Get an access token for an installation, from the cache while it is valid
+ * @param {number|string} installationId - The installation ID
+ * @returns {Promise<string>} The installation access token
+ */
+export async function getInstallationToken(installationId) {
+  const cached = tokenCache.get(String(installationId));
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  // Concurrent requests for the same installation share one exchange
+  const key = String(installationId);
+  if (!pendingTokens.has(key)) {
+    pendingTokens.set(key, requestInstallationToken(key).finally(() => pendingTokens.delete(key)));
+  }
+  return pendingTokens.get(key);
+}
+
+/**
+ * Drop the cached token of an installation, e.g. after it was rejected
+ * @param {number|string} installationId - The installation ID
+ */
+export function invalidateInstallationToken(installationId) {
+  tokenCache.delete(String(installationId));
+}
+
+/**
+ * Verify the signature of an app webhook; unsigned requests are rejected
+ * @param {Headers} headers - Request headers
+ * @param {string} rawBody - The raw request body
+ * @returns {boolean}
+ */
+export function verifyAppWebhook(headers, rawBody) {
+  const signature = headers.get('x-hub-signature-256');
+  const secret = getAppWebhookSecret();
+  return Boolean(signature && secret && verifyHmacSignature(rawBody, signature, secret));
+}
+
+/**
+ * Register or unregister repositories for an installation webhook
+ * @param {string} event - installation or installation_repositories
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Promise<{action: string, installationId: number, registered: Array<string>, removed: Array<string>, skipped: Array<string>}>}
+ */
+export async function syncInstallation(event, payload) {
+  const installationId = payload.installation?.id;
+  const result = { action: payload.action, installationId, registered: [], removed: [], skipped: [] };
+
+  if (!installationId) {
+    throw new Error('Installation missing from payload');
+  }
+
+  if (event === 'installation_repositories') {
+    if (payload.action === 'added') {
+      Object.assign(result, await registerRepositories(installationId, payload.repositories_added || []));
+    } else if (payload.action === 'removed') {
+      result.removed = await detachRepositories(installationId, (payload.repositories_removed || []).map(repo => repo.full_name));
+    }
+    return result;
+  }
+
+  switch (payload.action) {
+    case 'created':
+    case 'new_permissions_accepted':
+      Object.assign(result, await registerRepositories(installationId, payload.repositories || []));
+      break;
+
+    case 'deleted':
+      result.removed = await detachRepositories(installationId, null);
+      break;
+
+    case 'suspend':
+    case 'unsuspend':
+      invalidateInstallationToken(installationId);
+      await updateInstallationRepos(installationId, { status: payload.action === 'suspend' ? 'paused' : 'active' });
+      break;
+  }
+
+  return result;
+}
+
+async function requestInstallationToken(installationId) {
+  const response = await fetch(`${API_URL}/app/installations/${installationId}/access_tokens`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'PRPilot-App',
+      'Authorization': `Bearer ${createAppJwt()}`
+    }
+  });
+
+  await ensureOk(response, 'create installation access token');
+  const { token, expires_at: expiresAt } = await response.json();
+
+  tokenCache.set(installationId, { token, expiresAt: new Date(expiresAt).getTime() });
+  return token;
+}
+
+// Existing rows of a repository switch to the installation and keep their status,
+// so paused repositories stay paused; new repositories need an owner
+async function registerRepositories(installationId, repositories) {
+  const registered = [];
+  const skipped = [];
+  const ownerId = process.env.GITHUB_APP_OWNER_USER_ID;
+
+  for (const repository of repositories) {
+    const fullName = repository.full_name;
+
+    const { data: existing, error } = await supabase
+      .from('prpilot_repos')
+      .select('id')
+      .eq('provider', 'github')
+      .eq('repo_full_name', fullName);
+
+    if (error) {
+      throw new Error(`Failed to look up ${fullName}: ${error.message}`);
+    }
+
+    if (existing?.length > 0) {
+      const { error: updateError } = await supabase
+        .from('prpilot_repos')
+        .update({ installation_id: installationId, updated_at: new Date().toISOString() })
+        .in('id', existing.map(row => row.id));
+
+      if (updateError) {
+        throw new Error(`Failed to attach ${fullName} to the installation: ${updateError.message}`);
+      }
+      registered.push(fullName);
+      continue;
+    }
+
+    if (!ownerId) {
+      console.warn(`Not registering ${fullName}: GITHUB_APP_OWNER_USER_ID is not configured`);
+      skipped.push(fullName);
+      continue;
+    }
+
+    const [repoOwner, repoName] = fullName.split('/');
+    const { error: insertError } = await supabase
+      .from('prpilot_repos')
+      .insert({
+        user_id: ownerId,
+        provider: 'github',
+        repo_owner: repoOwner,
+        repo_name: repoName,
+        repo_full_name: fullName,
+        url: `https://github.com/${fullName}`,
+        installation_id: installationId,
+        default_branch: await fetchDefaultBranch(installationId, fullName),
+        status: 'active',
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+    if (insertError) {
+      throw new Error(`Failed to register ${fullName}: ${insertError.message}`);
+    }
+    registered.push(fullName);
+  }
+
+  return { registered, skipped };
+}
+
+// Repositories that still have their own token keep reviewing with it; the others are paused
+async function detachRepositories(installationId, fullNames) {
+  invalidateInstallationToken(installationId);
+
+  let query = supabase
+    .from('prpilot_repos')
+    .select('id, repo_full_name, github_token, github_token_encrypted')
+    .eq('installation_id', installationId);
+
+  if (fullNames) {
+    query = query.in('repo_full_name', fullNames);
+  }
+
+  const { data: repos, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch installation repositories: ${error.message}`);
+  }
+
+  for (const repo of repos || []) {
+    const hasOwnToken = Boolean(repo.github_token_encrypted || repo.github_token);
+    const { error: updateError } = await supabase
+      .from('prpilot_repos')
+      .update({
+        installation_id: null,
+        ...(!hasOwnToken && { status: 'paused' }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', repo.id);
+
+    if (updateError) {
+      throw new Error(`Failed to detach ${repo.repo_full_name}: ${updateError.message}`);
+    }
+  }
+
+  return (repos || []).map(repo => repo.repo_full_name);
+}
+
+async function updateInstallationRepos(installationId, fields) {
+  const { error } = await supabase
+    .from('prpilot_repos')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('installation_id', installationId);
+
+  if (error) {
+    throw new Error(`Failed to update installation repositories: ${error.message}`);
+  }
+}
+
+async function fetchDefaultBranch(installationId, fullName) {
+  try {
+    const response = await fetch(`${API_URL}/repos/${fullName}`, {
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'PRPilot-App',
+        'Authorization': `Bearer ${await getInstallationToken(installationId)}`
+      }
+    });
+    await ensureOk(response, `fetch ${fullName}`);
+    return (await response.json()).default_branch || 'main';
+  } catch (error) {
+    console.error(`Failed to read the default branch of ${fullName}:`, error.message);
+    return 'main';
+  }
+}
@@ -0,0 +1,644 @@
+/**
+ * PRPilot GitHub Provider
+ * Webhooks, diffs, reviews and check runs for GitHub repositories
+ *
+ * Repositories installed through the GitHub App (see github-app.js) use
+ * installation tokens and post as the app's bot. Check runs can only be created
+ * by GitHub Apps; repositories connected with a personal token get a commit
+ * status instead.
+ */
+
+import { parseDiff } from '../diff';
+import {
+  mapIssuesToDiff,
+  formatInlineComment,
+  formatReviewSummary,
+  saveReviewComments,
+  inlineCommentKey,
+  parseFindingNumber
+} from '../comments';
+import {
+  CHECK_NAME,
+  getCheckThresholds,
+  shouldApprove,
+  determineCheckConclusion,
+  buildAnnotations,
+  formatCheckTitle,
+  formatCheckSummary,
+  getReviewDetailsUrl
+} from '../checks';
+import { verifyHmacSignature, ensureOk } from './utils';
+import { hasRepoToken, resolveRepoToken } from '../tokens';
+import { API_URL, getInstallationToken, invalidateInstallationToken } from './github-app';
+
+export const name = 'github';
+
+// Constants
+const MAX_ANNOTATIONS_PER_REQUEST = 50; // GitHub limit per check run update
+const STATUS_STATES = { success: 'success', failure: 'failure' };
+const COMMENT_EVENTS = ['issue_comment', 'pull_request_review_comment'];
+// Repository permissions that may run commands; maintain is reported as write
+const COMMAND_PERMISSIONS = ['admin', 'write'];
+const COMMITS_PER_PAGE = 100;
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+/**
+ * Whether a webhook request was sent by GitHub
+ * @param {Headers} headers - Request headers
+ * @returns {boolean}
+ */
+export function matchesWebhook(headers) {
+  return headers.has('x-github-event');
+}
+
+/**
+ * Read the event type, delivery ID and repository of a webhook
+ * @param {Headers} headers - Request headers
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{event: string, deliveryId: string, repoFullName: string}}
+ */
+export function describeWebhook(headers, payload) {
+  const event = headers.get('x-github-event');
+
+  return {
+    event: COMMENT_EVENTS.includes(event) ? 'comment' : event,
+    deliveryId: headers.get('x-github-delivery'),
+    repoFullName: payload.repository?.full_name
+  };
+}
+
+/**
+ * Verify the webhook signature
+ * @param {Headers} headers - Request headers
+ * @param {string} rawBody - The raw request body
+ * @param {string} secret - The repository's webhook secret
+ * @returns {boolean|null} Validity, or null when the request is unsigned
+ */
+export function verifyWebhook(headers, rawBody, secret) {
+  const signature = headers.get('x-hub-signature-256');
+  return signature ? verifyHmacSignature(rawBody, signature, secret) : null;
+}
+
+/**
+ * Normalize a pull_request webhook
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{action: string, pr: Object}|null}
+ */
+export function parsePullRequestEvent(payload) {
+  if (!payload.pull_request) {
+    return null;
+  }
+
+  return {
+    action: payload.action,
+    pr: normalizePullRequest(payload.pull_request)
+  };
+}
+
+/**
+ * Normalize a pull_request_review webhook
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{prNumber: number, state: string, reviewer: string}}
+ */
+export function parseReviewEvent(payload) {
+  return {
+    prNumber: payload.pull_request?.number,
+    state: payload.review?.state,
+    reviewer: payload.review?.user?.login
+  };
+}
+
+/**
+ * Normalize a new comment on a pull request, either on the conversation or on a diff line
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object|null} Comment with prNumber, id, threadId, rootCommentId, body, author; null for other comments
+ */
+export function parseCommentEvent(payload) {
+  const comment = payload.comment;
+  const prNumber = payload.pull_request?.number ?? (payload.issue?.pull_request ? payload.issue.number : null);
+
+  if (payload.action !== 'created' || !comment || !prNumber) {
+    return null;
+  }
+
+  return {
+    prNumber,
+    id: comment.id,
+    // Diff comments are answered in their review thread, which is named after its first comment
+    threadId: payload.issue ? null : comment.in_reply_to_id || comment.id,
+    rootCommentId: comment.in_reply_to_id || null,
+    body: comment.body || '',
+    author: comment.user?.login,
+    authorId: comment.user?.id,
+    isBot: comment.user?.type === 'Bot'
+  };
+}
+
+/**
+ * Normalize a push webhook
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{ref: string, before: string, after: string, commits: Array, pusher: string|null}}
+ */
+export function parsePushEvent(payload) {
+  return {
+    ref: payload.ref,
+    before: payload.before,
+    after: payload.after,
+    commits: payload.commits || [],
+    pusher: payload.pusher?.name || payload.sender?.login || null
+  };
+}
+
+// ============================================================================
+// REPOSITORY ACCESS
+// ============================================================================
+
+/**
+ * Check that the repository's token can read it
+ * @param {Object} repo - Repository record
+ * @returns {Promise<{ok: boolean, message?: string}>}
+ */
+export async function checkAccess(repo) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}`);
+  if (response.ok) {
+    return { ok: true };
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  return { ok: false, message: errorData.message || 'Repository not found or access denied' };
+}
+
+/**
+ * Fetch the unified diff of a pull request
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchPullRequestDiff(repo, pr) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/pulls/${pr.number}`, {
+    headers: { 'Accept': 'application/vnd.github.v3.diff' }
+  });
+
+  await ensureOk(response, 'fetch diff');
+  return response.text();
+}
+
+/**
+ * Fetch the changes between two commits, e.g. the previous and new head of a pull request
+ * @param {Object} repo - Repository record
+ * @param {string} fromSha - The older commit
+ * @param {string} toSha - The newer commit
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchCompareDiff(repo, fromSha, toSha) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/compare/${fromSha}...${toSha}`, {
+    headers: { 'Accept': 'application/vnd.github.v3.diff' }
+  });
+
+  await ensureOk(response, 'fetch compare diff');
+  return response.text();
+}
+
+/**
+ * Fetch a pull request
+ * @param {Object} repo - Repository record
+ * @param {number} number - Pull request number
+ * @returns {Promise<Object>} Normalized pull request
+ */
+export async function fetchPullRequest(repo, number) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/pulls/${number}`);
+  await ensureOk(response, 'fetch pull request');
+  return normalizePullRequest(await response.json());
+}
+
+/**
+ * Fetch the commits of a pull request, oldest first
+ * @param {Object} repo - Repository record
+ * @param {number} number - Pull request number
+ * @returns {Promise<Array<{sha: string, message: string, author: string}>>} Up to 100 commits
+ */
+export async function fetchPullRequestCommits(repo, number) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/pulls/${number}/commits?per_page=${COMMITS_PER_PAGE}`);
+  await ensureOk(response, 'fetch pull request commits');
+
+  return (await response.json()).map(commit => ({
+    sha: commit.sha,
+    message: commit.commit?.message || '',
+    author: commit.author?.login || commit.commit?.author?.name || null
+  }));
+}
+
+/**
+ * Replace the description of a pull request
+ * @param {Object} repo - Repository record
+ * @param {number} number - Pull request number
+ * @param {string} body - Markdown description
+ */
+export async function updatePullRequestDescription(repo, number, body) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/pulls/${number}`, {
+    method: 'PATCH',
+    body: { body }
+  });
+  await ensureOk(response, 'update pull request description');
+}
+
+/**
+ * Whether the author of a comment may run PRPilot commands: users with write or admin
+ * permission, as reported by the API rather than the comment's author_association
+ * @param {Object} repo - Repository record
+ * @param {Object} comment - Result of parseCommentEvent
+ * @returns {Promise<boolean>}
+ */
+export async function canRunCommands(repo, comment) {
+  if (!comment.author) {
+    return false;
+  }
+
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/collaborators/${encodeURIComponent(comment.author)}/permission`);
+  if (!response.ok) {
+    return false;
+  }
+
+  const { permission } = await response.json();
+  return COMMAND_PERMISSIONS.includes(permission);
+}
+
+/**
+ * Download a gzipped tarball of the repository at a ref
+ * @param {Object} repo - Repository record
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<Buffer>} The archive
+ */
+export async function fetchArchive(repo, ref) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/tarball/${encodeURIComponent(ref)}`);
+  await ensureOk(response, 'download repository archive');
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Read a file of the repository at a ref
+ * @param {Object} repo - Repository record
+ * @param {string} path - File path from the repository root
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string|null>} The file content, or null if the file does not exist
+ */
+export async function fetchFile(repo, path, ref) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/contents/${path.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(ref)}`, {
+    headers: { 'Accept': 'application/vnd.github.raw' }
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  await ensureOk(response, `fetch ${path}`);
+  return response.text();
+}
+
+// ============================================================================
+// REVIEWS
+// ============================================================================
+
+/**
+ * Post a review with issues on diff lines as inline comments
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @param {Object} review - Stored review record
+ * @param {string} diff - The reviewed diff
+ */
+export async function postReview(repo, pr, review, diff) {
+  const mapped = mapIssuesToDiff(review.issues, parseDiff(diff), { maxComments: review.config?.maxComments });
+  const reviewsPath = `/repos/${repo.repo_full_name}/pulls/${pr.number}/reviews`;
+
+  try {
+    let response = await githubFetch(repo, reviewsPath, {
+      method: 'POST',
+      body: {
+        commit_id: pr.headSha,
+        body: formatReviewSummary(review, mapped),
+        event: determineReviewAction(review, repo),
+        comments: mapped.inline.map(entry => ({
+          path: entry.path,
+          line: entry.line,
+          side: 'RIGHT',
+          // Suggested changes spanning several lines need a multi-line comment
+          ...(entry.startLine < entry.line && { start_line: entry.startLine, start_side: 'RIGHT' }),
+          body: formatInlineComment(entry.issue, entry.index + 1, entry.suggestion ? 'github' : null)
+        }))
+      }
+    });
+
+    // GitHub rejects the whole review if any line is outside the PR diff, so retry as a summary only
+    let postedInline = mapped.inline.length > 0;
+    if (response.status === 422 && postedInline) {
+      console.error('GitHub rejected inline comments, posting summary only');
+      postedInline = false;
+      response = await githubFetch(repo, reviewsPath, {
+        method: 'POST',
+        body: {
+          commit_id: pr.headSha,
+          body: formatReviewSummary(review, {
+            ...mapped,
+            inline: [],
+            summary: [...mapped.summary, ...mapped.inline.map(entry => entry.issue)]
+          }),
+          event: determineReviewAction(review, repo)
+        }
+      });
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('Failed to post GitHub review:', errorData);
+      return;
+    }
+
+    const githubReview = await response.json();
+    console.log(`Posted review to PR #${pr.number} with ${postedInline ? mapped.inline.length : 0} inline comments`);
+
+    const commentIds = postedInline
+      ? await fetchReviewCommentIds(repo, pr.number, githubReview.id)
+      : new Map();
+
+    await saveReviewComments(review.id, mapped, {
+      githubReviewId: githubReview.id,
+      commentIds,
+      inline: postedInline
+    });
+  } catch (postError) {
+    console.error('Error posting to GitHub:', postError);
+  }
+}
+
+/**
+ * Answer a comment in its thread
+ * @param {Object} repo - Repository record
+ * @param {Object} comment - Result of parseCommentEvent
+ * @param {string} body - Markdown reply
+ */
+export async function replyToComment(repo, comment, body) {
+  const path = comment.threadId
+    ? `/repos/${repo.repo_full_name}/pulls/${comment.prNumber}/comments/${comment.threadId}/replies`
+    : `/repos/${repo.repo_full_name}/issues/${comment.prNumber}/comments`;
+
+  const response = await githubFetch(repo, path, { method: 'POST', body: { body } });
+  await ensureOk(response, 'reply to comment');
+}
+
+/**
+ * Comment on a commit, e.g. with the review of a push to the default branch
+ * @param {Object} repo - Repository record
+ * @param {string} sha - The commit
+ * @param {string} body - Markdown comment
+ */
+export async function postCommitComment(repo, sha, body) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/commits/${sha}/comments`, {
+    method: 'POST',
+    body: { body }
+  });
+  await ensureOk(response, 'comment on commit');
+}
+
+// Look up the IDs of a review's inline comments, keyed by the finding number in their body
+async function fetchReviewCommentIds(repo, prNumber, githubReviewId) {
+  const commentIds = new Map();
+
+  try {
+    const response = await githubFetch(
+      repo,
+      `/repos/${repo.repo_full_name}/pulls/${prNumber}/reviews/${githubReviewId}/comments?per_page=100`
+    );
+
+    if (response.ok) {
+      for (const comment of await response.json()) {
+        const number = parseFindingNumber(comment.body);
+        if (number) {
+          commentIds.set(inlineCommentKey(number - 1), comment.id);
+        }
+      }
+    }
+  } catch (fetchError) {
+    console.error('Error fetching review comments:', fetchError);
+  }
+
+  return commentIds;
+}
+
+// Determine the review action based on issues
+function determineReviewAction(review, repo) {
+  const criticalCount = (review.issues || []).filter(i => i.severity === 'critical').length;
+
+  if (criticalCount > 0) {
+    return 'REQUEST_CHANGES';
+  } else if (shouldApprove(review, repo)) {
+    return 'APPROVE';
+  }
+
+  return 'COMMENT';
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Mark a review as running on the head commit
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @returns {Promise<Object|null>} Handle for finishStatus, or null if nothing was created
+ */
+export async function startStatus(repo, pr) {
+  if (!hasRepoToken(repo) || !pr.headSha || repo.checks_enabled === false) {
+    return null;
+  }
+
+  try {
+    const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/check-runs`, {
+      method: 'POST',
+      body: {
+        name: CHECK_NAME,
+        head_sha: pr.headSha,
+        status: 'in_progress',
+        started_at: new Date().toISOString(),
+        output: { title: 'Review in progress', summary: 'PRPilot is reviewing this change.' }
+      }
+    });
+
+    if (response.ok) {
+      const checkRun = await response.json();
+      return { type: 'check_run', id: checkRun.id, headSha: pr.headSha };
+    }
+
+    // Only GitHub Apps may create check runs; tokens fall back to a commit status
+    if (response.status !== 403 && response.status !== 404) {
+      console.error('Failed to create check run:', response.status);
+    }
+
+    const statusResponse = await postCommitStatus(repo, pr.headSha, 'pending', 'Review in progress');
+    return statusResponse.ok ? { type: 'status', headSha: pr.headSha } : null;
+  } catch (error) {
+    console.error('Error starting review check:', error);
+    return null;
+  }
+}
+
+/**
+ * Complete the check of a finished review with its conclusion and annotations
+ * @param {Object} repo - Repository record
+ * @param {Object} handle - Result of startStatus
+ * @param {Object} review - Stored review record
+ * @param {string} diff - The reviewed diff
+ * @returns {Promise<string|null>} The conclusion that was reported
+ */
+export async function finishStatus(repo, handle, review, diff) {
+  if (!handle) {
+    return null;
+  }
+
+  const { conclusion, reasons } = determineCheckConclusion(review, getCheckThresholds(repo, review.config));
+  const title = formatCheckTitle(review, conclusion, reasons);
+
+  try {
+    if (handle.type === 'status') {
+      await postCommitStatus(repo, handle.headSha, STATUS_STATES[conclusion], title, getReviewDetailsUrl(review));
+      return conclusion;
+    }
+
+    const summary = formatCheckSummary(review, conclusion, reasons);
+    const annotations = buildAnnotations(review, diff);
+    const batches = [];
+    for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+      batches.push(annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+    }
+
+    // Annotations beyond the first batch are appended with further updates
+    for (const batch of batches.slice(1)) {
+      await githubFetch(repo, `/repos/${repo.repo_full_name}/check-runs/${handle.id}`, {
+        method: 'PATCH',
+        body: { output: { title, summary, annotations: batch } }
+      });
+    }
+
+    const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/check-runs/${handle.id}`, {
+      method: 'PATCH',
+      body: {
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        details_url: getReviewDetailsUrl(review),
+        external_id: review.id || undefined,
+        output: { title, summary, annotations: batches[0] || [] }
+      }
+    });
+
+    if (!response.ok) {
+      console.error('Failed to complete check run:', response.status);
+    }
+
+    return conclusion;
+  } catch (error) {
+    console.error('Error completing review check:', error);
+    return null;
+  }
+}
+
+/**
+ * Complete the check of a review that could not be finished
+ * @param {Object} repo - Repository record
+ * @param {Object} handle - Result of startStatus
+ * @param {string} message - Why the review failed
+ */
+export async function failStatus(repo, handle, message) {
+  if (!handle) {
+    return;
+  }
+
+  try {
+    if (handle.type === 'status') {
+      await postCommitStatus(repo, handle.headSha, 'error', 'Review could not be completed');
+      return;
+    }
+
+    await githubFetch(repo, `/repos/${repo.repo_full_name}/check-runs/${handle.id}`, {
+      method: 'PATCH',
+      body: {
+        status: 'completed',
+        conclusion: 'neutral',
+        completed_at: new Date().toISOString(),
+        output: {
+          title: 'Review could not be completed',
+          summary: `PRPilot could not review this change: ${message}`
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error failing review check:', error);
+  }
+}
+
+async function postCommitStatus(repo, sha, state, description, targetUrl) {
+  const response = await githubFetch(repo, `/repos/${repo.repo_full_name}/statuses/${sha}`, {
+    method: 'POST',
+    body: {
+      state,
+      context: CHECK_NAME,
+      description: description.slice(0, 140),
+      target_url: targetUrl
+    }
+  });
+
+  if (!response.ok) {
+    console.error('Failed to update commit status:', response.status);
+  }
+  return response;
+}
+
+function normalizePullRequest(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    body: pr.body,
+    url: pr.html_url,
+    author: pr.user?.login,
+    baseBranch: pr.base?.ref,
+    headBranch: pr.head?.ref,
+    baseSha: pr.base?.sha,
+    headSha: pr.head?.sha
+  };
+}
+
+// The installation token wins over a personal token when a repository has both
+async function githubFetch(repo, path, options = {}, retried = false) {
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': 'PRPilot-App',
+    ...options.headers
+  };
+
+  const token = repo.installation_id
+    ? await getInstallationToken(repo.installation_id)
+    : resolveRepoToken(repo);
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  if (options.body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method: options.method || 'GET',
+    headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  // A cached installation token can be revoked before it expires
+  if (response.status === 401 && repo.installation_id && !retried) {
+    invalidateInstallationToken(repo.installation_id);
+    return githubFetch(repo, path, options, true);
+  }
+
+  return response;
+}
@@ -0,0 +1,605 @@
+/**
+ * PRPilot GitLab Provider
+ * Webhooks, diffs, merge request discussions and commit statuses for GitLab
+ * projects on gitlab.com or a self-managed instance
+ *
+ * The repository's access token (see tokens.js) is a GitLab access token with api scope.
+ */
+
+import { parseDiff } from '../diff';
+import { mapIssuesToDiff, formatInlineComment, formatReviewSummary, saveReviewComments, inlineCommentKey } from '../comments';
+import {
+  CHECK_NAME,
+  getCheckThresholds,
+  shouldApprove,
+  determineCheckConclusion,
+  formatCheckTitle,
+  getReviewDetailsUrl
+} from '../checks';
+import { safeEqual, ensureOk } from './utils';
+import { hasRepoToken, resolveRepoToken } from '../tokens';
+
+export const name = 'gitlab';
+
+// Constants
+const DEFAULT_API_URL = 'https://gitlab.com/api/v4';
+const DIFFS_PER_PAGE = 100;
+const COMMITS_PER_PAGE = 100;
+const MAX_DIFF_PAGES = 30;
+const EVENT_TYPES = {
+  'Merge Request Hook': 'pull_request',
+  'Push Hook': 'push',
+  'Note Hook': 'comment'
+};
+const MR_ACTIONS = {
+  open: 'opened',
+  reopen: 'reopened',
+  close: 'closed',
+  merge: 'merged',
+  approved: 'approved'
+};
+const STATUS_STATES = { success: 'success', failure: 'failed' };
+const DEVELOPER_ACCESS_LEVEL = 30;
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+/**
+ * Whether a webhook request was sent by GitLab
+ * @param {Headers} headers - Request headers
+ * @returns {boolean}
+ */
+export function matchesWebhook(headers) {
+  return headers.has('x-gitlab-event');
+}
+
+/**
+ * Read the event type, delivery ID and repository of a webhook
+ * @param {Headers} headers - Request headers
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{event: string, deliveryId: string, repoFullName: string}}
+ */
+export function describeWebhook(headers, payload) {
+  const event = headers.get('x-gitlab-event');
+
+  return {
+    event: EVENT_TYPES[event] || event,
+    deliveryId: headers.get('x-gitlab-event-uuid') || headers.get('x-gitlab-webhook-uuid'),
+    repoFullName: payload.project?.path_with_namespace
+  };
+}
+
+/**
+ * Verify the webhook secret token
+ * @param {Headers} headers - Request headers
+ * @param {string} rawBody - The raw request body
+ * @param {string} secret - The repository's webhook secret
+ * @returns {boolean|null} Validity, or null when no token was sent
+ */
+export function verifyWebhook(headers, rawBody, secret) {
+  const token = headers.get('x-gitlab-token');
+  return token ? safeEqual(token, secret) : null;
+}
+
+/**
+ * Normalize a merge request webhook
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{action: string, pr: Object}|null}
+ */
+export function parsePullRequestEvent(payload) {
+  const mr = payload.object_attributes;
+  if (payload.object_kind !== 'merge_request' || !mr) {
+    return null;
+  }
+
+  // "update" covers both new commits (oldrev is set) and edits of the title or description
+  let action = MR_ACTIONS[mr.action] || mr.action;
+  if (mr.action === 'update') {
+    action = mr.oldrev ? 'synchronize' : 'edited';
+  }
+
+  return {
+    action,
+    pr: {
+      number: mr.iid,
+      title: mr.title,
+      body: mr.description,
+      url: mr.url,
+      author: payload.user?.username,
+      baseBranch: mr.target_branch,
+      headBranch: mr.source_branch,
+      baseSha: null,
+      headSha: mr.last_commit?.id
+    }
+  };
+}
+
+/**
+ * Normalize a merge request approval; GitLab has no review states beyond approval
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{prNumber: number, state: string, reviewer: string}}
+ */
+export function parseReviewEvent(payload) {
+  return {
+    prNumber: payload.object_attributes?.iid,
+    state: payload.object_attributes?.action,
+    reviewer: payload.user?.username
+  };
+}
+
+/**
+ * Normalize a new note on a merge request
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object|null} Comment with prNumber, id, threadId, rootCommentId, body, author; null for other notes
+ */
+export function parseCommentEvent(payload) {
+  const note = payload.object_attributes;
+  if (payload.object_kind !== 'note' || note?.noteable_type !== 'MergeRequest' || note.system) {
+    return null;
+  }
+
+  return {
+    prNumber: payload.merge_request?.iid,
+    id: note.id,
+    threadId: note.discussion_id,
+    // Note hooks do not name the first note of a discussion
+    rootCommentId: null,
+    body: note.note || '',
+    author: payload.user?.username,
+    authorId: payload.user?.id,
+    isBot: false
+  };
+}
+
+/**
+ * Normalize a push webhook
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{ref: string, before: string, after: string, commits: Array, pusher: string|null}}
+ */
+export function parsePushEvent(payload) {
+  return {
+    ref: payload.ref,
+    before: payload.before,
+    after: payload.after,
+    commits: payload.commits || [],
+    pusher: payload.user_username || null
+  };
+}
+
+// ============================================================================
+// REPOSITORY ACCESS
+// ============================================================================
+
+/**
+ * Check that the repository's token can read it
+ * @param {Object} repo - Repository record
+ * @returns {Promise<{ok: boolean, message?: string}>}
+ */
+export async function checkAccess(repo) {
+  const response = await gitlabFetch(repo, projectPath(repo));
+  if (response.ok) {
+    return { ok: true };
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  return { ok: false, message: errorData.message || 'Project not found or access denied' };
+}
+
+/**
+ * Fetch the changes of a merge request as a unified diff
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchPullRequestDiff(repo, pr) {
+  const changes = [];
+
+  for (let page = 1; page <= MAX_DIFF_PAGES; page++) {
+    const response = await gitlabFetch(
+      repo,
+      `${projectPath(repo)}/merge_requests/${pr.number}/diffs?page=${page}&per_page=${DIFFS_PER_PAGE}`
+    );
+    await ensureOk(response, 'fetch merge request diff');
+
+    changes.push(...await response.json());
+    if (!response.headers.get('x-next-page')) {
+      break;
+    }
+  }
+
+  return buildUnifiedDiff(changes);
+}
+
+/**
+ * Fetch the changes between two commits, e.g. the previous and new head of a pull request
+ * @param {Object} repo - Repository record
+ * @param {string} fromSha - The older commit
+ * @param {string} toSha - The newer commit
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchCompareDiff(repo, fromSha, toSha) {
+  const response = await gitlabFetch(
+    repo,
+    `${projectPath(repo)}/repository/compare?from=${fromSha}&to=${toSha}&straight=true`
+  );
+  await ensureOk(response, 'fetch compare diff');
+
+  const comparison = await response.json();
+  return buildUnifiedDiff(comparison.diffs || []);
+}
+
+/**
+ * Fetch a merge request
+ * @param {Object} repo - Repository record
+ * @param {number} number - Merge request IID
+ * @returns {Promise<Object>} Normalized pull request
+ */
+export async function fetchPullRequest(repo, number) {
+  const response = await gitlabFetch(repo, `${projectPath(repo)}/merge_requests/${number}`);
+  await ensureOk(response, 'fetch merge request');
+  const mr = await response.json();
+
+  return {
+    number: mr.iid,
+    title: mr.title,
+    body: mr.description,
+    url: mr.web_url,
+    author: mr.author?.username,
+    baseBranch: mr.target_branch,
+    headBranch: mr.source_branch,
+    baseSha: mr.diff_refs?.base_sha || null,
+    headSha: mr.sha
+  };
+}
+
+/**
+ * Fetch the commits of a merge request, oldest first
+ * @param {Object} repo - Repository record
+ * @param {number} number - Merge request IID
+ * @returns {Promise<Array<{sha: string, message: string, author: string}>>} Up to 100 commits
+ */
+export async function fetchPullRequestCommits(repo, number) {
+  const response = await gitlabFetch(repo, `${projectPath(repo)}/merge_requests/${number}/commits?per_page=${COMMITS_PER_PAGE}`);
+  await ensureOk(response, 'fetch merge request commits');
+
+  // GitLab lists the newest commit first
+  return (await response.json()).reverse().map(commit => ({
+    sha: commit.id,
+    message: commit.message || commit.title || '',
+    author: commit.author_name || null
+  }));
+}
+
+/**
+ * Replace the description of a merge request
+ * @param {Object} repo - Repository record
+ * @param {number} number - Merge request IID
+ * @param {string} body - Markdown description
+ */
+export async function updatePullRequestDescription(repo, number, body) {
+  const response = await gitlabFetch(repo, `${projectPath(repo)}/merge_requests/${number}`, {
+    method: 'PUT',
+    body: { description: body }
+  });
+  await ensureOk(response, 'update merge request description');
+}
+
+/**
+ * Whether the author of a note may run PRPilot commands: project members with Developer access or more
+ * @param {Object} repo - Repository record
+ * @param {Object} comment - Result of parseCommentEvent
+ * @returns {Promise<boolean>}
+ */
+export async function canRunCommands(repo, comment) {
+  if (!comment.authorId) {
+    return false;
+  }
+
+  const response = await gitlabFetch(repo, `${projectPath(repo)}/members/all/${comment.authorId}`);
+  if (!response.ok) {
+    return false;
+  }
+
+  const member = await response.json();
+  return member.access_level >= DEVELOPER_ACCESS_LEVEL;
+}
+
+/**
+ * Turn GitLab diff entries into a git-style unified diff
+ * @param {Array<Object>} changes - Entries with old_path, new_path, flags and diff
+ * @returns {string} The diff
+ */
+export function buildUnifiedDiff(changes) {
+  return changes.map(change => {
+    const lines = [`diff --git a/${change.old_path} b/${change.new_path}`];
+
+    if (change.new_file) {
+      lines.push(`new file mode ${change.b_mode || '100644'}`);
+    } else if (change.deleted_file) {
+      lines.push(`deleted file mode ${change.a_mode || '100644'}`);
+    } else if (change.renamed_file) {
+      lines.push(`rename from ${change.old_path}`, `rename to ${change.new_path}`);
+    }
+
+    if (change.diff) {
+      lines.push(
+        change.new_file ? '--- /dev/null' : `--- a/${change.old_path}`,
+        change.deleted_file ? '+++ /dev/null' : `+++ b/${change.new_path}`,
+        change.diff.replace(/\n$/, '')
+      );
+    }
+
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Download a gzipped tarball of the repository at a ref
+ * @param {Object} repo - Repository record
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<Buffer>} The archive
+ */
+export async function fetchArchive(repo, ref) {
+  const response = await gitlabFetch(
+    repo,
+    `${projectPath(repo)}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`
+  );
+  await ensureOk(response, 'download repository archive');
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Read a file of the repository at a ref
+ * @param {Object} repo - Repository record
+ * @param {string} path - File path from the repository root
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string|null>} The file content, or null if the file does not exist
+ */
+export async function fetchFile(repo, path, ref) {
+  const response = await gitlabFetch(
+    repo,
+    `${projectPath(repo)}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  await ensureOk(response, `fetch ${path}`);
+  return response.text();
+}
+
+// ============================================================================
+// REVIEWS
+// ============================================================================
+
+/**
+ * Post issues on diff lines as merge request discussions, then a summary note
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @param {Object} review - Stored review record
+ * @param {string} diff - The reviewed diff
+ */
+export async function postReview(repo, pr, review, diff) {
+  const mapped = mapIssuesToDiff(review.issues, parseDiff(diff), { maxComments: review.config?.maxComments });
+  const mrPath = `${projectPath(repo)}/merge_requests/${pr.number}`;
+
+  try {
+    // Positions on the diff need the merge request's diff refs
+    let diffRefs = null;
+    if (mapped.inline.length > 0) {
+      const mrResponse = await gitlabFetch(repo, mrPath);
+      diffRefs = mrResponse.ok ? (await mrResponse.json()).diff_refs : null;
+    }
+
+    const posted = [];
+    const commentIds = new Map();
+
+    for (const entry of diffRefs ? mapped.inline : []) {
+      const response = await gitlabFetch(repo, `${mrPath}/discussions`, {
+        method: 'POST',
+        body: {
+          body: formatInlineComment(entry.issue, entry.index + 1, entry.suggestion ? 'gitlab' : null),
+          position: {
+            position_type: 'text',
+            base_sha: diffRefs.base_sha,
+            start_sha: diffRefs.start_sha,
+            head_sha: diffRefs.head_sha,
+            old_path: entry.oldPath,
+            new_path: entry.path,
+            new_line: entry.line,
+            // Unchanged lines are addressed by both sides
+            ...(entry.oldLine && { old_line: entry.oldLine })
+          }
+        }
+      });
+
+      if (response.ok) {
+        const discussion = await response.json();
+        commentIds.set(inlineCommentKey(entry.index), discussion.notes?.[0]?.id);
+        posted.push(entry);
+      }
+    }
+
+    // Issues whose line GitLab rejected are listed in the summary instead
+    const summaryMapped = {
+      ...mapped,
+      inline: posted,
+      summary: [...mapped.summary, ...mapped.inline.filter(entry => !posted.includes(entry)).map(entry => entry.issue)]
+    };
+
+    const noteResponse = await gitlabFetch(repo, `${mrPath}/notes`, {
+      method: 'POST',
+      body: { body: formatReviewSummary(review, summaryMapped) }
+    });
+    await ensureOk(noteResponse, 'post merge request note');
+    const note = await noteResponse.json();
+
+    console.log(`Posted review to MR !${pr.number} with ${posted.length} inline comments`);
+
+    // GitLab reviews only approve when .prpilot.yml asks for it
+    if (review.config?.autoApprove && shouldApprove(review, repo)) {
+      const approveResponse = await gitlabFetch(repo, `${mrPath}/approve`, { method: 'POST', body: { sha: pr.headSha } });
+      if (!approveResponse.ok) {
+        console.error(`Failed to approve MR !${pr.number}: ${approveResponse.status}`);
+      }
+    }
+
+    await saveReviewComments(review.id, summaryMapped, {
+      githubReviewId: note.id,
+      commentIds,
+      inline: posted.length > 0
+    });
+  } catch (postError) {
+    console.error('Error posting to GitLab:', postError);
+  }
+}
+
+/**
+ * Answer a note in its discussion
+ * @param {Object} repo - Repository record
+ * @param {Object} comment - Result of parseCommentEvent
+ * @param {string} body - Markdown reply
+ */
+export async function replyToComment(repo, comment, body) {
+  const mrPath = `${projectPath(repo)}/merge_requests/${comment.prNumber}`;
+  const path = comment.threadId ? `${mrPath}/discussions/${comment.threadId}/notes` : `${mrPath}/notes`;
+
+  const response = await gitlabFetch(repo, path, { method: 'POST', body: { body } });
+  await ensureOk(response, 'reply to note');
+}
+
+/**
+ * Comment on a commit, e.g. with the review of a push to the default branch
+ * @param {Object} repo - Repository record
+ * @param {string} sha - The commit
+ * @param {string} body - Markdown comment
+ */
+export async function postCommitComment(repo, sha, body) {
+  const response = await gitlabFetch(repo, `${projectPath(repo)}/repository/commits/${sha}/comments`, {
+    method: 'POST',
+    body: { note: body }
+  });
+  await ensureOk(response, 'comment on commit');
+}
+
+// ============================================================================
+// STATUSES
+// ============================================================================
+
+/**
+ * Mark a review as running on the head commit
+ * @param {Object} repo - Repository record
+ * @param {Object} pr - Normalized pull request
+ * @returns {Promise<Object|null>} Handle for finishStatus, or null if nothing was created
+ */
+export async function startStatus(repo, pr) {
+  if (!hasRepoToken(repo) || !pr.headSha || repo.checks_enabled === false) {
+    return null;
+  }
+
+  try {
+    const response = await postCommitStatus(repo, pr.headSha, 'running', 'Review in progress');
+    return response.ok ? { type: 'status', headSha: pr.headSha } : null;
+  } catch (error) {
+    console.error('Error starting review status:', error);
+    return null;
+  }
+}
+
+/**
+ * Complete the status of a finished review
+ * @param {Object} repo - Repository record
+ * @param {Object} handle - Result of startStatus
+ * @param {Object} review - Stored review record
+ * @returns {Promise<string|null>} The conclusion that was reported
+ */
+export async function finishStatus(repo, handle, review) {
+  if (!handle) {
+    return null;
+  }
+
+  const { conclusion, reasons } = determineCheckConclusion(review, getCheckThresholds(repo, review.config));
+
+  try {
+    await postCommitStatus(
+      repo,
+      handle.headSha,
+      STATUS_STATES[conclusion],
+      formatCheckTitle(review, conclusion, reasons),
+      getReviewDetailsUrl(review)
+    );
+    return conclusion;
+  } catch (error) {
+    console.error('Error completing review status:', error);
+    return null;
+  }
+}
+
+/**
+ * Complete the status of a review that could not be finished
+ * @param {Object} repo - Repository record
+ * @param {Object} handle - Result of startStatus
+ */
+export async function failStatus(repo, handle) {
+  if (!handle) {
+    return;
+  }
+
+  try {
+    await postCommitStatus(repo, handle.headSha, 'canceled', 'Review could not be completed');
+  } catch (error) {
+    console.error('Error failing review status:', error);
+  }
+}
+
+async function postCommitStatus(repo, sha, state, description, targetUrl) {
+  const response = await gitlabFetch(repo, `${projectPath(repo)}/statuses/${sha}`, {
+    method: 'POST',
+    body: {
+      state,
+      name: CHECK_NAME,
+      description: description.slice(0, 140),
+      target_url: targetUrl
+    }
+  });
+
+  if (!response.ok) {
+    console.error('Failed to update commit status:', response.status);
+  }
+  return response;
+}
+
+// Self-managed instances are addressed through the repository URL
+function getApiUrl(repo) {
+  if (repo.url) {
+    const { origin } = new URL(repo.url);
+    if (origin !== 'https://gitlab.com') {
+      return `${origin}/api/v4`;
+    }
+  }
+  return process.env.GITLAB_API_URL || DEFAULT_API_URL;
+}
+
+function projectPath(repo) {
+  return `/projects/${encodeURIComponent(repo.repo_full_name)}`;
+}
+
+function gitlabFetch(repo, path, options = {}) {
+  const headers = { 'User-Agent': 'PRPilot-App' };
+
+  const token = resolveRepoToken(repo);
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  if (options.body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return fetch(`${getApiUrl(repo)}${path}`, {
+    method: options.method || 'GET',
+    headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+}
@@ -0,0 +1,36 @@
+/**
+ * PRPilot Providers
+ * Adapters for the code hosts PRPilot reviews on. Every adapter exposes the
+ * same functions: webhook parsing and verification, diff, commit and archive
+ * fetching, posting reviews, updating descriptions and reporting statuses.
+ */
+
+import * as github from './github';
+import * as gitlab from './gitlab';
+import * as bitbucket from './bitbucket';
+
+const PROVIDERS = { github, gitlab, bitbucket };
+
+export const SUPPORTED_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Get the adapter of a provider
+ * @param {string} [name] - Provider name, github when not set
+ * @returns {Object} The provider adapter
+ */
+export function getProvider(name) {
+  const provider = PROVIDERS[name || 'github'];
+  if (!provider) {
+    throw new Error(`Unsupported provider: ${name}. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Find the provider that sent a webhook request
+ * @param {Headers} headers - Request headers
+ * @returns {Object|null} The provider adapter
+ */
+export function detectWebhookProvider(headers) {
+  return Object.values(PROVIDERS).find(provider => provider.matchesWebhook(headers)) || null;
+}
@@ -0,0 +1,49 @@
+/**
+ * PRPilot Provider Utilities
+ * Helpers shared by the GitHub, GitLab and Bitbucket adapters
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a "sha256=<hex>" HMAC signature of a webhook body
+ * @param {string} rawBody - The raw request body
+ * @param {string} signature - The signature header value
+ * @param {string} secret - The webhook secret
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifyHmacSignature(rawBody, signature, secret) {
+  try {
+    const digest = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(digest, signature);
+  } catch (error) {
+    console.error('Signature verification error:', error);
+    return false;
+  }
+}
+
+/**
+ * Throw if a provider API response failed
+ * @param {Response} response - Fetch response
+ * @param {string} action - What was attempted, for the error message
+ * @returns {Promise<Response>} The response
+ */
+export async function ensureOk(response, action) {
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`Failed to ${action}: ${response.status}${details ? ` ${details.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
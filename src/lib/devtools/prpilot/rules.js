@@ -0,0 +1,310 @@
+/**
+ * PRPilot Rule Engine
+ * Runs custom rules against the added lines of a diff
+ *
+ * Each rule declares a kind:
+ * - regex: the pattern is matched against every added line
+ * - ast-selector: the pattern is an esquery selector matched against
+ *   JavaScript/TypeScript nodes that start on an added line
+ * - llm: the rule is described in natural language and checked by the model
+ */
+
+import { parse as parseLoose } from 'acorn-loose';
+import esquery from 'esquery';
+import { parseDiff } from './diff';
+import { detectLanguage } from './indexer';
+
+// Constants
+export const RULE_KINDS = ['regex', 'ast-selector', 'llm'];
+const AST_LANGUAGES = ['javascript', 'typescript'];
+const MAX_VIOLATIONS_PER_RULE = 50;
+const MAX_REGEX_LINE_LENGTH = 2000; // Longer lines (minified code) are only matched up to this length
+const REPEAT_PATTERN = /[*+]|\{\d+,\d*\}/y;
+
+// Predefined rule templates
+export const RULE_TEMPLATES = {
+  'no-console': {
+    name: 'No Console Logs',
+    description: 'Flag console.log, console.warn, console.error statements that should be removed before production',
+    category: 'code-quality',
+    severity: 'medium',
+    kind: 'ast-selector',
+    pattern: 'CallExpression[callee.object.name="console"][callee.property.name=/^(log|warn|error|info|debug|trace)$/]',
+    options: { suggestion: 'Remove the console statement or use the project logger' }
+  },
+  'require-error-handling': {
+    name: 'Require Error Handling',
+    description: 'Ensure async functions have try-catch blocks or proper error handling',
+    category: 'reliability',
+    severity: 'high',
+    kind: 'llm'
+  },
+  'no-hardcoded-secrets': {
+    name: 'No Hardcoded Secrets',
+    description: 'Flag any hardcoded API keys, passwords, tokens, or secrets',
+    category: 'security',
+    severity: 'critical',
+    kind: 'regex',
+    pattern: [
+      '(api[_-]?key|secret|passw(or)?d|token|access[_-]?key|private[_-]?key)["\']?\\s*[:=]\\s*["\'][^"\'\\s]{8,}["\']',
+      'AKIA[0-9A-Z]{16}',
+      'gh[pousr]_[A-Za-z0-9]{36}',
+      'sk-[A-Za-z0-9_-]{20,}',
+      'xox[abpr]-[A-Za-z0-9-]{10,}',
+      '-----BEGIN ([A-Z]+ )?PRIVATE KEY-----'
+    ].join('|'),
+    options: { flags: 'i', suggestion: 'Load the value from an environment variable or secret manager' }
+  },
+  'require-input-validation': {
+    name: 'Require Input Validation',
+    description: 'Ensure all user inputs are validated and sanitized',
+    category: 'security',
+    severity: 'high',
+    kind: 'llm'
+  },
+  'max-function-length': {
+    name: 'Maximum Function Length',
+    description: 'Flag functions that exceed 50 lines - should be broken down',
+    category: 'maintainability',
+    severity: 'medium',
+    kind: 'ast-selector',
+    pattern: ':function',
+    options: { maxLines: 50, suggestion: 'Split the function into smaller functions' }
+  },
+  'require-tests': {
+    name: 'Require Test Coverage',
+    description: 'New functions and significant changes should include tests',
+    category: 'testing',
+    severity: 'medium',
+    kind: 'llm'
+  },
+  'no-deprecated-apis': {
+    name: 'No Deprecated APIs',
+    description: 'Flag usage of deprecated APIs or methods',
+    category: 'maintenance',
+    severity: 'medium',
+    kind: 'llm'
+  },
+  'accessibility-check': {
+    name: 'Accessibility Requirements',
+    description: 'Ensure UI components have proper ARIA labels and accessibility attributes',
+    category: 'accessibility',
+    severity: 'medium',
+    kind: 'llm'
+  }
+};
+
+/**
+ * Validate a rule's kind, pattern and options
+ * @param {Object} rule - Rule with kind, pattern and options
+ * @throws {Error} If the rule cannot be run
+ */
+export function validateRule(rule) {
+  const kind = rule.kind || 'llm';
+
+  if (!RULE_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of: ${RULE_KINDS.join(', ')}`);
+  }
+
+  if (rule.options !== undefined && rule.options !== null &&
+      (typeof rule.options !== 'object' || Array.isArray(rule.options))) {
+    throw new Error('options must be an object');
+  }
+
+  if (kind === 'llm') {
+    return;
+  }
+
+  if (!rule.pattern) {
+    throw new Error(`A pattern is required for ${kind} rules`);
+  }
+
+  try {
+    compileRule({ ...rule, kind });
+  } catch (error) {
+    throw new Error(`Invalid ${kind} pattern: ${error.message}`);
+  }
+
+  const maxLines = rule.options?.maxLines;
+  if (maxLines !== undefined && !(Number.isInteger(maxLines) && maxLines > 0)) {
+    throw new Error('options.maxLines must be a positive integer');
+  }
+}
+
+/**
+ * Whether a rule is checked by the model rather than locally
+ * @param {Object} rule - The rule
+ * @returns {boolean}
+ */
+export function isLlmRule(rule) {
+  return !rule.kind || rule.kind === 'llm';
+}
+
+/**
+ * Run the regex and AST rules against the added lines of a diff
+ * @param {string} diff - The diff text
+ * @param {Array} rules - Rules; llm rules are ignored
+ * @returns {Array<Object>} Violations with exact file and line numbers
+ */
+export function runLocalRules(diff, rules) {
+  const localRules = (rules || []).filter(rule => !isLlmRule(rule));
+  if (!diff || localRules.length === 0) {
+    return [];
+  }
+
+  const compiled = [];
+  for (const rule of localRules) {
+    try {
+      compiled.push({ rule, matcher: compileRule(rule) });
+    } catch (error) {
+      // Rules are validated on save; skip any that were stored broken
+      console.error(`Skipping rule ${rule.id}:`, error.message);
+    }
+  }
+
+  const files = parseDiff(diff).filter(file => !file.binary && file.status !== 'deleted');
+  const violations = [];
+
+  for (const { rule, matcher } of compiled) {
+    const found = rule.kind === 'regex'
+      ? matchRegexRule(rule, matcher, files)
+      : matchAstRule(rule, matcher, files);
+    violations.push(...found.slice(0, MAX_VIOLATIONS_PER_RULE));
+  }
+
+  return violations;
+}
+
+function compileRule(rule) {
+  if (rule.kind === 'regex') {
+    // Stateful flags would make test() skip matches between lines
+    const flags = (rule.options?.flags || '').replace(/[gy]/g, '');
+    if (hasNestedQuantifier(rule.pattern)) {
+      throw new Error('nested quantifiers such as (a+)+ can take exponential time');
+    }
+    return new RegExp(rule.pattern, flags);
+  }
+  return esquery.parse(rule.pattern);
+}
+
+// Whether a group that repeats something is itself repeated, e.g. (a+)+ or (?:\w*,)*
+function hasNestedQuantifier(pattern) {
+  const groups = []; // Per open group: whether it contains a repeat
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      if (pattern[index + 1] === '?') {
+        index++;
+      }
+    } else if (char === ')') {
+      if (groups.pop() && repeatsAt(pattern, index + 1)) {
+        return true;
+      }
+    } else if (groups.length > 0 && repeatsAt(pattern, index)) {
+      groups.fill(true);
+    }
+  }
+
+  return false;
+}
+
+function repeatsAt(pattern, index) {
+  REPEAT_PATTERN.lastIndex = index;
+  return REPEAT_PATTERN.test(pattern);
+}
+
+function matchRegexRule(rule, regex, files) {
+  const violations = [];
+
+  for (const file of files) {
+    for (const hunk of file.hunks) {
+      for (const line of hunk.lines) {
+        if (line.type === 'add' && regex.test(line.content.slice(0, MAX_REGEX_LINE_LENGTH))) {
+          violations.push(toViolation(rule, file.path, line.newLine, line.content));
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+function matchAstRule(rule, selector, files) {
+  const maxLines = rule.options?.maxLines;
+  const violations = [];
+
+  for (const file of files) {
+    if (!AST_LANGUAGES.includes(detectLanguage(file.path))) {
+      continue;
+    }
+
+    for (const hunk of file.hunks) {
+      // Parse the new side of the hunk on its own; acorn-loose tolerates the cut-off edges
+      const newSide = hunk.lines.filter(line => line.type !== 'del');
+      const addedLines = new Map(
+        newSide.filter(line => line.type === 'add').map(line => [line.newLine, line.content])
+      );
+
+      if (addedLines.size === 0) {
+        continue;
+      }
+
+      let ast;
+      try {
+        ast = parseLoose(newSide.map(line => line.content).join('\n'), {
+          ecmaVersion: 'latest',
+          sourceType: 'module',
+          locations: true
+        });
+      } catch {
+        continue;
+      }
+
+      const reported = new Set();
+      for (const node of esquery.match(ast, selector)) {
+        const startLine = newSide[node.loc.start.line - 1]?.newLine;
+        const length = node.loc.end.line - node.loc.start.line + 1;
+
+        if (!addedLines.has(startLine) || reported.has(startLine)) {
+          continue;
+        }
+        if (maxLines && length <= maxLines) {
+          continue;
+        }
+
+        reported.add(startLine);
+        const violation = toViolation(rule, file.path, startLine, addedLines.get(startLine));
+        if (maxLines) {
+          violation.description = `${violation.description} (${length} lines, limit ${maxLines})`;
+        }
+        violations.push(violation);
+      }
+    }
+  }
+
+  return violations;
+}
+
+function toViolation(rule, file, line, content) {
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    kind: rule.kind,
+    severity: rule.severity || 'medium',
+    file,
+    line,
+    code: content.trim(),
+    description: rule.description || rule.name,
+    suggestion: rule.options?.suggestion || null
+  };
+}
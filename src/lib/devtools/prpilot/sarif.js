@@ -0,0 +1,455 @@
+/**
+ * PRPilot SARIF Interchange
+ * Exports the findings of a review as a SARIF 2.1.0 log (for GitHub code
+ * scanning and other tools) and imports SARIF results from external linters
+ * such as ESLint or Semgrep into a review as issues with source "sarif".
+ *
+ * Imported results about the same problem as an existing finding (same file and
+ * line, and the same issue type or similar wording) are not added again; the
+ * existing finding records the tool in alsoReportedBy.
+ */
+
+import { createHash } from 'crypto';
+import { supabase } from '../../supabase';
+import { SEVERITIES, calculateScore, calculateMetrics } from './engine';
+import { saveFindings, findingKey } from './feedback';
+import { isPathIncluded } from './config';
+
+// Constants
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+export const SARIF_SOURCE = 'sarif';
+const TOOL_NAME = 'PRPilot';
+const SRCROOT = '%SRCROOT%';
+const MAX_IMPORTED_RESULTS = 500;
+const MAX_MESSAGE_LENGTH = 2000;
+const LINE_TOLERANCE = 1; // Model findings are often a line off
+const MIN_TEXT_SIMILARITY = 0.3; // Share of words two findings about one problem have in common
+
+const SEVERITY_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const LEVEL_SEVERITIES = { error: 'high', warning: 'medium', note: 'low', none: 'low' };
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Convert a review to a SARIF log.
+ * PRPilot's own findings form one run; findings imported from other tools keep a run per tool.
+ * Findings without a file are left out because SARIF consumers need a location.
+ * @param {Object} review - Stored review record
+ * @param {Object} [options] - Export options
+ * @param {Array} [options.findings] - Finding rows of the review; rejected findings are exported as suppressed
+ * @returns {Object} SARIF log
+ */
+export function reviewToSarif(review, { findings = [] } = {}) {
+  const statusByKey = new Map(findings.map(finding => [finding.finding_key, finding]));
+  const runs = new Map();
+
+  const runFor = (name) => {
+    if (!runs.has(name)) {
+      runs.set(name, {
+        tool: { driver: { name, rules: [] } },
+        originalUriBaseIds: { [SRCROOT]: { description: { text: 'Repository root' } } },
+        results: []
+      });
+    }
+    return runs.get(name);
+  };
+
+  runFor(TOOL_NAME);
+
+  (review.issues || []).forEach((issue, index) => {
+    if (!issue.file) {
+      return;
+    }
+
+    const tool = issue.source === SARIF_SOURCE && issue.tool ? issue.tool : TOOL_NAME;
+    const rule = tool === TOOL_NAME
+      ? issueRule(issue)
+      : { id: issue.toolRuleId || 'external', name: issue.title || issue.toolRuleId };
+
+    addResult(runFor(tool), rule, issue, statusByKey.get(findingKey('issue', index)));
+  });
+
+  (review.rule_violations || []).forEach((violation, index) => {
+    if (!violation.file) {
+      return;
+    }
+
+    const rule = {
+      id: `custom/${violation.ruleId || 'rule'}`,
+      name: violation.ruleName || String(violation.ruleId),
+      properties: { tags: ['custom-rule'] }
+    };
+    const finding = {
+      ...violation,
+      type: 'rule',
+      title: violation.ruleName,
+      description: violation.description
+    };
+
+    addResult(runFor(TOOL_NAME), rule, finding, statusByKey.get(findingKey('rule', index)));
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [...runs.values()]
+  };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Convert the results of a SARIF log to PRPilot issues
+ * @param {Object|string} log - SARIF 2.1.0 log, parsed or as JSON text
+ * @param {Object} [options] - Import options
+ * @param {Array<string>} [options.files] - Repository paths of the review, used to resolve absolute URIs
+ * @returns {{issues: Array<Object>, errors: Array<string>}} Issues and what could not be imported
+ */
+export function parseSarif(log, { files = [] } = {}) {
+  let sarif = log;
+  if (typeof log === 'string') {
+    try {
+      sarif = JSON.parse(log);
+    } catch (error) {
+      return { issues: [], errors: [`SARIF is not valid JSON: ${error.message}`] };
+    }
+  }
+
+  if (!sarif || typeof sarif !== 'object' || !Array.isArray(sarif.runs)) {
+    return { issues: [], errors: ['SARIF log must be an object with a "runs" array'] };
+  }
+
+  if (sarif.version !== SARIF_VERSION) {
+    return { issues: [], errors: [`Only SARIF ${SARIF_VERSION} is supported, got ${sarif.version || 'no version'}`] };
+  }
+
+  const issues = [];
+  const errors = [];
+  let withoutLocation = 0;
+  let truncated = 0;
+
+  for (const run of sarif.runs) {
+    const driver = run?.tool?.driver || {};
+    const tool = driver.name || 'SARIF';
+    const rules = driver.rules || [];
+
+    for (const result of run?.results || []) {
+      if (!isOpenResult(result)) {
+        continue;
+      }
+
+      const location = resolveLocation(result, run, files);
+      if (!location) {
+        withoutLocation++;
+        continue;
+      }
+
+      if (issues.length >= MAX_IMPORTED_RESULTS) {
+        truncated++;
+        continue;
+      }
+
+      const ruleId = result.ruleId || result.rule?.id || rules[result.ruleIndex ?? result.rule?.index]?.id || null;
+      const rule = rules.find(candidate => candidate.id === ruleId) || rules[result.ruleIndex] || null;
+      const message = result.message?.text ||
+        rule?.messageStrings?.[result.message?.id]?.text ||
+        rule?.shortDescription?.text ||
+        ruleId ||
+        `${tool} finding`;
+
+      issues.push({
+        type: resultType(result, rule),
+        severity: resultSeverity(result, rule),
+        title: rule?.shortDescription?.text || ruleId || `${tool} finding`,
+        description: truncate(message, MAX_MESSAGE_LENGTH),
+        suggestion: rule?.help?.text ? truncate(rule.help.text, MAX_MESSAGE_LENGTH) : null,
+        file: location.file,
+        line: location.line,
+        source: SARIF_SOURCE,
+        tool,
+        toolRuleId: ruleId
+      });
+    }
+  }
+
+  if (withoutLocation > 0) {
+    errors.push(`${withoutLocation} result(s) without a file location were skipped`);
+  }
+  if (truncated > 0) {
+    errors.push(`${truncated} result(s) over the limit of ${MAX_IMPORTED_RESULTS} were skipped`);
+  }
+
+  return { issues, errors };
+}
+
+/**
+ * Add imported issues to the findings of a review, skipping duplicates.
+ * An imported issue is a duplicate when the same tool already reported the same
+ * rule on that line, or when a PRPilot finding at the same file and line has the
+ * same type or similar wording; unrelated findings on nearby lines are kept.
+ * @param {Object} review - Review record with issues and rule_violations
+ * @param {Array<Object>} imported - Issues from parseSarif
+ * @returns {{issues: Array<Object>, added: Array<Object>, duplicates: number}}
+ *   All issues of the review, the newly added ones and how many were skipped
+ */
+export function mergeImportedIssues(review, imported) {
+  const issues = (review.issues || []).map(issue => ({ ...issue }));
+  const native = [...issues.filter(issue => issue.source !== SARIF_SOURCE), ...(review.rule_violations || [])];
+  const seen = new Set(issues.filter(issue => issue.source === SARIF_SOURCE).map(importKey));
+  const added = [];
+  let duplicates = 0;
+
+  for (const issue of imported) {
+    const key = importKey(issue);
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    const match = native.find(finding =>
+      finding.file === issue.file &&
+      Math.abs((parseInt(finding.line, 10) || 0) - issue.line) <= LINE_TOLERANCE &&
+      (finding.type === issue.type || textSimilarity(findingText(finding), findingText(issue)) >= MIN_TEXT_SIMILARITY)
+    );
+
+    if (match) {
+      duplicates++;
+      // Rule violations are left as they are; only issues record the other tool
+      if (issues.includes(match)) {
+        const reporter = [issue.tool, issue.toolRuleId].filter(Boolean).join('/');
+        match.alsoReportedBy = [...new Set([...(match.alsoReportedBy || []), reporter])];
+      }
+      continue;
+    }
+
+    added.push(issue);
+  }
+
+  return { issues: [...issues, ...added], added, duplicates };
+}
+
+/**
+ * Import a SARIF log into a stored review and recompute its score
+ * @param {Object} review - Completed or degraded review record
+ * @param {Object|string} log - SARIF 2.1.0 log
+ * @returns {Promise<{review: Object, imported: number, duplicates: number, excluded: number, errors: Array<string>}>}
+ */
+export async function importSarif(review, log) {
+  const { issues: parsed, errors } = parseSarif(log, { files: review.files_reviewed || [] });
+  if (parsed.length === 0) {
+    return { review, imported: 0, duplicates: 0, excluded: 0, errors };
+  }
+
+  // Paths the repository config leaves out stay out of imported findings too
+  const included = parsed.filter(issue => !review.config || isPathIncluded(issue.file, review.config.paths));
+  const { issues, added, duplicates } = mergeImportedIssues(review, included);
+
+  const updates = {
+    issues,
+    // Degraded reviews stay unscored; their findings may be incomplete
+    quality_score: review.status === 'degraded' ? null : calculateScore(issues),
+    metrics: calculateMetrics({ ...review, issues }),
+    updated_at: new Date().toISOString()
+  };
+
+  const { data: updated, error } = await supabase
+    .from('prpilot_reviews')
+    .update(updates)
+    .eq('id', review.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store imported findings: ${error.message}`);
+  }
+
+  // Existing findings keep their feedback; only the new ones are inserted
+  if (added.length > 0) {
+    await saveFindings(updated, { keepExisting: true });
+  }
+
+  return {
+    review: updated,
+    imported: added.length,
+    duplicates,
+    excluded: parsed.length - included.length,
+    errors
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function issueRule(issue) {
+  if (issue.source === 'secret-scanner') {
+    return { id: 'hardcoded-secret', name: 'Hardcoded secret', properties: { tags: ['security'] } };
+  }
+
+  const type = issue.type || 'bug';
+  return { id: type, name: type.replace(/_/g, ' '), properties: { tags: [type] } };
+}
+
+function addResult(run, rule, finding, row) {
+  const rules = run.tool.driver.rules;
+  let ruleIndex = rules.findIndex(candidate => candidate.id === rule.id);
+  if (ruleIndex === -1) {
+    ruleIndex = rules.push({ ...rule, shortDescription: { text: rule.name } }) - 1;
+  }
+
+  const line = parseInt(finding.line, 10) || 1;
+  const severity = SEVERITIES.includes(finding.severity) ? finding.severity : 'medium';
+  const result = {
+    ruleId: rule.id,
+    ruleIndex,
+    level: SEVERITY_LEVELS[severity],
+    message: { text: [finding.title, finding.description].filter(Boolean).join('\n\n') || rule.name },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: finding.file, uriBaseId: SRCROOT },
+        region: { startLine: line }
+      }
+    }],
+    partialFingerprints: {
+      'prpilotFinding/v1': fingerprint(rule.id, finding.file, finding.title || finding.description)
+    },
+    properties: {
+      severity,
+      ...(finding.type && { type: finding.type }),
+      ...(finding.suggestion && { suggestion: finding.suggestion }),
+      ...(finding.carriedForward && { carriedForward: true })
+    }
+  };
+
+  // Validated fix replacements cover whole new-side lines
+  if (finding.fix?.replacement !== undefined) {
+    result.fixes = [{
+      description: { text: finding.fix.description || 'Suggested change' },
+      artifactChanges: [{
+        artifactLocation: { uri: finding.file, uriBaseId: SRCROOT },
+        replacements: [{
+          deletedRegion: { startLine: finding.fix.startLine, endLine: finding.fix.endLine },
+          insertedContent: { text: finding.fix.replacement }
+        }]
+      }]
+    }];
+  }
+
+  if (row?.status === 'rejected') {
+    result.suppressions = [{
+      kind: 'external',
+      status: 'accepted',
+      justification: row.feedback_note || 'Marked as a false positive in PRPilot'
+    }];
+  }
+
+  run.results.push(result);
+}
+
+// Line numbers are left out so the fingerprint survives code moving within the file
+function fingerprint(ruleId, file, text) {
+  return createHash('sha256')
+    .update(`${ruleId}|${file}|${(text || '').toLowerCase().trim()}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// Results that passed, are not applicable or were suppressed in the source tool are not findings
+function isOpenResult(result) {
+  if (!result || (result.kind && result.kind !== 'fail')) {
+    return false;
+  }
+  if (result.baselineState === 'absent') {
+    return false;
+  }
+  return !(result.suppressions || []).some(suppression => !suppression.status || suppression.status === 'accepted');
+}
+
+function resolveLocation(result, run, files) {
+  const physical = result.locations?.[0]?.physicalLocation;
+  const artifact = physical?.artifactLocation;
+  const uri = artifact?.uri ?? run?.artifacts?.[artifact?.index]?.location?.uri;
+  const line = physical?.region?.startLine;
+
+  if (!uri || !Number.isInteger(line) || line < 1) {
+    return null;
+  }
+
+  return { file: toRepoPath(uri, files), line };
+}
+
+// Absolute URIs from CI checkouts are matched to the reviewed file they end with
+function toRepoPath(uri, files) {
+  let path;
+  try {
+    path = decodeURIComponent(uri.replace(/^file:\/\//, ''));
+  } catch {
+    path = uri.replace(/^file:\/\//, '');
+  }
+
+  path = path.replace(/^\.\//, '');
+  if (path.startsWith('/')) {
+    const match = files.find(file => path.endsWith(`/${file}`));
+    return match || path.replace(/^\/+/, '');
+  }
+  return path;
+}
+
+function resultSeverity(result, rule) {
+  const securitySeverity = parseFloat(result.properties?.['security-severity'] ?? rule?.properties?.['security-severity']);
+  if (!Number.isNaN(securitySeverity)) {
+    if (securitySeverity >= 9) return 'critical';
+    if (securitySeverity >= 7) return 'high';
+    if (securitySeverity >= 4) return 'medium';
+    return 'low';
+  }
+
+  const level = result.level || rule?.defaultConfiguration?.level || 'warning';
+  return LEVEL_SEVERITIES[level] || 'medium';
+}
+
+function resultType(result, rule) {
+  const tags = [...(rule?.properties?.tags || []), ...(result.properties?.tags || [])]
+    .map(tag => String(tag).toLowerCase());
+
+  if (tags.some(tag => tag === 'security' || tag.startsWith('cwe-') || tag.startsWith('external/cwe'))) {
+    return 'security';
+  }
+  if (tags.includes('performance')) {
+    return 'performance';
+  }
+  return (result.level || rule?.defaultConfiguration?.level) === 'error' ? 'bug' : 'style';
+}
+
+function importKey(issue) {
+  return [issue.tool, issue.toolRuleId, issue.file, issue.line].join('|');
+}
+
+function findingText(finding) {
+  return [finding.title, finding.ruleName, finding.toolRuleId, finding.description].filter(Boolean).join(' ');
+}
+
+// Jaccard similarity of the words of two texts, ignoring case, plurals and short words
+function textSimilarity(a, b) {
+  const words = text => new Set(
+    text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2).map(word => word.replace(/s$/, ''))
+  );
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
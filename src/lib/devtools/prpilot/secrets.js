@@ -0,0 +1,268 @@
+/**
+ * PRPilot Secret Scanner
+ * Finds credentials in diffs and redacts them before the diff leaves the server
+ *
+ * Detection combines known token formats (AWS, GitHub, Stripe, Slack, JWTs,
+ * private keys) with an entropy check on values assigned to secret-like names.
+ */
+
+import { parseDiff, getAddedLines } from './diff';
+
+// Constants
+const MIN_GENERIC_LENGTH = 16;
+const MIN_GENERIC_ENTROPY = 3.5; // bits per character
+const PRIVATE_KEY_BEGIN = /-----BEGIN ((RSA|EC|DSA|OPENSSH|PGP|ENCRYPTED) )?PRIVATE KEY( BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END ((RSA|EC|DSA|OPENSSH|PGP|ENCRYPTED) )?PRIVATE KEY( BLOCK)?-----/;
+const HUNK_HEADER_PATTERN = /^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+const INLINE_PRIVATE_KEY = new RegExp(`(${PRIVATE_KEY_BEGIN.source})[\\s\\S]*?(${PRIVATE_KEY_END.source})`, 'g');
+
+// Known token formats; the first capture group holds the secret
+const SECRET_PATTERNS = [
+  { type: 'aws_access_key_id', name: 'AWS access key ID', pattern: /\b((?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16})\b/g },
+  {
+    type: 'aws_secret_access_key',
+    name: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi
+  },
+  { type: 'github_token', name: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255})\b/g },
+  { type: 'github_token', name: 'GitHub token', pattern: /\b(github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { type: 'stripe_key', name: 'Stripe API key', pattern: /\b((?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{24,})\b/g },
+  { type: 'stripe_webhook_secret', name: 'Stripe webhook secret', pattern: /\b(whsec_[0-9a-zA-Z]{24,})\b/g },
+  { type: 'slack_token', name: 'Slack token', pattern: /\b(xox[abposr]-[0-9A-Za-z-]{10,})\b/g },
+  {
+    type: 'jwt',
+    name: 'JSON Web Token',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/g
+  },
+  { type: 'private_key', name: 'private key', pattern: new RegExp(`(${PRIVATE_KEY_BEGIN.source})`, 'g') }
+];
+
+// Values assigned to these names are checked for entropy
+const GENERIC_SECRET_PATTERN = /(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|client[_-]?secret|auth[_-]?key|credentials?)\w*['"]?\s*(?::|=|=>)\s*['"`]([^'"`\s]+)['"`]/gi;
+const PLACEHOLDER_PATTERN = /^(x+|\*+|\.+|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\}|%[a-z_]+%|(your|my|example|sample|dummy|test|fake|changeme)[\w-]*)$/i;
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value - The string to measure
+ * @returns {number} Entropy
+ */
+export function shannonEntropy(value) {
+  if (!value) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Find secrets in a single line
+ * @param {string} text - The line content
+ * @returns {Array<{type: string, name: string, value: string, index: number}>} Matches
+ */
+export function findSecretsInLine(text) {
+  const matches = [];
+  const covered = [];
+  const overlaps = (start, end) => covered.some(([s, e]) => start < e && end > s);
+
+  const add = (type, name, value, index) => {
+    if (overlaps(index, index + value.length)) {
+      return;
+    }
+    covered.push([index, index + value.length]);
+    matches.push({ type, name, value, index });
+  };
+
+  for (const { type, name, pattern } of SECRET_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      add(type, name, match[1], match.index + match[0].indexOf(match[1]));
+    }
+  }
+
+  for (const match of text.matchAll(GENERIC_SECRET_PATTERN)) {
+    const value = match[1];
+    if (
+      value.length >= MIN_GENERIC_LENGTH &&
+      !PLACEHOLDER_PATTERN.test(value) &&
+      shannonEntropy(value) >= MIN_GENERIC_ENTROPY
+    ) {
+      add('generic_secret', 'high-entropy secret', value, match.index + match[0].lastIndexOf(value));
+    }
+  }
+
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Scan the added lines of a diff for secrets and redact secrets from every line of it
+ * @param {string} diff - The diff text
+ * @returns {{findings: Array<Object>, redactedDiff: string}}
+ */
+export function scanDiffForSecrets(diff) {
+  if (!diff) {
+    return { findings: [], redactedDiff: diff || '' };
+  }
+
+  const findings = [];
+  let inPrivateKey = false;
+  let currentFile = null;
+
+  for (const added of getAddedLines(parseDiff(diff))) {
+    if (added.file !== currentFile) {
+      currentFile = added.file;
+      inPrivateKey = false;
+    }
+
+    if (inPrivateKey) {
+      inPrivateKey = !PRIVATE_KEY_END.test(added.content);
+      continue;
+    }
+
+    for (const match of findSecretsInLine(added.content)) {
+      findings.push({
+        type: match.type,
+        name: match.name,
+        file: added.file,
+        line: added.line,
+        preview: maskSecret(match.value)
+      });
+
+      if (match.type === 'private_key' && !PRIVATE_KEY_END.test(added.content)) {
+        inPrivateKey = true;
+      }
+    }
+  }
+
+  return { findings, redactedDiff: redactDiff(diff) };
+}
+
+/**
+ * Turn secret findings into review issues
+ * @param {Array<Object>} findings - Findings from scanDiffForSecrets
+ * @returns {Array<Object>} Critical security issues
+ */
+export function secretFindingsToIssues(findings) {
+  return findings.map(finding => ({
+    type: 'security',
+    severity: 'critical',
+    file: finding.file,
+    line: finding.line,
+    title: `Hardcoded ${finding.name}`,
+    description: `A ${finding.name} (${finding.preview}) is committed in this change. Anyone with read access to the repository can use it, and it stays in the git history after removal.`,
+    suggestion: 'Revoke and rotate the credential, then load it from an environment variable or secret manager.',
+    source: 'secret-scanner'
+  }));
+}
+
+/**
+ * Redact secrets from plain text such as retrieved code context
+ * @param {string} text - The text
+ * @returns {string} Text with secrets replaced by [REDACTED:<type>]
+ */
+export function redactSecrets(text) {
+  if (!text) {
+    return text;
+  }
+
+  const redactLine = createLineRedactor();
+  return text.split('\n').map(redactLine).join('\n');
+}
+
+/**
+ * Replace secrets on added, removed and context lines, keeping the line count
+ * so diff positions are unchanged. Hunk line counts tell file headers apart from
+ * removed lines starting with "-- " and added lines starting with "++ ".
+ */
+function redactDiff(diff) {
+  let redactLine = createLineRedactor();
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  return diff.split('\n').map(line => {
+    const marker = line[0];
+
+    // "\ No newline at end of file" is no line of either side
+    if (marker === '\\') {
+      return line;
+    }
+
+    if (oldRemaining > 0 || newRemaining > 0) {
+      oldRemaining -= marker === '+' ? 0 : 1;
+      newRemaining -= marker === '-' ? 0 : 1;
+    } else {
+      if (line.startsWith('diff --git ')) {
+        redactLine = createLineRedactor();
+      }
+
+      const hunk = line.match(HUNK_HEADER_PATTERN);
+      if (hunk) {
+        oldRemaining = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+        newRemaining = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      }
+
+      // Only file headers outside a hunk keep their "---" and "+++" lines as they are
+      if (line.startsWith('+++ ') || line.startsWith('--- ')) {
+        return line;
+      }
+    }
+
+    if (marker !== '+' && marker !== '-' && marker !== ' ') {
+      return line;
+    }
+
+    return marker + redactLine(line.slice(1));
+  }).join('\n');
+}
+
+/**
+ * Create a line redactor that remembers whether it is inside a private key block
+ */
+function createLineRedactor() {
+  let inPrivateKey = false;
+
+  return (line) => {
+    let content = line;
+
+    if (inPrivateKey) {
+      if (PRIVATE_KEY_END.test(content)) {
+        inPrivateKey = false;
+        return content;
+      }
+      return '[REDACTED:private_key]';
+    }
+
+    // Keys embedded in one string literal ("-----BEGIN ...\n...\n-----END ...")
+    content = content.replace(INLINE_PRIVATE_KEY, (block) =>
+      `${block.match(PRIVATE_KEY_BEGIN)[0]}[REDACTED:private_key]${block.match(PRIVATE_KEY_END)[0]}`
+    );
+
+    const keyStart = content.match(PRIVATE_KEY_BEGIN);
+    if (keyStart && !PRIVATE_KEY_END.test(content)) {
+      inPrivateKey = true;
+      return content.slice(0, keyStart.index + keyStart[0].length) + '[REDACTED:private_key]';
+    }
+
+    // Replace from the end so earlier indexes stay valid
+    for (const match of findSecretsInLine(content).reverse()) {
+      if (match.type === 'private_key') {
+        continue;
+      }
+      content = content.slice(0, match.index) + `[REDACTED:${match.type}]` + content.slice(match.index + match.value.length);
+    }
+
+    return content;
+  };
+}
+
+function maskSecret(value) {
+  return `${value.slice(0, 4)}…${'*'.repeat(Math.min(8, Math.max(value.length - 4, 0)))}`;
+}
@@ -0,0 +1,115 @@
+/**
+ * PRPilot Suggested Changes
+ * Fixes are proposed as replacement text for a range of lines on the new side
+ * of the pull request. A replacement is only kept when the whole range lies in
+ * one diff hunk, so it applies cleanly to the PR head and can be posted as a
+ * one-click suggestion on the finding's inline comment.
+ */
+
+import { findDiffFile } from './comments';
+import { getNewSideRange } from './diff';
+
+// Constants
+export const MAX_SUGGESTION_LINES = 15;
+const CONTEXT_LINES = 6;
+const REDACTED_MARKER = '[REDACTED:';
+
+/**
+ * Get the numbered new-side lines around an issue, from the hunk that contains its line
+ * @param {Object} issue - Review issue with file and line
+ * @param {Array<Object>} files - Files from parseDiff
+ * @returns {{path: string, lines: Array<{line: number, content: string}>}|null}
+ *   The code a replacement may cover, or null if the issue is not on a diff line
+ */
+export function getSuggestionContext(issue, files) {
+  const file = findDiffFile(issue.file, files);
+  const line = parseInt(issue.line, 10);
+  if (!file || !line || file.binary || file.status === 'deleted') {
+    return null;
+  }
+
+  const hunk = file.hunks.find(candidate => candidate.lines.some(diffLine => diffLine.newLine === line));
+  if (!hunk) {
+    return null;
+  }
+
+  const lines = hunk.lines
+    .filter(diffLine => diffLine.newLine && Math.abs(diffLine.newLine - line) <= CONTEXT_LINES)
+    .map(diffLine => ({ line: diffLine.newLine, content: diffLine.content }));
+
+  return { path: file.path, lines };
+}
+
+/**
+ * Check a proposed replacement against the diff it was generated from
+ * @param {Object} issue - The issue the replacement fixes
+ * @param {Object} change - Model output with startLine, endLine and replacement
+ * @param {Array<Object>} files - Files from parseDiff
+ * @returns {{startLine: number, endLine: number, replacement: string}|null}
+ *   The normalized change, or null if it would not apply cleanly to the PR head
+ */
+export function validateReplacement(issue, change, files) {
+  const file = findDiffFile(issue.file, files);
+  const line = parseInt(issue.line, 10);
+  const startLine = parseInt(change?.startLine, 10);
+  const endLine = parseInt(change?.endLine, 10);
+
+  if (!file || !line || !startLine || !endLine || typeof change.replacement !== 'string') {
+    return null;
+  }
+
+  // The range must contain the issue's line so the suggestion sits on the finding's comment
+  if (endLine < startLine || endLine - startLine >= MAX_SUGGESTION_LINES || line < startLine || line > endLine) {
+    return null;
+  }
+
+  const original = getNewSideRange(file, startLine, endLine);
+  if (!original) {
+    return null;
+  }
+
+  const replacement = change.replacement.replace(/\r\n/g, '\n').replace(/\n$/, '');
+  const originalText = original.map(diffLine => diffLine.content).join('\n');
+
+  // Redacted lines differ from the head, and fences would end the suggestion block early
+  if (originalText.includes(REDACTED_MARKER) || replacement.includes(REDACTED_MARKER) || replacement.includes('```')) {
+    return null;
+  }
+
+  if (replacement === originalText) {
+    return null;
+  }
+
+  return { startLine, endLine, replacement };
+}
+
+/**
+ * Whether an issue's fix carries a validated replacement
+ * @param {Object} issue - Review issue
+ * @returns {boolean}
+ */
+export function hasReplacement(issue) {
+  const fix = issue?.fix;
+  return Boolean(fix && typeof fix.replacement === 'string' && fix.startLine && fix.endLine);
+}
+
+/**
+ * Format a fix's replacement for a comment
+ * @param {Object} fix - Issue fix with startLine, endLine and replacement
+ * @param {string|null} syntax - 'github' or 'gitlab' for an applicable suggestion anchored
+ *   at fix.endLine, or null for a plain code block
+ * @returns {string} Markdown block
+ */
+export function formatSuggestionBlock(fix, syntax) {
+  if (syntax === 'github') {
+    return `\`\`\`suggestion\n${fix.replacement}\n\`\`\``;
+  }
+
+  // GitLab counts the replaced lines relative to the line the comment is on
+  if (syntax === 'gitlab') {
+    return `\`\`\`suggestion:-${fix.endLine - fix.startLine}+0\n${fix.replacement}\n\`\`\``;
+  }
+
+  const range = fix.startLine === fix.endLine ? `line ${fix.startLine}` : `lines ${fix.startLine}-${fix.endLine}`;
+  return `Suggested change for ${range}:\n\n\`\`\`\n${fix.replacement}\n\`\`\``;
+}
@@ -0,0 +1,77 @@
+/**
+ * PRPilot Rule Suppressions
+ * Rules a collaborator switched off for one pull request with "/prpilot ignore <rule>"
+ */
+
+import { supabase } from '../../supabase';
+
+/**
+ * Suppress a rule for a pull request
+ * @param {Object} options - Suppression details
+ * @param {string} options.repoId - The repository ID
+ * @param {number} options.prNumber - Pull request number
+ * @param {string} options.rule - Rule ID, template ID or name as written by the user
+ * @param {string} [options.createdBy] - Who suppressed it
+ * @returns {Promise<Object>} The suppression row
+ */
+export async function addSuppression({ repoId, prNumber, rule, createdBy = null }) {
+  const { data, error } = await supabase
+    .from('prpilot_suppressions')
+    .upsert({
+      repo_id: repoId,
+      pr_number: prNumber,
+      rule: normalizeRuleRef(rule),
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'repo_id,pr_number,rule' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to suppress rule: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get the rules suppressed for a pull request
+ * @param {string} repoId - The repository ID
+ * @param {number} prNumber - Pull request number
+ * @returns {Promise<Array<string>>} Normalized rule references
+ */
+export async function getSuppressedRules(repoId, prNumber) {
+  if (!repoId || !prNumber || !supabase) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('prpilot_suppressions')
+    .select('rule')
+    .eq('repo_id', repoId)
+    .eq('pr_number', prNumber);
+
+  if (error) {
+    console.error('Failed to fetch suppressed rules:', error);
+    return [];
+  }
+
+  return (data || []).map(row => row.rule);
+}
+
+/**
+ * Whether a rule matches one of the suppressed references
+ * @param {Object} rule - Rule record
+ * @param {Array<string>} suppressed - Result of getSuppressedRules
+ * @returns {boolean}
+ */
+export function isRuleSuppressed(rule, suppressed) {
+  const refs = [rule.id, rule.template_id, rule.name]
+    .filter(Boolean)
+    .map(ref => normalizeRuleRef(String(ref)));
+  return refs.some(ref => suppressed.includes(ref));
+}
+
+function normalizeRuleRef(rule) {
+  return rule.trim().toLowerCase().replace(/^["'`]|["'`]$/g, '');
+}
@@ -0,0 +1,231 @@
+/**
+ * PRPilot Token Encryption
+ * Provider access tokens are stored encrypted in prpilot_repos.github_token_encrypted
+ * with envelope encryption: each token is encrypted with its own random data key
+ * (AES-256-GCM), and the data key is encrypted with an application key that never
+ * touches the database.
+ *
+ * Application keys come from PRPILOT_ENCRYPTION_KEYS as comma-separated
+ * "<key id>:<base64 32-byte key>" entries. The first key encrypts; the others can
+ * only decrypt, so a new key can be put in front of the list and rotateRepoTokens
+ * re-encrypts every row before the old key is removed.
+ *
+ * Envelope: v1.<key id>.<encrypted data key>.<encrypted token>, each part base64url
+ * of iv + auth tag + ciphertext.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../../supabase';
+
+// Constants
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const ENVELOPE_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const ROTATION_BATCH_SIZE = 500;
+
+// Columns that hold the token; never sent to clients
+export const TOKEN_COLUMNS = ['github_token', 'github_token_encrypted', 'token_key_id'];
+
+/**
+ * Whether an application key is configured for encrypting tokens
+ * @returns {boolean}
+ */
+export function isTokenEncryptionConfigured() {
+  return Boolean(process.env.PRPILOT_ENCRYPTION_KEYS?.trim());
+}
+
+/**
+ * Encrypt a token with the current application key
+ * @param {string} token - The plaintext token
+ * @returns {{envelope: string, keyId: string}}
+ * @throws {Error} If no valid key is configured
+ */
+export function encryptToken(token) {
+  const [current] = loadKeys();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+  const envelope = [
+    ENVELOPE_VERSION,
+    current.id,
+    seal(current.key, dataKey),
+    seal(dataKey, Buffer.from(token, 'utf8'))
+  ].join('.');
+
+  return { envelope, keyId: current.id };
+}
+
+/**
+ * Decrypt a token envelope with the key it names
+ * @param {string} envelope - Result of encryptToken
+ * @returns {string} The plaintext token
+ * @throws {Error} If the key is not configured or the envelope was tampered with
+ */
+export function decryptToken(envelope) {
+  const [version, keyId, sealedKey, sealedToken] = String(envelope).split('.');
+  if (version !== ENVELOPE_VERSION || !sealedKey || !sealedToken) {
+    throw new Error('Unrecognized token envelope');
+  }
+
+  const entry = loadKeys().find(candidate => candidate.id === keyId);
+  if (!entry) {
+    throw new Error(`Token is encrypted with key "${keyId}", which is not in PRPILOT_ENCRYPTION_KEYS`);
+  }
+
+  const dataKey = open(entry.key, sealedKey);
+  return open(dataKey, sealedToken).toString('utf8');
+}
+
+/**
+ * Columns to store for a new or changed repository token
+ * @param {string|null} token - The plaintext token; null or empty removes the token
+ * @returns {{github_token: null, github_token_encrypted: string|null, token_key_id: string|null}}
+ */
+export function encryptRepoToken(token) {
+  if (!token) {
+    return { github_token: null, github_token_encrypted: null, token_key_id: null };
+  }
+
+  const { envelope, keyId } = encryptToken(token);
+  return { github_token: null, github_token_encrypted: envelope, token_key_id: keyId };
+}
+
+/**
+ * Whether a repository can authenticate to its provider, without decrypting its token:
+ * it has an access token or is installed through the GitHub App
+ * @param {Object} repo - Repository record
+ * @returns {boolean}
+ */
+export function hasRepoToken(repo) {
+  return Boolean(repo?.installation_id || repo?.github_token_encrypted || repo?.github_token);
+}
+
+/**
+ * Get the plaintext access token of a repository.
+ * Rows written before encryption still hold a plaintext token until rotateRepoTokens runs.
+ * @param {Object} repo - Repository record
+ * @returns {string|null} The token
+ */
+export function resolveRepoToken(repo) {
+  if (repo?.github_token_encrypted) {
+    return decryptToken(repo.github_token_encrypted);
+  }
+  return repo?.github_token || null;
+}
+
+/**
+ * Remove the token columns from a repository record for API responses
+ * @param {Object} repo - Repository record
+ * @returns {Object} The record with hasToken instead of the token columns
+ */
+export function withoutRepoToken(repo) {
+  if (!repo) {
+    return repo;
+  }
+
+  const safe = Object.fromEntries(Object.entries(repo).filter(([column]) => !TOKEN_COLUMNS.includes(column)));
+  return { ...safe, has_token: hasRepoToken(repo) };
+}
+
+/**
+ * Re-encrypt stored tokens with the current application key: plaintext tokens
+ * from before encryption and tokens encrypted with an older or unrecorded key.
+ * Rows are processed in ID order; pass the returned cursor to continue after
+ * them, so rows that keep failing do not hold up the rest.
+ * @param {Object} [options] - Rotation options
+ * @param {number} [options.limit] - Rows to process in this run
+ * @param {string} [options.after] - Cursor of the previous run
+ * @returns {Promise<{keyId: string, rotated: number, failed: Array<{repoId: string, error: string}>,
+ *   cursor: string|null, remaining: boolean}>}
+ */
+export async function rotateRepoTokens({ limit = ROTATION_BATCH_SIZE, after = null } = {}) {
+  const [current] = loadKeys();
+
+  // current.id matches KEY_ID_PATTERN, so it is safe in the filter
+  let query = supabase
+    .from('prpilot_repos')
+    .select('id, github_token, github_token_encrypted, token_key_id')
+    .or(`github_token.not.is.null,and(github_token_encrypted.not.is.null,or(token_key_id.is.null,token_key_id.neq.${current.id}))`)
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (after) {
+    query = query.gt('id', after);
+  }
+
+  const { data: repos, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch repository tokens: ${error.message}`);
+  }
+
+  let rotated = 0;
+  const failed = [];
+
+  for (const repo of repos || []) {
+    try {
+      const { error: updateError } = await supabase
+        .from('prpilot_repos')
+        .update({ ...encryptRepoToken(resolveRepoToken(repo)), updated_at: new Date().toISOString() })
+        .eq('id', repo.id);
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+      rotated++;
+    } catch (rotationError) {
+      failed.push({ repoId: repo.id, error: rotationError.message });
+    }
+  }
+
+  return {
+    keyId: current.id,
+    rotated,
+    failed,
+    cursor: repos?.length > 0 ? repos[repos.length - 1].id : after,
+    remaining: (repos || []).length === limit
+  };
+}
+
+// Parsed on every call so a rotated key list applies without a restart
+function loadKeys() {
+  const entries = (process.env.PRPILOT_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    throw new Error('PRPILOT_ENCRYPTION_KEYS is not configured');
+  }
+
+  return entries.map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error('PRPILOT_ENCRYPTION_KEYS entries must look like "<key id>:<base64 key>"');
+    }
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Encryption key "${id}" must be ${KEY_LENGTH} bytes, base64 encoded`);
+    }
+
+    return { id, key };
+  });
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
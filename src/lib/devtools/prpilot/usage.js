@@ -0,0 +1,226 @@
+/**
+ * PRPilot Usage Accounting
+ * Every model call of a review records its prompt and completion tokens, model
+ * and latency. The calls are priced when they happen and the totals are stored
+ * on the review row (prompt_tokens, completion_tokens, cost_usd, model_latency_ms,
+ * usage), so later price changes do not rewrite past costs.
+ *
+ * A repository with a monthly_budget_usd is checked before each review: once the
+ * month's reviews have cost that much, further reviews are downgraded to a smaller
+ * model without generated fixes, or skipped, depending on its budget_action.
+ *
+ * Model calls outside reviews (slash commands, drafted descriptions) are stored in
+ * prpilot_model_usage and count against the same budget.
+ *
+ * Prices are USD per million tokens; PRPILOT_MODEL_PRICING can override or add
+ * models as JSON, e.g. {"llama-3.3-70b-versatile": {"input": 0.59, "output": 0.79}}.
+ */
+
+import { supabase } from '../../supabase';
+
+// Constants
+export const BUDGET_ACTIONS = ['downgrade', 'skip'];
+export const BUDGET_REVIEW_MODEL = 'llama-3.1-8b-instant';
+export const USAGE_KINDS = ['describe', 'explain', 'fix'];
+export const MODEL_PRICING = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 }
+};
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+const MAX_BUDGET_REVIEWS = 10000;
+
+/**
+ * Get the price of a model
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}|null} USD per million prompt and completion tokens
+ */
+export function getModelPricing(model) {
+  return loadPricing()[model] || null;
+}
+
+/**
+ * Record a model call on a review's usage list
+ * @param {Array<Object>|null} calls - The review's usage list; nothing is recorded without one
+ * @param {Object} call - The call
+ * @param {string} call.step - Pipeline step, e.g. analysis, fixes, rules
+ * @param {string} call.model - Model the request was sent to
+ * @param {Object} [call.usage] - The completion's usage (prompt_tokens, completion_tokens)
+ * @param {number} call.latencyMs - Time until the completion returned
+ */
+export function recordModelCall(calls, { step, model, usage, latencyMs }) {
+  if (!calls) {
+    return;
+  }
+
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  calls.push({
+    step,
+    model,
+    promptTokens,
+    completionTokens,
+    latencyMs,
+    costUsd: priceTokens(model, promptTokens, completionTokens)
+  });
+}
+
+/**
+ * Total the model calls of a review
+ * @param {Array<Object>} calls - Usage list filled by recordModelCall
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, totalTokens: number,
+ *   latencyMs: number, costUsd: number|null, byModel: Object}}
+ *   costUsd is null when none of the models has a price
+ */
+export function summarizeUsage(calls = []) {
+  const byModel = {};
+
+  for (const call of calls) {
+    const model = byModel[call.model] || { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: null };
+    model.calls++;
+    model.promptTokens += call.promptTokens;
+    model.completionTokens += call.completionTokens;
+    model.costUsd = addCost(model.costUsd, call.costUsd);
+    byModel[call.model] = model;
+  }
+
+  const promptTokens = sum(calls, call => call.promptTokens);
+  const completionTokens = sum(calls, call => call.completionTokens);
+
+  return {
+    calls: calls.length,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    latencyMs: sum(calls, call => call.latencyMs),
+    costUsd: calls.reduce((total, call) => addCost(total, call.costUsd), null),
+    byModel
+  };
+}
+
+/**
+ * Review columns for a usage list
+ * @param {Array<Object>} calls - Usage list filled by recordModelCall
+ * @param {Object} [budget] - Result of checkRepoBudget, stored when the budget changed the review
+ * @returns {{prompt_tokens: number, completion_tokens: number, cost_usd: number|null, model_latency_ms: number, usage: Object}}
+ */
+export function buildUsageColumns(calls, budget = null) {
+  const { promptTokens, completionTokens, costUsd, latencyMs, byModel } = summarizeUsage(calls);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    cost_usd: costUsd,
+    model_latency_ms: latencyMs,
+    usage: {
+      byModel,
+      calls,
+      ...(budget && budget.action !== 'none' && { budget })
+    }
+  };
+}
+
+/**
+ * Store the model calls of work outside a review, e.g. a slash command
+ * @param {Object} repo - Repository record
+ * @param {Object} record - What the calls were for
+ * @param {string} record.kind - One of USAGE_KINDS
+ * @param {number} [record.prNumber] - Pull request the work was for
+ * @param {Array<Object>} record.calls - Usage list filled by recordModelCall
+ * @param {Object} [record.budget] - Result of checkRepoBudget, stored when the budget changed the model
+ */
+export async function saveRepoUsage(repo, { kind, prNumber = null, calls, budget = null }) {
+  if (!repo?.id || calls.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('prpilot_model_usage')
+    .insert({
+      repo_id: repo.id,
+      user_id: repo.user_id,
+      kind,
+      pr_number: prNumber,
+      ...buildUsageColumns(calls, budget),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Failed to store model usage:', error.message);
+  }
+}
+
+/**
+ * Check a repository's spend this month against its budget
+ * @param {Object} repo - Repository record
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{action: string, budgetUsd: number|null, spentUsd: number|null, since: string|null}>}
+ *   action is 'none' while under budget (or without one), otherwise the repository's budget_action
+ */
+export async function checkRepoBudget(repo, now = new Date()) {
+  const budgetUsd = repo?.monthly_budget_usd == null ? null : Number(repo.monthly_budget_usd);
+  if (!repo?.id || budgetUsd === null) {
+    return { action: 'none', budgetUsd: null, spentUsd: null, since: null };
+  }
+
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const [reviews, other] = await Promise.all(['prpilot_reviews', 'prpilot_model_usage'].map(table => supabase
+    .from(table)
+    .select('cost_usd')
+    .eq('repo_id', repo.id)
+    .gte('created_at', since.toISOString())
+    .not('cost_usd', 'is', null)
+    .limit(MAX_BUDGET_REVIEWS)));
+
+  // Reviews go ahead when the spend cannot be read
+  const error = reviews.error || other.error;
+  if (error) {
+    console.error('Failed to read review spend:', error.message);
+    return { action: 'none', budgetUsd, spentUsd: null, since: since.toISOString() };
+  }
+
+  const spentUsd = roundCost(sum([...(reviews.data || []), ...(other.data || [])], row => Number(row.cost_usd)));
+  const action = spentUsd >= budgetUsd
+    ? (BUDGET_ACTIONS.includes(repo.budget_action) ? repo.budget_action : 'downgrade')
+    : 'none';
+
+  return { action, budgetUsd, spentUsd, since: since.toISOString() };
+}
+
+// Defaults merged with PRPILOT_MODEL_PRICING; a malformed override is ignored
+function loadPricing() {
+  if (!process.env.PRPILOT_MODEL_PRICING) {
+    return MODEL_PRICING;
+  }
+
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.PRPILOT_MODEL_PRICING) };
+  } catch (error) {
+    console.error('Ignoring invalid PRPILOT_MODEL_PRICING:', error.message);
+    return MODEL_PRICING;
+  }
+}
+
+function priceTokens(model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    return null;
+  }
+  return roundCost((promptTokens * pricing.input + completionTokens * pricing.output) / TOKENS_PER_PRICE_UNIT);
+}
+
+// Unpriced calls leave the total unchanged; the total stays null if nothing was priced
+function addCost(total, cost) {
+  if (cost === null || cost === undefined) {
+    return total;
+  }
+  return roundCost((total || 0) + cost);
+}
+
+function sum(items, value) {
+  return items.reduce((total, item) => total + (value(item) || 0), 0);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
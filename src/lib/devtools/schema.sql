@@ -121,67 +121,224 @@ CREATE TABLE IF NOT EXISTS devflow_snapshots (
 -- PRPILOT: AI Code Review
 -- =============================================
 
+-- Repositories connected for PR reviews
+CREATE TABLE IF NOT EXISTS prpilot_repos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  provider TEXT NOT NULL DEFAULT 'github', -- github, gitlab, bitbucket
+  repo_owner TEXT NOT NULL,
+  repo_name TEXT NOT NULL,
+  repo_full_name TEXT NOT NULL,
+  url TEXT,
+  github_token TEXT, -- legacy plaintext token; emptied by token rotation, never written
+  github_token_encrypted TEXT, -- access token for the provider's API, envelope-encrypted (see prpilot/tokens.js)
+  token_key_id TEXT, -- ID of the PRPILOT_ENCRYPTION_KEYS key that encrypted the token
+  installation_id BIGINT, -- GitHub App installation; used instead of a token when set
+  webhook_secret TEXT,
+  auto_review BOOLEAN DEFAULT TRUE,
+  review_on_push BOOLEAN DEFAULT FALSE,
+  default_branch TEXT DEFAULT 'main',
+  checks_enabled BOOLEAN DEFAULT TRUE, -- report reviews as a "PRPilot" check run
+  check_min_score INTEGER DEFAULT 70, -- check fails below this quality score
+  check_fail_severity TEXT DEFAULT 'critical', -- check fails on findings of this severity or worse
+  monthly_budget_usd NUMERIC(10, 2), -- model spend per calendar month (UTC); null for no budget
+  budget_action TEXT DEFAULT 'downgrade' CHECK (budget_action IN ('downgrade', 'skip')), -- what happens to reviews over budget
+  status TEXT DEFAULT 'active', -- active, paused
+  index_status TEXT DEFAULT 'pending', -- pending, indexing, indexed, failed
+  index_stats JSONB,
+  index_started_at TIMESTAMPTZ, -- runs older than the lock timeout are presumed crashed
+  indexed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, provider, repo_full_name)
+);
+
 -- Indexed code chunks for RAG
 CREATE TABLE IF NOT EXISTS prpilot_code_chunks (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  repo_id UUID REFERENCES devtools_repos(id) ON DELETE CASCADE,
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
   file_path TEXT NOT NULL,
   chunk_index INTEGER NOT NULL,
   content TEXT NOT NULL,
   content_hash TEXT NOT NULL,
+  file_hash TEXT NOT NULL, -- hash of the whole file, used to skip unchanged files
   start_line INTEGER,
   end_line INTEGER,
   language TEXT,
   symbols JSONB DEFAULT '[]', -- functions, classes, variables
+  symbol_names TEXT[] DEFAULT '{}', -- names declared in the chunk
+  referenced_names TEXT[] DEFAULT '{}', -- identifiers used in the chunk
   embedding VECTOR(1536), -- for similarity search (if pg_vector enabled)
   created_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(repo_id, file_path, chunk_index)
 );
 
+-- Indexed files with no code to chunk, so unchanged ones are skipped
+CREATE TABLE IF NOT EXISTS prpilot_empty_files (
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  file_path TEXT NOT NULL,
+  file_hash TEXT NOT NULL,
+  PRIMARY KEY (repo_id, file_path)
+);
+
 -- Pull request reviews
 CREATE TABLE IF NOT EXISTS prpilot_reviews (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID NOT NULL,
-  repo_id UUID REFERENCES devtools_repos(id) ON DELETE CASCADE,
-  pr_number INTEGER NOT NULL,
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  pr_number INTEGER, -- null for ad-hoc diff reviews
   pr_title TEXT,
   pr_url TEXT,
-  status TEXT DEFAULT 'pending', -- pending, reviewing, completed, failed
-  files_changed INTEGER DEFAULT 0,
-  additions INTEGER DEFAULT 0,
-  deletions INTEGER DEFAULT 0,
-  review_summary TEXT,
-  issues_found JSONB DEFAULT '[]', -- array of issues
+  pr_author TEXT,
+  base_branch TEXT,
+  head_branch TEXT,
+  head_sha TEXT, -- head commit the review covered
+  previous_review_id UUID REFERENCES prpilot_reviews(id) ON DELETE SET NULL, -- set for incremental re-reviews
+  incremental JSONB, -- new, carried and resolved counts of an incremental re-review
+  config JSONB, -- .prpilot.yml settings at the head commit, null without the file
+  config_errors JSONB DEFAULT '[]', -- problems found in .prpilot.yml
+  status TEXT DEFAULT 'pending', -- pending, analyzing, completed, degraded (invalid model output, unscored), failed, skipped (over budget)
+  triggered_by TEXT DEFAULT 'api', -- api, webhook, library, push
+  webhook_delivery_id TEXT,
+  summary TEXT,
+  quality_score INTEGER CHECK (quality_score BETWEEN 0 AND 100),
+  issues JSONB DEFAULT '[]', -- array of issues, each with an optional fix
   suggestions JSONB DEFAULT '[]', -- array of suggestions
-  score INTEGER, -- 1-10 quality score
-  reviewed_at TIMESTAMPTZ,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  highlights JSONB DEFAULT '[]', -- things done well
+  rule_violations JSONB DEFAULT '[]', -- custom rule violations
+  metrics JSONB DEFAULT '{}', -- issue counts by severity and type
+  files_reviewed JSONB DEFAULT '[]', -- paths sent for model review
+  context_chunks JSONB DEFAULT '[]', -- indexed code chunks included in the review prompt
+  review_passes INTEGER DEFAULT 1, -- number of model passes the diff was split into
+  skipped_files JSONB DEFAULT '[]', -- files left out of the review, with reasons
+  output_errors JSONB DEFAULT '[]', -- model output still invalid after a repair attempt, by pipeline step
+  diff_size INTEGER,
+  prompt_tokens INTEGER DEFAULT 0, -- summed over every model call of the review
+  completion_tokens INTEGER DEFAULT 0,
+  cost_usd NUMERIC(12, 6), -- priced when the calls were made; null if no model had a price
+  model_latency_ms INTEGER, -- time spent waiting for the model
+  usage JSONB, -- per-call and per-model usage, and the budget state if it changed the review
+  error_message TEXT,
+  user_notes TEXT,
+  resolved BOOLEAN DEFAULT FALSE,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Review comments
 CREATE TABLE IF NOT EXISTS prpilot_comments (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   review_id UUID REFERENCES prpilot_reviews(id) ON DELETE CASCADE,
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  finding_key TEXT, -- issue:<index> or rule:<index> within the review
+  source TEXT DEFAULT 'model', -- model, rule, secret-scanner, sarif
+  rule_id TEXT, -- prpilot_rules.id for rule violations
   file_path TEXT NOT NULL,
   line_number INTEGER,
+  position INTEGER, -- diff position the inline comment was posted at
+  inline BOOLEAN DEFAULT FALSE, -- false when the issue went into the summary body
   comment_type TEXT, -- bug, security, style, performance, suggestion
-  severity TEXT DEFAULT 'info', -- info, warning, error, critical
+  severity TEXT DEFAULT 'medium', -- critical, high, medium, low
+  title TEXT,
   message TEXT NOT NULL,
   suggestion TEXT, -- code suggestion if applicable
+  github_review_id BIGINT,
+  github_comment_id BIGINT,
   accepted BOOLEAN, -- user feedback
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  status TEXT DEFAULT 'open', -- open, accepted, rejected (false positive), fixed, outdated (code changed since)
+  feedback_note TEXT,
+  feedback_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ, -- when the finding became fixed or outdated
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(review_id, finding_key)
 );
 
 -- Team coding standards/rules
 CREATE TABLE IF NOT EXISTS prpilot_rules (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID NOT NULL,
-  repo_id UUID REFERENCES devtools_repos(id) ON DELETE SET NULL,
-  rule_name TEXT NOT NULL,
-  rule_description TEXT,
-  rule_pattern TEXT, -- regex or natural language
-  severity TEXT DEFAULT 'warning',
-  is_active BOOLEAN DEFAULT TRUE,
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE SET NULL, -- null applies to all of the user's repos
+  name TEXT NOT NULL,
+  description TEXT,
+  kind TEXT DEFAULT 'llm', -- regex, ast-selector, llm
+  pattern TEXT, -- regex, esquery selector, or natural language depending on kind
+  options JSONB DEFAULT '{}', -- kind-specific options: flags, maxLines, suggestion
+  category TEXT DEFAULT 'custom',
+  severity TEXT DEFAULT 'medium', -- critical, high, medium, low
+  template_id TEXT,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Named, versioned rule sets shared across users and assigned to repos
+CREATE TABLE IF NOT EXISTS prpilot_rule_packs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL, -- maintainer; only they can change the pack
+  name TEXT NOT NULL,
+  description TEXT,
+  version INTEGER DEFAULT 1, -- incremented on every change to the rules
+  visibility TEXT DEFAULT 'private' CHECK (visibility IN ('private', 'shared')), -- shared packs can be assigned by any user
+  rules JSONB DEFAULT '[]', -- [{ key, name, description, kind, pattern, options, category, severity, enabled }]
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
+-- Rule packs used by a repository; reviews read the pack's current rules
+CREATE TABLE IF NOT EXISTS prpilot_repo_rule_packs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  pack_id UUID REFERENCES prpilot_rule_packs(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(repo_id, pack_id)
+);
+
+-- Rules suppressed for one pull request with "/prpilot ignore"
+CREATE TABLE IF NOT EXISTS prpilot_suppressions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  pr_number INTEGER NOT NULL,
+  rule TEXT NOT NULL, -- prpilot_rules.id, template ID or name, lowercased
+  created_by TEXT, -- provider username that ran the command
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(repo_id, pr_number, rule)
+);
+
+-- Queued review work from webhooks, run by the worker with retries
+CREATE TABLE IF NOT EXISTS prpilot_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  type TEXT NOT NULL, -- pull_request_review, pull_request_command, push_review
+  delivery_id TEXT UNIQUE, -- webhook delivery that created the job
+  dedupe_key TEXT, -- one queued or running job per key
+  payload JSONB DEFAULT '{}',
+  status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  run_at TIMESTAMPTZ DEFAULT NOW(), -- not picked up before this time
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  review_id UUID REFERENCES prpilot_reviews(id) ON DELETE SET NULL, -- set once a review is stored, reused by retries
+  check_handle JSONB, -- check or status started by the first attempt
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Model calls outside reviews: slash commands and drafted descriptions
+CREATE TABLE IF NOT EXISTS prpilot_model_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id UUID REFERENCES prpilot_repos(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('describe', 'explain', 'fix')),
+  pr_number INTEGER,
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  cost_usd NUMERIC(12, 6), -- counts against monthly_budget_usd like review costs
+  model_latency_ms INTEGER,
+  usage JSONB, -- per-model totals and the individual calls
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -239,8 +396,26 @@ CREATE INDEX IF NOT EXISTS idx_devflow_errors_session ON devflow_errors(session_
 CREATE INDEX IF NOT EXISTS idx_devflow_snapshots_session ON devflow_snapshots(session_id);
 
 CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_repo ON prpilot_code_chunks(repo_id);
+CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_file ON prpilot_code_chunks(repo_id, file_path);
+CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_symbols ON prpilot_code_chunks USING GIN(symbol_names);
+CREATE INDEX IF NOT EXISTS idx_prpilot_code_chunks_references ON prpilot_code_chunks USING GIN(referenced_names);
+CREATE INDEX IF NOT EXISTS idx_prpilot_repos_webhook ON prpilot_repos(provider, repo_full_name);
+CREATE INDEX IF NOT EXISTS idx_prpilot_repos_token_key ON prpilot_repos(token_key_id);
+CREATE INDEX IF NOT EXISTS idx_prpilot_repos_installation ON prpilot_repos(installation_id);
 CREATE INDEX IF NOT EXISTS idx_prpilot_reviews_repo ON prpilot_reviews(repo_id);
 CREATE INDEX IF NOT EXISTS idx_prpilot_reviews_user ON prpilot_reviews(user_id);
+CREATE INDEX IF NOT EXISTS idx_prpilot_reviews_pr ON prpilot_reviews(repo_id, pr_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prpilot_reviews_trend ON prpilot_reviews(repo_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prpilot_comments_review ON prpilot_comments(review_id);
+CREATE INDEX IF NOT EXISTS idx_prpilot_comments_feedback ON prpilot_comments(repo_id, status);
+CREATE INDEX IF NOT EXISTS idx_prpilot_comments_resolved ON prpilot_comments(repo_id, resolved_at);
+CREATE INDEX IF NOT EXISTS idx_prpilot_rule_packs_shared ON prpilot_rule_packs(visibility);
+CREATE INDEX IF NOT EXISTS idx_prpilot_repo_rule_packs_pack ON prpilot_repo_rule_packs(pack_id);
+CREATE INDEX IF NOT EXISTS idx_prpilot_jobs_due ON prpilot_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_prpilot_jobs_repo ON prpilot_jobs(repo_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prpilot_model_usage_repo ON prpilot_model_usage(repo_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prpilot_jobs_dedupe ON prpilot_jobs(dedupe_key)
+  WHERE status IN ('queued', 'running');
 
 CREATE INDEX IF NOT EXISTS idx_autostandup_daily_user ON autostandup_daily(user_id);
 CREATE INDEX IF NOT EXISTS idx_autostandup_daily_date ON autostandup_daily(date);
@@ -258,10 +433,17 @@ ALTER TABLE devflow_errors ENABLE ROW LEVEL SECURITY;
 ALTER TABLE devflow_commands ENABLE ROW LEVEL SECURITY;
 ALTER TABLE devflow_searches ENABLE ROW LEVEL SECURITY;
 ALTER TABLE devflow_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_repos ENABLE ROW LEVEL SECURITY;
 ALTER TABLE prpilot_code_chunks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_empty_files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE prpilot_reviews ENABLE ROW LEVEL SECURITY;
 ALTER TABLE prpilot_comments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE prpilot_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_rule_packs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_repo_rule_packs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_model_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prpilot_suppressions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE autostandup_daily ENABLE ROW LEVEL SECURITY;
 ALTER TABLE autostandup_activities ENABLE ROW LEVEL SECURITY;
 ALTER TABLE autostandup_templates ENABLE ROW LEVEL SECURITY;
@@ -275,8 +457,12 @@ CREATE POLICY "Users own their errors" ON devflow_errors FOR ALL USING (auth.uid
 CREATE POLICY "Users own their commands" ON devflow_commands FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their searches" ON devflow_searches FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their snapshots" ON devflow_snapshots FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users own their prpilot repos" ON prpilot_repos FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their reviews" ON prpilot_reviews FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their rules" ON prpilot_rules FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users own their rule packs" ON prpilot_rule_packs FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Shared rule packs are readable" ON prpilot_rule_packs FOR SELECT USING (visibility = 'shared');
+CREATE POLICY "Users own their model usage" ON prpilot_model_usage FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their standups" ON autostandup_daily FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their activities" ON autostandup_activities FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "Users own their templates" ON autostandup_templates FOR ALL USING (auth.uid() = user_id);